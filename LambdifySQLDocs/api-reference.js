@@ -0,0 +1,346 @@
+// API Reference - Renders the API model generated by tools/extract-api.js
+import { scrollToElement, escapeHtml } from './script.js';
+
+const API_URL = 'api.json';
+
+// Base URL for "view source" links; model paths are relative to the repository root
+const SOURCE_URL = 'https://github.com/oscardybabaphd/LambdifySQL/blob/main/';
+
+// Related examples listed per member before the rest are summarized as "+N more"
+const MAX_RELATED_EXAMPLES = 5;
+
+// Headings and icons for each namespace; unlisted namespaces show their full name
+const NAMESPACE_INFO = {
+    'LambdifySQL': { label: 'Entry Points', icon: 'fa-code' },
+    'LambdifySQL.Builders': { label: 'Query Builders', icon: 'fa-hammer' },
+    'LambdifySQL.Advanced': { label: 'Advanced Builders', icon: 'fa-rocket' },
+    'LambdifySQL.Core': { label: 'Core Interfaces and Types', icon: 'fa-layer-group' },
+    'LambdifySQL.Enums': { label: 'Enums', icon: 'fa-list-ol' },
+    'LambdifySQL.Resolver': { label: 'Entity Attributes', icon: 'fa-tags' }
+};
+
+// Member groups in display order
+const MEMBER_KINDS = [
+    { kind: 'constructor', label: 'Constructors' },
+    { kind: 'property', label: 'Properties' },
+    { kind: 'field', label: 'Fields' },
+    { kind: 'method', label: 'Methods' },
+    { kind: 'value', label: 'Values' }
+];
+
+// Element id for a type or namespace, used by the nav and by type links in signatures
+export function getTypeAnchor(name) {
+    return `api-type-${name}`;
+}
+
+export function getNamespaceAnchor(namespace) {
+    return `api-ns-${namespace.replace(/\./g, '-')}`;
+}
+
+export class ApiReference {
+    constructor(root, examplesManager = null, versions = null) {
+        this.root = root;
+        this.examplesManager = examplesManager;
+        this.versions = versions; // VersionManager choosing which release's model to load
+        this.model = null;
+        this.typesByName = new Map();
+    }
+
+    async init() {
+        this.initializeNavigation();
+        await this.load();
+        this.openFromHash();
+    }
+
+    // Reload the model for the release VersionManager now has selected
+    async setVersion() {
+        await this.load();
+    }
+
+    // Load the selected release's model, or api.json when no release is selected
+    async load() {
+        const url = this.versions && this.versions.current ? this.versions.current.api : API_URL;
+
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Request for ${url} failed with status ${response.status}`);
+            }
+
+            this.model = await response.json();
+            this.typesByName = new Map(this.model.types.map(type => [type.name, type]));
+            this.render();
+        } catch (error) {
+            console.error('Error loading API reference:', error);
+            this.root.innerHTML = '<p class="api-reference-status">Failed to load the API reference.</p>';
+        }
+    }
+
+    render() {
+        const namespaces = this.model.namespaces.filter(namespace =>
+            this.model.types.some(type => type.namespace === namespace));
+
+        this.root.innerHTML = `
+            <nav class="api-model-nav" aria-label="API types">
+                ${namespaces.map(namespace => `
+                    <div class="api-model-nav-group">
+                        <a href="#${getNamespaceAnchor(namespace)}" class="api-model-nav-title">${escapeHtml(this.getNamespaceLabel(namespace))}</a>
+                        <ul>
+                            ${this.getTypes(namespace).map(type => `
+                                <li><a href="#${getTypeAnchor(type.name)}">${escapeHtml(this.getDisplayName(type))}</a></li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            </nav>
+            ${namespaces.map(namespace => this.createNamespaceSection(namespace)).join('')}
+        `;
+    }
+
+    createNamespaceSection(namespace) {
+        const info = NAMESPACE_INFO[namespace] || { label: namespace, icon: 'fa-cube' };
+        return `
+            <div class="api-namespace" id="${getNamespaceAnchor(namespace)}">
+                <h3 class="api-namespace-title">
+                    <i class="fas ${info.icon}"></i> ${escapeHtml(info.label)}
+                    <code>${escapeHtml(namespace)}</code>
+                </h3>
+                ${this.getTypes(namespace).map(type => this.createTypeElement(type)).join('')}
+            </div>
+        `;
+    }
+
+    // One collapsible block per type; entry point types start open
+    createTypeElement(type) {
+        const open = type.namespace === this.model.library ? ' open' : '';
+        const bases = type.baseTypes.length > 0
+            ? `<span class="api-type-meta-item">${type.kind === 'interface' ? 'Extends' : 'Inherits'} ${type.baseTypes.map(base => `<code>${this.linkTypes(base)}</code>`).join(', ')}</span>`
+            : '';
+        const typeParameters = type.typeParameters.some(parameter => parameter.description)
+            ? this.createParameterTable(type.typeParameters, 'Type parameter')
+            : '';
+        const related = this.createRelatedExamples(this.findTypeExamples(type));
+
+        return `
+            <details class="api-reference-section api-type" id="${getTypeAnchor(type.name)}"${open}>
+                <summary>
+                    <h4>
+                        <span class="api-kind api-kind-${type.kind}">${[...type.modifiers, type.kind].join(' ')}</span>
+                        ${escapeHtml(this.getDisplayName(type))}
+                    </h4>
+                    ${type.summary ? `<span class="api-type-summary">${escapeHtml(type.summary)}</span>` : ''}
+                </summary>
+                <div class="api-type-meta">
+                    <span class="api-type-meta-item">Namespace <code>${escapeHtml(type.namespace)}</code></span>
+                    ${bases}
+                    <a class="api-type-meta-item" href="${SOURCE_URL}${type.source.file}#L${type.source.line}" target="_blank" rel="noopener">
+                        <i class="fas fa-file-code"></i> ${escapeHtml(type.source.file)}
+                    </a>
+                </div>
+                ${typeParameters}
+                ${related}
+                ${MEMBER_KINDS.map(group => this.createMemberGroup(type, group)).join('')}
+            </details>
+        `;
+    }
+
+    createMemberGroup(type, group) {
+        const members = type.members.filter(member => member.kind === group.kind);
+        if (members.length === 0) return '';
+
+        // Enum values are listed in one table rather than as individual cards
+        if (group.kind === 'value') {
+            return `
+                <h5 class="api-member-group">${group.label}</h5>
+                <table class="parameters-table">
+                    <thead><tr><th>Name</th><th>Description</th></tr></thead>
+                    <tbody>
+                        ${members.map(member => `
+                            <tr><td><code>${escapeHtml(member.signature)}</code></td><td>${escapeHtml(member.summary || '')}</td></tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        return `
+            <h5 class="api-member-group">${group.label}</h5>
+            ${members.map(member => this.createMemberElement(type, member)).join('')}
+        `;
+    }
+
+    createMemberElement(type, member) {
+        const badges = [];
+        if (member.extends) badges.push(`extends ${member.extends}`);
+        else if (member.modifiers.includes('static')) badges.push('static');
+        if (member.modifiers.includes('abstract')) badges.push('abstract');
+        if (member.modifiers.includes('virtual')) badges.push('virtual');
+
+        const tables = [];
+        if (member.typeParameters && member.typeParameters.length > 0) {
+            tables.push(this.createParameterTable(member.typeParameters, 'Type parameter'));
+        }
+        if (member.parameters && member.parameters.length > 0) {
+            tables.push(this.createParameterTable(member.parameters, 'Parameter'));
+        }
+
+        const returnType = member.returnType && member.returnType !== 'void'
+            ? `<p class="api-returns"><strong>Returns</strong> <code>${this.linkTypes(member.returnType)}</code>${member.returns ? ` — ${escapeHtml(member.returns)}` : ''}</p>`
+            : '';
+
+        return `
+            <div class="api-method">
+                <h4>
+                    ${escapeHtml(this.getMemberTitle(type, member))}
+                    ${badges.map(badge => `<span class="api-badge">${escapeHtml(badge)}</span>`).join('')}
+                </h4>
+                ${member.summary ? `<p>${escapeHtml(member.summary)}</p>` : ''}
+                <div class="method-signature">
+                    <code>${this.linkTypes(member.signature)}</code>
+                </div>
+                ${tables.join('')}
+                ${returnType}
+                ${this.createRelatedExamples(this.findMemberExamples(type, member))}
+            </div>
+        `;
+    }
+
+    // Parameters and type parameters share one table; defaults only appear for parameters
+    createParameterTable(parameters, label) {
+        const showTypes = parameters.some(parameter => parameter.type);
+        const showDefaults = parameters.some(parameter => parameter.defaultValue !== undefined);
+
+        return `
+            <table class="parameters-table api-parameters">
+                <thead>
+                    <tr>
+                        <th>${label}</th>
+                        ${showTypes ? '<th>Type</th>' : ''}
+                        ${showDefaults ? '<th>Default</th>' : ''}
+                        <th>Description</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${parameters.map(parameter => `
+                        <tr>
+                            <td><code>${escapeHtml(parameter.name)}</code></td>
+                            ${showTypes ? `<td><code>${[...(parameter.modifiers || []), ''].join(' ')}${this.linkTypes(parameter.type)}</code></td>` : ''}
+                            ${showDefaults ? `<td>${parameter.defaultValue !== undefined ? `<code>${escapeHtml(parameter.defaultValue)}</code>` : ''}</td>` : ''}
+                            <td>${escapeHtml(parameter.description || '')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    createRelatedExamples(examples) {
+        if (examples.length === 0) return '';
+
+        const shown = examples.slice(0, MAX_RELATED_EXAMPLES);
+        const more = examples.length - shown.length;
+        return `
+            <p class="api-related">
+                <strong>Examples</strong>
+                ${shown.map(example => `<a href="#example-${example.id}" data-example-id="${example.id}" class="api-related-link">${escapeHtml(example.title)}</a>`).join('')}
+                ${more > 0 ? `<span class="api-related-more">+${more} more</span>` : ''}
+            </p>
+        `;
+    }
+
+    // Examples whose C# mentions a type; attributes also match their short [Name] form
+    findTypeExamples(type) {
+        const names = [type.name];
+        if (type.baseTypes.includes('Attribute')) names.push(type.name.replace(/Attribute$/, ''));
+        return this.findExamples(new RegExp(`\\b(?:${names.join('|')})\\b`));
+    }
+
+    // Static members and enum values match Type.Name; methods match any .Name( or .Name<T>( call
+    findMemberExamples(type, member) {
+        if (member.kind === 'value' || (member.modifiers.includes('static') && !member.extends)) {
+            return this.findExamples(new RegExp(`\\b${type.name}\\.${member.name}\\b`));
+        }
+        if (member.kind === 'method') {
+            return this.findExamples(new RegExp(`\\.${member.name}\\s*[<(]`));
+        }
+        return [];
+    }
+
+    findExamples(pattern) {
+        const examples = this.examplesManager ? this.examplesManager.examples : [];
+        return examples.filter(example => pattern.test(example.csharpCode));
+    }
+
+    // Escape a signature or type, linking every name that is a type in the model
+    linkTypes(text) {
+        return text.split(/(\b[A-Za-z_]\w*\b)/).map(part => {
+            const type = this.typesByName.get(part);
+            return type
+                ? `<a href="#${getTypeAnchor(type.name)}" class="api-type-link">${escapeHtml(part)}</a>`
+                : escapeHtml(part);
+        }).join('');
+    }
+
+    // Type links open the target type before scrolling to it
+    initializeNavigation() {
+        this.root.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#api-"]');
+            if (!link) return;
+
+            e.preventDefault();
+            const id = link.getAttribute('href').substring(1);
+            if (this.reveal(id)) {
+                history.pushState(null, null, `#${id}`);
+            }
+        });
+
+        window.addEventListener('hashchange', () => this.openFromHash());
+    }
+
+    openFromHash() {
+        const id = window.location.hash.substring(1);
+        if (id.startsWith('api-')) {
+            this.reveal(id);
+        }
+    }
+
+    reveal(id) {
+        const target = document.getElementById(id);
+        if (!target || !this.root.contains(target)) return false;
+
+        if (target.tagName === 'DETAILS') {
+            target.open = true;
+        }
+        scrollToElement(target);
+        return true;
+    }
+
+    getTypes(namespace) {
+        return this.model.types
+            .filter(type => type.namespace === namespace)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getNamespaceLabel(namespace) {
+        return NAMESPACE_INFO[namespace] ? NAMESPACE_INFO[namespace].label : namespace;
+    }
+
+    getDisplayName(type) {
+        return type.typeParameters.length > 0
+            ? `${type.name}<${type.typeParameters.map(parameter => parameter.name).join(', ')}>`
+            : type.name;
+    }
+
+    getMemberTitle(type, member) {
+        const typeParameters = member.typeParameters && member.typeParameters.length > 0
+            ? `<${member.typeParameters.map(parameter => parameter.name).join(', ')}>`
+            : '';
+
+        if (member.kind === 'method' || member.kind === 'constructor') {
+            const owner = member.modifiers.includes('static') && !member.extends ? `${type.name}.` : '';
+            const name = member.kind === 'constructor' ? `new ${type.name}` : `${owner}${member.name}`;
+            return `${name}${typeParameters}(${member.parameters.map(parameter => parameter.type).join(', ')})`;
+        }
+        return member.name;
+    }
+}
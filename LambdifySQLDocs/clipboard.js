@@ -0,0 +1,161 @@
+// Clipboard Manager - One delegated handler for every copy button on the page
+import { isEditableTarget } from './script.js';
+
+// Copyable blocks; the keyboard shortcut copies the block that contains focus
+const COPY_BLOCK_SELECTOR = '.code-example, .output-example';
+
+// How long button and toast feedback stay visible
+const COPY_FEEDBACK_DURATION = 2000;
+
+// Copy formats any button can request through data-copy-format
+export const COPY_FORMATS = {
+    code: 'Code',
+    csharp: 'C# string literal'
+};
+
+// Quote text as a C# verbatim string literal
+export function toCSharpStringLiteral(text) {
+    return `@"${text.replace(/"/g, '""')}"`;
+}
+
+export class ClipboardManager {
+    constructor(root = document) {
+        this.root = root;
+        this.sources = []; // { selector, resolve } checked in registration order
+        this.toast = null;
+        this.toastTimeout = null;
+    }
+
+    init() {
+        this.createToast();
+        this.makeBlocksFocusable(this.root);
+
+        this.root.addEventListener('click', (e) => {
+            const button = e.target.closest('.copy-btn');
+            if (!button) return;
+            e.preventDefault();
+            this.copyFrom(button);
+        });
+
+        // Press 'c' to copy the focused block
+        this.root.addEventListener('keydown', (e) => {
+            if (e.key !== 'c' || e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target)) return;
+
+            const block = e.target.closest && e.target.closest(COPY_BLOCK_SELECTOR);
+            const button = block && block.querySelector('.copy-btn');
+            if (!button) return;
+
+            e.preventDefault();
+            this.copyFrom(button);
+        });
+    }
+
+    // Register a resolver for buttons matching selector; it returns { text, label } or null
+    registerSource(selector, resolve) {
+        this.sources.push({ selector, resolve });
+    }
+
+    // Let keyboard users reach code blocks, so the copy shortcut has something to act on
+    makeBlocksFocusable(root) {
+        root.querySelectorAll(`:is(${COPY_BLOCK_SELECTOR}) pre:not([tabindex])`).forEach(pre => {
+            pre.setAttribute('tabindex', '0');
+        });
+    }
+
+    // Resolve what a button copies: a registered source first, then its data-clipboard-target
+    getCopyContent(button) {
+        for (const source of this.sources) {
+            if (!button.matches(source.selector)) continue;
+            const content = source.resolve(button);
+            if (content) return content;
+        }
+
+        const targetId = button.getAttribute('data-clipboard-target');
+        const target = targetId ? document.querySelector(targetId) : null;
+        if (!target) return null;
+
+        const format = button.getAttribute('data-copy-format') || 'code';
+        return {
+            text: format === 'csharp' ? toCSharpStringLiteral(target.textContent) : target.textContent,
+            label: COPY_FORMATS[format] || COPY_FORMATS.code
+        };
+    }
+
+    async copyFrom(button) {
+        const content = this.getCopyContent(button);
+        if (!content) return;
+
+        try {
+            await this.writeText(content.text);
+            this.showButtonFeedback(button, 'fa-check', 'var(--success)');
+            this.announce(`${content.label} copied to clipboard`);
+        } catch (err) {
+            console.error('Copy failed:', err);
+            this.showButtonFeedback(button, 'fa-times', 'var(--error)');
+            this.announce('Copy failed. Select the text and copy it manually.', true);
+        }
+    }
+
+    // Write to the clipboard, falling back to execCommand where the async API is unavailable
+    async writeText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.setAttribute('readonly', '');
+        textArea.style.position = 'fixed';
+        textArea.style.opacity = '0';
+        document.body.appendChild(textArea);
+        textArea.select();
+
+        try {
+            if (!document.execCommand('copy')) {
+                throw new Error('execCommand("copy") was rejected');
+            }
+        } finally {
+            document.body.removeChild(textArea);
+        }
+    }
+
+    // Swap the button icon briefly; clicks during the feedback keep the original icon to restore
+    showButtonFeedback(button, icon, color) {
+        if (button.dataset.copyFeedback) return;
+        const originalIcon = button.innerHTML;
+        button.dataset.copyFeedback = 'true';
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.style.color = color;
+
+        setTimeout(() => {
+            button.innerHTML = originalIcon;
+            button.style.color = '';
+            delete button.dataset.copyFeedback;
+        }, COPY_FEEDBACK_DURATION);
+    }
+
+    // Toast doubling as the ARIA live region that announces copy results
+    createToast() {
+        this.toast = document.createElement('div');
+        this.toast.className = 'copy-toast';
+        this.toast.setAttribute('role', 'status');
+        this.toast.setAttribute('aria-live', 'polite');
+        this.toast.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(this.toast);
+    }
+
+    announce(message, isError = false) {
+        if (!this.toast) return;
+
+        this.toast.setAttribute('aria-live', isError ? 'assertive' : 'polite');
+        this.toast.classList.toggle('copy-toast-error', isError);
+        this.toast.textContent = message;
+        this.toast.classList.add('show');
+
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => {
+            this.toast.classList.remove('show');
+        }, COPY_FEEDBACK_DURATION);
+    }
+}
@@ -0,0 +1,340 @@
+// Entity Schema - Shows the entity classes an example uses and how LambdifySQL maps them to SQL
+// Entities are declared once in examples.json and rendered client-side: the C# class with its attributes,
+// the table, alias and column names the query builders resolve (ExpressionContext in Core/SqlTypes.cs)
+// and an ER diagram of the [Relation] links between them.
+import { escapeHtml } from './script.js';
+
+// Fields every entry in examples.json's "entities" array must provide, with their expected types
+const ENTITY_SCHEMA = {
+    name: 'string',
+    properties: 'array'
+};
+
+// Optional entity fields: [TableName(tableName, alias)]
+const ENTITY_OPTIONS = {
+    table: 'string',
+    alias: 'string'
+};
+
+// Property fields; the optional ones mirror the attributes in Resolver/SQLResolverAttribute.cs
+const PROPERTY_SCHEMA = {
+    name: 'string',
+    type: 'string'
+};
+
+const PROPERTY_OPTIONS = {
+    primaryKey: 'boolean', // [Pk]
+    ignore: 'boolean', // [IgnoreMe]
+    column: 'string', // [Column]
+    required: 'boolean', // [Required]
+    maxLength: 'number', // [MaxLength]
+    relation: 'string' // [Relation(typeof(...))], referencing the entity's Id
+};
+
+// Mirrors SqlDialectConfig; SQLite and Oracle have no preset and keep its default brackets
+const IDENTIFIER_QUOTES = {
+    SqlServer: ['[', ']'],
+    MySql: ['`', '`'],
+    PostgreSql: ['"', '"']
+};
+
+// ER diagram geometry, in SVG user units
+const DIAGRAM_LAYOUT = {
+    boxWidth: 240,
+    headerHeight: 30,
+    rowHeight: 22,
+    columnGap: 110,
+    rowGap: 24,
+    margin: 12
+};
+
+// Validate the "entities" array of examples.json against ENTITY_SCHEMA and PROPERTY_SCHEMA
+export function validateEntities(entities) {
+    if (!Array.isArray(entities)) {
+        throw new Error('"entities" must be an array');
+    }
+
+    const isValid = (value, type) => type === 'array' ? Array.isArray(value) : typeof value === type;
+    const names = new Set();
+
+    entities.forEach((entity, index) => {
+        const valid = entity !== null && typeof entity === 'object'
+            && Object.entries(ENTITY_SCHEMA).every(([field, type]) => isValid(entity[field], type))
+            && Object.entries(ENTITY_OPTIONS).every(([field, type]) => entity[field] === undefined || isValid(entity[field], type));
+        if (!valid) {
+            throw new Error(`Entity at index ${index} is invalid (expected name, properties and optional table and alias)`);
+        }
+        if (names.has(entity.name)) {
+            throw new Error(`Duplicate entity "${entity.name}"`);
+        }
+        names.add(entity.name);
+
+        entity.properties.forEach(property => {
+            const validProperty = property !== null && typeof property === 'object'
+                && Object.entries(PROPERTY_SCHEMA).every(([field, type]) => isValid(property[field], type))
+                && Object.entries(PROPERTY_OPTIONS).every(([field, type]) => property[field] === undefined || isValid(property[field], type))
+                && (property.defaultValue === undefined || ['string', 'number', 'boolean'].includes(typeof property.defaultValue));
+            if (!validProperty) {
+                throw new Error(`Entity ${entity.name} has an invalid property (expected name and type)`);
+            }
+        });
+    });
+
+    entities.forEach(entity => entity.properties.forEach(property => {
+        if (property.relation !== undefined && !names.has(property.relation)) {
+            throw new Error(`Entity ${entity.name} relates ${property.name} to unknown entity "${property.relation}"`);
+        }
+    }));
+
+    return entities;
+}
+
+export class EntitySchema {
+    constructor(entities = []) {
+        this.entities = new Map(entities.map(entity => [entity.name, entity]));
+    }
+
+    // Schema panel contents for the named entities: the ER diagram, then each class and its mapping
+    render(names, dialect, idPrefix) {
+        const entities = names.map(name => this.entities.get(name)).filter(Boolean);
+        const aliases = this.resolveAliases(entities);
+
+        return `
+            ${this.createDiagram(entities)}
+            ${entities.map(entity => this.createEntitySection(entity, aliases.get(entity.name), dialect, `${idPrefix}-${entity.name}`)).join('')}
+        `;
+    }
+
+    // Table name as GetTableName resolves it: the [TableName] table, else the class name
+    getTableName(entity) {
+        return entity.table || entity.name;
+    }
+
+    // Aliases the builders generate: the lower-cased table name, numbered when already taken (GetTableAlias).
+    // The alias passed to [TableName] is never used by generated SQL, only by hand-written queries.
+    resolveAliases(entities) {
+        const aliases = new Map();
+        entities.forEach(entity => {
+            const baseAlias = this.getTableName(entity).toLowerCase();
+            const used = new Set(aliases.values());
+            let alias = baseAlias;
+            let counter = 1;
+            while (used.has(alias)) {
+                alias = `${baseAlias}${counter++}`;
+            }
+            aliases.set(entity.name, alias);
+        });
+        return aliases;
+    }
+
+    // [Relation] links between the given entities, each pointing at the referenced entity's Id
+    getRelations(entities) {
+        const names = new Set(entities.map(entity => entity.name));
+        return entities.flatMap(entity => entity.properties
+            .filter(property => property.relation && names.has(property.relation))
+            .map(property => ({ from: entity.name, property: property.name, to: property.relation, key: 'Id' })));
+    }
+
+    quote(identifier, dialect) {
+        const [open, close] = IDENTIFIER_QUOTES[dialect] || IDENTIFIER_QUOTES.SqlServer;
+        return `${open}${identifier}${close}`;
+    }
+
+    createEntitySection(entity, alias, dialect, codeId) {
+        return `
+            <div class="schema-entity">
+                <div class="code-example">
+                    <div class="code-header">
+                        <span class="code-language">${escapeHtml(entity.name)}.cs</span>
+                        <button class="copy-btn" type="button" data-clipboard-target="#${escapeHtml(codeId)}" title="Copy C# class" aria-label="Copy the ${escapeHtml(entity.name)} class">
+                            <i class="fas fa-copy"></i>
+                        </button>
+                    </div>
+                    <div class="code-editor">
+                        <pre class="line-numbers" tabindex="0"><code id="${escapeHtml(codeId)}" class="language-csharp">${escapeHtml(this.createClassCode(entity))}</code></pre>
+                    </div>
+                </div>
+                ${this.createMappingTable(entity, alias, dialect)}
+            </div>
+        `;
+    }
+
+    // C# source of the entity class, with attributes in the order the samples declare them
+    createClassCode(entity) {
+        const members = entity.properties.map(property => {
+            const attributes = [];
+            if (property.primaryKey) attributes.push(`[Pk("${property.name}")]`);
+            if (property.ignore) attributes.push('[IgnoreMe]');
+            if (property.column) attributes.push(`[Column("${property.column}")]`);
+            if (property.required) attributes.push('[Required]');
+            if (property.maxLength !== undefined) attributes.push(`[MaxLength(${property.maxLength})]`);
+            if (property.relation) attributes.push(`[Relation(typeof(${property.relation}))]`);
+            if (property.defaultValue !== undefined) attributes.push(`[DefaultValue(${this.toCSharpLiteral(property.defaultValue)})]`);
+
+            return [...attributes, `public ${property.type} ${property.name} { get; set; }`]
+                .map(line => `    ${line}`)
+                .join('\n');
+        });
+
+        const tableAttribute = entity.table
+            ? `[TableName(tableName: "${entity.table}"${entity.alias ? `, alias: "${entity.alias}"` : ''})]\n`
+            : '';
+        return `${tableAttribute}public class ${entity.name}\n{\n${members.join('\n\n')}\n}`;
+    }
+
+    toCSharpLiteral(value) {
+        if (typeof value === 'string') return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        return String(value);
+    }
+
+    // Resolved table, alias and columns, with what each attribute changes in the generated SQL
+    createMappingTable(entity, alias, dialect) {
+        const rows = entity.properties.map(property => `
+            <tr>
+                <td><code>${escapeHtml(property.name)}</code></td>
+                <td><code>${escapeHtml(property.type)}</code></td>
+                <td><code>${escapeHtml(`${alias}.${this.quote(property.name, dialect)}`)}</code></td>
+                <td>${this.getMappingNotes(property, dialect).map(note => escapeHtml(note)).join('<br>')}</td>
+            </tr>
+        `).join('');
+
+        const declaredAlias = entity.alias && entity.alias !== alias
+            ? `<div><dt><code>[TableName]</code> alias</dt><dd><code>${escapeHtml(entity.alias)}</code> (not used in generated SQL)</dd></div>`
+            : '';
+
+        return `
+            <div class="schema-mapping">
+                <dl class="schema-names">
+                    <div><dt>Table</dt><dd><code>${escapeHtml(this.quote(this.getTableName(entity), dialect))}</code></dd></div>
+                    <div><dt>Default alias</dt><dd><code>${escapeHtml(alias)}</code></dd></div>
+                    ${declaredAlias}
+                </dl>
+                <div class="example-parameters">
+                    <table class="parameters-table schema-columns">
+                        <thead><tr><th>Property</th><th>C# Type</th><th>SQL Column</th><th>Mapping</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    // Expressions always name columns after the property; [Column] only renames join column selections
+    getMappingNotes(property, dialect) {
+        const notes = [];
+        if (property.primaryKey) notes.push('Primary key');
+        if (property.primaryKey || property.ignore) notes.push('Left out of INSERT');
+        if (property.relation) notes.push(`References ${property.relation}.Id`);
+        if (property.column && property.column !== property.name) {
+            notes.push(`${this.quote(property.column, dialect)} in join column selections`);
+        }
+        if (property.required) notes.push('Required');
+        if (property.maxLength !== undefined) notes.push(`Max length ${property.maxLength}`);
+        if (property.defaultValue !== undefined) notes.push(`Default ${this.toCSharpLiteral(property.defaultValue)}`);
+        return notes;
+    }
+
+    // SVG diagram of the entities and their relations; omitted when none of them are related
+    createDiagram(entities) {
+        const relations = this.getRelations(entities);
+        if (relations.length === 0) return '';
+
+        const { boxes, width, height } = this.layoutDiagram(entities, relations);
+        const description = relations.map(relation => `${relation.from}.${relation.property} references ${relation.to}.${relation.key}`).join('; ');
+
+        return `
+            <div class="er-diagram">
+                <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Entity relationships: ${escapeHtml(description)}">
+                    ${relations.map(relation => this.createRelationPath(relation, boxes)).join('')}
+                    ${entities.map(entity => this.createEntityBox(entity, boxes.get(entity.name))).join('')}
+                </svg>
+            </div>
+        `;
+    }
+
+    // Referencing entities sit left of the entities they reference; each column stacks top to bottom
+    layoutDiagram(entities, relations) {
+        const { boxWidth, headerHeight, rowHeight, columnGap, rowGap, margin } = DIAGRAM_LAYOUT;
+        const layers = new Map(entities.map(entity => [entity.name, 0]));
+
+        // Bounded so that circular relations still terminate
+        for (let pass = 0; pass < entities.length; pass++) {
+            relations.forEach(relation => {
+                const layer = Math.min(layers.get(relation.from) + 1, entities.length - 1);
+                if (layer > layers.get(relation.to)) {
+                    layers.set(relation.to, layer);
+                }
+            });
+        }
+
+        const boxes = new Map();
+        const columnHeights = [];
+        entities.forEach(entity => {
+            const layer = layers.get(entity.name);
+            const top = columnHeights[layer] === undefined ? margin : columnHeights[layer] + rowGap;
+            const box = {
+                x: margin + layer * (boxWidth + columnGap),
+                y: top,
+                width: boxWidth,
+                height: headerHeight + entity.properties.length * rowHeight
+            };
+            boxes.set(entity.name, box);
+            columnHeights[layer] = box.y + box.height;
+        });
+
+        const columns = columnHeights.filter(value => value !== undefined).length;
+        return {
+            boxes,
+            width: margin * 2 + columns * boxWidth + (columns - 1) * columnGap,
+            height: Math.max(...columnHeights.filter(value => value !== undefined)) + margin
+        };
+    }
+
+    createEntityBox(entity, box) {
+        const { headerHeight, rowHeight } = DIAGRAM_LAYOUT;
+        const rows = entity.properties.map((property, index) => {
+            const baseline = box.y + headerHeight + index * rowHeight + rowHeight * 0.68;
+            const key = property.primaryKey ? 'PK' : property.relation ? 'FK' : '';
+            return `
+                <text class="er-key" x="${box.x + 10}" y="${baseline}">${key}</text>
+                <text class="er-column" x="${box.x + 38}" y="${baseline}">${escapeHtml(property.name)}</text>
+                <text class="er-type" x="${box.x + box.width - 10}" y="${baseline}" text-anchor="end">${escapeHtml(property.type)}</text>
+            `;
+        }).join('');
+
+        return `
+            <g class="er-entity">
+                <rect class="er-box" x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}"></rect>
+                <rect class="er-header" x="${box.x}" y="${box.y}" width="${box.width}" height="${headerHeight}"></rect>
+                <text class="er-title" x="${box.x + 10}" y="${box.y + headerHeight * 0.66}">${escapeHtml(entity.name)}</text>
+                ${rows}
+            </g>
+        `;
+    }
+
+    // Connector from the foreign key row to the referenced key row: crow's foot (many) at the
+    // referencing end, a double bar (exactly one) at the referenced end
+    createRelationPath(relation, boxes) {
+        const { headerHeight, rowHeight } = DIAGRAM_LAYOUT;
+        const rowCenter = (entityName, propertyName) => {
+            const index = this.entities.get(entityName).properties.findIndex(property => property.name === propertyName);
+            return boxes.get(entityName).y + headerHeight + Math.max(index, 0) * rowHeight + rowHeight / 2;
+        };
+
+        const from = boxes.get(relation.from);
+        const to = boxes.get(relation.to);
+        const x0 = from.x + from.width;
+        const y0 = rowCenter(relation.from, relation.property);
+        const x1 = to.x;
+        const y1 = rowCenter(relation.to, relation.key);
+        const bend = Math.max((x1 - x0) / 2, 30);
+
+        return `
+            <g class="er-relation">
+                <path class="er-line" d="M ${x0} ${y0} C ${x0 + bend} ${y0}, ${x1 - bend} ${y1}, ${x1} ${y1}"></path>
+                <path class="er-line" d="M ${x0 + 12} ${y0} L ${x0} ${y0 - 6} M ${x0 + 12} ${y0} L ${x0} ${y0 + 6}"></path>
+                <path class="er-line" d="M ${x1 - 8} ${y1 - 6} V ${y1 + 6} M ${x1 - 12} ${y1 - 6} V ${y1 + 6}"></path>
+            </g>
+        `;
+    }
+}
@@ -0,0 +1,455 @@
+// Example Export - Turns a selection of the filtered examples into downloads, built entirely in the browser:
+// a C# console project or per-dialect .sql scripts (both zipped by zip.js), a Markdown document, or a print
+// view of just those examples that the browser can save as PDF.
+import { createZip } from './zip.js';
+import { toCSharpStringLiteral } from './clipboard.js';
+import { SUPPORTED_DIALECTS, DIALECT_LABELS } from './examples.js';
+import { escapeHtml } from './script.js';
+
+const PROJECT_NAME = 'LambdifySQLExamples';
+
+// Namespaces the snippets rely on, as listed under Getting Started
+const PROJECT_USINGS = ['LambdifySQL', 'LambdifySQL.Core', 'LambdifySQL.Builders', 'LambdifySQL.Advanced', 'LambdifySQL.Resolver'];
+
+// Export choices in the order the dialog lists them
+const EXPORT_FORMATS = {
+    project: { label: 'C# console project', description: 'Entity classes and one method per example, zipped, ready for dotnet run' },
+    sql: { label: 'SQL scripts', description: 'A .sql script per dialect with the parameters declared, zipped' },
+    markdown: { label: 'Markdown', description: 'One .md document with the code, SQL and parameters' },
+    print: { label: 'Print or PDF', description: 'Only the selected examples, laid out for paper' }
+};
+
+// Controls the dialog cycles Tab through
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), input:not([disabled])';
+
+export class ExampleExporter {
+    constructor(examplesManager, versions = null) {
+        this.examplesManager = examplesManager;
+        this.versions = versions; // VersionManager; the project references the selected release
+        this.overlay = null;
+        this.form = null;
+        this.list = null;
+        this.count = null;
+        this.status = null;
+        this.printView = null;
+        this.previousFocus = null;
+    }
+
+    init() {
+        this.createDialog();
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-open-export]')) {
+                e.preventDefault();
+                this.open();
+            }
+        });
+
+        // The print view only replaces the page while the print dialog is up
+        window.addEventListener('afterprint', () => this.clearPrintView());
+    }
+
+    createDialog() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'export-overlay';
+        this.overlay.hidden = true;
+        this.overlay.innerHTML = `
+            <div class="export-dialog" role="dialog" aria-modal="true" aria-labelledby="export-dialog-title">
+                <form class="export-form">
+                    <div class="export-header">
+                        <h3 id="export-dialog-title">Export examples</h3>
+                        <button type="button" class="export-close" aria-label="Close export dialog">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <fieldset class="export-formats">
+                        <legend>Format</legend>
+                        ${Object.entries(EXPORT_FORMATS).map(([format, { label, description }], index) => `
+                            <label class="export-format">
+                                <input type="radio" name="export-format" value="${format}"${index === 0 ? ' checked' : ''}>
+                                <span class="export-format-label">${label}</span>
+                                <span class="export-format-description">${description}</span>
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                    <fieldset class="export-examples">
+                        <legend>Examples <span class="export-count"></span></legend>
+                        <div class="export-select-actions">
+                            <button type="button" class="export-select-btn" data-export-select="all">Select all</button>
+                            <button type="button" class="export-select-btn" data-export-select="none">Select none</button>
+                        </div>
+                        <ul class="export-example-list"></ul>
+                    </fieldset>
+                    <p class="export-status" role="status"></p>
+                    <div class="export-footer">
+                        <button type="button" class="export-cancel">Cancel</button>
+                        <button type="submit" class="export-submit"><i class="fas fa-download"></i> Export</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        document.body.appendChild(this.overlay);
+
+        this.form = this.overlay.querySelector('.export-form');
+        this.list = this.overlay.querySelector('.export-example-list');
+        this.count = this.overlay.querySelector('.export-count');
+        this.status = this.overlay.querySelector('.export-status');
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.export();
+        });
+        this.form.addEventListener('change', () => this.updateCount());
+        this.overlay.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay || e.target.closest('.export-close, .export-cancel')) {
+                this.close();
+                return;
+            }
+
+            const selectButton = e.target.closest('[data-export-select]');
+            if (selectButton) {
+                const checked = selectButton.getAttribute('data-export-select') === 'all';
+                this.list.querySelectorAll('input[type="checkbox"]').forEach(input => {
+                    input.checked = checked;
+                });
+                this.updateCount();
+            }
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.overlay) && !this.overlay.hidden;
+    }
+
+    // Offer the examples the current filters and search show, all selected
+    open() {
+        if (this.isOpen()) return;
+
+        this.list.innerHTML = this.examplesManager.visibleExamples.map(example => `
+            <li>
+                <label class="export-example">
+                    <input type="checkbox" value="${example.id}" checked>
+                    <span class="example-number">${example.id}</span>
+                    <span>${escapeHtml(example.title)}</span>
+                </label>
+            </li>
+        `).join('');
+        this.status.textContent = '';
+        this.updateCount();
+
+        this.previousFocus = document.activeElement;
+        this.overlay.hidden = false;
+        document.body.classList.add('export-open');
+        this.form.querySelector('input[name="export-format"]:checked').focus();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.overlay.hidden = true;
+        document.body.classList.remove('export-open');
+        if (this.previousFocus && this.previousFocus.focus) {
+            this.previousFocus.focus();
+        }
+    }
+
+    // Escape closes the dialog; Tab wraps around inside it
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = [...this.overlay.querySelectorAll(FOCUSABLE_SELECTOR)]
+            .filter(element => element.type !== 'radio' || element.checked);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    updateCount() {
+        const total = this.list.querySelectorAll('input[type="checkbox"]').length;
+        this.count.textContent = `(${this.getSelectedExamples().length} of ${total})`;
+    }
+
+    // Checked examples, in the order the page lists them
+    getSelectedExamples() {
+        const ids = new Set([...this.list.querySelectorAll('input[type="checkbox"]:checked')].map(input => Number(input.value)));
+        return this.examplesManager.visibleExamples.filter(example => ids.has(example.id));
+    }
+
+    export() {
+        const examples = this.getSelectedExamples();
+        if (examples.length === 0) {
+            this.status.textContent = 'Select at least one example to export.';
+            return;
+        }
+
+        const format = this.form.querySelector('input[name="export-format"]:checked').value;
+        if (format === 'print') {
+            this.close();
+            this.print(examples);
+            return;
+        }
+
+        if (format === 'project') {
+            this.download(`${PROJECT_NAME}.zip`, createZip(this.createProjectFiles(examples)), 'application/zip');
+        } else if (format === 'sql') {
+            this.download('lambdifysql-examples-sql.zip', createZip(this.createSqlFiles(examples)), 'application/zip');
+        } else {
+            this.download('lambdifysql-examples.md', this.createMarkdown(examples), 'text/markdown');
+        }
+        this.status.textContent = `Exported ${examples.length} example${examples.length === 1 ? '' : 's'} as ${EXPORT_FORMATS[format].label}.`;
+    }
+
+    // Save generated content through a temporary object URL
+    download(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Release shown by the docs, used for the package reference and the export headers
+    getVersion() {
+        if (!this.versions) return null;
+        const entry = this.versions.current || this.versions.getLatest();
+        return entry ? entry.version : null;
+    }
+
+    getExportNote() {
+        const version = this.getVersion();
+        return `Exported from the LambdifySQL documentation${version ? ` for version ${version}` : ''}.`;
+    }
+
+    // Console project: a .csproj referencing the package, the entity classes and one method per example
+    createProjectFiles(examples) {
+        const folder = `${PROJECT_NAME}/`;
+        return [
+            { name: `${folder}${PROJECT_NAME}.csproj`, content: this.createProjectFile() },
+            { name: `${folder}Entities.cs`, content: this.createEntitiesFile(examples) },
+            { name: `${folder}Program.cs`, content: this.createProgramFile(examples) },
+            { name: `${folder}README.md`, content: this.createProjectReadme(examples) }
+        ];
+    }
+
+    createProjectFile() {
+        return [
+            '<Project Sdk="Microsoft.NET.Sdk">',
+            '',
+            '  <PropertyGroup>',
+            '    <OutputType>Exe</OutputType>',
+            '    <TargetFramework>net8.0</TargetFramework>',
+            '    <ImplicitUsings>enable</ImplicitUsings>',
+            '    <Nullable>disable</Nullable>',
+            '  </PropertyGroup>',
+            '',
+            '  <ItemGroup>',
+            `    <PackageReference Include="LambdifySQL" Version="${this.getVersion() || '*'}" />`,
+            '  </ItemGroup>',
+            '',
+            '</Project>',
+            ''
+        ].join('\n');
+    }
+
+    // Classes for the entities the selected examples use, and those their [Relation] attributes name so the
+    // project compiles, in the order examples.json declares them
+    createEntitiesFile(examples) {
+        const schema = this.examplesManager.schema;
+        const used = new Set();
+        const include = (name) => {
+            const entity = schema.entities.get(name);
+            if (!entity || used.has(name)) return;
+            used.add(name);
+            entity.properties.filter(property => property.relation).forEach(property => include(property.relation));
+        };
+        examples.forEach(example => (example.entities || []).forEach(include));
+
+        const classes = [...schema.entities.values()]
+            .filter(entity => used.has(entity.name))
+            .map(entity => schema.createClassCode(entity));
+
+        return `using LambdifySQL.Resolver;\n\nnamespace ${PROJECT_NAME};\n\n${classes.join('\n\n')}\n`;
+    }
+
+    // Each snippet runs in its own method, so variable names never clash, and prints the query it built
+    createProgramFile(examples) {
+        const methods = examples.map(example => {
+            const title = `${example.id}. ${example.title}`;
+            const query = this.getQueryVariable(example.csharpCode);
+            const body = example.csharpCode.split('\n').map(line => line ? `        ${line}` : '').join('\n');
+            const print = query
+                ? `\n\n        Print(${toCSharpStringLiteral(title)}, ${query});`
+                : '';
+
+            return `    // ${title}\n    // ${example.description}\n    static void Example${example.id}()\n    {\n${body}${print}\n    }`;
+        });
+
+        return `// ${this.getExportNote()}
+${PROJECT_USINGS.map(namespace => `using ${namespace};`).join('\n')}
+
+namespace ${PROJECT_NAME};
+
+public static class Program
+{
+    public static void Main()
+    {
+${examples.map(example => `        Example${example.id}();`).join('\n')}
+    }
+
+${methods.join('\n\n')}
+
+    static void Print(string title, IQueryBuilder query) => Print(title, query.GetSql(), query.GetParameters());
+
+    static void Print(string title, SqlComponent component) => Print(title, component.Sql, component.Parameters);
+
+    static void Print(string title, string sql, Dictionary<string, object> parameters)
+    {
+        Console.WriteLine($"=== {title} ===");
+        Console.WriteLine(sql);
+        foreach (var (name, value) in parameters ?? new Dictionary<string, object>())
+        {
+            Console.WriteLine($"  @{name.TrimStart('@')} = {value}");
+        }
+        Console.WriteLine();
+    }
+}
+`;
+    }
+
+    // The query a snippet builds is the last variable it declares
+    getQueryVariable(code) {
+        const declarations = [...code.matchAll(/^var\s+(\w+)\s*=/gm)];
+        return declarations.length > 0 ? declarations[declarations.length - 1][1] : null;
+    }
+
+    createProjectReadme(examples) {
+        return `# ${PROJECT_NAME}
+
+${this.getExportNote()}
+
+Run the examples with the .NET 8 SDK:
+
+\`\`\`
+dotnet run
+\`\`\`
+
+Each example is a method in \`Program.cs\` that prints the SQL and parameters it builds:
+
+${examples.map(example => `- ${example.id}. ${example.title}`).join('\n')}
+`;
+    }
+
+    // One script per dialect any selected example has output for
+    createSqlFiles(examples) {
+        return SUPPORTED_DIALECTS
+            .filter(dialect => examples.some(example => this.examplesManager.getAvailableDialects(example).includes(dialect)))
+            .map(dialect => ({ name: `lambdifysql-examples-sql/${dialect.toLowerCase()}.sql`, content: this.createSqlScript(examples, dialect) }));
+    }
+
+    // Parameters are declared as the SQL + parameters copy mode does; SQL Server gets a batch per example
+    // so each can DECLARE the same @p0, @p1 names again
+    createSqlScript(examples, dialect) {
+        const sections = examples.map(example => {
+            const header = `-- ${example.id}. ${example.title}\n-- ${example.description}`;
+            if (!this.examplesManager.getAvailableDialects(example).includes(dialect)) {
+                return `${header}\n-- No ${DIALECT_LABELS[dialect]} output for this example.`;
+            }
+
+            const notes = this.examplesManager.getOutputNotes(example, dialect).map(note => `\n-- ${note.text}`).join('');
+            const script = this.examplesManager.getCopyText(example, dialect, 'declare');
+            const terminated = script.trimEnd().endsWith(';') ? script : `${script};`;
+            return `${header}${notes}\n${terminated}${dialect === 'SqlServer' ? '\nGO' : ''}`;
+        });
+
+        return `-- LambdifySQL examples for ${DIALECT_LABELS[dialect]}\n-- ${this.getExportNote()}\n\n${sections.join('\n\n')}\n`;
+    }
+
+    // Markdown with each example's code, SQL in the dialect the page shows it in, and parameters
+    createMarkdown(examples) {
+        const sections = examples.map(example => {
+            const dialect = this.examplesManager.getExampleDialect(example);
+            const parts = [
+                `## ${example.id}. ${example.title}`,
+                example.description,
+                `Tags: ${example.tags.map(tag => `\`${tag}\``).join(', ')}`,
+                this.createCodeFence(example.csharpCode, 'csharp'),
+                `SQL (${DIALECT_LABELS[dialect]}):`,
+                this.createCodeFence(this.examplesManager.getDisplayedSql(example, dialect), 'sql'),
+                ...this.examplesManager.getOutputNotes(example, dialect).map(note => `> ${note.text}`)
+            ];
+
+            if (example.parameters.length > 0) {
+                const rows = example.parameters.map(parameter => [
+                    `\`${parameter.name}\``,
+                    `\`${this.examplesManager.formatParameterValue(parameter)}\``,
+                    parameter.dotnetType,
+                    this.examplesManager.getParameterSqlType(parameter, dialect)
+                ].map(cell => cell.replace(/\|/g, '\\|')).join(' | '));
+                parts.push(['| Parameter | Value | .NET Type | SQL Type |', '| --- | --- | --- | --- |', ...rows.map(row => `| ${row} |`)].join('\n'));
+            }
+            return parts.join('\n\n');
+        });
+
+        return `# LambdifySQL examples\n\n${this.getExportNote()}\n\n${sections.join('\n\n')}\n`;
+    }
+
+    // Fence longer than any backtick run in the code, so MySQL's quoted identifiers never end it early
+    createCodeFence(code, language) {
+        const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        return `${fence}${language}\n${code}\n${fence}`;
+    }
+
+    // Print only the selected examples: the print stylesheet hides the page while body.print-export-active is set
+    print(examples) {
+        this.clearPrintView();
+
+        this.printView = document.createElement('div');
+        this.printView.className = 'print-export';
+        this.printView.innerHTML = `
+            <h1>LambdifySQL examples</h1>
+            <p class="print-export-note">${escapeHtml(this.getExportNote())}</p>
+            ${examples.map(example => {
+                const dialect = this.examplesManager.getExampleDialect(example);
+                return `
+                    <article class="print-export-item">
+                        <h2>${example.id}. ${escapeHtml(example.title)}</h2>
+                        <p>${escapeHtml(example.description)}</p>
+                        <h3>C# Code</h3>
+                        <pre><code>${escapeHtml(example.csharpCode)}</code></pre>
+                        <h3>SQL Output (${DIALECT_LABELS[dialect]})</h3>
+                        <pre><code>${escapeHtml(this.examplesManager.getDisplayedSql(example, dialect))}</code></pre>
+                        ${this.examplesManager.createOutputNotes(example, dialect)}
+                        ${this.examplesManager.createParameterTable(example, dialect)}
+                    </article>
+                `;
+            }).join('')}
+        `;
+        document.body.appendChild(this.printView);
+        document.body.classList.add('print-export-active');
+        window.print();
+    }
+
+    clearPrintView() {
+        document.body.classList.remove('print-export-active');
+        if (this.printView) {
+            this.printView.remove();
+            this.printView = null;
+        }
+    }
+}
@@ -0,0 +1,18 @@
+---
+title: Advanced CTE Example
+description: Common Table Expressions with complex queries
+category: advanced
+tags: select, cte
+since: 1.0.0
+entities: Product
+---
+var cteQuery = SqlQuery.Select<Product>()
+    .Where(p => p.Qty >= 1)
+    .Top(10);
+
+var mainQuery = SqlQuery.Select<Product>()
+    .Where(p => p.CategoryId == 2);
+
+var advancedQuery = SqlQuery.Advanced<Product>()
+    .WithCTE("TopProducts", cteQuery)
+    .Query(mainQuery);
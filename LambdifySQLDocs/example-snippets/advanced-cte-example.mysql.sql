@@ -0,0 +1,11 @@
+---
+dialect: MySql
+source: generated
+---
+WITH TopProducts AS (SELECT product.*
+FROM `Product` AS product
+WHERE (product.`Qty` >= @p0)
+LIMIT 10)
+SELECT product.*
+FROM `Product` AS product
+WHERE (product.`CategoryId` = @p1)
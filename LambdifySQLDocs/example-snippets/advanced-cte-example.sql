@@ -0,0 +1,12 @@
+---
+dialect: SqlServer
+params:
+  @p0 | 1 | Int32 | INT
+  @p1 | 2 | Int32 | INT
+---
+WITH TopProducts AS (SELECT TOP (10) product.*
+FROM [Product] AS product
+WHERE (product.[Qty] >= @p0))
+SELECT product.*
+FROM [Product] AS product
+WHERE (product.[CategoryId] = @p1)
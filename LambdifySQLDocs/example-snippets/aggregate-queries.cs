@@ -0,0 +1,14 @@
+---
+title: Aggregate Queries
+description: GROUP BY with aggregate functions
+category: basic
+tags: aggregate
+since: 1.0.0
+entities: Product
+---
+var queryAggregate = SqlQuery.Aggregate<Product>()
+    .GroupBy(p => p.CategoryId)
+    .Count(alias: "ProductCount")
+    .Sum(p => p.Price, "TotalPrice")
+    .Average(p => p.Price, "AvgPrice")
+    .Where(p => p.IsActive);
@@ -0,0 +1,8 @@
+---
+dialect: PostgreSql
+source: generated
+---
+SELECT product."CategoryId", COUNT(*) AS "ProductCount", SUM(product."Price") AS "TotalPrice", AVG(product."Price") AS "AvgPrice"
+FROM "Product" AS product
+WHERE (product."IsActive" = @p0)
+GROUP BY product."CategoryId"
@@ -0,0 +1,9 @@
+---
+dialect: SqlServer
+params:
+  @p0 | true | Boolean | BIT
+---
+SELECT product.[CategoryId], COUNT(*) AS [ProductCount], SUM(product.[Price]) AS [TotalPrice], AVG(product.[Price]) AS [AvgPrice]
+FROM [Product] AS product
+WHERE (product.[IsActive] = @p0)
+GROUP BY product.[CategoryId]
@@ -0,0 +1,13 @@
+---
+title: Basic SELECT Query
+description: Simple SELECT with WHERE conditions and ORDER BY
+category: basic
+tags: select
+since: 1.0.0
+entities: Product
+---
+var basicSelect = SqlQuery.Select<Product>(SqlDialectConfig.PostgreSql)
+    .Where(p => p.Price > 100 && p.IsActive)
+    .OrWhere(p => p.Qty < 5)
+    .OrderBy(p => p.Name)
+    .Take(10);
@@ -0,0 +1,11 @@
+---
+dialect: PostgreSql
+params:
+  @p0 | 100 | Decimal | DECIMAL(18, 2)
+  @p1 | 5 | Int32 | INT
+---
+SELECT product.*
+FROM "Product" AS product
+WHERE (((product."Price" > @p0) AND product."IsActive")) OR ((product."Qty" < @p1))
+ORDER BY product."Name" ASC
+LIMIT 10
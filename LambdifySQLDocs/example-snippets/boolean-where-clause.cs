@@ -0,0 +1,10 @@
+---
+title: Boolean WHERE Clause
+description: A boolean property on its own is compared with a true parameter
+category: advanced
+tags: select
+since: 1.0.0
+entities: Product
+---
+var activeBoolQuery = SqlQuery.Select<Product>()
+    .Where(p => p.IsActive);
@@ -0,0 +1,7 @@
+---
+dialect: MySql
+source: generated
+---
+SELECT product.*
+FROM `Product` AS product
+WHERE (product.`IsActive` = @p0)
@@ -0,0 +1,7 @@
+---
+dialect: PostgreSql
+source: generated
+---
+SELECT product.*
+FROM "Product" AS product
+WHERE (product."IsActive" = @p0)
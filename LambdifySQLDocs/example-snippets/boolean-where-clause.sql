@@ -0,0 +1,8 @@
+---
+dialect: SqlServer
+params:
+  @p0 | true | Boolean | BIT
+---
+SELECT product.*
+FROM [Product] AS product
+WHERE (product.[IsActive] = @p0)
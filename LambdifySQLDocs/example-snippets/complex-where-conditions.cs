@@ -0,0 +1,16 @@
+---
+title: Complex WHERE Conditions
+description: Multiple WHERE conditions with collections and ranges
+category: basic
+tags: select
+since: 1.0.0
+entities: Product
+---
+var searchTerms = new List<string> { "laptop", "phone", "tablet" };
+var categoryIds = new List<int> { 1, 2, 3 };
+
+var complexWhere = SqlQuery.Select<Product>()
+    .Where(p => p.Name.Contains("electronics") || searchTerms.Contains(p.Name))
+    .Where(p => categoryIds.Contains(p.CategoryId))
+    .Where(p => p.Price >= 100 && p.Price <= 1000)
+    .OrderBy(p => p.Price);
@@ -0,0 +1,8 @@
+---
+dialect: PostgreSql
+source: generated
+---
+SELECT product.*
+FROM "Product" AS product
+WHERE (product."Name" LIKE @p0 OR product."Name" IN (@p1, @p2, @p3)) AND product."CategoryId" IN (@p4, @p5, @p6) AND ((product."Price" >= @p7) AND (product."Price" <= @p8))
+ORDER BY product."Price" ASC
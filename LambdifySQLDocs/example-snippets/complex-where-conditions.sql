@@ -0,0 +1,17 @@
+---
+dialect: SqlServer
+params:
+  @p0 | "%electronics%" | String | NVARCHAR(4000)
+  @p1 | "laptop" | String | NVARCHAR(4000)
+  @p2 | "phone" | String | NVARCHAR(4000)
+  @p3 | "tablet" | String | NVARCHAR(4000)
+  @p4 | 1 | Int32 | INT
+  @p5 | 2 | Int32 | INT
+  @p6 | 3 | Int32 | INT
+  @p7 | 100 | Decimal | DECIMAL(18, 2)
+  @p8 | 1000 | Decimal | DECIMAL(18, 2)
+---
+SELECT product.*
+FROM [Product] AS product
+WHERE (product.[Name] LIKE @p0 OR product.[Name] IN (@p1, @p2, @p3)) AND product.[CategoryId] IN (@p4, @p5, @p6) AND ((product.[Price] >= @p7) AND (product.[Price] <= @p8))
+ORDER BY product.[Price] ASC
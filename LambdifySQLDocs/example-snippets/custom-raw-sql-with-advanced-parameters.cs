@@ -0,0 +1,33 @@
+---
+title: Custom Raw SQL with Advanced Parameters
+description: Complex raw SQL with CTEs, window functions, and parameters
+category: advanced
+tags: raw, cte, join, window
+since: 1.0.0
+entities: Product, Category
+---
+var customRawQuery = SqlQuery.Raw(@"
+    WITH RecentProducts AS (
+        SELECT p.*, c.Name as CategoryName
+        FROM Product p
+        INNER JOIN Category c ON p.CategoryId = c.Id
+        WHERE p.CreatedAt >= @startDate AND p.IsActive = @isActive
+    ),
+    CategoryTotals AS (
+        SELECT CategoryId, COUNT(*) as ProductCount, AVG(Price) as AvgPrice
+        FROM Product
+        WHERE IsActive = @isActive
+        GROUP BY CategoryId
+    )
+    SELECT rp.*, ct.ProductCount, ct.AvgPrice,
+           ROW_NUMBER() OVER (PARTITION BY rp.CategoryId ORDER BY rp.Price DESC) as PriceRank
+    FROM RecentProducts rp
+    INNER JOIN CategoryTotals ct ON rp.CategoryId = ct.CategoryId
+    WHERE rp.Price >= @minPrice
+    ORDER BY rp.CategoryId, rp.Price DESC",
+    new 
+    { 
+        startDate = DateTime.Now.AddMonths(-6),
+        isActive = true,
+        minPrice = 50.00m
+    });
@@ -0,0 +1,25 @@
+---
+dialect: SqlServer
+params:
+  @startDate | "2025-02-22T17:34:39" | DateTime | DATETIME2
+  @isActive | true | Boolean | BIT
+  @minPrice | 50 | Decimal | DECIMAL(18, 2)
+---
+WITH RecentProducts AS (
+    SELECT p.*, c.Name as CategoryName
+    FROM Product p
+    INNER JOIN Category c ON p.CategoryId = c.Id
+    WHERE p.CreatedAt >= @startDate AND p.IsActive = @isActive
+),
+CategoryTotals AS (
+    SELECT CategoryId, COUNT(*) as ProductCount, AVG(Price) as AvgPrice
+    FROM Product
+    WHERE IsActive = @isActive
+    GROUP BY CategoryId
+)
+SELECT rp.*, ct.ProductCount, ct.AvgPrice,
+       ROW_NUMBER() OVER (PARTITION BY rp.CategoryId ORDER BY rp.Price DESC) as PriceRank
+FROM RecentProducts rp
+INNER JOIN CategoryTotals ct ON rp.CategoryId = ct.CategoryId
+WHERE rp.Price >= @minPrice
+ORDER BY rp.CategoryId, rp.Price DESC
@@ -0,0 +1,11 @@
+---
+title: DELETE Query
+description: Delete records with multiple conditions
+category: basic
+tags: delete
+since: 1.0.0
+entities: Product
+---
+var deleteQuery = SqlQuery.Delete<Product>()
+    .Where(p => p.IsActive == false)
+    .Where(p => p.CreatedAt < DateTime.Now.AddYears(-1));
@@ -0,0 +1,9 @@
+---
+dialect: MySql
+source: generated
+issues:
+  function | 3:61 | DATEADD | DateTime.AddYears() is always translated to SQL Server's DATEADD.
+---
+DELETE product
+FROM `Product` AS product
+WHERE (product.`IsActive` = @p0) AND (product.`CreatedAt` < DATEADD(year, @p1, @p2))
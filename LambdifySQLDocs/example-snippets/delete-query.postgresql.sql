@@ -0,0 +1,10 @@
+---
+dialect: PostgreSql
+source: generated
+issues:
+  delete-alias | 1:8 | product | LambdifySQL always writes DELETE <alias> FROM, which PostgreSQL does not support.
+  function | 3:61 | DATEADD | DateTime.AddYears() is always translated to SQL Server's DATEADD.
+---
+DELETE product
+FROM "Product" AS product
+WHERE (product."IsActive" = @p0) AND (product."CreatedAt" < DATEADD(year, @p1, @p2))
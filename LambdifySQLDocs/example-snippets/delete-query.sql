@@ -0,0 +1,10 @@
+---
+dialect: SqlServer
+params:
+  @p0 | false | Boolean | BIT
+  @p1 | -1 | Int32 | INT
+  @p2 | "2025-08-22T17:34:39" | DateTime | DATETIME2
+---
+DELETE product
+FROM [Product] AS product
+WHERE (product.[IsActive] = @p0) AND (product.[CreatedAt] < DATEADD(year, @p1, @p2))
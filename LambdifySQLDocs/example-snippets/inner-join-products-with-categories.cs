@@ -0,0 +1,12 @@
+---
+title: INNER JOIN - Products with Categories
+description: Simple INNER JOIN between two tables
+category: advanced
+tags: select, join
+since: 1.0.0
+entities: Product, Category
+---
+var innerJoinQuery = SqlQuery.SelectWithJoins<Product>()
+    .InnerJoin<Category>((p, c) => p.CategoryId == c.Id)
+    .Where<Product>(p => p.IsActive)
+    .OrderBy(p => p.Name);
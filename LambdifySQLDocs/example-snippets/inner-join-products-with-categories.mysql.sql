@@ -0,0 +1,9 @@
+---
+dialect: MySql
+source: generated
+---
+SELECT product.*
+FROM `Product` AS product
+INNER JOIN `Category` AS category ON product.Id = category.Id
+WHERE (product.`IsActive` = @p0)
+ORDER BY product.`Name` ASC
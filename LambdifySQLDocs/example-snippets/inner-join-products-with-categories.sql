@@ -0,0 +1,10 @@
+---
+dialect: SqlServer
+params:
+  @p0 | true | Boolean | BIT
+---
+SELECT product.*
+FROM [Product] AS product
+INNER JOIN [Category] AS category ON product.Id = category.Id
+WHERE (product.[IsActive] = @p0)
+ORDER BY product.[Name] ASC
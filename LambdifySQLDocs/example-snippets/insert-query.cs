@@ -0,0 +1,20 @@
+---
+title: INSERT Query
+description: Insert new records with entity objects
+category: basic
+tags: insert
+since: 1.0.0
+entities: Product
+---
+var newProduct = new Product
+{
+    Name = "New Laptop",
+    Qty = 10,
+    Price = 999.99m,
+    CategoryId = 1,
+    ExtraId = 1,
+    IsActive = true
+};
+
+var insertQuery = SqlQuery.Insert<Product>()
+    .Values(newProduct);
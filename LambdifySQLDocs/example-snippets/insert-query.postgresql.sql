@@ -0,0 +1,7 @@
+---
+dialect: PostgreSql
+source: generated
+---
+INSERT INTO "Product"
+("Name", "Qty", "Price", "CategoryId", "ExtraId", "CreatedAt", "IsActive")
+VALUES (@p0, @p1, @p2, @p3, @p4, @p5, @p6)
@@ -0,0 +1,14 @@
+---
+dialect: SqlServer
+params:
+  @p0 | "New Laptop" | String | NVARCHAR(4000)
+  @p1 | 10 | Int32 | INT
+  @p2 | 999.99 | Decimal | DECIMAL(18, 2)
+  @p3 | 1 | Int32 | INT
+  @p4 | 1 | Int32 | INT
+  @p5 | "0001-01-01T00:00:00" | DateTime | DATETIME2
+  @p6 | true | Boolean | BIT
+---
+INSERT INTO [Product]
+([Name], [Qty], [Price], [CategoryId], [ExtraId], [CreatedAt], [IsActive])
+VALUES (@p0, @p1, @p2, @p3, @p4, @p5, @p6)
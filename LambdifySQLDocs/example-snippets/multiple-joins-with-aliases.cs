@@ -0,0 +1,14 @@
+---
+title: Multiple JOINs with Aliases
+description: Multiple JOIN operations with custom aliases
+category: advanced
+tags: select, join
+since: 1.0.0
+entities: Product, Category, ProductExtraDetails
+---
+var multiJoinQuery = SqlQuery.SelectWithJoins<Product>()
+    .InnerJoin<Category>("cat", (p, c) => p.CategoryId == c.Id)
+    .LeftJoin<ProductExtraDetails>("details", (p, d) => p.ExtraId == d.Id)
+    .Where<Product>(p => p.Price > 100)
+    .OrderBy(p => p.Price)
+    .ThenBy(p => p.Name);
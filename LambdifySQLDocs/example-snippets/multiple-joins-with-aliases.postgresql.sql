@@ -0,0 +1,10 @@
+---
+dialect: PostgreSql
+source: generated
+---
+SELECT product.*
+FROM "Product" AS product
+INNER JOIN "Category" AS cat ON product.Id = cat.Id
+LEFT JOIN "ProductExtraDetails" AS details ON product.Id = details.Id
+WHERE (product."Price" > @p0)
+ORDER BY product."Price" ASC, product."Name" ASC
@@ -0,0 +1,10 @@
+---
+title: Negated Boolean WHERE Clause
+description: A negated boolean property is compared with a false parameter
+category: advanced
+tags: select
+since: 1.0.0
+entities: Product
+---
+var inactiveBoolQuery = SqlQuery.Select<Product>()
+    .Where(p => !p.IsActive);
@@ -0,0 +1,12 @@
+---
+title: Raw SQL Example
+description: Execute raw SQL with parameters
+category: basic
+tags: raw
+since: 1.0.0
+entities: Product
+---
+var rawQuery = SqlQuery.Raw(
+    "SELECT * FROM Product WHERE Price BETWEEN @minPrice AND @maxPrice",
+    new { minPrice = 100, maxPrice = 500 }
+);
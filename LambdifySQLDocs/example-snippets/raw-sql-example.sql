@@ -0,0 +1,7 @@
+---
+dialect: SqlServer
+params:
+  @minPrice | 100 | Int32 | INT
+  @maxPrice | 500 | Int32 | INT
+---
+SELECT * FROM Product WHERE Price BETWEEN @minPrice AND @maxPrice
@@ -0,0 +1,35 @@
+---
+title: Ultimate Complex Query with CTEs and JOINs
+description: Complex query combining CTEs, JOINs, and window functions
+category: advanced
+tags: select, cte, join, window, aggregate
+since: 1.0.0
+entities: Product, Category, ProductExtraDetails
+---
+// CTE for high-value products
+var highValueProductsCte = SqlQuery.Select<Product>()
+    .Where(p => p.Price > 300 && p.IsActive);
+
+// CTE for category statistics
+var categoryStatsCte = SqlQuery.Aggregate<Product>()
+    .GroupBy(p => p.CategoryId)
+    .Count(null, "ProductCount")
+    .Average(p => p.Price, "AvgPrice")
+    .Sum(p => p.Qty, "TotalQty");
+
+// Main query with multiple joins and window functions
+var complexMainQuery = SqlQuery.SelectWithJoins<Product>()
+    .InnerJoin<Category>("cat", (p, c) => p.CategoryId == c.Id)
+    .LeftJoin<ProductExtraDetails>("details", (p, d) => p.ExtraId == d.Id)
+    .SelectWindow("RANK() OVER (PARTITION BY product.CategoryId ORDER BY product.Price DESC)", "PriceRank")
+    .SelectWindow("COUNT(*) OVER (PARTITION BY product.CategoryId)", "CategoryProductCount")
+    .Where<Product>(p => p.IsActive)
+    .Where<Category>("cat", c => c.IsActive)
+    .Having<Product>(p => p.Price > 100)
+    .OrderBy(p => p.CategoryId)
+    .ThenBy(p => p.Price);
+
+var ultimateComplexQuery = SqlQuery.Advanced<Product>()
+    .WithCTE("HighValueProducts", highValueProductsCte)
+    .WithCTE("CategoryStats", categoryStatsCte)
+    .Query(complexMainQuery);
@@ -0,0 +1,18 @@
+---
+dialect: PostgreSql
+source: generated
+issues:
+  unknown-alias | 10:39 | category | Where<Category>("cat", ...) qualifies columns with "category" instead of the join alias.
+---
+WITH HighValueProducts AS (SELECT product.*
+FROM "Product" AS product
+WHERE ((product."Price" > @p0) AND product."IsActive")), CategoryStats AS (SELECT product."CategoryId", COUNT(*) AS "ProductCount", AVG(product."Price") AS "AvgPrice", SUM(product."Qty") AS "TotalQty"
+FROM "Product" AS product
+GROUP BY product."CategoryId")
+SELECT RANK() OVER (PARTITION BY product.CategoryId ORDER BY product.Price DESC) AS PriceRank, COUNT(*) OVER (PARTITION BY product.CategoryId) AS CategoryProductCount
+FROM "Product" AS product
+INNER JOIN "Category" AS cat ON product.Id = cat.Id
+LEFT JOIN "ProductExtraDetails" AS details ON product.Id = details.Id
+WHERE (product."IsActive" = @p1) AND (category."IsActive" = @p1)
+HAVING (product."Price" > @p2)
+ORDER BY product."CategoryId" ASC, product."Price" ASC
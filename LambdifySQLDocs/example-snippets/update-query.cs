@@ -0,0 +1,12 @@
+---
+title: UPDATE Query
+description: Update records with conditional WHERE clause
+category: basic
+tags: update
+since: 1.0.0
+entities: Product
+---
+var updateQuery = SqlQuery.Update<Product>()
+    .Set(p => p.Price, 199.99m)
+    .Set(p => p.IsActive, true)
+    .Where(p => p.CategoryId == 1 && p.Price < 200);
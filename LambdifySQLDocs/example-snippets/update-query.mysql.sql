@@ -0,0 +1,10 @@
+---
+dialect: MySql
+source: generated
+issues:
+  update-from | 3:1 | FROM | LambdifySQL always writes UPDATE ... FROM, which MySQL does not support.
+---
+UPDATE product
+SET product.`Price` = @p0, product.`IsActive` = @p1
+FROM `Product` AS product
+WHERE ((product.`CategoryId` = @p2) AND (product.`Price` < @p3))
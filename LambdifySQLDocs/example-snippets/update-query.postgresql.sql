@@ -0,0 +1,11 @@
+---
+dialect: PostgreSql
+source: generated
+issues:
+  update-set | 2:5 | product | LambdifySQL qualifies SET columns with the table alias, which PostgreSQL does not allow.
+  update-set | 2:28 | product | LambdifySQL qualifies SET columns with the table alias, which PostgreSQL does not allow.
+---
+UPDATE product
+SET product."Price" = @p0, product."IsActive" = @p1
+FROM "Product" AS product
+WHERE ((product."CategoryId" = @p2) AND (product."Price" < @p3))
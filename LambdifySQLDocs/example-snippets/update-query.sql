@@ -0,0 +1,12 @@
+---
+dialect: SqlServer
+params:
+  @p0 | 199.99 | Decimal | DECIMAL(18, 2)
+  @p1 | true | Boolean | BIT
+  @p2 | 1 | Int32 | INT
+  @p3 | 200 | Decimal | DECIMAL(18, 2)
+---
+UPDATE product
+SET product.[Price] = @p0, product.[IsActive] = @p1
+FROM [Product] AS product
+WHERE ((product.[CategoryId] = @p2) AND (product.[Price] < @p3))
@@ -0,0 +1,15 @@
+---
+title: WHERE IN with Subquery
+description: Subquery with WHERE IN condition
+category: advanced
+tags: select, subquery, aggregate
+since: 1.0.0
+entities: Product
+---
+var expensiveCategoriesSubquery = SqlQuery.Aggregate<Product>()
+    .Where(p => p.Price > 500)
+    .GroupBy(p => p.CategoryId);
+
+var productsInExpensiveCategoriesQuery = SqlQuery.Select<Product>()
+    .WhereIn<int, Product>(p => p.CategoryId, expensiveCategoriesSubquery, sub => sub.CategoryId)
+    .OrderBy(p => p.Name);
@@ -0,0 +1,13 @@
+---
+dialect: MySql
+source: generated
+issues:
+  quoting | 3:47 | [ | A Where().In() subquery always quotes its column for SQL Server, whatever the dialect.
+---
+SELECT product.*
+FROM `Product` AS product
+WHERE product.`CategoryId` IN (SELECT product.[CategoryId] FROM (SELECT product.`CategoryId`
+FROM `Product` AS product
+WHERE (product.`Price` > @p0)
+GROUP BY product.`CategoryId`) subq)
+ORDER BY product.`Name` ASC
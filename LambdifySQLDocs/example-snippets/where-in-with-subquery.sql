@@ -0,0 +1,12 @@
+---
+dialect: SqlServer
+params:
+  @p0 | 500 | Decimal | DECIMAL(18, 2)
+---
+SELECT product.*
+FROM [Product] AS product
+WHERE product.[CategoryId] IN (SELECT product.[CategoryId] FROM (SELECT product.[CategoryId]
+FROM [Product] AS product
+WHERE (product.[Price] > @p0)
+GROUP BY product.[CategoryId]) subq)
+ORDER BY product.[Name] ASC
@@ -0,0 +1,15 @@
+---
+title: Window Functions with JOINs
+description: Window functions combined with JOIN operations
+category: advanced
+tags: select, join, window
+since: 1.0.0
+entities: Product, Category
+---
+var windowWithJoinQuery = SqlQuery.SelectWithJoins<Product>()
+    .InnerJoin<Category>((p, c) => p.CategoryId == c.Id)
+    .SelectWindow("ROW_NUMBER() OVER (PARTITION BY product.CategoryId ORDER BY product.Price DESC)", "PriceRank")
+    .SelectWindow("AVG(product.Price) OVER (PARTITION BY product.CategoryId)", "AvgCategoryPrice")
+    .Where<Product>(p => p.IsActive)
+    .OrderBy(p => p.CategoryId)
+    .ThenBy(p => p.Price);
@@ -0,0 +1,10 @@
+---
+dialect: SqlServer
+params:
+  @p0 | true | Boolean | BIT
+---
+SELECT ROW_NUMBER() OVER (PARTITION BY product.CategoryId ORDER BY product.Price DESC) AS PriceRank, AVG(product.Price) OVER (PARTITION BY product.CategoryId) AS AvgCategoryPrice
+FROM [Product] AS product
+INNER JOIN [Category] AS category ON product.Id = category.Id
+WHERE (product.[IsActive] = @p0)
+ORDER BY product.[CategoryId] ASC, product.[Price] ASC
@@ -0,0 +1,14 @@
+---
+title: Window Functions
+description: Advanced window functions with partitioning
+category: advanced
+tags: select, window
+since: 1.0.0
+entities: Product
+---
+var queryWindowFunction = SqlQuery.WindowFunction<Product>()
+    .Select(p => p.Name)
+    .Select(p => p.Price)
+    .RowNumber(p => p.CategoryId, p => p.Price, "RowNum")
+    .Rank(p => p.CategoryId, p => p.Price, "PriceRank")
+    .Where(p => !p.IsActive);
@@ -0,0 +1,7 @@
+---
+dialect: MySql
+source: generated
+---
+SELECT product.`Name`, product.`Price`, ROW_NUMBER() OVER (PARTITION BY product.`CategoryId` ORDER BY product.`Price`) AS `RowNum`, RANK() OVER (PARTITION BY product.`CategoryId` ORDER BY product.`Price`) AS `PriceRank`
+FROM `Product` AS product
+WHERE (product.`IsActive` = @p0)
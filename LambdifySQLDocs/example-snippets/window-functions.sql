@@ -0,0 +1,8 @@
+---
+dialect: SqlServer
+params:
+  @p0 | false | Boolean | BIT
+---
+SELECT product.[Name], product.[Price], ROW_NUMBER() OVER (PARTITION BY product.[CategoryId] ORDER BY product.[Price]) AS [RowNum], RANK() OVER (PARTITION BY product.[CategoryId] ORDER BY product.[Price]) AS [PriceRank]
+FROM [Product] AS product
+WHERE (product.[IsActive] = @p0)
@@ -1,172 +1,355 @@
-// Examples Manager - Loads and renders examples from embedded data
-class ExamplesManager {
-    constructor() {
-        this.examples = [
-            {
-                "id": 1,
-                "title": "Basic SELECT Query",
-                "description": "Simple SELECT with WHERE conditions and ORDER BY",
-                "csharpCode": "var basicSelect = SqlQuery.Select<Product>(SqlDialectConfig.PostgreSql)\n    .Where(p => p.Price > 100 && p.IsActive)\n    .OrWhere(p => p.Qty < 5)\n    .OrderBy(p => p.Name)\n    .Take(10);",
-                "sqlOutput": "SELECT product.*\nFROM \"Product\" AS product\nWHERE (((product.\"Price\" > @p0) AND product.\"IsActive\")) OR ((product.\"Qty\" < @p1))\nORDER BY product.\"Name\" ASC\nLIMIT 10\nParameters: @p0=100, @p1=5"
-            },
-            {
-                "id": 2,
-                "title": "Complex WHERE Conditions",
-                "description": "Multiple WHERE conditions with collections and ranges",
-                "csharpCode": "var searchTerms = new List<string> { \"laptop\", \"phone\", \"tablet\" };\nvar categoryIds = new List<int> { 1, 2, 3 };\n\nvar complexWhere = SqlQuery.Select<Product>()\n    .Where(p => p.Name.Contains(\"electronics\") || searchTerms.Contains(p.Name))\n    .Where(p => categoryIds.Contains(p.CategoryId))\n    .Where(p => p.Price >= 100 && p.Price <= 1000)\n    .OrderBy(p => p.Price);",
-                "sqlOutput": "SELECT product.*\nFROM [Product] AS product\nWHERE (product.[Name] LIKE @p0 OR product.[Name] IN (@p1, @p2, @p3)) AND product.[CategoryId] IN (@p4, @p5, @p6) AND ((product.[Price] >= @p7) AND (product.[Price] <= @p8))\nORDER BY product.[Price] ASC\nParameters: @p0=%electronics%, @p1=laptop, @p2=phone, @p3=tablet, @p4=1, @p5=2, @p6=3, @p7=100, @p8=1000"
-            },
-            {
-                "id": 3,
-                "title": "UPDATE Query",
-                "description": "Update records with conditional WHERE clause",
-                "csharpCode": "var updateQuery = SqlQuery.Update<Product>()\n    .Set(p => p.Price, 199.99m)\n    .Set(p => p.IsActive, true)\n    .Where(p => p.CategoryId == 1 && p.Price < 200);",
-                "sqlOutput": "UPDATE product\nSET product.[Price] = @p0, product.[IsActive] = @p1\nFROM [Product] AS product\nWHERE ((product.[CategoryId] = @p2) AND (product.[Price] < @p3))\nParameters: @p0=199.99, @p1=True, @p2=1, @p3=200"
-            },
-            {
-                "id": 4,
-                "title": "INSERT Query",
-                "description": "Insert new records with entity objects",
-                "csharpCode": "var newProduct = new Product\n{\n    Name = \"New Laptop\",\n    Qty = 10,\n    Price = 999.99m,\n    CategoryId = 1,\n    ExtraId = 1,\n    IsActive = true\n};\n\nvar insertQuery = SqlQuery.Insert<Product>()\n    .Values(newProduct);",
-                "sqlOutput": "INSERT INTO [Product]\n([Name], [Qty], [Price], [CategoryId], [ExtraId], [CreatedAt], [IsActive])\nVALUES (@p0, @p1, @p2, @p3, @p4, @p5, @p6)\nParameters: @p0=New Laptop, @p1=10, @p2=999.99, @p3=1, @p4=1, @p5=01/01/0001 00:00:00, @p6=True"
-            },
-            {
-                "id": 5,
-                "title": "DELETE Query",
-                "description": "Delete records with multiple conditions",
-                "csharpCode": "var deleteQuery = SqlQuery.Delete<Product>()\n    .Where(p => p.IsActive == false)\n    .Where(p => p.CreatedAt < DateTime.Now.AddYears(-1));",
-                "sqlOutput": "DELETE product\nFROM [Product] AS product\nWHERE (product.[IsActive] = @p0) AND (product.[CreatedAt] < DATEADD(year, @p1, @p2))\nParameters: @p0=False, @p1=-1, @p2=22/08/2025 17:34:39"
-            },
-            {
-                "id": 6,
-                "title": "Raw SQL Example",
-                "description": "Execute raw SQL with parameters",
-                "csharpCode": "var rawQuery = SqlQuery.Raw(\n    \"SELECT * FROM Product WHERE Price BETWEEN @minPrice AND @maxPrice\",\n    new { minPrice = 100, maxPrice = 500 }\n);",
-                "sqlOutput": "SELECT * FROM Product WHERE Price BETWEEN @minPrice AND @maxPrice\nParameters: @minPrice=100, @maxPrice=500"
-            },
-            {
-                "id": 7,
-                "title": "Aggregate Queries",
-                "description": "GROUP BY with aggregate functions",
-                "csharpCode": "var queryAggregate = SqlQuery.Aggregate<Product>()\n    .GroupBy(p => p.CategoryId)\n    .Count(alias: \"ProductCount\")\n    .Sum(p => p.Price, \"TotalPrice\")\n    .Average(p => p.Price, \"AvgPrice\")\n    .Where(p => p.IsActive);",
-                "sqlOutput": "SELECT product.[CategoryId], COUNT(*) AS [ProductCount], SUM(product.[Price]) AS [TotalPrice], AVG(product.[Price]) AS [AvgPrice]\nFROM [Product] AS product\nWHERE (product.[IsActive] = @p0)\nGROUP BY product.[CategoryId]\nParameters: @p0=True"
-            },
-            {
-                "id": 8,
-                "title": "Window Functions",
-                "description": "Advanced window functions with partitioning",
-                "csharpCode": "var queryWindowFunction = SqlQuery.WindowFunction<Product>()\n    .Select(p => p.Name)\n    .Select(p => p.Price)\n    .RowNumber(p => p.CategoryId, p => p.Price, \"RowNum\")\n    .Rank(p => p.CategoryId, p => p.Price, \"PriceRank\")\n    .Where(p => !p.IsActive);",
-                "sqlOutput": "SELECT product.[Name], product.[Price], ROW_NUMBER() OVER (PARTITION BY product.[CategoryId] ORDER BY product.[Price]) AS [RowNum], RANK() OVER (PARTITION BY product.[CategoryId] ORDER BY product.[Price]) AS [PriceRank]\nFROM [Product] AS product\nWHERE (product.[IsActive] = @p0)\nParameters: @p0=False"
-            },
-            {
-                "id": 9,
-                "title": "Boolean WHERE Clauses",
-                "description": "Simple and negated boolean conditions",
-                "csharpCode": "// Simple boolean property\nvar activeBoolQuery = SqlQuery.Select<Product>()\n    .Where(p => p.IsActive);\n\n// Negated boolean property\nvar inactiveBoolQuery = SqlQuery.Select<Product>()\n    .Where(p => !p.IsActive);",
-                "sqlOutput": "-- Simple boolean (p.IsActive):\nSELECT product.*\nFROM [Product] AS product\nWHERE (product.[IsActive] = @p0)\nParameters: @p0=True\n\n-- Negated boolean (!p.IsActive):\nSELECT product.*\nFROM [Product] AS product\nWHERE (product.[IsActive] = @p0)\nParameters: @p0=False"
-            },
-            {
-                "id": 10,
-                "title": "Advanced CTE Example",
-                "description": "Common Table Expressions with complex queries",
-                "csharpCode": "var cteQuery = SqlQuery.Select<Product>()\n    .Where(p => p.Qty >= 1)\n    .Top(10);\n\nvar mainQuery = SqlQuery.Select<Product>()\n    .Where(p => p.CategoryId == 2);\n\nvar advancedQuery = SqlQuery.Advanced<Product>()\n    .WithCTE(\"TopProducts\", cteQuery)\n    .Query(mainQuery);",
-                "sqlOutput": "WITH TopProducts AS (SELECT TOP (10) product.*\nFROM [Product] AS product\nWHERE (product.[Qty] >= @p0))\nSELECT product.*\nFROM [Product] AS product\nWHERE (product.[CategoryId] = @p1)\nParameters: @p0=1, @p1=2"
-            },
-            {
-                "id": 11,
-                "title": "INNER JOIN - Products with Categories",
-                "description": "Simple INNER JOIN between two tables",
-                "csharpCode": "var innerJoinQuery = SqlQuery.SelectWithJoins<Product>()\n    .InnerJoin<Category>((p, c) => p.CategoryId == c.Id)\n    .Where<Product>(p => p.IsActive)\n    .OrderBy(p => p.Name);",
-                "sqlOutput": "SELECT product.*\nFROM [Product] AS product\nINNER JOIN [Category] AS category ON product.Id = category.Id\nWHERE (product.[IsActive] = @p0)\nORDER BY product.[Name] ASC\nParameters: @p0=True"
-            },
-            {
-                "id": 12,
-                "title": "Multiple JOINs with Aliases",
-                "description": "Multiple JOIN operations with custom aliases",
-                "csharpCode": "var multiJoinQuery = SqlQuery.SelectWithJoins<Product>()\n    .InnerJoin<Category>(\"cat\", (p, c) => p.CategoryId == c.Id)\n    .LeftJoin<ProductExtraDetails>(\"details\", (p, d) => p.ExtraId == d.Id)\n    .Where<Product>(p => p.Price > 100)\n    .OrderBy(p => p.Price)\n    .ThenBy(p => p.Name);",
-                "sqlOutput": "SELECT product.*\nFROM [Product] AS product\nINNER JOIN [Category] AS cat ON product.Id = cat.Id\nLEFT JOIN [ProductExtraDetails] AS details ON product.Id = details.Id\nWHERE (product.[Price] > @p0)\nORDER BY product.[Price] ASC, product.[Name] ASC\nParameters: @p0=100"
-            },
-            {
-                "id": 13,
-                "title": "WHERE IN with Subquery",
-                "description": "Subquery with WHERE IN condition",
-                "csharpCode": "var expensiveCategoriesSubquery = SqlQuery.Aggregate<Product>()\n    .Where(p => p.Price > 500)\n    .GroupBy(p => p.CategoryId);\n\nvar productsInExpensiveCategoriesQuery = SqlQuery.Select<Product>()\n    .WhereIn<int, Product>(p => p.CategoryId, expensiveCategoriesSubquery, sub => sub.CategoryId)\n    .OrderBy(p => p.Name);",
-                "sqlOutput": "SELECT product.*\nFROM [Product] AS product\nWHERE product.[CategoryId] IN (SELECT product.[CategoryId] FROM (SELECT product.[CategoryId]\nFROM [Product] AS product\nWHERE (product.[Price] > @p0)\nGROUP BY product.[CategoryId]) subq)\nORDER BY product.[Name] ASC\nParameters: @p0=500"
-            },
-            {
-                "id": 14,
-                "title": "Window Functions with JOINs",
-                "description": "Window functions combined with JOIN operations",
-                "csharpCode": "var windowWithJoinQuery = SqlQuery.SelectWithJoins<Product>()\n    .InnerJoin<Category>((p, c) => p.CategoryId == c.Id)\n    .SelectWindow(\"ROW_NUMBER() OVER (PARTITION BY p.CategoryId ORDER BY p.Price DESC)\", \"PriceRank\")\n    .SelectWindow(\"AVG(p.Price) OVER (PARTITION BY p.CategoryId)\", \"AvgCategoryPrice\")\n    .Where<Product>(p => p.IsActive)\n    .OrderBy(p => p.CategoryId)\n    .ThenBy(p => p.Price);",
-                "sqlOutput": "SELECT ROW_NUMBER() OVER (PARTITION BY p.CategoryId ORDER BY p.Price DESC) AS PriceRank, AVG(p.Price) OVER (PARTITION BY p.CategoryId) AS AvgCategoryPrice\nFROM [Product] AS product\nINNER JOIN [Category] AS category ON product.Id = category.Id\nWHERE (product.[IsActive] = @p0)\nORDER BY product.[CategoryId] ASC, product.[Price] ASC\nParameters: @p0=True"
-            },
-            {
-                "id": 15,
-                "title": "Ultimate Complex Query with CTEs and JOINs",
-                "description": "Complex query combining CTEs, JOINs, and window functions",
-                "csharpCode": "// CTE for high-value products\nvar highValueProductsCte = SqlQuery.Select<Product>()\n    .Where(p => p.Price > 300 && p.IsActive);\n\n// CTE for category statistics\nvar categoryStatsCte = SqlQuery.Aggregate<Product>()\n    .GroupBy(p => p.CategoryId)\n    .Count(null, \"ProductCount\")\n    .Average(p => p.Price, \"AvgPrice\")\n    .Sum(p => p.Qty, \"TotalQty\");\n\n// Main query with multiple joins and window functions\nvar complexMainQuery = SqlQuery.SelectWithJoins<Product>()\n    .InnerJoin<Category>(\"cat\", (p, c) => p.CategoryId == c.Id)\n    .LeftJoin<ProductExtraDetails>(\"details\", (p, d) => p.ExtraId == d.Id)\n    .SelectWindow(\"RANK() OVER (PARTITION BY p.CategoryId ORDER BY p.Price DESC)\", \"PriceRank\")\n    .SelectWindow(\"COUNT(*) OVER (PARTITION BY p.CategoryId)\", \"CategoryProductCount\")\n    .Where<Product>(p => p.IsActive)\n    .Where<Category>(\"cat\", c => c.IsActive)\n    .Having<Product>(p => p.Price > 100)\n    .OrderBy(p => p.CategoryId)\n    .ThenBy(p => p.Price);\n\nvar ultimateComplexQuery = SqlQuery.Advanced<Product>()\n    .WithCTE(\"HighValueProducts\", highValueProductsCte)\n    .WithCTE(\"CategoryStats\", categoryStatsCte)\n    .Query(complexMainQuery);",
-                "sqlOutput": "WITH HighValueProducts AS (SELECT product.*\nFROM [Product] AS product\nWHERE ((product.[Price] > @p0) AND product.[IsActive])), CategoryStats AS (SELECT product.[CategoryId], COUNT(*) AS [ProductCount], AVG(product.[Price]) AS [AvgPrice], SUM(product.[Qty]) AS [TotalQty]\nFROM [Product] AS product\nGROUP BY product.[CategoryId])\nSELECT RANK() OVER (PARTITION BY p.CategoryId ORDER BY p.Price DESC) AS PriceRank, COUNT(*) OVER (PARTITION BY p.CategoryId) AS CategoryProductCount\nFROM [Product] AS product\nINNER JOIN [Category] AS cat ON product.Id = cat.Id\nLEFT JOIN [ProductExtraDetails] AS details ON product.Id = details.Id\nWHERE (product.[IsActive] = @p1) AND (category.[IsActive] = @p1)\nHAVING (product.[Price] > @p2)\nORDER BY product.[CategoryId] ASC, product.[Price] ASC\nParameters: @p0=300, @p1=True, @p2=100"
-            },
-            {
-                "id": 16,
-                "title": "Custom Raw SQL with Advanced Parameters",
-                "description": "Complex raw SQL with CTEs, window functions, and parameters",
-                "csharpCode": "var customRawQuery = SqlQuery.Raw(@\"\n    WITH RecentProducts AS (\n        SELECT p.*, c.Name as CategoryName\n        FROM Product p\n        INNER JOIN Category c ON p.CategoryId = c.Id\n        WHERE p.CreatedAt >= @startDate AND p.IsActive = @isActive\n    ),\n    CategoryTotals AS (\n        SELECT CategoryId, COUNT(*) as ProductCount, AVG(Price) as AvgPrice\n        FROM Product\n        WHERE IsActive = @isActive\n        GROUP BY CategoryId\n    )\n    SELECT rp.*, ct.ProductCount, ct.AvgPrice,\n           ROW_NUMBER() OVER (PARTITION BY rp.CategoryId ORDER BY rp.Price DESC) as PriceRank\n    FROM RecentProducts rp\n    INNER JOIN CategoryTotals ct ON rp.CategoryId = ct.CategoryId\n    WHERE rp.Price >= @minPrice\n    ORDER BY rp.CategoryId, rp.Price DESC\",\n    new \n    { \n        startDate = DateTime.Now.AddMonths(-6),\n        isActive = true,\n        minPrice = 50.00m\n    });",
-                "sqlOutput": "WITH RecentProducts AS (\n    SELECT p.*, c.Name as CategoryName\n    FROM Product p\n    INNER JOIN Category c ON p.CategoryId = c.Id\n    WHERE p.CreatedAt >= @startDate AND p.IsActive = @isActive\n),\nCategoryTotals AS (\n    SELECT CategoryId, COUNT(*) as ProductCount, AVG(Price) as AvgPrice\n    FROM Product\n    WHERE IsActive = @isActive\n    GROUP BY CategoryId\n)\nSELECT rp.*, ct.ProductCount, ct.AvgPrice,\n       ROW_NUMBER() OVER (PARTITION BY rp.CategoryId ORDER BY rp.Price DESC) as PriceRank\nFROM RecentProducts rp\nINNER JOIN CategoryTotals ct ON rp.CategoryId = ct.CategoryId\nWHERE rp.Price >= @minPrice\nORDER BY rp.CategoryId, rp.Price DESC\nParameters: @startDate=22/02/2025 17:34:39, @isActive=True, @minPrice=50.00"
-            }
-        ];
+// Examples Manager - Loads examples from examples.json and renders them
+import { SqlFormatter } from './sql-formatter.js';
+import { toCSharpStringLiteral } from './clipboard.js';
+import { scrollToElement, initializeLineNumbers, escapeHtml } from './script.js';
+import { compareVersions } from './versions.js';
+import { LazyHighlighter } from './highlighter.js';
+import { EntitySchema, validateEntities } from './entity-schema.js';
+import { validateAnatomy, findFragmentRanges, findCallRanges, getAnatomyParameters, getAnatomyLines } from './query-anatomy.js';
+
+const EXAMPLES_URL = 'examples.json';
+
+// Fields every entry in examples.json must provide, with their expected types
+const EXAMPLE_SCHEMA = {
+    id: 'number',
+    title: 'string',
+    description: 'string',
+    category: 'string',
+    tags: 'array',
+    dialect: 'string',
+    csharpCode: 'string',
+    sqlOutput: 'string',
+    parameters: 'array'
+};
+
+// Fields of each entry in an example's "parameters" array; sqlType is the SQL Server type ADO.NET infers
+const PARAMETER_SCHEMA = {
+    name: 'string',
+    dotnetType: 'string',
+    sqlType: 'string'
+};
+
+// Fields of each entry in an example's "knownIssues" array: an error tools/validate-examples.js excuses
+// because the library emits it today, at the given token of the output for its dialect
+const KNOWN_ISSUE_SCHEMA = {
+    dialect: 'string',
+    rule: 'string',
+    line: 'number',
+    column: 'number',
+    token: 'string',
+    reason: 'string'
+};
+
+// Dialect names as declared by the SqlDialect enum in LambdifySQL
+export const SUPPORTED_DIALECTS = ['SqlServer', 'MySql', 'PostgreSql', 'SQLite', 'Oracle'];
+
+// Display names for SqlDialect values
+export const DIALECT_LABELS = {
+    SqlServer: 'SQL Server',
+    MySql: 'MySQL',
+    PostgreSql: 'PostgreSQL',
+    SQLite: 'SQLite',
+    Oracle: 'Oracle'
+};
+
+// Display labels for example categories; unlisted categories show their raw name
+const CATEGORY_LABELS = {
+    basic: 'Basic Operations',
+    advanced: 'Advanced Features'
+};
+
+// Column types used when declaring parameters for dialects other than SQL Server, keyed by .NET type
+const PARAMETER_SQL_TYPES = {
+    MySql: {
+        Boolean: 'TINYINT(1)',
+        DateTime: 'DATETIME',
+        Decimal: 'DECIMAL(18, 2)',
+        Int32: 'INT',
+        String: 'VARCHAR(4000)'
+    },
+    PostgreSql: {
+        Boolean: 'BOOLEAN',
+        DateTime: 'TIMESTAMP',
+        Decimal: 'NUMERIC',
+        Int32: 'INTEGER',
+        String: 'TEXT'
+    }
+};
+
+// What the SQL copy button puts on the clipboard
+const COPY_MODES = {
+    sql: 'SQL only',
+    declare: 'SQL + parameters',
+    inline: 'Inlined literals',
+    csharp: 'C# string literal'
+};
+
+// Relevance weight of each searchable field; title matches rank highest
+const SEARCH_FIELD_WEIGHTS = {
+    title: 10,
+    tags: 6,
+    description: 4,
+    csharpCode: 2,
+    sqlOutput: 1
+};
+
+// Cards rendered up front, and added per batch as the end of the list scrolls into view
+const RENDER_BATCH_SIZE = 12;
+
+// Quiet period after the last keystroke before the examples search runs
+const SEARCH_DEBOUNCE_MS = 150;
+
+export class ExamplesManager {
+    constructor(versions = null, highlighter = new LazyHighlighter()) {
+        this.versions = versions; // VersionManager choosing which release's examples to load
+        this.highlighter = highlighter; // highlights eagerly unless its init() set up lazy highlighting
+        this.examples = [];
         this.currentFilter = 'all';
+        this.selectedTags = [];
+        this.tagMatchMode = 'any'; // 'any' (OR) or 'all' (AND)
+        this.searchQuery = '';
+        this.focusedExampleId = null;
+        this.currentDialect = 'default'; // 'default' shows each example in the dialect it was written for
+        this.exampleDialects = new Map(); // per-example overrides of currentDialect
+        this.comparingExamples = new Set();
+        this.exampleCopyModes = new Map(); // per-example COPY_MODES key, 'sql' when unset
+        this.formattedExamples = new Set();
+        this.openSchemas = new Set(); // examples whose Schema panel is expanded
+        this.schema = new EntitySchema(); // entities declared by the loaded examples.json
+        this.renderListeners = [];
+        this.cards = new Map(); // example id -> { example, key, terms, element }, kept for reuse across renders
+        this.visibleExamples = []; // examples matching the filters, in display order
+        this.renderedCount = 0; // how many of visibleExamples have cards in the container
+        this.batchObserver = null;
+        this.batchSentinel = null;
     }
 
-    // Load examples from embedded data
+    // Load the selected release's examples, or examples.json when no release is selected
     async loadExamples() {
+        this.showLoading();
+        const url = this.getCurrentVersion() ? this.getCurrentVersion().examples : EXAMPLES_URL;
+
         try {
-            this.renderExamples();
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Request for ${url} failed with status ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.examples = this.validateExamples(data, url).filter(example => this.isInCurrentVersion(example));
+            this.schema = new EntitySchema(data.entities || []);
+            this.cards.clear();
+            this.renderDialectControls();
+            this.restoreUrlState();
         } catch (error) {
             console.error('Error loading examples:', error);
             this.showError('Failed to load examples.');
         }
     }
 
-    // Render all examples to the DOM
-    renderExamples(filter = 'all') {
+    // Validate an examples payload loaded from url against EXAMPLE_SCHEMA, its entities (see entity-schema.js)
+    // and each example's query anatomy (see query-anatomy.js)
+    validateExamples(data, url = EXAMPLES_URL) {
+        if (!data || !Array.isArray(data.examples)) {
+            throw new Error(`${url} must contain an "examples" array`);
+        }
+
+        const entityNames = new Set(validateEntities(data.entities || []).map(entity => entity.name));
+        const seenIds = new Set();
+        data.examples.forEach((example, index) => {
+            Object.entries(EXAMPLE_SCHEMA).forEach(([field, type]) => {
+                const value = example[field];
+                const valid = type === 'array' ? Array.isArray(value) : typeof value === type;
+                if (!valid) {
+                    throw new Error(`Example at index ${index} in ${url} has invalid "${field}" (expected ${type})`);
+                }
+            });
+
+            if (!example.tags.every(tag => typeof tag === 'string')) {
+                throw new Error(`Example ${example.id} in ${url} has non-string tags`);
+            }
+            example.parameters.forEach(parameter => {
+                const valid = parameter !== null && typeof parameter === 'object'
+                    && Object.entries(PARAMETER_SCHEMA).every(([field, type]) => typeof parameter[field] === type)
+                    && (parameter.value === null || ['string', 'number', 'boolean'].includes(typeof parameter.value));
+                if (!valid) {
+                    throw new Error(`Example ${example.id} in ${url} has an invalid parameter (expected name, value, dotnetType and sqlType)`);
+                }
+            });
+            if (!SUPPORTED_DIALECTS.includes(example.dialect)) {
+                throw new Error(`Example ${example.id} in ${url} has unknown dialect "${example.dialect}"`);
+            }
+            if (example.dialectOutputs !== undefined) {
+                const outputs = example.dialectOutputs;
+                if (typeof outputs !== 'object' || outputs === null || Array.isArray(outputs)) {
+                    throw new Error(`Example ${example.id} in ${url} has invalid "dialectOutputs" (expected object)`);
+                }
+                Object.entries(outputs).forEach(([dialect, sql]) => {
+                    if (!SUPPORTED_DIALECTS.includes(dialect) || typeof sql !== 'string') {
+                        throw new Error(`Example ${example.id} in ${url} has invalid dialect output "${dialect}"`);
+                    }
+                });
+            }
+            if (example.handWrittenOutputs !== undefined
+                && !(Array.isArray(example.handWrittenOutputs) && example.handWrittenOutputs.every(dialect =>
+                    example.dialectOutputs && typeof example.dialectOutputs[dialect] === 'string'))) {
+                throw new Error(`Example ${example.id} in ${url} has invalid "handWrittenOutputs" (expected dialects from "dialectOutputs")`);
+            }
+            if (example.knownIssues !== undefined) {
+                const valid = Array.isArray(example.knownIssues) && example.knownIssues.every(issue =>
+                    issue !== null && typeof issue === 'object'
+                    && Object.entries(KNOWN_ISSUE_SCHEMA).every(([field, type]) => typeof issue[field] === type)
+                    && this.getAvailableDialects(example).includes(issue.dialect));
+                if (!valid) {
+                    throw new Error(`Example ${example.id} in ${url} has invalid "knownIssues" (expected dialect, rule, line, column, token and reason)`);
+                }
+            }
+            if (example.since !== undefined && typeof example.since !== 'string') {
+                throw new Error(`Example ${example.id} in ${url} has invalid "since" (expected string)`);
+            }
+            if (example.changed !== undefined
+                && !(Array.isArray(example.changed) && example.changed.every(version => typeof version === 'string'))) {
+                throw new Error(`Example ${example.id} in ${url} has invalid "changed" (expected array of versions)`);
+            }
+            if (example.entities !== undefined
+                && !(Array.isArray(example.entities) && example.entities.every(name => entityNames.has(name)))) {
+                throw new Error(`Example ${example.id} in ${url} has invalid "entities" (expected names from the "entities" array)`);
+            }
+            if (example.anatomy !== undefined) {
+                validateAnatomy(example);
+            }
+            if (seenIds.has(example.id)) {
+                throw new Error(`Duplicate example id ${example.id} in ${url}`);
+            }
+            seenIds.add(example.id);
+        });
+
+        return data.examples;
+    }
+
+    getCurrentVersion() {
+        return this.versions ? this.versions.current : null;
+    }
+
+    // Examples added after the selected release are left out
+    isInCurrentVersion(example) {
+        const current = this.getCurrentVersion();
+        return !current || !example.since || compareVersions(example.since, current.version) <= 0;
+    }
+
+    // Badges for the release that added the example and the latest release up to the selected one
+    // that changed it; nothing is marked for the oldest documented release, where everything is new
+    getVersionBadges(example) {
+        const current = this.getCurrentVersion();
+        if (!current) return [];
+
+        const oldest = this.versions.getOldest().version;
+        const applies = version => compareVersions(version, oldest) > 0 && compareVersions(version, current.version) <= 0;
+        const badges = [];
+
+        if (example.since && applies(example.since)) {
+            badges.push({ type: 'new', label: `New in v${example.since}` });
+        }
+        const changed = (example.changed || []).filter(applies).sort(compareVersions).pop();
+        if (changed) {
+            badges.push({ type: 'changed', label: `Changed in v${changed}` });
+        }
+        return badges;
+    }
+
+    // Load another release's examples, keeping filters that still apply
+    async setVersion() {
+        await this.loadExamples();
+        this.updateUrl('push');
+    }
+
+    // Render examples matching the current filter and search query
+    renderExamples(filter = this.currentFilter) {
         const container = document.getElementById('examples-container');
         if (!container) {
             console.error('Examples container not found');
             return;
         }
 
-        const filteredExamples = this.filterExamples(filter);
-        container.innerHTML = '';
+        this.currentFilter = filter;
+        this.renderFilteredExamples(this.getVisibleExamples());
+    }
 
-        filteredExamples.forEach(example => {
-            const exampleElement = this.createExampleElement(example);
-            container.appendChild(exampleElement);
-        });
+    // Apply the filter and search query, ranking search results by relevance
+    getVisibleExamples() {
+        const filteredExamples = this.filterExamples(this.currentFilter);
+        const query = this.parseSearchQuery(this.searchQuery);
 
-        // Re-initialize syntax highlighting
-        if (typeof Prism !== 'undefined') {
-            Prism.highlightAll();
+        if (query.terms.length === 0 && query.excludes.length === 0) {
+            return filteredExamples;
         }
 
-        // Re-initialize copy buttons
-        this.initializeCopyButtons();
+        return filteredExamples
+            .map(example => ({ example, score: this.scoreExample(example, query) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(result => result.example);
     }
 
-    // Filter examples based on category or complexity
+    // Filter examples by category and the currently selected tags
     filterExamples(filter) {
-        if (filter === 'all') return this.examples;
-        
-        const basicExamples = [1, 2, 3, 4, 5, 6, 7]; // Basic CRUD and simple queries
-        const advancedExamples = [8, 9, 10, 11, 12, 13, 14, 15, 16]; // Advanced features
-        
-        if (filter === 'basic') {
-            return this.examples.filter(ex => basicExamples.includes(ex.id));
-        } else if (filter === 'advanced') {
-            return this.examples.filter(ex => advancedExamples.includes(ex.id));
+        return this.examples.filter(example => {
+            const inCategory = filter === 'all' || example.category === filter;
+            return inCategory && this.matchesSelectedTags(example);
+        });
+    }
+
+    // Check an example against selectedTags using the current AND/OR mode
+    matchesSelectedTags(example) {
+        if (this.selectedTags.length === 0) return true;
+
+        return this.tagMatchMode === 'all'
+            ? this.selectedTags.every(tag => example.tags.includes(tag))
+            : this.selectedTags.some(tag => example.tags.includes(tag));
+    }
+
+    // Collect distinct categories in the order they first appear
+    getCategories() {
+        return [...new Set(this.examples.map(example => example.category))];
+    }
+
+    // Collect distinct tags, sorted alphabetically
+    getTags() {
+        return [...new Set(this.examples.flatMap(example => example.tags))].sort();
+    }
+
+    // Build category and tag filter buttons from the loaded examples
+    // Categories form a tablist over the examples container, with a roving tabindex on the selected tab
+    renderFilterControls() {
+        const categoryContainer = document.getElementById('examples-category-filters');
+        if (categoryContainer) {
+            const categories = ['all', ...this.getCategories()];
+            categoryContainer.innerHTML = categories.map(category => {
+                const label = category === 'all' ? 'All Examples' : (CATEGORY_LABELS[category] || category);
+                const selected = category === this.currentFilter;
+                return `<button class="filter-btn${selected ? ' active' : ''}" type="button" role="tab" id="examples-tab-${escapeHtml(category)}" aria-selected="${selected}" aria-controls="examples-container" tabindex="${selected ? 0 : -1}" data-filter="${escapeHtml(category)}">${escapeHtml(label)}</button>`;
+            }).join('');
+
+            const container = document.getElementById('examples-container');
+            if (container) {
+                container.setAttribute('aria-labelledby', `examples-tab-${this.currentFilter}`);
+            }
+        }
+
+        const tagContainer = document.getElementById('examples-tag-filters');
+        if (tagContainer) {
+            const tagButtons = this.getTags().map(tag => {
+                const selected = this.selectedTags.includes(tag);
+                return `<button class="tag-btn${selected ? ' active' : ''}" type="button" aria-pressed="${selected}" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>`;
+            }).join('');
+            const modeLabel = this.tagMatchMode === 'all' ? 'Match all tags' : 'Match any tag';
+
+            tagContainer.innerHTML = `
+                <span class="tag-filters-label">Tags:</span>
+                ${tagButtons}
+                <button class="tag-mode-btn" type="button" data-tag-mode="${this.tagMatchMode}" title="Toggle between AND / OR tag matching">${modeLabel}</button>
+            `;
         }
-        
-        return this.examples;
     }
 
     // Create DOM element for a single example
@@ -174,175 +357,965 @@ class ExamplesManager {
         const div = document.createElement('div');
         div.className = 'example-item';
         div.id = `example-${example.id}`;
+
+        const dialect = this.getExampleDialect(example);
+        const availableDialects = this.getAvailableDialects(example);
+        const comparing = this.comparingExamples.has(example.id) && availableDialects.length > 1;
+        const copyMode = this.exampleCopyModes.get(example.id) || 'sql';
+        const formatted = this.formattedExamples.has(example.id);
+        const sql = this.getDisplayedSql(example, dialect);
+        const sqlRanges = this.getSqlAnatomyRanges(example, dialect);
+        const callRanges = example.anatomy ? findCallRanges(example.anatomy, example.csharpCode) : [];
         
         div.innerHTML = `
             <h3 class="example-title">
                 <span class="example-number">${example.id}</span>
-                ${example.title}
+                ${escapeHtml(example.title)}
+                ${this.getVersionBadges(example).map(badge =>
+                    `<span class="version-badge version-badge-${badge.type}">${badge.label}</span>`).join('')}
+                <a class="example-permalink" href="${this.buildUrl({ example: example.id })}" data-example-id="${example.id}" title="Link to this example" aria-label="Link to example ${example.id}">
+                    <i class="fas fa-link"></i>
+                </a>
             </h3>
             
             <div class="example-description">
-                ${example.description}
+                ${escapeHtml(example.description)}
             </div>
             
             <div class="example-container">
                 <div class="code-example">
                     <div class="code-header">
                         <span class="code-language">C# Code</span>
-                        <button class="copy-btn" data-clipboard-target="#example-${example.id}-code">
+                        <button class="copy-btn" type="button" data-clipboard-target="#example-${example.id}-code" title="Copy C# code" aria-label="Copy C# code for example ${example.id}">
                             <i class="fas fa-copy"></i>
                         </button>
                     </div>
                     <div class="code-editor">
-                        <pre class="line-numbers"><code id="example-${example.id}-code" class="language-csharp">${this.escapeHtml(example.csharpCode)}</code></pre>
+                        <pre class="line-numbers" tabindex="0"><code id="example-${example.id}-code" class="language-csharp"${this.getAnatomyAttribute(callRanges)}>${escapeHtml(example.csharpCode)}</code></pre>
                     </div>
                 </div>
                 
                 <div class="output-example">
                     <div class="output-header">
                         <span class="output-language">SQL Output</span>
-                        <button class="copy-btn" data-clipboard-target="#example-${example.id}-output">
-                            <i class="fas fa-copy"></i>
-                        </button>
+                        <div class="output-actions">
+                            ${this.createDialectSelect(example, dialect)}
+                            <button class="compare-btn${comparing ? ' active' : ''}" type="button" data-example-id="${example.id}" title="Compare dialects side by side" aria-label="Compare dialects for example ${example.id}" aria-pressed="${comparing}"${availableDialects.length < 2 ? ' disabled' : ''}>
+                                <i class="fas fa-columns"></i>
+                            </button>
+                            <button class="format-btn${formatted ? ' active' : ''}" type="button" data-example-id="${example.id}" title="${formatted ? 'Show raw output' : 'Format SQL'}" aria-label="Format SQL for example ${example.id}" aria-pressed="${formatted}">
+                                <i class="fas fa-align-left"></i>
+                            </button>
+                            <button class="run-btn" type="button" data-example-id="${example.id}" title="Run against SQLite sample data" aria-label="Run example ${example.id} against SQLite sample data">
+                                <i class="fas fa-play"></i>
+                            </button>
+                            <select class="example-copy-mode" data-example-id="${example.id}" aria-label="Copy format for example ${example.id}">
+                                ${Object.entries(COPY_MODES).map(([mode, label]) =>
+                                    `<option value="${mode}"${mode === copyMode ? ' selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                            <button class="copy-btn" type="button" data-example-id="${example.id}" title="Copy ${COPY_MODES[copyMode]}" aria-label="${this.getCopyButtonLabel(example.id, copyMode)}">
+                                <i class="fas fa-copy"></i>
+                            </button>
+                        </div>
                     </div>
+                    ${comparing ? this.createDialectComparison(example, dialect) : `
                     <div class="output-editor">
-                        <pre class="line-numbers"><code id="example-${example.id}-output" class="language-sql">${this.escapeHtml(example.sqlOutput)}</code></pre>
+                        <pre class="line-numbers" tabindex="0"><code id="example-${example.id}-output" class="language-sql" data-dialect="${dialect}"${this.getAnatomyAttribute(sqlRanges)}>${escapeHtml(sql)}</code></pre>
                     </div>
+                    ${this.createOutputNotes(example, dialect)}`}
+                    ${this.createParameterTable(example, dialect, getAnatomyParameters(sqlRanges, sql))}
                 </div>
             </div>
+            ${this.createSchemaPanel(example, dialect)}
         `;
-        
+
+        initializeLineNumbers(div);
+        this.createAnatomyAnchors(div, example);
         return div;
     }
 
-    // Initialize copy to clipboard functionality
-    initializeCopyButtons() {
-        const copyButtons = document.querySelectorAll('.copy-btn');
-        copyButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                const targetId = button.getAttribute('data-clipboard-target');
-                const targetElement = document.querySelector(targetId);
-                
-                if (targetElement) {
-                    const text = targetElement.textContent;
-                    this.copyToClipboard(text, button);
+    // Query anatomy ranges of a code block, wrapped in marks by decorateCode()
+    getAnatomyAttribute(ranges) {
+        return ranges.length > 0 ? ` data-anatomy-ranges="${JSON.stringify(ranges)}"` : '';
+    }
+
+    // Where each anatomy entry's SQL fragments are in the output as displayed for a dialect
+    getSqlAnatomyRanges(example, dialect) {
+        return example.anatomy ? findFragmentRanges(example.anatomy, this.getDisplayedSql(example, dialect), dialect) : [];
+    }
+
+    // Tag gutter line numbers with the anatomy entries on their line. The first line of each run becomes a
+    // focusable anchor, so the keyboard reaches every call in the C# pane and every fragment line in the SQL pane.
+    createAnatomyAnchors(root, example) {
+        root.querySelectorAll('code[data-anatomy-ranges]').forEach(code => {
+            const lines = getAnatomyLines(JSON.parse(code.getAttribute('data-anatomy-ranges')), code.textContent);
+            const dialect = code.getAttribute('data-dialect');
+            let previous = '';
+
+            code.parentElement.querySelectorAll('.line-numbers-rows .line-number').forEach(number => {
+                const line = Number(number.getAttribute('data-line'));
+                const indexes = (lines.get(line) || []).join(' ');
+                if (indexes && indexes !== previous) {
+                    number.setAttribute('role', 'button');
+                    number.setAttribute('tabindex', '0');
+                    number.setAttribute('aria-pressed', 'false');
+                    number.setAttribute('aria-label', dialect
+                        ? `Show the C# behind line ${line} of the ${DIALECT_LABELS[dialect]} output for example ${example.id}`
+                        : `Show the SQL produced by line ${line} of example ${example.id}`);
+                }
+                if (indexes) {
+                    number.setAttribute('data-anatomy-index', indexes);
                 }
+                previous = indexes;
             });
         });
     }
 
-    // Copy text to clipboard with visual feedback
-    async copyToClipboard(text, button) {
-        try {
-            await navigator.clipboard.writeText(text);
-            
-            // Visual feedback
-            const originalIcon = button.innerHTML;
-            button.innerHTML = '<i class="fas fa-check"></i>';
-            button.style.color = '#28a745';
-            
-            setTimeout(() => {
-                button.innerHTML = originalIcon;
-                button.style.color = '';
-            }, 2000);
-            
-        } catch (err) {
-            console.error('Failed to copy text: ', err);
-            
-            // Fallback for older browsers
-            const textArea = document.createElement('textarea');
-            textArea.value = text;
-            document.body.appendChild(textArea);
-            textArea.select();
-            
-            try {
-                document.execCommand('copy');
-                // Visual feedback for fallback
-                button.innerHTML = '<i class="fas fa-check"></i>';
-                button.style.color = '#28a745';
-                
-                setTimeout(() => {
-                    button.innerHTML = '<i class="fas fa-copy"></i>';
-                    button.style.color = '';
-                }, 2000);
-            } catch (fallbackErr) {
-                console.error('Fallback copy failed: ', fallbackErr);
+    // Collapsible panel with the entities the example uses: C# classes, table mapping and relationships
+    createSchemaPanel(example, dialect) {
+        if (!example.entities || example.entities.length === 0) return '';
+
+        return `
+            <details class="example-schema" data-example-id="${example.id}"${this.openSchemas.has(example.id) ? ' open' : ''}>
+                <summary class="example-schema-toggle">
+                    <i class="fas fa-sitemap"></i>
+                    <span>Schema</span>
+                    <span class="example-schema-entities">${example.entities.map(name => escapeHtml(name)).join(', ')}</span>
+                </summary>
+                <div class="example-schema-body">
+                    ${this.schema.render(example.entities, dialect, `example-${example.id}-entity`)}
+                </div>
+            </details>
+        `;
+    }
+
+    getCopyButtonLabel(id, copyMode) {
+        return `Copy ${COPY_MODES[copyMode]} for example ${id}`;
+    }
+
+    // Render an example's parameters as a table below its SQL output; rows list the anatomy entries using them
+    createParameterTable(example, dialect, anatomyParameters = new Map()) {
+        if (example.parameters.length === 0) return '';
+
+        const rows = example.parameters.map(parameter => `
+            <tr${anatomyParameters.has(parameter.name) ? ` data-anatomy-index="${anatomyParameters.get(parameter.name).join(' ')}"` : ''}>
+                <td><code>${escapeHtml(parameter.name)}</code></td>
+                <td><code>${escapeHtml(this.formatParameterValue(parameter))}</code></td>
+                <td>${escapeHtml(parameter.dotnetType)}</td>
+                <td>${escapeHtml(this.getParameterSqlType(parameter, dialect))}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="example-parameters">
+                <table class="parameters-table">
+                    <thead><tr><th>Parameter</th><th>Value</th><th>.NET Type</th><th>SQL Type</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Parameter value as shown in the table; DateTime values are stored as ISO 8601
+    formatParameterValue(parameter) {
+        if (parameter.value === null) return 'NULL';
+        if (typeof parameter.value === 'boolean') return parameter.value ? 'True' : 'False';
+        if (parameter.dotnetType === 'DateTime') return parameter.value.replace('T', ' ');
+        if (parameter.dotnetType === 'String') return `"${parameter.value}"`;
+        return String(parameter.value);
+    }
+
+    // Column type for a parameter in the given dialect
+    getParameterSqlType(parameter, dialect) {
+        const types = PARAMETER_SQL_TYPES[dialect];
+        return (types && types[parameter.dotnetType]) || parameter.sqlType;
+    }
+
+    // SQL literal for a parameter value in the given dialect
+    formatSqlLiteral(parameter, dialect) {
+        const value = parameter.value;
+        if (value === null) return 'NULL';
+        if (typeof value === 'boolean') {
+            if (dialect === 'SqlServer') return value ? '1' : '0';
+            return value ? 'TRUE' : 'FALSE';
+        }
+        if (typeof value === 'number') return String(value);
+
+        let text = parameter.dotnetType === 'DateTime' ? value.replace('T', ' ') : value;
+        if (dialect === 'MySql') {
+            text = text.replace(/\\/g, '\\\\');
+        }
+        text = `'${text.replace(/'/g, "''")}'`;
+        return dialect === 'SqlServer' && parameter.dotnetType === 'String' ? `N${text}` : text;
+    }
+
+    // Replace @name placeholders outside string literals and quoted identifiers
+    replaceParameters(sql, replacer) {
+        return sql.replace(/'(?:[^']|'')*'|\[[^\]\n]*\]|"[^"\n]*"|`[^`\n]*`|@\w+/g, (token) => {
+            return token.startsWith('@') ? replacer(token) : token;
+        });
+    }
+
+    // Text copied for an example's SQL output in the chosen copy mode
+    getCopyText(example, dialect, mode) {
+        const sql = this.getDisplayedSql(example, dialect);
+        const parameters = new Map(example.parameters.map(parameter => [parameter.name, parameter]));
+
+        if (mode === 'csharp') {
+            return toCSharpStringLiteral(sql);
+        }
+        if (mode === 'inline') {
+            return this.replaceParameters(sql, name =>
+                parameters.has(name) ? this.formatSqlLiteral(parameters.get(name), dialect) : name);
+        }
+        if (mode !== 'declare' || example.parameters.length === 0) {
+            return sql;
+        }
+
+        // PostgreSQL has no session variables for @name placeholders, so use a prepared statement
+        if (dialect === 'PostgreSql') {
+            const positions = new Map(example.parameters.map((parameter, index) => [parameter.name, `$${index + 1}`]));
+            const statement = `example_${example.id}`;
+            const types = example.parameters.map(parameter => this.getParameterSqlType(parameter, dialect));
+            const values = example.parameters.map(parameter => this.formatSqlLiteral(parameter, dialect));
+            return `PREPARE ${statement} (${types.join(', ')}) AS\n`
+                + `${this.replaceParameters(sql, name => positions.get(name) || name)};\n`
+                + `EXECUTE ${statement} (${values.join(', ')});`;
+        }
+
+        // MySQL user variables share the @name syntax and are untyped
+        const declarations = example.parameters.map(parameter => dialect === 'MySql'
+            ? `SET ${parameter.name} = ${this.formatSqlLiteral(parameter, dialect)};`
+            : `DECLARE ${parameter.name} ${this.getParameterSqlType(parameter, dialect)} = ${this.formatSqlLiteral(parameter, dialect)};`);
+        return `${declarations.join('\n')}\n\n${sql}`;
+    }
+
+    // Dialects an example has stored output for, in SUPPORTED_DIALECTS order
+    getAvailableDialects(example) {
+        return SUPPORTED_DIALECTS.filter(dialect =>
+            dialect === example.dialect || (example.dialectOutputs && example.dialectOutputs[dialect] !== undefined));
+    }
+
+    // Resolve the dialect to display: per-example choice, then the global one, then the example's own
+    getExampleDialect(example) {
+        const available = this.getAvailableDialects(example);
+        const preferred = this.exampleDialects.get(example.id) || this.currentDialect;
+        return available.includes(preferred) ? preferred : example.dialect;
+    }
+
+    // SQL output for a dialect, falling back to the output as written
+    getSqlOutput(example, dialect) {
+        if (dialect !== example.dialect && example.dialectOutputs && example.dialectOutputs[dialect] !== undefined) {
+            return example.dialectOutputs[dialect];
+        }
+        return example.sqlOutput;
+    }
+
+    // SQL output as displayed: re-indented by SqlFormatter when formatting is on for the example
+    getDisplayedSql(example, dialect) {
+        const sql = this.getSqlOutput(example, dialect);
+        return this.formattedExamples.has(example.id) ? new SqlFormatter({ dialect }).format(sql) : sql;
+    }
+
+    // Whether the output for a dialect has errors the library emits today, so it does not run there as shown
+    hasKnownIssues(example, dialect) {
+        return (example.knownIssues || []).some(issue => issue.dialect === dialect);
+    }
+
+    // Caveats about an output as shown for a dialect: its known issues, and whether it was written by hand
+    getOutputNotes(example, dialect) {
+        const notes = [];
+        const reasons = (example.knownIssues || []).filter(issue => issue.dialect === dialect).map(issue => issue.reason);
+        [...new Set(reasons)].forEach(reason => {
+            notes.push({
+                type: 'invalid',
+                icon: 'fa-exclamation-triangle',
+                text: `Not valid ${DIALECT_LABELS[dialect]}: ${reason}`
+            });
+        });
+        if (dialect !== example.dialect && (example.handWrittenOutputs || []).includes(dialect)) {
+            notes.push({
+                type: 'hand-written',
+                icon: 'fa-pen',
+                text: `Written by hand for ${DIALECT_LABELS[dialect]}, not generated by LambdifySQL; the library's output may differ.`
+            });
+        }
+        return notes;
+    }
+
+    createOutputNotes(example, dialect) {
+        const notes = this.getOutputNotes(example, dialect);
+        if (notes.length === 0) return '';
+
+        return `
+            <ul class="output-notes">
+                ${notes.map(note => `<li class="output-note output-note-${note.type}"><i class="fas ${note.icon}"></i> ${escapeHtml(note.text)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    // Build the per-example dialect <select>
+    createDialectSelect(example, selected) {
+        const available = this.getAvailableDialects(example);
+        const options = available.map(dialect =>
+            `<option value="${dialect}"${dialect === selected ? ' selected' : ''}>${DIALECT_LABELS[dialect]}${this.hasKnownIssues(example, dialect) ? ' (invalid)' : ''}</option>`).join('');
+
+        return `<select class="example-dialect-select" data-example-id="${example.id}" aria-label="SQL dialect for example ${example.id}"${available.length < 2 ? ' disabled' : ''}>${options}</select>`;
+    }
+
+    // Build side-by-side output panes with differences from the selected dialect marked
+    createDialectComparison(example, baseDialect) {
+        const baseSql = this.getDisplayedSql(example, baseDialect);
+        const panes = this.getAvailableDialects(example).map(dialect => {
+            const sql = this.getDisplayedSql(example, dialect);
+            const isBase = dialect === baseDialect;
+            const codeId = isBase ? `example-${example.id}-output` : `example-${example.id}-output-${dialect}`;
+            const ranges = isBase ? [] : this.computeDiffRanges(baseSql, sql);
+            const anatomyRanges = this.getSqlAnatomyRanges(example, dialect);
+
+            return `
+                <div class="dialect-pane${isBase ? ' dialect-pane-base' : ''}">
+                    <div class="dialect-pane-header">${DIALECT_LABELS[dialect]}${isBase ? ' <span class="dialect-base-badge">base</span>' : ''}${this.hasKnownIssues(example, dialect) ? ' <span class="dialect-invalid-badge">invalid</span>' : ''}</div>
+                    <div class="output-editor">
+                        <pre class="line-numbers" tabindex="0"><code id="${codeId}" class="language-sql" data-dialect="${dialect}" data-diff-ranges="${JSON.stringify(ranges)}"${this.getAnatomyAttribute(anatomyRanges)}>${escapeHtml(sql)}</code></pre>
+                    </div>
+                    ${this.createOutputNotes(example, dialect)}
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="dialect-compare">${panes}</div>`;
+    }
+
+    // Split SQL into quoted identifiers, parameters, words, whitespace and punctuation
+    tokenizeSql(sql) {
+        return sql.match(/\[[^\]\n]*\]|"[^"\n]*"|`[^`\n]*`|@\w+|\w+|\s+|[^\w\s]/g) || [];
+    }
+
+    // Character ranges in other that are not part of the longest common token subsequence with base
+    computeDiffRanges(base, other) {
+        const a = this.tokenizeSql(base);
+        const b = this.tokenizeSql(other);
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
             }
-            
-            document.body.removeChild(textArea);
         }
+
+        const ranges = [];
+        let i = 0;
+        let offset = 0;
+        for (let j = 0; j < b.length; j++) {
+            while (i < a.length && a[i] !== b[j] && lcs[i + 1][j] >= lcs[i][j + 1]) {
+                i++;
+            }
+
+            if (i < a.length && a[i] === b[j]) {
+                i++;
+            } else if (b[j].trim()) {
+                const last = ranges[ranges.length - 1];
+                if (last && last[1] === offset) {
+                    last[1] += b[j].length;
+                } else {
+                    ranges.push([offset, offset + b[j].length]);
+                }
+            }
+            offset += b[j].length;
+        }
+
+        return ranges;
+    }
+
+    // Populate the global dialect selector from the dialects the examples provide
+    renderDialectControls() {
+        const select = document.getElementById('examples-dialect');
+        if (!select) return;
+
+        const dialects = SUPPORTED_DIALECTS.filter(dialect =>
+            this.examples.some(example => this.getAvailableDialects(example).includes(dialect)));
+
+        select.innerHTML = [
+            `<option value="default">As written</option>`,
+            ...dialects.map(dialect => `<option value="${dialect}">${DIALECT_LABELS[dialect]}</option>`)
+        ].join('');
+        select.value = this.currentDialect;
+    }
+
+    // Initialize global and per-example dialect switching and the compare view
+    initializeDialects() {
+        const select = document.getElementById('examples-dialect');
+        if (select) {
+            select.addEventListener('change', () => {
+                this.currentDialect = select.value;
+                this.exampleDialects.clear();
+                this.renderExamples(this.currentFilter);
+                this.updateUrl('push');
+            });
+        }
+
+        const container = document.getElementById('examples-container');
+        if (!container) return;
+
+        container.addEventListener('change', (e) => {
+            const copyModeSelect = e.target.closest('.example-copy-mode');
+            if (copyModeSelect) {
+                const id = Number(copyModeSelect.getAttribute('data-example-id'));
+                this.exampleCopyModes.set(id, copyModeSelect.value);
+                const button = copyModeSelect.parentElement.querySelector('.copy-btn');
+                button.title = `Copy ${COPY_MODES[copyModeSelect.value]}`;
+                button.setAttribute('aria-label', this.getCopyButtonLabel(id, copyModeSelect.value));
+                return;
+            }
+
+            const exampleSelect = e.target.closest('.example-dialect-select');
+            if (!exampleSelect) return;
+
+            const id = Number(exampleSelect.getAttribute('data-example-id'));
+            this.exampleDialects.set(id, exampleSelect.value);
+            this.refreshExample(id);
+        });
+
+        container.addEventListener('click', (e) => {
+            const formatButton = e.target.closest('.format-btn');
+            if (formatButton) {
+                e.preventDefault();
+                const id = Number(formatButton.getAttribute('data-example-id'));
+                if (this.formattedExamples.has(id)) {
+                    this.formattedExamples.delete(id);
+                } else {
+                    this.formattedExamples.add(id);
+                }
+                this.refreshExample(id);
+                return;
+            }
+
+            const compareButton = e.target.closest('.compare-btn');
+            if (!compareButton) return;
+            e.preventDefault();
+
+            const id = Number(compareButton.getAttribute('data-example-id'));
+            if (this.comparingExamples.has(id)) {
+                this.comparingExamples.delete(id);
+            } else {
+                this.comparingExamples.add(id);
+            }
+            this.refreshExample(id);
+        });
+
+        // toggle does not bubble, so listen in the capture phase; re-rendered cards keep the panel open
+        container.addEventListener('toggle', (e) => {
+            if (!e.target.matches('.example-schema')) return;
+
+            const id = Number(e.target.getAttribute('data-example-id'));
+            if (e.target.open) {
+                this.openSchemas.add(id);
+            } else {
+                this.openSchemas.delete(id);
+            }
+        }, true);
+    }
+
+    // Link each card's C# calls, SQL fragments and parameters: hovering or focusing any of them highlights
+    // the rest of its anatomy entry. Activating a gutter anchor pins its entries until it is activated again.
+    initializeAnatomy() {
+        const container = document.getElementById('examples-container');
+        if (!container) return;
+
+        const activate = (e) => {
+            const target = e.target.closest('[data-anatomy-index]');
+            if (target) {
+                this.highlightAnatomy(target.closest('.example-item'), target.getAttribute('data-anatomy-index'));
+            }
+        };
+
+        // Moving between elements of the same card hands over to the next one's activate()
+        const deactivate = (e) => {
+            const card = e.target.closest('.example-item');
+            const next = e.relatedTarget instanceof Element ? e.relatedTarget.closest('[data-anatomy-index]') : null;
+            if (card && e.target.closest('[data-anatomy-index]') && !(next && card.contains(next))) {
+                this.highlightAnatomy(card, card.getAttribute('data-anatomy-pinned') || '');
+            }
+        };
+
+        container.addEventListener('mouseover', activate);
+        container.addEventListener('focusin', activate);
+        container.addEventListener('mouseout', deactivate);
+        container.addEventListener('focusout', deactivate);
+
+        container.addEventListener('click', (e) => {
+            const anchor = e.target.closest('.line-number[role="button"]');
+            if (anchor) {
+                this.toggleAnatomyPin(anchor);
+            }
+        });
+        container.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.matches('.line-number[role="button"]')) {
+                e.preventDefault();
+                this.toggleAnatomyPin(e.target);
+            }
+        });
+    }
+
+    // Mark everything in a card that belongs to the space-separated anatomy entry indexes
+    highlightAnatomy(card, indexes) {
+        card.querySelectorAll('.anatomy-active').forEach(element => element.classList.remove('anatomy-active'));
+        indexes.split(' ').filter(Boolean).forEach(index => {
+            card.querySelectorAll(`[data-anatomy-index~="${index}"]`).forEach(element => element.classList.add('anatomy-active'));
+        });
+    }
+
+    toggleAnatomyPin(anchor) {
+        const card = anchor.closest('.example-item');
+        const indexes = anchor.getAttribute('data-anatomy-index');
+        const pinned = card.getAttribute('data-anatomy-pinned') === indexes ? '' : indexes;
+
+        if (pinned) {
+            card.setAttribute('data-anatomy-pinned', pinned);
+        } else {
+            card.removeAttribute('data-anatomy-pinned');
+        }
+        card.querySelectorAll('.line-number[aria-pressed]').forEach(number => {
+            number.setAttribute('aria-pressed', String(pinned !== '' && number.getAttribute('data-anatomy-index') === pinned));
+        });
+        this.highlightAnatomy(card, indexes);
+    }
+
+    // Re-render a single example card in place
+    refreshExample(id) {
+        const example = this.examples.find(item => item.id === id);
+        const current = document.getElementById(`example-${id}`);
+        if (!example || !current) return;
+
+        // Re-rendering drops keyboard focus, so return it to the same control in the new card
+        const focused = current.contains(document.activeElement) ? document.activeElement : null;
+
+        const replacement = this.createExampleElement(example);
+        replacement.classList.toggle('focused', current.classList.contains('focused'));
+        this.highlighter.unobserve(current);
+        current.replaceWith(replacement);
+        this.cards.set(id, this.createCardEntry(example, replacement));
+        this.decorateExamples(replacement);
+        this.notifyRender();
+
+        if (focused && focused.classList.length > 0) {
+            const control = replacement.querySelector(`.${focused.classList[0]}`);
+            if (control) {
+                control.focus();
+            }
+        }
+    }
+
+    // Let the page's ClipboardManager copy SQL output in each example's chosen copy mode
+    registerCopySources(clipboard) {
+        clipboard.registerSource('.copy-btn[data-example-id]', (button) => {
+            const example = this.examples.find(item => item.id === Number(button.getAttribute('data-example-id')));
+            if (!example) return null;
+
+            const mode = this.exampleCopyModes.get(example.id) || 'sql';
+            return {
+                text: this.getCopyText(example, this.getExampleDialect(example), mode),
+                label: COPY_MODES[mode]
+            };
+        });
     }
 
     // Initialize filter functionality
     initializeFilters() {
-        const filterButtons = document.querySelectorAll('.filter-btn');
-        filterButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
+        const categoryContainer = document.getElementById('examples-category-filters');
+        if (categoryContainer) {
+            categoryContainer.addEventListener('click', (e) => {
+                const button = e.target.closest('.filter-btn');
+                if (!button) return;
                 e.preventDefault();
-                
-                // Update active filter button
-                filterButtons.forEach(btn => btn.classList.remove('active'));
-                button.classList.add('active');
-                
-                // Get filter value and render
-                const filter = button.getAttribute('data-filter');
-                this.currentFilter = filter;
-                this.renderExamples(filter);
+
+                this.selectCategory(button.getAttribute('data-filter'));
             });
-        });
+
+            // Arrow keys, Home and End move between category tabs and select them
+            categoryContainer.addEventListener('keydown', (e) => {
+                const tabs = [...categoryContainer.querySelectorAll('.filter-btn')];
+                const index = tabs.indexOf(e.target.closest('.filter-btn'));
+                if (index === -1) return;
+
+                const targets = {
+                    ArrowRight: (index + 1) % tabs.length,
+                    ArrowLeft: (index - 1 + tabs.length) % tabs.length,
+                    Home: 0,
+                    End: tabs.length - 1
+                };
+                if (!(e.key in targets)) return;
+                e.preventDefault();
+
+                this.selectCategory(tabs[targets[e.key]].getAttribute('data-filter'));
+            });
+        }
+
+        const tagContainer = document.getElementById('examples-tag-filters');
+        if (tagContainer) {
+            tagContainer.addEventListener('click', (e) => {
+                const tagButton = e.target.closest('.tag-btn');
+                const modeButton = e.target.closest('.tag-mode-btn');
+                if (!tagButton && !modeButton) return;
+                e.preventDefault();
+
+                if (tagButton) {
+                    const tag = tagButton.getAttribute('data-tag');
+                    this.selectedTags = this.selectedTags.includes(tag)
+                        ? this.selectedTags.filter(selected => selected !== tag)
+                        : [...this.selectedTags, tag];
+                } else {
+                    this.tagMatchMode = this.tagMatchMode === 'all' ? 'any' : 'all';
+                }
+
+                this.focusedExampleId = null;
+                this.renderFilterControls();
+                this.renderExamples(this.currentFilter);
+                this.updateUrl('push');
+
+                // Keep keyboard focus on the re-rendered button that was pressed
+                const replacement = tagButton
+                    ? [...tagContainer.querySelectorAll('.tag-btn')]
+                        .find(button => button.getAttribute('data-tag') === tagButton.getAttribute('data-tag'))
+                    : tagContainer.querySelector('.tag-mode-btn');
+                if (replacement) {
+                    replacement.focus();
+                }
+            });
+        }
+    }
+
+    // Show one category; re-rendering the tabs drops focus, so it moves to the new selection
+    selectCategory(category) {
+        const categoryContainer = document.getElementById('examples-category-filters');
+        const hadFocus = categoryContainer && categoryContainer.contains(document.activeElement);
+
+        this.currentFilter = category;
+        this.focusedExampleId = null;
+        this.renderFilterControls();
+        this.renderExamples(this.currentFilter);
+        this.updateUrl('push');
+
+        if (hadFocus) {
+            const selected = categoryContainer.querySelector('.filter-btn[aria-selected="true"]');
+            if (selected) {
+                selected.focus();
+            }
+        }
     }
 
     // Initialize search functionality
     initializeSearch() {
         const searchInput = document.getElementById('examples-search');
         if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
-                this.searchExamples(e.target.value);
+            let searchTimer = null;
+            searchInput.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => {
+                    this.focusedExampleId = null;
+                    this.searchExamples(searchInput.value);
+                    this.updateUrl('replace');
+                }, SEARCH_DEBOUNCE_MS);
             });
         }
     }
 
-    // Search through examples
+    // Search through examples within the current filter
     searchExamples(query) {
-        if (!query.trim()) {
-            this.renderExamples(this.currentFilter);
-            return;
+        this.searchQuery = query;
+        this.renderExamples(this.currentFilter);
+    }
+
+    // Split a query into terms, "quoted phrases" and -excluded terms
+    parseSearchQuery(query) {
+        const parsed = { terms: [], excludes: [] };
+        const tokenPattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+        let match;
+
+        while ((match = tokenPattern.exec(query)) !== null) {
+            const exclude = (match[1] || match[3]) === '-';
+            const term = (match[2] !== undefined ? match[2] : match[4]).trim().toLowerCase();
+            if (!term) continue;
+
+            (exclude ? parsed.excludes : parsed.terms).push(term);
+        }
+
+        return parsed;
+    }
+
+    // Score an example against a parsed query; 0 means it does not match
+    scoreExample(example, query) {
+        const fields = Object.keys(SEARCH_FIELD_WEIGHTS).map(field => ({
+            text: (field === 'tags' ? example.tags.join(' ') : example[field]).toLowerCase(),
+            weight: SEARCH_FIELD_WEIGHTS[field]
+        }));
+
+        const excluded = query.excludes.some(term => fields.some(field => field.text.includes(term)));
+        if (excluded) return 0;
+        if (query.terms.length === 0) return 1;
+
+        let score = 0;
+        for (const term of query.terms) {
+            const termScore = fields
+                .filter(field => field.text.includes(term))
+                .reduce((total, field) => total + field.weight, 0);
+
+            // Every term must match somewhere
+            if (termScore === 0) return 0;
+            score += termScore;
         }
 
-        const searchTerm = query.toLowerCase();
-        const filteredExamples = this.examples.filter(example => {
-            return example.title.toLowerCase().includes(searchTerm) ||
-                   example.description.toLowerCase().includes(searchTerm) ||
-                   example.csharpCode.toLowerCase().includes(searchTerm) ||
-                   example.sqlOutput.toLowerCase().includes(searchTerm);
+        return score;
+    }
+
+    // Register a Prism hook that re-applies search highlights after each code block is highlighted
+    initializeSearchHighlighting() {
+        if (typeof Prism === 'undefined') return;
+
+        Prism.hooks.add('complete', (env) => {
+            if (env.element && env.element.closest('#examples-container')) {
+                this.decorateCode(env.element);
+            }
         });
+    }
+
+    // Highlight search matches and queue syntax highlighting for a newly created card
+    decorateExamples(root) {
+        const terms = this.parseSearchQuery(this.searchQuery).terms;
+        root.querySelectorAll('.example-title, .example-description').forEach(element => {
+            this.highlightMatches(element, terms);
+        });
+
+        // Code blocks are decorated by the Prism hook once the highlighter reaches them
+        if (typeof Prism !== 'undefined') {
+            this.highlighter.observe(root);
+        } else {
+            root.querySelectorAll('pre code').forEach(element => this.decorateCode(element));
+        }
+    }
+
+    // Move search marks on a reused card to the current query's terms, leaving dialect diff marks alone.
+    // Code blocks the highlighter has not reached yet get their marks from the Prism hook later.
+    redecorateSearchMatches(root) {
+        const terms = this.parseSearchQuery(this.searchQuery).terms;
+        this.clearMarks(root, 'search-highlight');
+
+        root.querySelectorAll('.example-title, .example-description').forEach(element => {
+            this.highlightMatches(element, terms);
+        });
+        root.querySelectorAll('pre code').forEach(element => {
+            if (typeof Prism === 'undefined' || this.highlighter.isHighlighted(element)) {
+                this.highlightMatches(element, terms);
+            }
+        });
+    }
+
+    // Unwrap <mark> elements of a class, merging their text back into the surrounding nodes
+    clearMarks(root, className) {
+        root.querySelectorAll(`mark.${className}`).forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+    }
+
+    // Apply query anatomy marks, dialect diff marks and search highlights to a code block
+    decorateCode(element) {
+        const anatomyRanges = element.getAttribute('data-anatomy-ranges');
+        if (anatomyRanges) {
+            this.wrapRanges(element, JSON.parse(anatomyRanges), 'anatomy-span', 'data-anatomy-index');
+        }
+        const diffRanges = element.getAttribute('data-diff-ranges');
+        if (diffRanges) {
+            this.wrapRanges(element, JSON.parse(diffRanges), 'dialect-diff');
+        }
+        this.highlightMatches(element, this.parseSearchQuery(this.searchQuery).terms);
+    }
+
+    // Wrap occurrences of terms inside an element in <mark>
+    highlightMatches(element, terms) {
+        if (!element || terms.length === 0) return;
+
+        const pattern = new RegExp(terms.map(term => this.escapeRegExp(term)).join('|'), 'gi');
+        const text = element.textContent;
+        const ranges = [];
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            ranges.push([match.index, match.index + match[0].length]);
+        }
 
-        this.renderFilteredExamples(filteredExamples);
+        this.wrapRanges(element, ranges, 'search-highlight');
     }
 
-    // Render specific set of examples
+    // Wrap character ranges of an element's text in <mark>, including ranges spanning Prism tokens.
+    // With an attribute, each range's third value is set on its marks.
+    wrapRanges(element, ranges, className, attribute = null) {
+        if (ranges.length === 0) return;
+
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        let length = 0;
+
+        while (walker.nextNode()) {
+            textNodes.push({ node: walker.currentNode, start: length });
+            length += walker.currentNode.nodeValue.length;
+        }
+
+        // Work backwards so splitting a node never shifts offsets still to be processed
+        for (let i = textNodes.length - 1; i >= 0; i--) {
+            const { node, start } = textNodes[i];
+            const end = start + node.nodeValue.length;
+
+            for (let j = ranges.length - 1; j >= 0; j--) {
+                const [rangeStart, rangeEnd, value] = ranges[j];
+                if (rangeEnd <= start || rangeStart >= end) continue;
+
+                const localStart = Math.max(rangeStart, start) - start;
+                const localEnd = Math.min(rangeEnd, end) - start;
+                const matched = node.splitText(localStart);
+                matched.splitText(localEnd - localStart);
+
+                const mark = document.createElement('mark');
+                mark.className = className;
+                if (attribute) {
+                    mark.setAttribute(attribute, value);
+                }
+                matched.parentNode.replaceChild(mark, matched);
+                mark.appendChild(matched);
+            }
+        }
+    }
+
+    // Render specific set of examples, starting with the first batch
     renderFilteredExamples(examples) {
         const container = document.getElementById('examples-container');
         if (!container) return;
 
-        container.innerHTML = '';
+        this.visibleExamples = examples;
 
         if (examples.length === 0) {
-            container.innerHTML = '<div class="no-results">No examples found matching your search.</div>';
+            this.renderedCount = 0;
+            this.updateBatchSentinel(container);
+            container.innerHTML = '<div class="no-results">No examples found matching your search and filters.</div>';
+            this.notifyRender();
             return;
         }
 
-        examples.forEach(example => {
-            const exampleElement = this.createExampleElement(example);
-            container.appendChild(exampleElement);
+        this.renderCards(container, RENDER_BATCH_SIZE);
+    }
+
+    // Show the first count visible examples, reusing cached cards and moving them instead of rebuilding
+    renderCards(container, count) {
+        this.renderedCount = Math.min(count, this.visibleExamples.length);
+        const elements = this.visibleExamples.slice(0, this.renderedCount).map(example => {
+            const element = this.getCard(example);
+            element.classList.toggle('focused', example.id === this.focusedExampleId);
+            return element;
         });
 
-        // Re-initialize syntax highlighting and copy buttons
-        if (typeof Prism !== 'undefined') {
-            Prism.highlightAll();
+        elements.forEach((element, index) => {
+            const current = container.children[index];
+            if (current !== element) {
+                container.insertBefore(element, current || null);
+            }
+        });
+        // Whatever follows is a stale card, a placeholder message or the old sentinel
+        while (container.children.length > elements.length) {
+            container.lastElementChild.remove();
+        }
+
+        this.updateBatchSentinel(container);
+        this.notifyRender();
+    }
+
+    // Render cards up to and including an example, e.g. before scrolling to it
+    renderThrough(id) {
+        const index = this.visibleExamples.findIndex(example => example.id === id);
+        const container = document.getElementById('examples-container');
+        if (index >= this.renderedCount && container) {
+            this.renderCards(container, index + 1);
+        }
+    }
+
+    // Append the next batch once a sentinel after the last card nears the viewport
+    updateBatchSentinel(container) {
+        if (!this.batchObserver) {
+            this.batchObserver = new IntersectionObserver((records) => {
+                if (records.some(record => record.isIntersecting)) {
+                    this.renderCards(container, this.renderedCount + RENDER_BATCH_SIZE);
+                }
+            }, { rootMargin: '600px 0px' });
+            this.batchSentinel = document.createElement('div');
+            this.batchSentinel.className = 'examples-sentinel';
+            this.batchSentinel.setAttribute('aria-hidden', 'true');
+        }
+
+        this.batchObserver.disconnect();
+        if (this.renderedCount < this.visibleExamples.length) {
+            container.appendChild(this.batchSentinel);
+            this.batchObserver.observe(this.batchSentinel);
+        } else {
+            this.batchSentinel.remove();
+        }
+    }
+
+    // Reuse the cached card when its markup would not change; otherwise build and cache a new one
+    getCard(example) {
+        const cached = this.cards.get(example.id);
+        const key = this.getCardKey(example);
+
+        if (cached && cached.example === example && cached.key === key) {
+            if (cached.terms !== this.searchQuery) {
+                this.redecorateSearchMatches(cached.element);
+                cached.terms = this.searchQuery;
+            }
+            // Permalinks carry the current filters, which change without invalidating the card
+            cached.element.querySelector('.example-permalink').href = this.buildUrl({ example: example.id });
+            return cached.element;
+        }
+
+        const element = this.createExampleElement(example);
+        this.cards.set(example.id, this.createCardEntry(example, element));
+        this.decorateExamples(element);
+        return element;
+    }
+
+    createCardEntry(example, element) {
+        return { example, key: this.getCardKey(example), terms: this.searchQuery, element };
+    }
+
+    // State a card's markup is built from, besides the example itself and the search marks.
+    // The copy mode is left out because its select updates the live card directly.
+    getCardKey(example) {
+        return JSON.stringify([
+            this.getExampleDialect(example),
+            this.comparingExamples.has(example.id),
+            this.formattedExamples.has(example.id)
+        ]);
+    }
+
+    // Register a callback run after example cards are rendered or replaced
+    onRender(listener) {
+        this.renderListeners.push(listener);
+    }
+
+    notifyRender() {
+        this.renderListeners.forEach(listener => listener());
+    }
+
+    // Show loading message while examples are fetched
+    showLoading() {
+        const container = document.getElementById('examples-container');
+        if (container) {
+            container.innerHTML = `
+                <div class="loading-message">
+                    <i class="fas fa-spinner fa-spin"></i>
+                    <span>Loading examples...</span>
+                </div>
+            `;
         }
-        this.initializeCopyButtons();
     }
 
     // Show error message
@@ -353,47 +1326,176 @@ class ExamplesManager {
         }
     }
 
-    // Escape HTML characters
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // Escape characters that have special meaning in regular expressions
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
 
+
     // Initialize all functionality
     async init() {
+        this.initializeSearchHighlighting();
         await this.loadExamples();
         this.initializeFilters();
         this.initializeSearch();
+        this.initializeDialects();
+        this.initializeAnatomy();
+        this.initializeUrlState();
         
         // Add smooth scrolling to example links
         this.initializeSmoothScrolling();
+
+        // Print every matching example, not just the batches scrolled into view so far
+        window.addEventListener('beforeprint', () => {
+            const container = document.getElementById('examples-container');
+            if (container && this.renderedCount < this.visibleExamples.length) {
+                this.renderCards(container, this.visibleExamples.length);
+            }
+        });
+    }
+
+    // Read filter, tags, search query and focused example from the URL; VersionManager reads the version
+    getUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const hashMatch = window.location.hash.match(/^#example-(\d+)$/);
+        const exampleParam = params.get('example') || (hashMatch ? hashMatch[1] : null);
+        const tags = params.get('tags');
+
+        return {
+            filter: params.get('filter') || 'all',
+            tags: tags ? tags.split(',').filter(Boolean) : [],
+            match: params.get('match') === 'all' ? 'all' : 'any',
+            query: params.get('q') || '',
+            dialect: params.get('dialect') || 'default',
+            example: exampleParam ? Number(exampleParam) : null
+        };
     }
 
-    // Initialize smooth scrolling for example navigation
+    // Build a URL for the current state, with optional overrides
+    buildUrl(overrides = {}) {
+        const state = {
+            filter: this.currentFilter,
+            tags: this.selectedTags,
+            match: this.tagMatchMode,
+            query: this.searchQuery,
+            dialect: this.currentDialect,
+            example: this.focusedExampleId,
+            version: this.versions && !this.versions.isLatest() ? this.getCurrentVersion().version : null,
+            ...overrides
+        };
+
+        // Only non-default values are written so plain links stay short
+        const params = new URLSearchParams();
+        if (state.filter !== 'all') params.set('filter', state.filter);
+        if (state.tags.length > 0) params.set('tags', state.tags.join(','));
+        if (state.tags.length > 1 && state.match === 'all') params.set('match', 'all');
+        if (state.query.trim()) params.set('q', state.query.trim());
+        if (state.dialect !== 'default') params.set('dialect', state.dialect);
+        if (state.example !== null) params.set('example', state.example);
+        if (state.version) params.set('version', state.version);
+
+        const search = params.toString().replace(/%2C/g, ',');
+        const hash = /^#example-/.test(window.location.hash) ? '' : window.location.hash;
+        return `${window.location.pathname}${search ? `?${search}` : ''}${hash}`;
+    }
+
+    // Write the current state to the URL; 'push' adds a history entry, 'replace' does not
+    updateUrl(mode = 'push') {
+        const url = this.buildUrl();
+        const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+        if (url === current) return;
+
+        if (mode === 'replace') {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    // Apply the state encoded in the URL and re-render
+    restoreUrlState() {
+        const state = this.getUrlState();
+        const categories = this.getCategories();
+        const tags = this.getTags();
+
+        this.currentFilter = state.filter === 'all' || categories.includes(state.filter) ? state.filter : 'all';
+        this.selectedTags = state.tags.filter(tag => tags.includes(tag));
+        this.tagMatchMode = state.match;
+        this.searchQuery = state.query;
+        this.focusedExampleId = null;
+        this.currentDialect = SUPPORTED_DIALECTS.includes(state.dialect) ? state.dialect : 'default';
+        this.exampleDialects.clear();
+
+        const dialectSelect = document.getElementById('examples-dialect');
+        if (dialectSelect) {
+            dialectSelect.value = this.currentDialect;
+        }
+
+        const searchInput = document.getElementById('examples-search');
+        if (searchInput) {
+            searchInput.value = state.query;
+        }
+
+        this.renderFilterControls();
+        this.renderExamples(this.currentFilter);
+
+        if (state.example !== null) {
+            this.focusExample(state.example, { updateHistory: false });
+        }
+    }
+
+    // Restore state when navigating back and forward
+    initializeUrlState() {
+        window.addEventListener('popstate', () => {
+            if (this.examples.length > 0) {
+                this.restoreUrlState();
+            }
+        });
+    }
+
+    // Scroll to an example, clearing filters first if they currently hide it
+    focusExample(id, { updateHistory = true } = {}) {
+        if (!this.examples.some(example => example.id === id)) return;
+
+        if (!this.getVisibleExamples().some(example => example.id === id)) {
+            this.currentFilter = 'all';
+            this.selectedTags = [];
+            this.searchQuery = '';
+
+            const searchInput = document.getElementById('examples-search');
+            if (searchInput) {
+                searchInput.value = '';
+            }
+
+            this.renderFilterControls();
+            this.renderExamples(this.currentFilter);
+        }
+
+        this.focusedExampleId = id;
+        if (updateHistory) {
+            this.updateUrl('push');
+        }
+
+        this.renderThrough(id);
+        const targetElement = document.getElementById(`example-${id}`);
+        if (targetElement) {
+            document.querySelectorAll('.example-item.focused').forEach(item => item.classList.remove('focused'));
+            targetElement.classList.add('focused');
+            scrollToElement(targetElement);
+        }
+    }
+
+    // Initialize smooth scrolling for example links and permalinks, including generated ones
     initializeSmoothScrolling() {
-        document.querySelectorAll('a[href^="#example-"]').forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const targetId = link.getAttribute('href').substring(1);
-                const targetElement = document.getElementById(targetId);
-                
-                if (targetElement) {
-                    targetElement.scrollIntoView({
-                        behavior: 'smooth',
-                        block: 'start'
-                    });
-                }
-            });
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#example-"], a.example-permalink');
+            if (!link) return;
+            e.preventDefault();
+
+            const id = link.hasAttribute('data-example-id')
+                ? Number(link.getAttribute('data-example-id'))
+                : Number(link.getAttribute('href').replace('#example-', ''));
+            this.focusExample(id);
         });
     }
 }
-
-// Initialize examples manager when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    const examplesManager = new ExamplesManager();
-    examplesManager.init();
-    
-    // Make it globally available for debugging
-    window.examplesManager = examplesManager;
-});
@@ -0,0 +1,60 @@
+// Lazy Highlighter - Runs Prism on code blocks only as they come near the viewport
+// Prism is loaded with data-manual, so it highlights nothing on its own; every block goes through here.
+
+// Same blocks Prism.highlightAll() would pick up
+const CODE_SELECTOR = 'code[class*="language-"], [class*="language-"] code';
+
+// Start highlighting a little before a block scrolls into view
+const LOOKAHEAD_MARGIN = '400px 0px';
+
+export class LazyHighlighter {
+    constructor() {
+        this.highlighted = new WeakSet();
+        this.observer = null;
+    }
+
+    init() {
+        this.observer = new IntersectionObserver((records) => {
+            records.forEach(record => {
+                if (record.isIntersecting) {
+                    this.highlight(record.target);
+                }
+            });
+        }, { rootMargin: LOOKAHEAD_MARGIN });
+    }
+
+    // Watch every not yet highlighted code block under root
+    observe(root) {
+        root.querySelectorAll(CODE_SELECTOR).forEach(element => {
+            if (this.highlighted.has(element)) return;
+
+            if (this.observer) {
+                this.observer.observe(element);
+            } else {
+                this.highlight(element);
+            }
+        });
+    }
+
+    // Stop watching blocks under root, e.g. a card about to be replaced
+    unobserve(root) {
+        if (!this.observer) return;
+        root.querySelectorAll(CODE_SELECTOR).forEach(element => this.observer.unobserve(element));
+    }
+
+    highlight(element) {
+        if (this.highlighted.has(element)) return;
+
+        this.highlighted.add(element);
+        if (this.observer) {
+            this.observer.unobserve(element);
+        }
+        if (typeof Prism !== 'undefined') {
+            Prism.highlightElement(element);
+        }
+    }
+
+    isHighlighted(element) {
+        return this.highlighted.has(element);
+    }
+}
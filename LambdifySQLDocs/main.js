@@ -0,0 +1,104 @@
+// Entry point - wires up the page once the DOM is ready
+// The other modules only declare classes and functions, so they can be imported without touching the page
+import { initializeSite } from './script.js';
+import { ClipboardManager } from './clipboard.js';
+import { ExamplesManager } from './examples.js';
+import { QueryPlayground } from './playground.js';
+import { SiteSearch } from './site-search.js';
+import { ApiReference } from './api-reference.js';
+import { VersionManager } from './versions.js';
+import { ThemeManager } from './theme.js';
+import { TableOfContents } from './table-of-contents.js';
+import { LazyHighlighter } from './highlighter.js';
+import { OfflineSupport } from './offline.js';
+import { ExampleExporter } from './example-export.js';
+import { SqlSandbox } from './sql-sandbox.js';
+
+function initializePage() {
+    const theme = new ThemeManager();
+    theme.init();
+
+    initializeSite();
+
+    // Cache the docs for offline use and flag when the page is running from that cache
+    const offline = new OfflineSupport(document.querySelector('.offline-indicator'));
+    offline.init();
+
+    const clipboard = new ClipboardManager();
+    clipboard.init();
+
+    // Prism runs in manual mode; code is highlighted as it nears the viewport, static blocks included
+    const highlighter = new LazyHighlighter();
+    highlighter.init();
+    highlighter.observe(document.body);
+
+    // Examples and the API reference load the release the version selector picks from the URL
+    const versions = new VersionManager();
+    const examplesManager = new ExamplesManager(versions, highlighter);
+    examplesManager.registerCopySources(clipboard);
+    const examplesReady = versions.init().then(() => examplesManager.init());
+
+    // Runs example output against sample tables in an in-browser SQLite
+    const sandbox = new SqlSandbox(examplesManager);
+    sandbox.init();
+
+    // Exports the examples the filters show as a project, SQL scripts, Markdown or a print view
+    const exporter = new ExampleExporter(examplesManager, versions);
+    exporter.init();
+
+    const siteSearch = new SiteSearch(examplesManager);
+    siteSearch.init();
+
+    // The outline lists example cards and API namespaces, so it is rebuilt whenever they render
+    const tocRoot = document.getElementById('sidebar-toc');
+    const toc = tocRoot ? new TableOfContents(tocRoot) : null;
+    const refreshToc = () => {
+        if (toc) {
+            toc.refresh();
+        }
+    };
+    if (toc) {
+        toc.init();
+        examplesManager.onRender(refreshToc);
+    }
+
+    // The reference links members to examples, so it renders once they have loaded
+    const apiRoot = document.getElementById('api-reference-generated');
+    const apiReference = apiRoot ? new ApiReference(apiRoot, examplesManager, versions) : null;
+    if (apiReference) {
+        examplesReady.then(() => apiReference.init()).then(refreshToc);
+    }
+
+    versions.onChange(async () => {
+        await examplesManager.setVersion();
+        if (apiReference) {
+            await apiReference.setVersion();
+            refreshToc();
+        }
+    });
+
+    const playgroundRoot = document.getElementById('playground');
+    const playground = playgroundRoot ? new QueryPlayground(playgroundRoot) : null;
+    if (playground) {
+        playground.init();
+    }
+
+    // Make them globally available for debugging
+    window.themeManager = theme;
+    window.offlineSupport = offline;
+    window.clipboardManager = clipboard;
+    window.versionManager = versions;
+    window.examplesManager = examplesManager;
+    window.exampleExporter = exporter;
+    window.sqlSandbox = sandbox;
+    window.queryPlayground = playground;
+    window.siteSearch = siteSearch;
+    window.tableOfContents = toc;
+    window.apiReference = apiReference;
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializePage);
+} else {
+    initializePage();
+}
@@ -0,0 +1,47 @@
+// Offline Support - Registers the service worker (sw.js) and shows when the docs are served from its cache
+// navigator.onLine only knows about the local link, so the worker also reports whether its background
+// refreshes reach the server; on an isolated network that is what tells the page it is offline.
+
+const SERVICE_WORKER_URL = 'sw.js';
+
+export class OfflineSupport {
+    constructor(indicator) {
+        this.indicator = indicator;
+        this.online = navigator.onLine !== false;
+    }
+
+    init() {
+        window.addEventListener('online', () => this.setOnline(true));
+        window.addEventListener('offline', () => this.setOnline(false));
+        this.render();
+
+        // Service workers need http(s); opening index.html from disk keeps the plain page
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'connectivity') {
+                this.setOnline(event.data.online);
+            }
+        });
+        navigator.serviceWorker.startMessages();
+
+        navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+            console.warn('Offline support is unavailable:', error);
+        });
+    }
+
+    setOnline(online) {
+        if (online === this.online) return;
+
+        this.online = online;
+        this.render();
+    }
+
+    render() {
+        if (!this.indicator) return;
+
+        // The element stays in place as a live region; it is hidden by CSS while empty
+        this.indicator.innerHTML = this.online ? '' : '<i class="fas fa-cloud"></i> Offline, cached docs';
+        this.indicator.title = this.online ? '' : 'The server cannot be reached. Showing the docs saved for offline use.';
+    }
+}
@@ -0,0 +1,1186 @@
+// Query Playground - Translates a subset of the LambdifySQL fluent API to SQL in the browser
+import { escapeHtml } from './script.js';
+
+// Mirrors SqlDialectConfig.SqlServer / MySql / PostgreSql in LambdifySQL/Core/SqlTypes.cs
+const PLAYGROUND_DIALECTS = {
+    SqlServer: { parameterPrefix: '@', quote: '[', quoteEnd: ']', useLimit: false, useTop: true },
+    MySql: { parameterPrefix: '@', quote: '`', quoteEnd: '`', useLimit: true, useTop: false },
+    PostgreSql: { parameterPrefix: '@', quote: '"', quoteEnd: '"', useLimit: true, useTop: false }
+};
+
+// Methods each builder interface declares, and the interface they return (see Core/IQueryBuilder.cs)
+const SELECT_BUILDER_METHODS = {
+    Where: 'select',
+    OrWhere: 'select',
+    OrderBy: 'select',
+    OrderByDescending: 'select',
+    ThenBy: 'select',
+    ThenByDescending: 'select',
+    Top: 'select',
+    Take: 'select'
+};
+
+const JOIN_BUILDER_METHODS = {
+    ...SELECT_BUILDER_METHODS,
+    OrWhere: 'join',
+    InnerJoin: 'join',
+    LeftJoin: 'join',
+    RightJoin: 'join',
+    FullOuterJoin: 'join'
+};
+
+const JOIN_KEYWORDS = {
+    InnerJoin: 'INNER JOIN',
+    LeftJoin: 'LEFT JOIN',
+    RightJoin: 'RIGHT JOIN',
+    FullOuterJoin: 'FULL OUTER JOIN'
+};
+
+// C# binary operators and their SQL equivalents (ExpressionToSqlConverter.GetSqlOperator)
+const SQL_OPERATORS = {
+    '==': '=',
+    '!=': '<>',
+    '>': '>',
+    '>=': '>=',
+    '<': '<',
+    '<=': '<=',
+    '&&': 'AND',
+    '||': 'OR',
+    '+': '+',
+    '-': '-',
+    '*': '*',
+    '/': '/',
+    '%': '%'
+};
+
+// Binary operators whose result is bool
+const BOOLEAN_OPERATORS = ['==', '!=', '>', '>=', '<', '<=', '&&', '||'];
+
+// String and collection methods the library translates to a condition (LIKE or IN)
+const BOOLEAN_METHODS = ['Contains', 'StartsWith', 'EndsWith'];
+
+// C# keywords and their .NET type names, used for parameter types
+const CLR_TYPE_NAMES = {
+    bool: 'Boolean',
+    byte: 'Byte',
+    short: 'Int16',
+    int: 'Int32',
+    long: 'Int64',
+    float: 'Single',
+    double: 'Double',
+    decimal: 'Decimal',
+    string: 'String',
+    DateTime: 'DateTime'
+};
+
+// Binary operator precedence, lowest first
+const OPERATOR_PRECEDENCE = [['||'], ['&&'], ['==', '!='], ['<', '>', '<=', '>='], ['+', '-'], ['*', '/', '%']];
+
+const DEFAULT_PLAYGROUND_ENTITIES = `[TableName(tableName: "Product", alias: "p")]
+public class Product
+{
+    public int Id { get; set; }
+    public string Name { get; set; }
+    public int Qty { get; set; }
+    public decimal Price { get; set; }
+    public int CategoryId { get; set; }
+    public DateTime CreatedAt { get; set; }
+    public bool IsActive { get; set; }
+}
+
+[TableName(tableName: "Category", alias: "c")]
+public class Category
+{
+    public int Id { get; set; }
+    public string Name { get; set; }
+    public bool IsActive { get; set; }
+}`;
+
+const DEFAULT_PLAYGROUND_QUERY = `var categoryIds = new List<int> { 1, 2, 3 };
+
+var query = SqlQuery.SelectWithJoins<Product>()
+    .InnerJoin<Category>((p, c) => p.CategoryId == c.Id)
+    .Where<Product>(p => p.Price > 100 && categoryIds.Contains(p.CategoryId))
+    .OrWhere(p => p.Name.StartsWith("Lap"))
+    .OrderBy(p => p.Name)
+    .Take(10);`;
+
+// Error raised for code the playground cannot translate, carrying the source position
+export class TranslationError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.name = 'TranslationError';
+        this.line = token ? token.line : null;
+        this.column = token ? token.column : null;
+    }
+}
+
+// Splits C# source into tokens with line/column positions
+export function tokenizeCSharp(source) {
+    const patterns = [
+        ['whitespace', /\s+/y],
+        ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//y],
+        ['string', /@"(?:[^"]|"")*"|"(?:[^"\\\n]|\\.)*"/y],
+        ['number', /\d+(?:\.\d+)?[mMdDfFlL]?/y],
+        ['identifier', /[A-Za-z_]\w*/y],
+        ['punctuation', /=>|==|!=|>=|<=|&&|\|\||[-+*/%<>!=.,;:(){}[\]?]/y]
+    ];
+    const tokens = [];
+    let offset = 0;
+    let line = 1;
+    let column = 1;
+
+    while (offset < source.length) {
+        let matched = null;
+        for (const [type, pattern] of patterns) {
+            pattern.lastIndex = offset;
+            const match = pattern.exec(source);
+            if (match) {
+                matched = { type, value: match[0] };
+                break;
+            }
+        }
+
+        if (!matched) {
+            throw new TranslationError(`Unexpected character '${source[offset]}'`, { line, column });
+        }
+
+        if (matched.type !== 'whitespace' && matched.type !== 'comment') {
+            tokens.push({ ...matched, line, column, offset });
+        }
+
+        for (const char of matched.value) {
+            if (char === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+        }
+        offset += matched.value.length;
+    }
+
+    tokens.push({ type: 'eof', value: '', line, column, offset });
+    return tokens;
+}
+
+// Index of the brace closing the block that starts at offset
+function findClosingBrace(source, offset) {
+    let depth = 1;
+    for (let index = offset; index < source.length; index++) {
+        if (source[index] === '{') depth++;
+        if (source[index] === '}' && --depth === 0) return index;
+    }
+    return source.length;
+}
+
+// Parses entity classes: [TableName(...)] attributes and auto-properties
+export function parseEntityDefinitions(source) {
+    const entities = new Map();
+    const classPattern = /((?:\[[^\]]*\]\s*)*)public\s+class\s+(\w+)[^{]*\{/g;
+    let match;
+
+    while ((match = classPattern.exec(source)) !== null) {
+        const [, attributes, name] = match;
+        const body = source.slice(classPattern.lastIndex, findClosingBrace(source, classPattern.lastIndex));
+        const tableMatch = attributes.match(/\[TableName\(\s*(?:tableName\s*:\s*)?"(\w+)"/);
+        const properties = new Map();
+        const propertyPattern = /public\s+([\w<>?,\s]+?)\s+(\w+)\s*\{\s*get;\s*set;\s*\}/g;
+        let property;
+
+        while ((property = propertyPattern.exec(body)) !== null) {
+            properties.set(property[2], property[1].replace(/\s+/g, ''));
+        }
+
+        entities.set(name, {
+            name,
+            tableName: tableMatch ? tableMatch[1] : name,
+            hasTableName: Boolean(tableMatch),
+            properties
+        });
+    }
+
+    return entities;
+}
+
+// Recursive-descent parser for the C# expression subset used by the fluent API
+export class CSharpSubsetParser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.position++;
+        return token;
+    }
+
+    check(value) {
+        const token = this.peek();
+        return token.type !== 'string' && token.value === value;
+    }
+
+    accept(value) {
+        if (this.check(value)) {
+            return this.next();
+        }
+        return null;
+    }
+
+    expect(value) {
+        const token = this.peek();
+        if (!this.check(value)) {
+            throw new TranslationError(`Expected '${value}' but found ${token.type === 'eof' ? 'end of input' : `'${token.value}'`}`, token);
+        }
+        return this.next();
+    }
+
+    expectIdentifier() {
+        const token = this.peek();
+        if (token.type !== 'identifier') {
+            throw new TranslationError(`Expected an identifier but found ${token.type === 'eof' ? 'end of input' : `'${token.value}'`}`, token);
+        }
+        return this.next();
+    }
+
+    // statements: (var name = expression;)*
+    parseProgram() {
+        const statements = [];
+        while (this.peek().type !== 'eof') {
+            const start = this.peek();
+            let name = null;
+
+            if (this.check('var') && this.peek(1).type === 'identifier' && this.peek(2).value === '=') {
+                this.next();
+                name = this.next().value;
+                this.expect('=');
+            }
+
+            const expression = this.parseExpression();
+            if (this.peek().type !== 'eof') {
+                this.expect(';');
+            } else {
+                this.accept(';');
+            }
+            statements.push({ name, expression, token: start });
+        }
+        return statements;
+    }
+
+    parseExpression() {
+        if (this.isLambdaStart()) {
+            return this.parseLambda();
+        }
+        return this.parseBinary(0);
+    }
+
+    isLambdaStart() {
+        if (this.peek().type === 'identifier' && this.peek(1).value === '=>') {
+            return true;
+        }
+        if (!this.check('(')) {
+            return false;
+        }
+
+        let offset = 1;
+        while (this.peek(offset).type === 'identifier' || this.peek(offset).value === ',') {
+            offset++;
+        }
+        return this.peek(offset).value === ')' && this.peek(offset + 1).value === '=>';
+    }
+
+    parseLambda() {
+        const token = this.peek();
+        const parameters = [];
+
+        if (this.accept('(')) {
+            while (!this.check(')')) {
+                parameters.push(this.expectIdentifier().value);
+                if (!this.accept(',')) break;
+            }
+            this.expect(')');
+        } else {
+            parameters.push(this.expectIdentifier().value);
+        }
+
+        this.expect('=>');
+        return { kind: 'lambda', parameters, body: this.parseBinary(0), token };
+    }
+
+    parseBinary(level) {
+        if (level >= OPERATOR_PRECEDENCE.length) {
+            return this.parseUnary();
+        }
+
+        let left = this.parseBinary(level + 1);
+        while (OPERATOR_PRECEDENCE[level].some(op => this.check(op))) {
+            const token = this.next();
+            const right = this.parseBinary(level + 1);
+            left = { kind: 'binary', operator: token.value, left, right, token };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (this.accept('!')) {
+            return { kind: 'unary', operator: '!', operand: this.parseUnary(), token };
+        }
+        if (this.accept('-')) {
+            const operand = this.parseUnary();
+            // The C# compiler folds negative literals into a single constant
+            if (operand.kind === 'literal' && typeof operand.value === 'number') {
+                return { ...operand, value: -operand.value, token };
+            }
+            return { kind: 'unary', operator: '-', operand, token };
+        }
+        return this.parsePostfix(this.parsePrimary());
+    }
+
+    parsePostfix(expression) {
+        for (;;) {
+            if (this.check('.')) {
+                this.next();
+                const nameToken = this.expectIdentifier();
+                const generics = this.tryParseGenericArguments();
+                expression = { kind: 'member', object: expression, name: nameToken.value, generics, token: nameToken };
+            } else if (this.check('(')) {
+                const token = this.next();
+                const args = this.parseArguments();
+                expression = { kind: 'call', callee: expression, args, token: expression.token || token };
+            } else {
+                return expression;
+            }
+        }
+    }
+
+    // Generic arguments are only recognised when immediately followed by a call, e.g. Select<Product>()
+    tryParseGenericArguments() {
+        if (!this.check('<')) return [];
+
+        const start = this.position;
+        try {
+            this.next();
+            const types = [this.parseTypeName()];
+            while (this.accept(',')) {
+                types.push(this.parseTypeName());
+            }
+            this.expect('>');
+            if (this.check('(')) {
+                return types;
+            }
+        } catch (error) {
+            if (!(error instanceof TranslationError)) throw error;
+        }
+
+        this.position = start;
+        return [];
+    }
+
+    parseTypeName() {
+        let name = this.expectIdentifier().value;
+        if (this.accept('<')) {
+            const inner = [this.parseTypeName()];
+            while (this.accept(',')) {
+                inner.push(this.parseTypeName());
+            }
+            this.expect('>');
+            name += `<${inner.join(', ')}>`;
+        }
+        if (this.accept('[')) {
+            this.expect(']');
+            name += '[]';
+        }
+        if (this.accept('?')) {
+            name += '?';
+        }
+        return name;
+    }
+
+    parseArguments() {
+        const args = [];
+        while (!this.check(')')) {
+            if (this.peek().type === 'identifier' && this.peek(1).value === ':') {
+                const nameToken = this.next();
+                this.next();
+                args.push({ kind: 'named', name: nameToken.value, value: this.parseExpression(), token: nameToken });
+            } else {
+                args.push(this.parseExpression());
+            }
+            if (!this.accept(',')) break;
+        }
+        this.expect(')');
+        return args;
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number') {
+            this.next();
+            return this.parseNumber(token);
+        }
+
+        if (token.type === 'string') {
+            this.next();
+            const value = token.value.startsWith('@')
+                ? token.value.slice(2, -1).replace(/""/g, '"')
+                : token.value.slice(1, -1).replace(/\\(.)/g, (_, char) => ({ n: '\n', t: '\t' }[char] || char));
+            return { kind: 'literal', value, type: 'String', token };
+        }
+
+        if (token.type === 'identifier') {
+            if (token.value === 'true' || token.value === 'false') {
+                this.next();
+                return { kind: 'literal', value: token.value === 'true', type: 'Boolean', token };
+            }
+            if (token.value === 'null') {
+                this.next();
+                return { kind: 'literal', value: null, type: 'Object', token };
+            }
+            if (token.value === 'new') {
+                return this.parseCollection();
+            }
+
+            this.next();
+            return { kind: 'identifier', name: token.value, generics: this.tryParseGenericArguments(), token };
+        }
+
+        if (this.accept('(')) {
+            const expression = this.parseExpression();
+            this.expect(')');
+            return expression;
+        }
+
+        throw new TranslationError(token.type === 'eof' ? 'Unexpected end of input' : `Unexpected '${token.value}'`, token);
+    }
+
+    parseNumber(token) {
+        const suffix = token.value.slice(-1).toLowerCase();
+        const digits = /[mdfl]/.test(suffix) ? token.value.slice(0, -1) : token.value;
+        const type = { m: 'Decimal', d: 'Double', f: 'Single', l: 'Int64' }[suffix]
+            || (digits.includes('.') ? 'Double' : 'Int32');
+
+        return { kind: 'literal', value: Number(digits), type, raw: digits, token };
+    }
+
+    // new List<int> { ... }, new int[] { ... } and new[] { ... }
+    parseCollection() {
+        const token = this.next();
+        let elementType = null;
+
+        if (this.accept('[')) {
+            this.expect(']');
+        } else {
+            const typeName = this.parseTypeName();
+            const generic = typeName.match(/<(.+)>$/);
+            elementType = generic ? generic[1] : typeName.replace(/\[\]$/, '');
+            if (this.accept('(')) {
+                this.expect(')');
+            }
+        }
+
+        if (!this.check('{')) {
+            throw new TranslationError('Only collection initializers (new List<T> { ... }) are supported after "new"', token);
+        }
+
+        this.expect('{');
+        const items = [];
+        while (!this.check('}')) {
+            items.push(this.parseExpression());
+            if (!this.accept(',')) break;
+        }
+        this.expect('}');
+        return { kind: 'collection', elementType, items, token };
+    }
+}
+
+// Translates parsed fluent API calls to SQL the way SelectQueryBuilder and ExpressionToSqlConverter do
+export class QueryTranslator {
+    constructor(entities, dialect = 'SqlServer') {
+        this.entities = entities;
+        this.dialectName = dialect;
+        this.dialect = PLAYGROUND_DIALECTS[dialect];
+        this.parameters = [];
+        this.tableAliases = new Map();
+        this.variables = new Map();
+        this.diagnostics = [];
+    }
+
+    // Translate source code, returning { sql, parameters, diagnostics }
+    translate(source) {
+        try {
+            const statements = new CSharpSubsetParser(tokenizeCSharp(source)).parseProgram();
+            const queries = [];
+
+            statements.forEach(statement => {
+                if (this.isQueryChain(statement.expression)) {
+                    queries.push(statement);
+                } else if (statement.name) {
+                    this.variables.set(statement.name, this.evaluate(statement.expression, new Map()));
+                } else {
+                    throw new TranslationError('Only variable declarations and a SqlQuery chain are supported', statement.token);
+                }
+            });
+
+            if (queries.length === 0) {
+                throw new TranslationError('No SqlQuery.Select<T>() or SqlQuery.SelectWithJoins<T>() chain found', statements[0] && statements[0].token);
+            }
+            if (queries.length > 1) {
+                this.warn('Only the last query chain is translated', queries[queries.length - 1].token);
+            }
+
+            const sql = this.translateChain(queries[queries.length - 1].expression);
+            return { sql, parameters: this.parameters, diagnostics: this.diagnostics };
+        } catch (error) {
+            if (!(error instanceof TranslationError)) throw error;
+
+            this.diagnostics.push({ severity: 'error', message: error.message, line: error.line, column: error.column });
+            return { sql: '', parameters: [], diagnostics: this.diagnostics };
+        }
+    }
+
+    warn(message, token, severity = 'warning') {
+        this.diagnostics.push({ severity, message, line: token ? token.line : null, column: token ? token.column : null });
+    }
+
+    isQueryChain(node) {
+        while (node && (node.kind === 'call' || node.kind === 'member')) {
+            node = node.kind === 'call' ? node.callee : node.object;
+        }
+        return Boolean(node && node.kind === 'identifier' && node.name === 'SqlQuery');
+    }
+
+    // Flatten a.B().C() into [{ name, generics, args, token }, ...]
+    flattenChain(node) {
+        const calls = [];
+        while (node.kind === 'call') {
+            if (node.callee.kind !== 'member') {
+                throw new TranslationError('Expected a method call on the query builder', node.token);
+            }
+            calls.unshift({ name: node.callee.name, generics: node.callee.generics, args: node.args, token: node.callee.token });
+            node = node.callee.object;
+        }
+
+        if (node.kind !== 'identifier' || node.name !== 'SqlQuery') {
+            throw new TranslationError('A query must start with SqlQuery', node.token);
+        }
+        return calls;
+    }
+
+    translateChain(expression) {
+        const [entry, ...calls] = this.flattenChain(expression);
+
+        if (entry.name !== 'Select' && entry.name !== 'SelectWithJoins') {
+            throw new TranslationError(`SqlQuery.${entry.name}<T>() is not supported by the playground; use Select<T>() or SelectWithJoins<T>()`, entry.token);
+        }
+        if (entry.generics.length !== 1) {
+            throw new TranslationError(`SqlQuery.${entry.name} requires exactly one type argument, e.g. ${entry.name}<Product>()`, entry.token);
+        }
+
+        this.applyDialectArgument(entry);
+
+        const primary = this.getEntity(entry.generics[0], entry.token);
+        const query = {
+            primary,
+            builder: entry.name === 'SelectWithJoins' ? 'join' : 'select',
+            selectColumns: [],
+            whereConditions: [],
+            orderByColumns: [],
+            joinClauses: [],
+            takeCount: null
+        };
+        this.getTableAlias(primary);
+
+        calls.forEach(call => this.applyCall(query, call));
+        return this.buildSql(query);
+    }
+
+    applyDialectArgument(entry) {
+        if (entry.args.length === 0) return;
+
+        const arg = entry.args[0];
+        const isDialect = arg.kind === 'member' && arg.object.kind === 'identifier'
+            && arg.object.name === 'SqlDialectConfig' && PLAYGROUND_DIALECTS[arg.name];
+        if (!isDialect) {
+            throw new TranslationError('The only supported argument is SqlDialectConfig.SqlServer, .MySql or .PostgreSql', arg.token);
+        }
+
+        if (arg.name !== this.dialectName) {
+            this.warn(`SqlDialectConfig.${arg.name} in the code overrides the selected dialect`, arg.token, 'info');
+        }
+        this.dialectName = arg.name;
+        this.dialect = PLAYGROUND_DIALECTS[arg.name];
+    }
+
+    applyCall(query, call) {
+        const methods = query.builder === 'join' ? JOIN_BUILDER_METHODS : SELECT_BUILDER_METHODS;
+        const isGenericEntityCall = ['Where', 'OrWhere', 'OrderBy', 'ThenBy', 'ThenByDescending'].includes(call.name)
+            && call.generics.length > 0;
+
+        if (!(call.name in methods) && !(isGenericEntityCall && query.builder === 'join')) {
+            const interfaceName = query.builder === 'join' ? 'IJoinQueryBuilder<T>' : 'ISelectQueryBuilder<T>';
+            const hint = JOIN_BUILDER_METHODS[call.name] && query.builder === 'select'
+                ? ' (joins need SqlQuery.SelectWithJoins<T>(), and the chain must not pass through a method returning ISelectQueryBuilder<T>)'
+                : '';
+            throw new TranslationError(`.${call.name}() is not available on ${interfaceName} in the playground${hint}`, call.token);
+        }
+        if (isGenericEntityCall && query.builder !== 'join') {
+            throw new TranslationError(`.${call.name}<TEntity>() is only declared on IJoinQueryBuilder<T>`, call.token);
+        }
+
+        switch (call.name) {
+            case 'Where':
+            case 'OrWhere': {
+                const { entity, lambda } = this.getEntityLambdaArguments(query, call);
+                const condition = this.convertPredicate(lambda, entity);
+                if (call.name === 'OrWhere' && query.whereConditions.length > 0) {
+                    const last = query.whereConditions.pop();
+                    query.whereConditions.push(`(${last}) OR (${condition})`);
+                } else {
+                    query.whereConditions.push(condition);
+                }
+                break;
+            }
+            case 'OrderBy':
+            case 'OrderByDescending':
+            case 'ThenBy':
+            case 'ThenByDescending': {
+                const { entity, lambda } = this.getEntityLambdaArguments(query, call);
+                const direction = call.name.endsWith('Descending') ? 'DESC' : 'ASC';
+                query.orderByColumns.push(`${this.convertPropertySelector(lambda, entity)} ${direction}`);
+                break;
+            }
+            case 'Top':
+            case 'Take':
+                query.takeCount = this.getIntegerArgument(call);
+                break;
+            default:
+                this.applyJoin(query, call);
+        }
+
+        // Generic Where/OrWhere/OrderBy/ThenBy overloads are declared on IJoinQueryBuilder<T>
+        query.builder = isGenericEntityCall ? 'join' : methods[call.name];
+    }
+
+    // Resolve (TEntity from generics or T) and the lambda, skipping an optional alias string
+    getEntityLambdaArguments(query, call) {
+        const entity = call.generics.length > 0 ? this.getEntity(call.generics[0], call.token) : query.primary;
+        const args = call.args.filter(arg => !(arg.kind === 'literal' && arg.type === 'String'));
+        const lambda = args[0];
+
+        if (args.length !== 1 || lambda.kind !== 'lambda') {
+            throw new TranslationError(`.${call.name}() expects a single lambda argument`, call.token);
+        }
+        if (lambda.parameters.length !== 1) {
+            throw new TranslationError(`.${call.name}() expects a lambda with one parameter`, lambda.token);
+        }
+        return { entity, lambda };
+    }
+
+    getIntegerArgument(call) {
+        if (call.args.length !== 1) {
+            throw new TranslationError(`.${call.name}() expects one integer argument`, call.token);
+        }
+
+        const value = this.evaluate(call.args[0], new Map());
+        if (!Number.isInteger(value.value)) {
+            throw new TranslationError(`.${call.name}() expects an integer`, call.args[0].token);
+        }
+        return value.value;
+    }
+
+    applyJoin(query, call) {
+        if (call.generics.length !== 1) {
+            throw new TranslationError(`.${call.name}<TJoin>() requires the joined entity as its type argument`, call.token);
+        }
+
+        const joinEntity = this.getEntity(call.generics[0], call.token);
+        const aliasArg = call.args.length === 2 ? call.args[0] : null;
+        const lambda = call.args[call.args.length - 1];
+
+        if (aliasArg && !(aliasArg.kind === 'literal' && aliasArg.type === 'String')) {
+            throw new TranslationError(`The alias passed to .${call.name}() must be a string literal`, aliasArg.token);
+        }
+        if (!lambda || lambda.kind !== 'lambda' || lambda.parameters.length !== 2) {
+            throw new TranslationError(`.${call.name}() expects a join condition lambda with two parameters, e.g. (p, c) => p.CategoryId == c.Id`, call.token);
+        }
+
+        // Validate the condition references real properties even though the builder does not translate it
+        const scope = new Map([[lambda.parameters[0], query.primary], [lambda.parameters[1], joinEntity]]);
+        this.validateMembers(lambda.body, scope);
+
+        const primaryAlias = this.getTableAlias(query.primary);
+        const joinAlias = aliasArg ? aliasArg.value : this.getTableAlias(joinEntity);
+        query.joinClauses.push(`${JOIN_KEYWORDS[call.name]} ${this.quote(joinEntity.tableName)} AS ${joinAlias} ON ${primaryAlias}.Id = ${joinAlias}.Id`);
+
+        this.warn(`The current SelectQueryBuilder emits "${primaryAlias}.Id = ${joinAlias}.Id" for every join condition`, lambda.token, 'info');
+    }
+
+    validateMembers(node, scope) {
+        if (!node || typeof node !== 'object') return;
+
+        if (node.kind === 'member' && node.object.kind === 'identifier' && scope.has(node.object.name)) {
+            this.getProperty(scope.get(node.object.name), node.name, node.token);
+            return;
+        }
+        ['left', 'right', 'operand', 'object', 'callee'].forEach(key => this.validateMembers(node[key], scope));
+        (node.args || []).forEach(arg => this.validateMembers(arg, scope));
+    }
+
+    buildSql(query) {
+        const primaryAlias = this.getTableAlias(query.primary);
+        let sql = 'SELECT ';
+
+        if (this.dialect.useTop && query.takeCount !== null) {
+            sql += `TOP (${query.takeCount}) `;
+        }
+        sql += query.selectColumns.length > 0 ? query.selectColumns.join(', ') : `${primaryAlias}.*`;
+        sql += `\nFROM ${this.quote(query.primary.tableName)} AS ${primaryAlias}`;
+
+        query.joinClauses.forEach(join => {
+            sql += `\n${join}`;
+        });
+        if (query.whereConditions.length > 0) {
+            sql += `\nWHERE ${query.whereConditions.join(' AND ')}`;
+        }
+        if (query.orderByColumns.length > 0) {
+            sql += `\nORDER BY ${query.orderByColumns.join(', ')}`;
+        }
+        if (this.dialect.useLimit && query.takeCount !== null) {
+            sql += `\nLIMIT ${query.takeCount}`;
+        }
+
+        return sql;
+    }
+
+    // ExpressionToSqlConverter.Convert: bare and negated bool properties become "= @pN"
+    convertPredicate(lambda, entity) {
+        const scope = new Map([[lambda.parameters[0], entity]]);
+        const body = lambda.body;
+
+        // Expression<Func<T, bool>> only compiles for a bool body, so e.g. p => p.Price never reaches the library
+        const nonBoolean = this.findNonBooleanExpression(body, scope);
+        if (nonBoolean) {
+            throw new TranslationError('Expected a bool expression here; a predicate must be one, such as p => p.Price > 10 or p => p.IsActive', nonBoolean.token);
+        }
+        if (this.isBooleanProperty(body, scope)) {
+            const column = this.visit(body, scope);
+            return `(${column} = ${this.addParameter(true, 'Boolean')})`;
+        }
+        if (body.kind === 'unary' && body.operator === '!' && this.isBooleanProperty(body.operand, scope)) {
+            const column = this.visit(body.operand, scope);
+            return `(${column} = ${this.addParameter(false, 'Boolean')})`;
+        }
+
+        return this.visit(body, scope);
+    }
+
+    // ExpressionToSqlConverter.ConvertPropertySelector
+    convertPropertySelector(lambda, entity) {
+        const scope = new Map([[lambda.parameters[0], entity]]);
+        if (!this.isEntityMember(lambda.body, scope)) {
+            throw new TranslationError('Only property selectors such as p => p.Name are supported here', lambda.body.token);
+        }
+        return this.visit(lambda.body, scope);
+    }
+
+    isEntityMember(node, scope) {
+        return node.kind === 'member' && node.object.kind === 'identifier' && scope.has(node.object.name);
+    }
+
+    isBooleanProperty(node, scope) {
+        if (!this.isEntityMember(node, scope)) return false;
+
+        const entity = scope.get(node.object.name);
+        return entity.hasTableName && entity.properties.get(node.name) === 'bool';
+    }
+
+    // The part of a predicate that is not bool, or null when the whole predicate is
+    findNonBooleanExpression(node, scope) {
+        let isBoolean;
+        switch (node.kind) {
+            case 'binary':
+                if (node.operator === '&&' || node.operator === '||') {
+                    return this.findNonBooleanExpression(node.left, scope) || this.findNonBooleanExpression(node.right, scope);
+                }
+                isBoolean = BOOLEAN_OPERATORS.includes(node.operator);
+                break;
+            case 'unary':
+                if (node.operator === '!') {
+                    return this.findNonBooleanExpression(node.operand, scope);
+                }
+                isBoolean = false;
+                break;
+            case 'call':
+                isBoolean = node.callee.kind === 'member' && BOOLEAN_METHODS.includes(node.callee.name);
+                break;
+            case 'member':
+                isBoolean = this.isEntityMember(node, scope)
+                    ? ['bool', 'bool?'].includes(this.getProperty(scope.get(node.object.name), node.name, node.token))
+                    : this.evaluate(node, scope).type === 'Boolean';
+                break;
+            case 'literal':
+            case 'identifier':
+                isBoolean = this.evaluate(node, scope).type === 'Boolean';
+                break;
+            default:
+                isBoolean = false;
+        }
+        return isBoolean ? null : node;
+    }
+
+    visit(node, scope) {
+        switch (node.kind) {
+            case 'binary': {
+                const left = this.visitOperand(node.left, node.right, scope);
+                const right = this.visitOperand(node.right, node.left, scope);
+                if ((node.operator === '==' || node.operator === '!=')
+                    && (this.isNullLiteral(node.left) || this.isNullLiteral(node.right))) {
+                    this.warn('Comparisons with null are parameterized ("= @pN"), not translated to IS NULL', node.token);
+                }
+                return `(${left} ${SQL_OPERATORS[node.operator]} ${right})`;
+            }
+            case 'unary':
+                if (node.operator === '!') {
+                    return `NOT (${this.visit(node.operand, scope)})`;
+                }
+                throw new TranslationError(`Unary operator '${node.operator}' is not supported`, node.token);
+            case 'member':
+                if (this.isEntityMember(node, scope)) {
+                    return this.visitEntityMember(node, scope);
+                }
+                return this.addEvaluatedParameter(node, scope);
+            case 'literal':
+            case 'identifier':
+            case 'collection':
+                return this.addEvaluatedParameter(node, scope);
+            case 'call':
+                return this.visitCall(node, scope);
+            case 'lambda':
+                throw new TranslationError('Nested lambdas are not supported', node.token);
+            default:
+                throw new TranslationError(`Expression type ${node.kind} is not supported`, node.token);
+        }
+    }
+
+    // Numeric constants compared with a column take the column's type, as the C# compiler converts them
+    visitOperand(node, other, scope) {
+        if (node.kind === 'literal' && typeof node.value === 'number' && this.isEntityMember(other, scope)) {
+            const propertyType = this.getProperty(scope.get(other.object.name), other.name, other.token);
+            const type = CLR_TYPE_NAMES[propertyType.replace(/\?$/, '')];
+            if (type && type !== 'String' && type !== 'Boolean' && type !== 'DateTime') {
+                return this.addParameter(node.value, type);
+            }
+        }
+        return this.visit(node, scope);
+    }
+
+    visitEntityMember(node, scope) {
+        const entity = scope.get(node.object.name);
+        this.getProperty(entity, node.name, node.token);
+
+        if (!entity.hasTableName) {
+            throw new TranslationError(`${entity.name}.${node.name} is only translated to a column when ${entity.name} has a [TableName] attribute`, node.token);
+        }
+        return `${this.getTableAlias(entity)}.${this.quote(node.name)}`;
+    }
+
+    addEvaluatedParameter(node, scope) {
+        const value = this.evaluate(node, scope);
+        if (value.type === 'Collection') {
+            throw new TranslationError('A collection can only be used with .Contains(...)', node.token);
+        }
+        return this.addParameter(value.value, value.type);
+    }
+
+    visitCall(node, scope) {
+        if (node.callee.kind === 'identifier') {
+            throw new TranslationError(`Method ${node.callee.name}() is not supported`, node.token);
+        }
+
+        const method = node.callee.name;
+        const target = node.callee.object;
+
+        if (target.kind === 'identifier' && target.name === 'Math') {
+            return this.visitMathCall(node, scope);
+        }
+
+        const targetType = this.getExpressionType(target, scope);
+
+        if (targetType === 'Collection' && method === 'Contains') {
+            const values = this.evaluate(target, scope).value;
+            const property = this.visit(node.args[0], scope);
+            if (values.length === 0) {
+                return '1 = 0';
+            }
+            const parameters = values.map(item => this.addParameter(item.value, item.type));
+            return `${property} IN (${parameters.join(', ')})`;
+        }
+
+        if (targetType === 'String') {
+            const likePatterns = { Contains: value => `%${value}%`, StartsWith: value => `${value}%`, EndsWith: value => `%${value}` };
+            if (likePatterns[method]) {
+                const column = this.visit(target, scope);
+                const argument = this.evaluate(node.args[0], scope);
+                return `${column} LIKE ${this.addParameter(likePatterns[method](argument.value), 'String')}`;
+            }
+            if (method === 'ToUpper' || method === 'ToLower') {
+                return `${method === 'ToUpper' ? 'UPPER' : 'LOWER'}(${this.visit(target, scope)})`;
+            }
+            throw new TranslationError(`String method ${method} is not supported`, node.token);
+        }
+
+        if (targetType === 'DateTime') {
+            const parts = { AddDays: 'day', AddMonths: 'month', AddYears: 'year' };
+            if (!parts[method]) {
+                throw new TranslationError(`DateTime method ${method} is not supported`, node.token);
+            }
+            const amount = this.visit(node.args[0], scope);
+            return `DATEADD(${parts[method]}, ${amount}, ${this.visit(target, scope)})`;
+        }
+
+        throw new TranslationError(`Method ${method} is not supported`, node.token);
+    }
+
+    visitMathCall(node, scope) {
+        const method = node.callee.name;
+        const args = node.args.map(arg => this.visit(arg, scope));
+
+        switch (method) {
+            case 'Abs': return `ABS(${args[0]})`;
+            case 'Ceiling': return `CEILING(${args[0]})`;
+            case 'Floor': return `FLOOR(${args[0]})`;
+            case 'Round': return args.length === 1 ? `ROUND(${args[0]}, 0)` : `ROUND(${args[0]}, ${args[1]})`;
+            default:
+                throw new TranslationError(`Math method ${method} is not supported`, node.token);
+        }
+    }
+
+    // Best-effort static type of an expression, used to pick string/collection/DateTime handling
+    getExpressionType(node, scope) {
+        if (this.isEntityMember(node, scope)) {
+            const type = this.getProperty(scope.get(node.object.name), node.name, node.token);
+            return { string: 'String', DateTime: 'DateTime', 'DateTime?': 'DateTime' }[type] || type;
+        }
+        if (node.kind === 'call' && node.callee.kind === 'member' && ['ToUpper', 'ToLower'].includes(node.callee.name)) {
+            return 'String';
+        }
+        return this.evaluate(node, scope).type;
+    }
+
+    // Evaluate a captured value (literals, variables, collections, DateTime.Now)
+    evaluate(node, scope) {
+        switch (node.kind) {
+            case 'literal':
+                return { value: node.value, type: node.type };
+            case 'collection':
+                return { value: node.items.map(item => this.evaluate(item, scope)), type: 'Collection' };
+            case 'identifier':
+                if (this.variables.has(node.name)) {
+                    return this.variables.get(node.name);
+                }
+                if (scope.has(node.name)) {
+                    throw new TranslationError(`The lambda parameter '${node.name}' cannot be used as a value`, node.token);
+                }
+                throw new TranslationError(`Unknown variable '${node.name}'`, node.token);
+            case 'member':
+                if (node.object.kind === 'identifier' && node.object.name === 'DateTime'
+                    && (node.name === 'Now' || node.name === 'UtcNow' || node.name === 'Today')) {
+                    return { value: new Date(), type: 'DateTime' };
+                }
+                if (this.isEntityMember(node, scope)) {
+                    throw new TranslationError(`Cannot evaluate ${node.object.name}.${node.name} here; the library needs a constant value`, node.token);
+                }
+                throw new TranslationError(`Member ${node.name} is not supported`, node.token);
+            case 'call': {
+                const target = node.callee.kind === 'member' ? this.evaluate(node.callee.object, scope) : null;
+                const months = { AddDays: 0, AddMonths: 1, AddYears: 12 }[node.callee.name];
+                if (target && target.type === 'DateTime' && months !== undefined) {
+                    const amount = this.evaluate(node.args[0], scope).value;
+                    const date = new Date(target.value);
+                    if (node.callee.name === 'AddDays') {
+                        date.setDate(date.getDate() + amount);
+                    } else {
+                        date.setMonth(date.getMonth() + amount * months);
+                    }
+                    return { value: date, type: 'DateTime' };
+                }
+                throw new TranslationError('Only constant values can be evaluated here', node.token);
+            }
+            case 'unary':
+                if (node.operator === '!') {
+                    const operand = this.evaluate(node.operand, scope);
+                    return { value: !operand.value, type: 'Boolean' };
+                }
+                throw new TranslationError(`Unary operator '${node.operator}' is not supported`, node.token);
+            default:
+                throw new TranslationError('Only constant values can be evaluated here', node.token);
+        }
+    }
+
+    isNullLiteral(node) {
+        return node.kind === 'literal' && node.value === null;
+    }
+
+    getEntity(name, token) {
+        const entity = this.entities.get(name);
+        if (!entity) {
+            throw new TranslationError(`Unknown entity '${name}'; define it in the entity panel`, token);
+        }
+        return entity;
+    }
+
+    getProperty(entity, name, token) {
+        if (!entity.properties.has(name)) {
+            throw new TranslationError(`'${entity.name}' has no property '${name}'`, token);
+        }
+        return entity.properties.get(name);
+    }
+
+    // ExpressionContext.GetTableAlias: lower-cased table name, made unique with a counter
+    getTableAlias(entity) {
+        if (!this.tableAliases.has(entity.name)) {
+            const baseAlias = entity.tableName.toLowerCase();
+            const used = new Set(this.tableAliases.values());
+            let alias = baseAlias;
+            let counter = 1;
+            while (used.has(alias)) {
+                alias = `${baseAlias}${counter++}`;
+            }
+            this.tableAliases.set(entity.name, alias);
+        }
+        return this.tableAliases.get(entity.name);
+    }
+
+    // ExpressionContext.AddParameter
+    addParameter(value, type) {
+        const name = `p${this.parameters.length}`;
+        this.parameters.push({ name: `${this.dialect.parameterPrefix}${name}`, value, type });
+        return `${this.dialect.parameterPrefix}${name}`;
+    }
+
+    quote(identifier) {
+        return `${this.dialect.quote}${identifier}${this.dialect.quoteEnd}`;
+    }
+}
+
+// Formats a parameter value the way .NET's ToString() prints it in the examples
+export function formatParameterValue(value, type) {
+    if (value === null) return 'NULL';
+    if (type === 'Boolean') return value ? 'True' : 'False';
+    if (type === 'DateTime') {
+        const pad = number => String(number).padStart(2, '0');
+        return `${pad(value.getDate())}/${pad(value.getMonth() + 1)}/${value.getFullYear()} `
+            + `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    }
+    return String(value);
+}
+
+// Wires the playground panel in index.html to QueryTranslator
+export class QueryPlayground {
+    constructor(root) {
+        this.root = root;
+        this.entitiesInput = root.querySelector('#playground-entities');
+        this.queryInput = root.querySelector('#playground-query');
+        this.dialectSelect = root.querySelector('#playground-dialect');
+        this.sqlOutput = root.querySelector('#playground-sql');
+        this.parametersOutput = root.querySelector('#playground-parameters');
+        this.diagnosticsOutput = root.querySelector('#playground-diagnostics');
+        this.updateTimeout = null;
+    }
+
+    init() {
+        if (!this.entitiesInput.value.trim()) {
+            this.entitiesInput.value = DEFAULT_PLAYGROUND_ENTITIES;
+        }
+        if (!this.queryInput.value.trim()) {
+            this.queryInput.value = DEFAULT_PLAYGROUND_QUERY;
+        }
+
+        [this.entitiesInput, this.queryInput].forEach(input => {
+            input.addEventListener('input', () => this.scheduleUpdate());
+        });
+        this.dialectSelect.addEventListener('change', () => this.update());
+
+        const resetButton = this.root.querySelector('#playground-reset');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                this.entitiesInput.value = DEFAULT_PLAYGROUND_ENTITIES;
+                this.queryInput.value = DEFAULT_PLAYGROUND_QUERY;
+                this.update();
+            });
+        }
+
+        this.update();
+    }
+
+    // Debounce translation while typing
+    scheduleUpdate() {
+        clearTimeout(this.updateTimeout);
+        this.updateTimeout = setTimeout(() => this.update(), 250);
+    }
+
+    update() {
+        const entities = parseEntityDefinitions(this.entitiesInput.value);
+        const translator = new QueryTranslator(entities, this.dialectSelect.value);
+        const result = translator.translate(this.queryInput.value);
+
+        this.sqlOutput.textContent = result.sql || '-- No SQL generated';
+        if (typeof Prism !== 'undefined') {
+            Prism.highlightElement(this.sqlOutput);
+        }
+
+        this.renderParameters(result.parameters);
+        this.renderDiagnostics(result.diagnostics);
+    }
+
+    renderParameters(parameters) {
+        if (parameters.length === 0) {
+            this.parametersOutput.innerHTML = '<p class="playground-empty">No parameters</p>';
+            return;
+        }
+
+        const rows = parameters.map(parameter => `
+            <tr>
+                <td><code>${escapeHtml(parameter.name)}</code></td>
+                <td>${escapeHtml(formatParameterValue(parameter.value, parameter.type))}</td>
+                <td>${escapeHtml(parameter.type)}</td>
+            </tr>
+        `).join('');
+
+        this.parametersOutput.innerHTML = `
+            <table class="parameters-table">
+                <thead><tr><th>Name</th><th>Value</th><th>.NET Type</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Show each diagnostic with the offending source line and a caret under the column
+    renderDiagnostics(diagnostics) {
+        const lines = this.queryInput.value.split('\n');
+        const icons = { error: 'fa-times-circle', warning: 'fa-exclamation-triangle', info: 'fa-info-circle' };
+
+        this.diagnosticsOutput.innerHTML = diagnostics.map(diagnostic => {
+            const location = diagnostic.line ? `Line ${diagnostic.line}, column ${diagnostic.column}: ` : '';
+            const sourceLine = diagnostic.line ? lines[diagnostic.line - 1] : null;
+            const excerpt = sourceLine !== undefined && sourceLine !== null
+                ? `<pre class="playground-excerpt">${escapeHtml(sourceLine)}\n${' '.repeat(Math.max(diagnostic.column - 1, 0))}^</pre>`
+                : '';
+
+            return `
+                <div class="playground-diagnostic playground-diagnostic-${diagnostic.severity}">
+                    <i class="fas ${icons[diagnostic.severity]}"></i>
+                    <span>${escapeHtml(location + diagnostic.message)}</span>
+                    ${excerpt}
+                </div>
+            `;
+        }).join('');
+    }
+}
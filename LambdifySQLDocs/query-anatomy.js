@@ -0,0 +1,140 @@
+// Query Anatomy - Links each fluent call in an example's C# code to the SQL fragments it produces
+// An example's "anatomy" lists C# line spans with the fragments of its SQL output they generate. Fragments
+// are written against the example's own output and found in every dialect's output ignoring whitespace and
+// identifier quoting, so one entry covers formatted SQL and the other dialects; "dialects" replaces them
+// where a dialect emits different SQL, e.g. LIMIT instead of TOP.
+
+// Characters any dialect may quote an identifier with ([Name], "Name", `Name`)
+const QUOTE_CHARACTER = /^[[\]"`]$/;
+const QUOTE_CHARACTER_PATTERN = '[\\[\\]"`]';
+
+// Validate an example's "anatomy" array against its C# code; entries may not share lines
+export function validateAnatomy(example) {
+    const anatomy = example.anatomy;
+    if (!Array.isArray(anatomy)) {
+        throw new Error(`Example ${example.id} has invalid "anatomy" (expected array)`);
+    }
+
+    const lineCount = example.csharpCode.split('\n').length;
+    const isFragmentList = (value) => Array.isArray(value) && value.every(fragment => typeof fragment === 'string' && fragment.trim());
+    let previousEnd = 0;
+
+    anatomy.forEach((entry, index) => {
+        const valid = entry !== null && typeof entry === 'object'
+            && Array.isArray(entry.lines) && entry.lines.length === 2 && entry.lines.every(Number.isInteger)
+            && isFragmentList(entry.sql)
+            && (entry.dialects === undefined || (typeof entry.dialects === 'object' && entry.dialects !== null
+                && Object.values(entry.dialects).every(isFragmentList)));
+        if (!valid) {
+            throw new Error(`Example ${example.id} has an invalid anatomy entry at index ${index} (expected lines and sql)`);
+        }
+
+        const [start, end] = entry.lines;
+        if (start <= previousEnd || end < start || end > lineCount) {
+            throw new Error(`Example ${example.id} has anatomy lines ${start}-${end} out of order or outside its code`);
+        }
+        previousEnd = end;
+    });
+}
+
+// Fragments an anatomy entry produces in a dialect
+export function getAnatomyFragments(entry, dialect) {
+    return entry.dialects && entry.dialects[dialect] ? entry.dialects[dialect] : entry.sql;
+}
+
+// Regular expression for a fragment that tolerates re-indentation and any dialect's identifier quotes
+export function createFragmentPattern(fragment) {
+    const tokens = fragment.trim().match(/\s+|\w+|[^\w\s]/g);
+    const source = tokens.map((token, index) => {
+        if (/^\s/.test(token)) return '\\s+';
+
+        // The formatter may break lines around punctuation that had no whitespace in the raw output
+        const separator = index > 0 && !/^\s/.test(tokens[index - 1]) ? '\\s*' : '';
+        return separator + (QUOTE_CHARACTER.test(token) ? QUOTE_CHARACTER_PATTERN : token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    }).join('');
+
+    // Keep word fragments from matching inside longer names, e.g. @p1 inside @p10
+    const before = /^\w/.test(tokens[0]) ? '(?<![\\w@])' : '';
+    const after = /\w$/.test(tokens[tokens.length - 1]) ? '(?!\\w)' : '';
+    return new RegExp(`${before}${source}${after}`, 'g');
+}
+
+// [start, end, entry index] ranges of each entry's fragments in a dialect's SQL, sorted by start.
+// Entries claim text in order: a fragment matches its first occurrence not taken by an earlier one,
+// so a repeated fragment such as FROM [Product] AS product goes to the entries in the order they are listed.
+// Fragments that are not found are left out; tools/validate-examples.js reports them.
+export function findFragmentRanges(anatomy, sql, dialect) {
+    const ranges = [];
+    const isTaken = (start, end) => ranges.some(range => start < range[1] && end > range[0]);
+
+    anatomy.forEach((entry, index) => {
+        getAnatomyFragments(entry, dialect).forEach(fragment => {
+            const pattern = createFragmentPattern(fragment);
+            let match;
+            while ((match = pattern.exec(sql)) !== null) {
+                const end = match.index + match[0].length;
+                if (!isTaken(match.index, end)) {
+                    ranges.push([match.index, end, index]);
+                    break;
+                }
+                pattern.lastIndex = match.index + 1;
+            }
+        });
+    });
+
+    return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+// [start, end, entry index] ranges covering each entry's C# lines, without their indentation
+export function findCallRanges(anatomy, code) {
+    const lines = code.split('\n');
+    const offsets = [];
+    lines.reduce((offset, line) => {
+        offsets.push(offset);
+        return offset + line.length + 1;
+    }, 0);
+
+    const ranges = [];
+    anatomy.forEach((entry, index) => {
+        for (let line = entry.lines[0]; line <= entry.lines[1]; line++) {
+            const text = lines[line - 1];
+            const indent = text.length - text.trimStart().length;
+            if (text.trim()) {
+                ranges.push([offsets[line - 1] + indent, offsets[line - 1] + text.trimEnd().length, index]);
+            }
+        }
+    });
+    return ranges;
+}
+
+// Entry indexes per @name placeholder inside the matched fragments
+export function getAnatomyParameters(ranges, sql) {
+    const parameters = new Map();
+    ranges.forEach(([start, end, index]) => {
+        (sql.slice(start, end).match(/@\w+/g) || []).forEach(name => {
+            const indexes = parameters.get(name) || [];
+            if (!indexes.includes(index)) {
+                indexes.push(index);
+            }
+            parameters.set(name, indexes);
+        });
+    });
+    return parameters;
+}
+
+// 1-based line numbers of text covered by each range, mapped to the entry indexes on that line
+export function getAnatomyLines(ranges, text) {
+    const lines = new Map();
+    const lineAt = (offset) => text.slice(0, offset).split('\n').length;
+
+    ranges.forEach(([start, end, index]) => {
+        for (let line = lineAt(start); line <= lineAt(end - 1); line++) {
+            const indexes = lines.get(line) || [];
+            if (!indexes.includes(index)) {
+                indexes.push(index);
+            }
+            lines.set(line, indexes);
+        }
+    });
+    return lines;
+}
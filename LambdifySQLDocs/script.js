@@ -1,16 +1,29 @@
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', function() {
+// Height of the fixed navbar, kept clear when scrolling to a section
+export const NAVBAR_OFFSET = 80;
+
+// Width below which the sidebar becomes an off-canvas drawer; matches the breakpoint in styles.css
+const MOBILE_NAV_QUERY = '(max-width: 1024px)';
+
+// Elements whose keystrokes belong to the user, not to page shortcuts
+const EDITABLE_SELECTOR = 'input, textarea, select, [contenteditable]:not([contenteditable="false"])';
+
+// Characters escaped by escapeHtml; quotes too, since escaped text also goes into attribute values
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Initialize page-wide features; called once the DOM is loaded
+export function initializeSite() {
     initializeCodeHighlighting();
-    initializeClipboard();
     initializeSmoothScrolling();
     initializeLineNumbers();
     initializeMobileNavigation();
-    initializeSidebarNavigation();
-});
+    initializeEnhancedFeatures();
+    addCodeLoadingAnimation();
+    initializePrintStyles();
+}
 
 // Initialize code syntax highlighting
-function initializeCodeHighlighting() {
-    // Prism.js will automatically highlight code blocks
+export function initializeCodeHighlighting() {
+    // Prism runs in manual mode; LazyHighlighter highlights the blocks as they scroll into view
     // Custom highlighting for line numbers
     const codeBlocks = document.querySelectorAll('pre code');
     codeBlocks.forEach(block => {
@@ -21,51 +34,10 @@ function initializeCodeHighlighting() {
     });
 }
 
-// Initialize clipboard functionality
-function initializeClipboard() {
-    // Initialize clipboard.js for copy buttons
-    if (typeof ClipboardJS !== 'undefined') {
-        const clipboard = new ClipboardJS('.copy-btn');
-        
-        clipboard.on('success', function(e) {
-            const btn = e.trigger;
-            const originalIcon = btn.innerHTML;
-            
-            // Show success feedback
-            btn.innerHTML = '<i class="fas fa-check"></i>';
-            btn.style.color = '#10b981';
-            
-            // Reset after 2 seconds
-            setTimeout(() => {
-                btn.innerHTML = originalIcon;
-                btn.style.color = '';
-            }, 2000);
-            
-            e.clearSelection();
-        });
-        
-        clipboard.on('error', function(e) {
-            console.error('Copy failed:', e);
-            
-            const btn = e.trigger;
-            const originalIcon = btn.innerHTML;
-            
-            // Show error feedback
-            btn.innerHTML = '<i class="fas fa-times"></i>';
-            btn.style.color = '#ef4444';
-            
-            // Reset after 2 seconds
-            setTimeout(() => {
-                btn.innerHTML = originalIcon;
-                btn.style.color = '';
-            }, 2000);
-        });
-    }
-}
-
 // Initialize smooth scrolling for anchor links
-function initializeSmoothScrolling() {
-    const links = document.querySelectorAll('a[href^="#"]');
+export function initializeSmoothScrolling() {
+    // Example links are handled by ExamplesManager, which knows whether the example is rendered
+    const links = document.querySelectorAll('a[href^="#"]:not([href^="#example-"])');
     
     links.forEach(link => {
         link.addEventListener('click', function(e) {
@@ -75,12 +47,7 @@ function initializeSmoothScrolling() {
             const targetElement = document.getElementById(targetId);
             
             if (targetElement) {
-                const offsetTop = targetElement.offsetTop - 80; // Account for fixed navbar
-                
-                window.scrollTo({
-                    top: offsetTop,
-                    behavior: 'smooth'
-                });
+                scrollToElement(targetElement);
                 
                 // Update URL without jumping
                 history.pushState(null, null, `#${targetId}`);
@@ -89,16 +56,25 @@ function initializeSmoothScrolling() {
     });
 }
 
-// Initialize line numbers for code blocks
-function initializeLineNumbers() {
-    const codeBlocks = document.querySelectorAll('pre code.line-numbers');
+// Smoothly scroll an element into view below the fixed navbar
+export function scrollToElement(element) {
+    window.scrollTo({
+        top: element.getBoundingClientRect().top + window.scrollY - NAVBAR_OFFSET,
+        behavior: 'smooth'
+    });
+}
+
+// Initialize line numbers for code blocks under root, e.g. example cards as they are created.
+// Each number carries data-line, so features such as the query anatomy can anchor to a line.
+export function initializeLineNumbers(root = document) {
+    const codeBlocks = root.querySelectorAll('pre code.line-numbers, pre.line-numbers > code');
     
     codeBlocks.forEach(block => {
         const lines = block.textContent.split('\n');
         let lineNumbersHtml = '';
         
         for (let i = 1; i <= lines.length; i++) {
-            lineNumbersHtml += `<span class="line-number">${i}</span>`;
+            lineNumbersHtml += `<span class="line-number" data-line="${i}">${i}</span>`;
         }
         
         // Create line numbers container
@@ -115,121 +91,91 @@ function initializeLineNumbers() {
 }
 
 // Initialize mobile navigation
-function initializeMobileNavigation() {
+// Below the breakpoint the sidebar is an off-canvas drawer: while open it traps Tab focus together with the
+// toggle, and while closed it is inert so its off-screen links stay out of the tab order
+export function initializeMobileNavigation() {
     const navToggle = document.querySelector('.nav-toggle');
     const sidebar = document.querySelector('.sidebar');
-    const mainContent = document.querySelector('.main-content');
-    
-    if (navToggle && sidebar) {
-        navToggle.addEventListener('click', function() {
-            sidebar.classList.toggle('sidebar-open');
-            this.classList.toggle('nav-toggle-open');
-        });
-        
-        // Close sidebar when clicking outside
-        document.addEventListener('click', function(e) {
-            if (!sidebar.contains(e.target) && !navToggle.contains(e.target)) {
-                sidebar.classList.remove('sidebar-open');
-                navToggle.classList.remove('nav-toggle-open');
-            }
-        });
-        
-        // Close sidebar when clicking on a link (mobile)
-        const sidebarLinks = sidebar.querySelectorAll('a');
-        sidebarLinks.forEach(link => {
-            link.addEventListener('click', function() {
-                if (window.innerWidth <= 1024) {
-                    sidebar.classList.remove('sidebar-open');
-                    navToggle.classList.remove('nav-toggle-open');
-                }
-            });
-        });
-    }
-}
+    if (!navToggle || !sidebar) return;
 
-// Initialize sidebar navigation highlighting
-function initializeSidebarNavigation() {
-    const sections = document.querySelectorAll('section[id]');
-    const sidebarLinks = document.querySelectorAll('.sidebar a[href^="#"]');
-    
-    function highlightCurrentSection() {
-        const scrollPosition = window.scrollY + 100; // Offset for navbar
-        
-        sections.forEach(section => {
-            const sectionTop = section.offsetTop;
-            const sectionHeight = section.offsetHeight;
-            const sectionId = section.getAttribute('id');
-            
-            if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-                // Remove active class from all links
-                sidebarLinks.forEach(link => {
-                    link.classList.remove('active');
-                });
-                
-                // Add active class to current section link
-                const currentLink = document.querySelector(`.sidebar a[href="#${sectionId}"]`);
-                if (currentLink) {
-                    currentLink.classList.add('active');
-                }
+    const mobile = window.matchMedia ? window.matchMedia(MOBILE_NAV_QUERY) : null;
+    const isMobile = () => Boolean(mobile && mobile.matches);
+    const isOpen = () => sidebar.classList.contains('sidebar-open');
+
+    function setOpen(open, { restoreFocus = false } = {}) {
+        sidebar.classList.toggle('sidebar-open', open);
+        navToggle.classList.toggle('nav-toggle-open', open);
+        navToggle.setAttribute('aria-expanded', String(open));
+        navToggle.setAttribute('aria-label', open ? 'Close navigation' : 'Open navigation');
+        sidebar.toggleAttribute('inert', isMobile() && !open);
+
+        if (open) {
+            const firstLink = sidebar.querySelector('a[href]');
+            if (firstLink) {
+                firstLink.focus();
             }
-        });
+        } else if (restoreFocus) {
+            navToggle.focus();
+        }
     }
-    
-    // Throttle scroll events
-    let scrollTimeout;
-    window.addEventListener('scroll', function() {
-        if (scrollTimeout) {
-            clearTimeout(scrollTimeout);
+
+    navToggle.addEventListener('click', () => setOpen(!isOpen()));
+
+    // Close when clicking outside both the open drawer and its toggle. The event path is checked rather than
+    // contains(), since a click inside the drawer may re-render the element it landed on before it gets here
+    document.addEventListener('click', (e) => {
+        const path = e.composedPath();
+        if (isOpen() && !path.includes(sidebar) && !path.includes(navToggle)) {
+            setOpen(false);
         }
-        scrollTimeout = setTimeout(highlightCurrentSection, 10);
     });
-    
-    // Initial highlight
-    highlightCurrentSection();
-}
 
-// Utility function to add active state to sidebar links
-function addSidebarActiveStates() {
-    const style = document.createElement('style');
-    style.textContent = `
-        .sidebar a.active {
-            background: var(--bg-tertiary);
-            color: var(--primary);
-            font-weight: 600;
+    document.addEventListener('keydown', (e) => {
+        if (!isOpen() || !isMobile()) return;
+
+        if (e.key === 'Escape') {
+            setOpen(false, { restoreFocus: true });
+            return;
         }
-        
-        @media (max-width: 1024px) {
-            .sidebar {
-                transform: translateX(-100%);
-                transition: transform 0.3s ease-in-out;
-            }
-            
-            .sidebar.sidebar-open {
-                transform: translateX(0);
-            }
-            
-            .nav-toggle.nav-toggle-open span:nth-child(1) {
-                transform: rotate(45deg) translate(5px, 5px);
-            }
-            
-            .nav-toggle.nav-toggle-open span:nth-child(2) {
-                opacity: 0;
-            }
-            
-            .nav-toggle.nav-toggle-open span:nth-child(3) {
-                transform: rotate(-45deg) translate(7px, -6px);
+
+        if (e.key === 'Tab') {
+            const focusable = [navToggle, ...sidebar.querySelectorAll('a[href], button:not([disabled])')];
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (!focusable.includes(document.activeElement)) {
+                e.preventDefault();
+                first.focus();
+            } else if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
             }
         }
-    `;
-    document.head.appendChild(style);
+    });
+
+    // Close the drawer after following a link from it; the links are generated, so listen on the sidebar
+    sidebar.addEventListener('click', (e) => {
+        if (isMobile() && e.target.closest('a[href]')) {
+            setOpen(false);
+        }
+    });
+
+    // Reset when crossing the breakpoint so the desktop sidebar is never left inert
+    if (mobile) {
+        mobile.addEventListener('change', () => setOpen(false));
+    }
+    setOpen(false);
 }
 
 // Initialize enhanced features
-function initializeEnhancedFeatures() {
+export function initializeEnhancedFeatures() {
     // Add keyboard navigation
     document.addEventListener('keydown', function(e) {
-        // Press 'S' to focus search (if implemented)
-        if (e.key === 's' && !e.ctrlKey && !e.metaKey && e.target.tagName !== 'INPUT') {
+        // Press 'S' to focus search (if implemented), unless the user is typing somewhere
+        if (e.key === 's' && !e.ctrlKey && !e.metaKey && !e.altKey && !isEditableTarget(e.target)) {
             e.preventDefault();
             // Focus search input if available
             const searchInput = document.querySelector('.search-input');
@@ -237,16 +183,6 @@ function initializeEnhancedFeatures() {
                 searchInput.focus();
             }
         }
-        
-        // Escape to close mobile menu
-        if (e.key === 'Escape') {
-            const sidebar = document.querySelector('.sidebar');
-            const navToggle = document.querySelector('.nav-toggle');
-            if (sidebar && navToggle) {
-                sidebar.classList.remove('sidebar-open');
-                navToggle.classList.remove('nav-toggle-open');
-            }
-        }
     });
     
     // Add scroll to top functionality
@@ -263,8 +199,18 @@ function initializeEnhancedFeatures() {
     });
 }
 
+// True when a key event comes from a form control or an editable region
+export function isEditableTarget(target) {
+    return Boolean(target && target.closest && (target.isContentEditable || target.closest(EDITABLE_SELECTOR)));
+}
+
+// Escape text for use in HTML content and quoted attribute values; null and undefined become empty text
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 // Create scroll to top button
-function createScrollToTopButton() {
+export function createScrollToTopButton() {
     const button = document.createElement('button');
     button.className = 'scroll-to-top';
     button.innerHTML = '<i class="fas fa-arrow-up"></i>';
@@ -277,57 +223,11 @@ function createScrollToTopButton() {
         });
     });
     
-    // Add styles
-    const style = document.createElement('style');
-    style.textContent = `
-        .scroll-to-top {
-            position: fixed;
-            bottom: 2rem;
-            right: 2rem;
-            width: 3rem;
-            height: 3rem;
-            background: var(--primary);
-            color: white;
-            border: none;
-            border-radius: 50%;
-            box-shadow: var(--shadow-lg);
-            cursor: pointer;
-            opacity: 0;
-            visibility: hidden;
-            transition: all 0.3s ease-in-out;
-            z-index: 1000;
-        }
-        
-        .scroll-to-top:hover {
-            background: var(--primary-dark);
-            transform: translateY(-2px);
-        }
-        
-        .scroll-to-top.show {
-            opacity: 1;
-            visibility: visible;
-        }
-        
-        @media (max-width: 768px) {
-            .scroll-to-top {
-                bottom: 1rem;
-                right: 1rem;
-                width: 2.5rem;
-                height: 2.5rem;
-            }
-        }
-    `;
-    
-    if (!document.querySelector('style[data-scroll-to-top]')) {
-        style.setAttribute('data-scroll-to-top', 'true');
-        document.head.appendChild(style);
-    }
-    
     return button;
 }
 
 // Add loading animation for code blocks
-function addCodeLoadingAnimation() {
+export function addCodeLoadingAnimation() {
     const codeBlocks = document.querySelectorAll('.code-editor, .output-editor');
     
     codeBlocks.forEach(block => {
@@ -350,15 +250,8 @@ function addCodeLoadingAnimation() {
     });
 }
 
-// Initialize all enhanced features
-document.addEventListener('DOMContentLoaded', function() {
-    addSidebarActiveStates();
-    initializeEnhancedFeatures();
-    addCodeLoadingAnimation();
-});
-
 // Add print functionality
-function initializePrintStyles() {
+export function initializePrintStyles() {
     const printButton = document.createElement('button');
     printButton.className = 'print-btn';
     printButton.innerHTML = '<i class="fas fa-print"></i> Print';
@@ -368,6 +261,7 @@ function initializePrintStyles() {
         right: 2rem;
         padding: 0.5rem 1rem;
         background: var(--bg-primary);
+        color: var(--text-primary);
         border: 1px solid var(--border);
         border-radius: var(--radius);
         cursor: pointer;
@@ -386,6 +280,3 @@ function initializePrintStyles() {
         printButton.style.display = 'block';
     }
 }
-
-// Initialize print functionality
-document.addEventListener('DOMContentLoaded', initializePrintStyles);
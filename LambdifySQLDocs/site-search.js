@@ -0,0 +1,380 @@
+// Site Search - Ctrl/Cmd+K command palette over every section, code block and example
+import { scrollToElement, escapeHtml } from './script.js';
+
+const MAX_SEARCH_RESULTS = 20;
+
+// Characters of context shown before the first match in a snippet; twice as many follow it
+const SNIPPET_CONTEXT = 60;
+
+// Added to an entry's score so sections outrank the code blocks inside them on equal matches
+const SEARCH_TYPE_WEIGHTS = {
+    section: 3,
+    example: 2,
+    code: 1
+};
+
+const SEARCH_TYPE_ICONS = {
+    section: 'fa-bookmark',
+    example: 'fa-flask',
+    code: 'fa-code'
+};
+
+// Elements whose text describes a section; code is indexed separately
+const SECTION_TEXT_SELECTOR = 'h1, h2, h3, h4, p, li, th, td, .feature-card, .example-description';
+
+export class SiteSearch {
+    constructor(examplesManager = null) {
+        this.examplesManager = examplesManager;
+        this.entries = [];
+        this.results = [];
+        this.activeIndex = 0;
+        this.palette = null;
+        this.input = null;
+        this.list = null;
+        this.status = null;
+        this.previousFocus = null;
+    }
+
+    init() {
+        this.createPalette();
+
+        // Show the shortcut the way the platform spells it
+        if (/Mac|iPhone|iPad/.test(navigator.platform)) {
+            document.querySelectorAll('[data-open-search] kbd').forEach(kbd => {
+                kbd.textContent = '⌘K';
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey) {
+                e.preventDefault();
+                if (this.isOpen()) {
+                    this.close();
+                } else {
+                    this.open();
+                }
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-open-search]')) {
+                e.preventDefault();
+                this.open();
+            }
+        });
+    }
+
+    // Index every section[id], every static code and SQL output block and every loaded example
+    buildIndex() {
+        const entries = [];
+
+        document.querySelectorAll('section[id]').forEach(section => {
+            const title = this.getSectionTitle(section);
+            const text = [...section.querySelectorAll(SECTION_TEXT_SELECTOR)]
+                .filter(element => !element.closest('pre, #examples-container'))
+                .map(element => element.textContent)
+                .join(' ');
+
+            entries.push({ type: 'section', title, context: '', text: this.normalizeText(text), element: section, hash: section.id });
+        });
+
+        document.querySelectorAll('.code-example, .output-example').forEach(block => {
+            const code = block.querySelector('pre code');
+            if (!code || block.closest('#examples-container')) return;
+
+            const section = block.closest('section[id]');
+            const label = block.querySelector('.code-language, .output-language');
+            const heading = this.findPrecedingHeading(block);
+            entries.push({
+                type: 'code',
+                title: this.normalizeText(label ? label.textContent : heading),
+                context: heading || (section ? this.getSectionTitle(section) : ''),
+                text: code.textContent,
+                element: block,
+                hash: section ? section.id : null
+            });
+        });
+
+        // Examples are indexed from data, since filters may keep their cards out of the DOM
+        const examples = this.examplesManager ? this.examplesManager.examples : [];
+        examples.forEach(example => {
+            entries.push({
+                type: 'example',
+                title: `${example.id}. ${example.title}`,
+                context: 'Comprehensive Examples',
+                text: `${example.description} ${example.tags.join(' ')} ${example.csharpCode} ${example.sqlOutput}`,
+                exampleId: example.id
+            });
+        });
+
+        entries.forEach(entry => {
+            entry.titleLower = entry.title.toLowerCase();
+            entry.textLower = entry.text.toLowerCase();
+        });
+        this.entries = entries;
+    }
+
+    getSectionTitle(section) {
+        const heading = section.querySelector('h1, h2');
+        return heading ? this.normalizeText(heading.textContent) : section.id;
+    }
+
+    // Nearest h3/h4 before an element within its section, used to label code blocks
+    findPrecedingHeading(element) {
+        let current = element;
+        while (current && !(current.matches && current.matches('section[id]'))) {
+            let sibling = current.previousElementSibling;
+            while (sibling) {
+                const heading = sibling.matches('h3, h4') ? sibling : sibling.querySelector('h3, h4');
+                if (heading) return this.normalizeText(heading.textContent);
+                sibling = sibling.previousElementSibling;
+            }
+            current = current.parentElement;
+        }
+        return '';
+    }
+
+    // Rank entries for a query; every term must match the title, the text, or fuzzily the title
+    search(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        return this.entries
+            .map(entry => ({ entry, score: this.scoreEntry(entry, terms) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_SEARCH_RESULTS)
+            .map(result => ({ ...result.entry, terms }));
+    }
+
+    scoreEntry(entry, terms) {
+        let score = 0;
+        for (const term of terms) {
+            const titleIndex = entry.titleLower.indexOf(term);
+            if (titleIndex === 0) {
+                score += 12;
+            } else if (titleIndex > 0) {
+                score += 8;
+            } else if (entry.textLower.includes(term)) {
+                score += 3;
+            } else if (this.isFuzzyMatch(term, entry.titleLower)) {
+                score += 1;
+            } else {
+                return 0;
+            }
+        }
+        return score + SEARCH_TYPE_WEIGHTS[entry.type];
+    }
+
+    // Whether the term's characters appear in order in the text, e.g. "wfn" in "window functions"
+    isFuzzyMatch(term, text) {
+        let position = 0;
+        for (const char of term) {
+            position = text.indexOf(char, position);
+            if (position === -1) return false;
+            position++;
+        }
+        return true;
+    }
+
+    // Text around the first matched term, with the terms marked
+    createSnippet(entry) {
+        const text = this.normalizeText(entry.text);
+        const lower = text.toLowerCase();
+        const positions = entry.terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+        const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+        const start = Math.max(0, first - SNIPPET_CONTEXT);
+        const end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+        const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+        return this.markTerms(excerpt, entry.terms);
+    }
+
+    markTerms(text, terms) {
+        const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+        let html = '';
+        let offset = 0;
+        for (const match of text.matchAll(pattern)) {
+            if (match[0].length === 0) continue;
+            html += escapeHtml(text.slice(offset, match.index));
+            html += `<mark class="search-highlight">${escapeHtml(match[0])}</mark>`;
+            offset = match.index + match[0].length;
+        }
+        return html + escapeHtml(text.slice(offset));
+    }
+
+    createPalette() {
+        this.palette = document.createElement('div');
+        this.palette.className = 'command-palette';
+        this.palette.hidden = true;
+        this.palette.innerHTML = `
+            <div class="command-palette-dialog" role="dialog" aria-modal="true" aria-label="Search documentation">
+                <div class="command-palette-search">
+                    <i class="fas fa-search search-icon"></i>
+                    <input type="text" class="command-palette-input" placeholder="Search the documentation..."
+                        role="combobox" aria-label="Search the documentation" aria-expanded="false" aria-controls="command-palette-results" aria-autocomplete="list" autocomplete="off" spellcheck="false">
+                    <kbd>Esc</kbd>
+                </div>
+                <ul id="command-palette-results" class="command-palette-results" role="listbox" aria-label="Search results" hidden></ul>
+                <p class="command-palette-empty" role="status"></p>
+                <div class="command-palette-footer">
+                    <span><kbd>↑</kbd><kbd>↓</kbd> to navigate</span>
+                    <span><kbd>Enter</kbd> to jump</span>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.palette);
+
+        this.input = this.palette.querySelector('.command-palette-input');
+        this.list = this.palette.querySelector('.command-palette-results');
+        this.status = this.palette.querySelector('.command-palette-empty');
+
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.setActive(Number(option.getAttribute('data-index')));
+        });
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.select(Number(option.getAttribute('data-index')));
+        });
+
+        // Clicking the backdrop closes the palette
+        this.palette.addEventListener('click', (e) => {
+            if (e.target === this.palette) this.close();
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.palette) && !this.palette.hidden;
+    }
+
+    open() {
+        if (this.isOpen()) return;
+
+        this.buildIndex();
+        this.previousFocus = document.activeElement;
+        this.palette.hidden = false;
+        document.body.classList.add('command-palette-open');
+        this.input.select();
+        this.input.focus();
+        this.update();
+    }
+
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen()) return;
+
+        this.palette.hidden = true;
+        document.body.classList.remove('command-palette-open');
+        if (restoreFocus && this.previousFocus && this.previousFocus.focus) {
+            this.previousFocus.focus();
+        }
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.select(this.activeIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'Tab':
+                // The input is the only control, so keep focus inside the dialog
+                e.preventDefault();
+                break;
+        }
+    }
+
+    update() {
+        const query = this.input.value.trim();
+        this.results = this.search(query);
+        this.activeIndex = 0;
+
+        // A listbox may only contain options, so hints and "no results" go to the status line instead
+        this.list.hidden = this.results.length === 0;
+        this.status.hidden = this.results.length > 0;
+
+        if (!query) {
+            this.list.innerHTML = '';
+            this.status.textContent = 'Type to search sections, code samples and examples.';
+        } else if (this.results.length === 0) {
+            this.list.innerHTML = '';
+            this.status.textContent = `No results for "${query}".`;
+        } else {
+            this.list.innerHTML = this.results.map((result, index) => `
+                <li id="command-palette-option-${index}" class="command-palette-option" role="option" data-index="${index}" aria-selected="false">
+                    <i class="fas ${SEARCH_TYPE_ICONS[result.type]}"></i>
+                    <div class="command-palette-option-body">
+                        <div class="command-palette-option-title">
+                            ${this.markTerms(result.title, result.terms)}
+                            ${result.context ? `<span class="command-palette-option-context">${escapeHtml(result.context)}</span>` : ''}
+                        </div>
+                        <div class="command-palette-snippet">${this.createSnippet(result)}</div>
+                    </div>
+                </li>
+            `).join('');
+        }
+
+        this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+        this.setActive(0);
+    }
+
+    setActive(index) {
+        if (this.results.length === 0) {
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.activeIndex = (index + this.results.length) % this.results.length;
+        this.list.querySelectorAll('[role="option"]').forEach(option => {
+            const active = Number(option.getAttribute('data-index')) === this.activeIndex;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active && option.scrollIntoView) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        this.input.setAttribute('aria-activedescendant', `command-palette-option-${this.activeIndex}`);
+    }
+
+    // Jump to a result: examples go through ExamplesManager so filters hiding them are cleared
+    select(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.close({ restoreFocus: false });
+
+        if (result.type === 'example') {
+            this.examplesManager.focusExample(result.exampleId);
+            return;
+        }
+
+        scrollToElement(result.element);
+        if (result.hash) {
+            history.pushState(null, null, `#${result.hash}`);
+        }
+
+        // Move focus with the jump so keyboard users continue from the result
+        if (!result.element.hasAttribute('tabindex')) {
+            result.element.setAttribute('tabindex', '-1');
+        }
+        result.element.focus({ preventScroll: true });
+    }
+
+    normalizeText(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+}
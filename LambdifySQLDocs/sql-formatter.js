@@ -0,0 +1,304 @@
+// SQL Formatter - Re-indents generated SQL without touching literals or quoted identifiers
+
+// Quoted tokens each dialect treats as a single unit, tried before anything else
+const SQL_FORMATTER_QUOTES = {
+    SqlServer: [/N?'(?:[^']|'')*'/y, /\[(?:[^\]]|\]\])*\]/y, /"(?:[^"]|"")*"/y],
+    MySql: [/'(?:[^'\\]|\\[\s\S]|'')*'/y, /"(?:[^"\\]|\\[\s\S]|"")*"/y, /`(?:[^`]|``)*`/y],
+    PostgreSql: [/[EU]&?'(?:[^'\\]|\\[\s\S]|'')*'/iy, /'(?:[^']|'')*'/y, /"(?:[^"]|"")*"/y, /\$(\w*)\$[\s\S]*?\$\1\$/y]
+};
+
+// Clause keywords that start a new line, longest first so multi-word keywords win
+const SQL_CLAUSE_KEYWORDS = [
+    'LEFT OUTER JOIN', 'RIGHT OUTER JOIN', 'FULL OUTER JOIN',
+    'INNER JOIN', 'LEFT JOIN', 'RIGHT JOIN', 'CROSS JOIN', 'FULL JOIN',
+    'GROUP BY', 'ORDER BY', 'PARTITION BY', 'INSERT INTO', 'UNION ALL',
+    'WITH', 'SELECT', 'FROM', 'WHERE', 'HAVING', 'LIMIT', 'OFFSET',
+    'UNION', 'EXCEPT', 'INTERSECT', 'VALUES', 'UPDATE', 'SET', 'DELETE', 'JOIN'
+];
+
+// How the body of each clause is broken when it does not fit on one line
+const SQL_CLAUSE_LAYOUTS = {
+    'WITH': 'cte',
+    'SELECT': 'list',
+    'GROUP BY': 'list',
+    'ORDER BY': 'list',
+    'PARTITION BY': 'list',
+    'SET': 'list',
+    'VALUES': 'list',
+    'WHERE': 'predicate',
+    'HAVING': 'predicate'
+};
+
+const SQL_FORMATTER_INDENT = '    ';
+
+export class SqlFormatter {
+    constructor({ dialect = 'SqlServer', maxLineLength = 80 } = {}) {
+        this.quotes = SQL_FORMATTER_QUOTES[dialect] || SQL_FORMATTER_QUOTES.SqlServer;
+        this.maxLineLength = maxLineLength;
+    }
+
+    // Format a SQL string; only whitespace between tokens is changed
+    format(sql) {
+        const nodes = this.buildTree(this.tokenize(sql));
+        return this.formatNodes(nodes, 0);
+    }
+
+    // Split SQL into tokens, remembering whether each was preceded by whitespace
+    tokenize(sql) {
+        const tokens = [];
+        let offset = 0;
+        let spaceBefore = false;
+
+        while (offset < sql.length) {
+            const whitespace = /\s+/y;
+            whitespace.lastIndex = offset;
+            if (whitespace.exec(sql)) {
+                offset = whitespace.lastIndex;
+                spaceBefore = true;
+                continue;
+            }
+
+            const text = this.matchAt(sql, offset);
+            tokens.push({ text, spaceBefore, comment: text.startsWith('--') || text.startsWith('/*') });
+            offset += text.length;
+            spaceBefore = false;
+        }
+
+        return tokens;
+    }
+
+    matchAt(sql, offset) {
+        const patterns = [
+            /--[^\n]*/y,
+            /\/\*[\s\S]*?\*\//y,
+            ...this.quotes,
+            /[@$:]?\w+/y,
+            /<>|<=|>=|!=|::|\|\|/y,
+            /[\s\S]/y
+        ];
+
+        for (const pattern of patterns) {
+            pattern.lastIndex = offset;
+            const match = pattern.exec(sql);
+            if (match) return match[0];
+        }
+        return sql[offset];
+    }
+
+    // Nest tokens inside parentheses into { open, children, close } groups
+    buildTree(tokens) {
+        const root = { children: [] };
+        const stack = [root];
+
+        tokens.forEach(token => {
+            const current = stack[stack.length - 1];
+            if (token.text === '(') {
+                const group = { open: token, children: [], close: null, spaceBefore: token.spaceBefore };
+                current.children.push(group);
+                stack.push(group);
+            } else if (token.text === ')' && stack.length > 1) {
+                current.close = token;
+                stack.pop();
+            } else {
+                current.children.push(token);
+            }
+        });
+
+        return root.children;
+    }
+
+    isGroup(node) {
+        return node.children !== undefined;
+    }
+
+    // Clause keyword starting at index, or null
+    clauseKeywordAt(nodes, index) {
+        for (const keyword of SQL_CLAUSE_KEYWORDS) {
+            const words = keyword.split(' ');
+            const matches = words.every((word, offset) => {
+                const node = nodes[index + offset];
+                return node && !this.isGroup(node) && node.text.toUpperCase() === word;
+            });
+            if (matches) return keyword;
+        }
+        return null;
+    }
+
+    // A group holding a subquery or CTE body is always laid out on its own lines
+    isQueryGroup(group) {
+        const keyword = this.clauseKeywordAt(group.children, 0);
+        return keyword === 'SELECT' || keyword === 'WITH';
+    }
+
+    // Render nodes on a single line, preserving the original spacing between tokens
+    inline(nodes) {
+        return nodes.map((node, index) => {
+            const text = this.isGroup(node)
+                ? `(${this.inline(node.children)}${node.close ? ')' : ''}`
+                : node.text;
+            return (index > 0 && node.spaceBefore ? ' ' : '') + text;
+        }).join('');
+    }
+
+    fits(text, indent) {
+        return !text.includes('\n') && SQL_FORMATTER_INDENT.length * indent + text.length <= this.maxLineLength;
+    }
+
+    containsQueryGroup(nodes) {
+        return nodes.some(node => this.isGroup(node) && (this.isQueryGroup(node) || this.containsQueryGroup(node.children)));
+    }
+
+    containsComment(nodes) {
+        return nodes.some(node => this.isGroup(node) ? this.containsComment(node.children) : node.comment);
+    }
+
+    formatNodes(nodes, indent) {
+        return this.clauseKeywordAt(nodes, 0) ? this.formatQuery(nodes, indent) : this.formatExpression(nodes, indent);
+    }
+
+    // Put each clause on its own line at the current indent
+    formatQuery(nodes, indent) {
+        const clauses = [];
+        let index = 0;
+
+        while (index < nodes.length) {
+            const keyword = this.clauseKeywordAt(nodes, index);
+            if (keyword || clauses.length === 0) {
+                const width = keyword ? keyword.split(' ').length : 0;
+                clauses.push({ keyword, head: nodes.slice(index, index + width), body: [] });
+                index += width;
+            } else {
+                clauses[clauses.length - 1].body.push(nodes[index++]);
+            }
+        }
+
+        const pad = SQL_FORMATTER_INDENT.repeat(indent);
+        return clauses.map(clause => pad + this.formatClause(clause, indent)).join('\n');
+    }
+
+    formatClause({ keyword, head, body }, indent) {
+        const headText = this.inline(head);
+        const inlineText = body.length > 0 ? `${headText}${head.length > 0 ? ' ' : ''}${this.inline(body)}` : headText;
+
+        if (this.fits(inlineText, indent) && !this.containsQueryGroup(body) && !this.containsComment(body)) {
+            return inlineText;
+        }
+
+        const pad = SQL_FORMATTER_INDENT.repeat(indent);
+        const innerPad = SQL_FORMATTER_INDENT.repeat(indent + 1);
+        const layout = keyword && keyword.endsWith('JOIN') ? 'join' : SQL_CLAUSE_LAYOUTS[keyword];
+
+        switch (layout) {
+            case 'cte':
+                return `${headText} ${this.splitTopLevel(body, ',').map(item => this.formatExpression(item, indent)).join(`,\n${pad}`)}`;
+            case 'list': {
+                const items = this.splitTopLevel(body, ',');
+                // TOP (n) and DISTINCT stay on the SELECT line
+                const modifiers = [];
+                while (items[0] && /^(TOP|DISTINCT)$/i.test(items[0][0].text || '')) {
+                    const size = items[0][0].text.toUpperCase() === 'TOP' ? 2 : 1;
+                    modifiers.push(...items[0].slice(0, size));
+                    items[0] = items[0].slice(size);
+                }
+                const prefix = modifiers.length > 0 ? `${headText} ${this.inline(modifiers)}` : headText;
+                return `${prefix}\n${items.map(item => innerPad + this.formatExpression(item, indent + 1)).join(',\n')}`;
+            }
+            case 'predicate':
+                return `${headText} ${this.formatPredicate(body, indent, indent + 1)}`;
+            case 'join': {
+                const onIndex = body.findIndex(node => !this.isGroup(node) && node.text.toUpperCase() === 'ON');
+                if (onIndex === -1) {
+                    return `${headText} ${this.formatExpression(body, indent)}`;
+                }
+                const target = this.formatExpression(body.slice(0, onIndex), indent);
+                const condition = this.formatPredicate(body.slice(onIndex + 1), indent + 1, indent + 2);
+                return `${headText} ${target}\n${innerPad}ON ${condition}`;
+            }
+            default:
+                return head.length > 0 ? `${headText} ${this.formatExpression(body, indent)}` : this.formatExpression(body, indent);
+        }
+    }
+
+    // Break at top-level AND/OR when the predicate does not fit
+    formatPredicate(nodes, indent, continuationIndent) {
+        const inlineText = this.inline(nodes);
+        if (this.fits(inlineText, indent) && !this.containsQueryGroup(nodes) && !this.containsComment(nodes)) {
+            return inlineText;
+        }
+
+        const parts = this.splitTopLevel(nodes, 'AND', 'OR');
+        if (parts.length === 1) {
+            return this.formatExpression(nodes, indent);
+        }
+
+        const pad = SQL_FORMATTER_INDENT.repeat(continuationIndent);
+        return parts.map((part, index) => {
+            const text = this.formatExpression(part, continuationIndent);
+            return index === 0 ? text : `\n${pad}${text}`;
+        }).join('');
+    }
+
+    // Inline expression, expanding parenthesized groups that are subqueries or too long
+    formatExpression(nodes, indent) {
+        const inlineText = this.inline(nodes);
+        const expand = !this.fits(inlineText, indent) || this.containsComment(nodes);
+        if (!expand && !this.containsQueryGroup(nodes)) {
+            return inlineText;
+        }
+
+        const pad = SQL_FORMATTER_INDENT.repeat(indent);
+        let result = '';
+        nodes.forEach((node, index) => {
+            const separator = index > 0 && node.spaceBefore ? ' ' : '';
+            if (!this.isGroup(node)) {
+                result += separator + node.text + (node.comment && index < nodes.length - 1 ? `\n${pad}` : '');
+                return;
+            }
+
+            const groupText = `(${this.inline(node.children)})`;
+            if (this.isQueryGroup(node) || (expand && !this.fits(groupText, indent + 1) && this.isBreakable(node))) {
+                const body = this.isQueryGroup(node) || this.clauseKeywordAt(node.children, 0)
+                    ? this.formatQuery(node.children, indent + 1)
+                    : SQL_FORMATTER_INDENT.repeat(indent + 1) + this.formatPredicate(node.children, indent + 1, indent + 1);
+                result += `${separator}(\n${body}\n${pad}${node.close ? ')' : ''}`;
+            } else {
+                result += separator + this.formatExpression([node], indent).replace(/^\s+/, '');
+            }
+        });
+        return result;
+    }
+
+    // Whether a group has anywhere sensible to break: clauses, AND/OR or commas at its top level
+    isBreakable(group) {
+        return Boolean(this.clauseKeywordAt(group.children, 0))
+            || this.splitTopLevel(group.children, 'AND', 'OR').length > 1
+            || this.containsQueryGroup(group.children);
+    }
+
+    // Split nodes on top-level separators; AND/OR separators stay at the start of the following part
+    splitTopLevel(nodes, ...separators) {
+        const parts = [[]];
+        let inBetween = false; // the AND of "BETWEEN x AND y" is not a separator
+        nodes.forEach(node => {
+            const text = this.isGroup(node) ? null : node.text.toUpperCase();
+            if (text === 'BETWEEN') {
+                inBetween = true;
+            } else if (text === 'AND' && inBetween) {
+                inBetween = false;
+                parts[parts.length - 1].push(node);
+                return;
+            }
+
+            if (text && separators.includes(text)) {
+                if (text === ',') {
+                    parts.push([]);
+                } else {
+                    parts.push([node]);
+                }
+            } else {
+                parts[parts.length - 1].push(node);
+            }
+        });
+        return parts.filter(part => part.length > 0);
+    }
+}
@@ -0,0 +1,278 @@
+// SQL Sandbox - Runs an example's SQL output against sample tables in SQLite, compiled to WebAssembly (sql.js)
+// The engine is vendored (tools/vendor-assets.js) and loaded on the first Run, so the page never pays for it
+// up front. Tables come from the entities in examples.json and are filled from sandbox-data.json; changes
+// made by the INSERT, UPDATE and DELETE examples persist until the data is reset.
+import { DIALECT_LABELS } from './examples.js';
+import { escapeHtml } from './script.js';
+
+const SANDBOX_ENGINE_DIR = 'vendor/sql.js/dist/';
+const SANDBOX_ENGINE_SCRIPT = `${SANDBOX_ENGINE_DIR}sql-wasm.js`;
+const SANDBOX_DATA_URL = 'sandbox-data.json';
+
+// SQLite column affinity for the C# property types the entities use
+const SQLITE_TYPES = {
+    int: 'INTEGER',
+    long: 'INTEGER',
+    bool: 'INTEGER',
+    decimal: 'REAL',
+    double: 'REAL',
+    float: 'REAL',
+    string: 'TEXT',
+    DateTime: 'TEXT'
+};
+
+// Dialect-only constructs SQLite has no equivalent for; statements using them are flagged instead of run.
+// SQLite already reads [bracketed], `backticked` and "quoted" identifiers and @name parameters.
+const UNSUPPORTED_CONSTRUCTS = [
+    { pattern: /\bTOP\s*\(/i, message: 'TOP (n) is SQL Server syntax; SQLite limits rows with LIMIT.' },
+    { pattern: /\bDATEADD\s*\(/i, message: 'DATEADD is a SQL Server function; SQLite shifts dates with date() modifiers.' },
+    { pattern: /^\s*UPDATE\s+\w+\s+SET\b[\s\S]*\bFROM\b/i, message: 'UPDATE alias SET ... FROM updates a table through its alias, which SQLite does not allow.' },
+    { pattern: /^\s*DELETE\s+\w+\s+FROM\b/i, message: 'DELETE alias FROM deletes through an alias, which SQLite does not allow.' }
+];
+
+// Messages for the constructs in a statement that SQLite cannot run; string literals are not searched
+export function findUnsupportedConstructs(sql) {
+    const code = sql.replace(/'(?:[^']|'')*'/g, "''");
+    return UNSUPPORTED_CONSTRUCTS.filter(construct => construct.pattern.test(code)).map(construct => construct.message);
+}
+
+// SQLite has no boolean or date types: booleans are stored as 1/0 and DateTime values as ISO 8601 text
+export function toSqliteValue(value, dotnetType) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (dotnetType === 'DateTime') return value.replace('T', ' ');
+    return value;
+}
+
+// CREATE TABLE statement for an entity; columns use the property names the generated SQL refers to
+export function createTableSql(entity, tableName) {
+    const columns = entity.properties.map(property => {
+        const type = SQLITE_TYPES[property.type.replace(/\?$/, '')] || 'TEXT';
+        return property.primaryKey ? `"${property.name}" INTEGER PRIMARY KEY` : `"${property.name}" ${type}`;
+    });
+    return `CREATE TABLE "${tableName}" (${columns.join(', ')})`;
+}
+
+export class SqlSandbox {
+    constructor(examplesManager) {
+        this.examplesManager = examplesManager;
+        this.enginePromise = null;
+        this.sampleData = null;
+        this.database = null;
+    }
+
+    init() {
+        document.addEventListener('click', (e) => {
+            const runButton = e.target.closest('.run-btn[data-example-id]');
+            if (runButton) {
+                e.preventDefault();
+                this.run(Number(runButton.getAttribute('data-example-id')));
+                return;
+            }
+
+            const resetButton = e.target.closest('.sandbox-reset-btn');
+            if (resetButton) {
+                e.preventDefault();
+                this.reset(resetButton.closest('.sandbox-result'));
+            }
+        });
+    }
+
+    // Load sql.js with a script tag on first use; it finds its .wasm file next to the script
+    loadEngine() {
+        if (!this.enginePromise) {
+            this.enginePromise = new Promise((resolve, reject) => {
+                if (window.initSqlJs) {
+                    resolve(window.initSqlJs);
+                    return;
+                }
+
+                const script = document.createElement('script');
+                script.src = SANDBOX_ENGINE_SCRIPT;
+                script.onload = () => resolve(window.initSqlJs);
+                script.onerror = () => reject(new Error(`Could not load the SQLite engine from ${SANDBOX_ENGINE_SCRIPT}`));
+                document.head.appendChild(script);
+            })
+                .then(initSqlJs => initSqlJs({ locateFile: file => `${SANDBOX_ENGINE_DIR}${file}` }))
+                .catch(error => {
+                    // Let the next Run try again, e.g. once the connection is back
+                    this.enginePromise = null;
+                    throw error;
+                });
+        }
+        return this.enginePromise;
+    }
+
+    async loadSampleData() {
+        if (!this.sampleData) {
+            const response = await fetch(SANDBOX_DATA_URL);
+            if (!response.ok) {
+                throw new Error(`Request for ${SANDBOX_DATA_URL} failed with status ${response.status}`);
+            }
+            this.sampleData = await response.json();
+        }
+        return this.sampleData;
+    }
+
+    // The shared sample database, created and seeded on first use
+    async getDatabase() {
+        if (!this.database) {
+            const [SQL, sampleData] = await Promise.all([this.loadEngine(), this.loadSampleData()]);
+            if (!this.database) {
+                this.database = this.createDatabase(SQL, sampleData);
+            }
+        }
+        return this.database;
+    }
+
+    // One table per entity, filled with the rows sandbox-data.json lists under the entity's name
+    createDatabase(SQL, sampleData) {
+        const database = new SQL.Database();
+        const schema = this.examplesManager.schema;
+
+        schema.entities.forEach(entity => {
+            const tableName = schema.getTableName(entity);
+            database.run(createTableSql(entity, tableName));
+
+            const columns = entity.properties.map(property => property.name);
+            const insert = database.prepare(`INSERT INTO "${tableName}" (${columns.map(column => `"${column}"`).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+            (sampleData[entity.name] || []).forEach(row => {
+                insert.run(entity.properties.map(property => toSqliteValue(row[property.name], property.type)));
+            });
+            insert.free();
+        });
+
+        return database;
+    }
+
+    // Run an example's output in the dialect its card shows and render the result below the output
+    async run(id) {
+        const example = this.examplesManager.examples.find(item => item.id === id);
+        const card = document.getElementById(`example-${id}`);
+        if (!example || !card) return;
+
+        const dialect = this.examplesManager.getExampleDialect(example);
+        const sql = this.examplesManager.getSqlOutput(example, dialect);
+        const panel = this.getResultPanel(card);
+        panel.querySelector('.sandbox-dialect').textContent = `(${DIALECT_LABELS[dialect]} output)`;
+
+        const unsupported = findUnsupportedConstructs(sql);
+        if (unsupported.length > 0) {
+            this.showUnsupported(panel, example, unsupported);
+            return;
+        }
+
+        this.showMessage(panel, 'Running against the sample data...');
+        let database;
+        try {
+            database = await this.getDatabase();
+        } catch (error) {
+            console.error('Error loading the SQL sandbox:', error);
+            this.showMessage(panel, `The SQLite sandbox could not be loaded: ${error.message}`, 'error');
+            return;
+        }
+
+        const parameters = Object.fromEntries(example.parameters.map(parameter =>
+            [parameter.name, toSqliteValue(parameter.value, parameter.dotnetType)]));
+        try {
+            const results = database.exec(sql, parameters);
+            if (/^\s*(INSERT|UPDATE|DELETE)\b/i.test(sql)) {
+                const count = database.getRowsModified();
+                this.showMessage(panel, `${count} row${count === 1 ? '' : 's'} affected.`);
+            } else {
+                this.showRows(panel, results[0]);
+            }
+        } catch (error) {
+            this.showMessage(panel, `SQLite error: ${error.message}`, 'error');
+        }
+    }
+
+    // Throw away every change and seed the tables again
+    async reset(panel) {
+        if (this.database) {
+            this.database.close();
+            this.database = null;
+        }
+
+        try {
+            await this.getDatabase();
+        } catch (error) {
+            console.error('Error loading the SQL sandbox:', error);
+            if (panel) {
+                this.showMessage(panel, `The SQLite sandbox could not be loaded: ${error.message}`, 'error');
+            }
+            return;
+        }
+
+        if (panel) {
+            this.showMessage(panel, 'Sample data reset.');
+        }
+    }
+
+    // Result panel under an example's output, created on its first run
+    getResultPanel(card) {
+        let panel = card.querySelector('.sandbox-result');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'sandbox-result';
+            panel.innerHTML = `
+                <div class="sandbox-header">
+                    <span class="sandbox-title">
+                        <i class="fas fa-database"></i>
+                        SQLite sample data
+                        <span class="sandbox-dialect"></span>
+                    </span>
+                    <button class="sandbox-reset-btn" type="button" title="Undo changes to the sample data">
+                        <i class="fas fa-undo"></i> Reset data
+                    </button>
+                </div>
+                <div class="sandbox-body" role="status"></div>
+            `;
+            card.querySelector('.output-example').appendChild(panel);
+        }
+        return panel;
+    }
+
+    showMessage(panel, message, type = 'info') {
+        panel.querySelector('.sandbox-body').innerHTML = `<p class="sandbox-message sandbox-${type}">${escapeHtml(message)}</p>`;
+    }
+
+    // Explain why the statement is not run, and point at the example's dialects that can be
+    showUnsupported(panel, example, messages) {
+        const runnable = this.examplesManager.getAvailableDialects(example)
+            .filter(dialect => findUnsupportedConstructs(this.examplesManager.getSqlOutput(example, dialect)).length === 0)
+            .map(dialect => DIALECT_LABELS[dialect]);
+
+        panel.querySelector('.sandbox-body').innerHTML = `
+            <div class="sandbox-message sandbox-unsupported">
+                <p><i class="fas fa-ban"></i> Not runnable in SQLite:</p>
+                <ul>${messages.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>
+                ${runnable.length > 0 ? `<p>The ${runnable.join(' and ')} output can be run instead.</p>` : ''}
+            </div>
+        `;
+    }
+
+    // First result set as a table; NULL stands out from empty text
+    showRows(panel, result) {
+        if (!result || result.values.length === 0) {
+            this.showMessage(panel, 'No rows returned.');
+            return;
+        }
+
+        const rows = result.values.map(values => `
+            <tr>${values.map(value => value === null
+                ? '<td class="sandbox-null">NULL</td>'
+                : `<td>${escapeHtml(String(value))}</td>`).join('')}</tr>
+        `).join('');
+
+        panel.querySelector('.sandbox-body').innerHTML = `
+            <p class="sandbox-message">${result.values.length} row${result.values.length === 1 ? '' : 's'}</p>
+            <div class="sandbox-table-wrapper">
+                <table class="sandbox-table">
+                    <thead><tr>${result.columns.map(column => `<th scope="col">${escapeHtml(column)}</th>`).join('')}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+}
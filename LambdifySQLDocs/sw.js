@@ -0,0 +1,123 @@
+// Service Worker - Keeps the docs usable offline
+// Precaches the page, its modules, datasets and vendored libraries, then answers GET requests
+// stale-while-revalidate: the cached copy at once, refreshed from the network in the background.
+// CACHE_VERSION is written by tools/precache.js from the latest release and a hash of the precached
+// files, so any change to them installs a fresh cache and activation drops the old ones.
+
+const CACHE_PREFIX = 'lambdifysql-docs-';
+const CACHE_VERSION = '1.0.1-bdd77c8cfd';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Paths relative to this file; tools/precache.js --check fails when the page loads anything not listed
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'main.js',
+    'script.js',
+    'clipboard.js',
+    'examples.js',
+    'entity-schema.js',
+    'query-anatomy.js',
+    'example-export.js',
+    'zip.js',
+    'sql-sandbox.js',
+    'sql-formatter.js',
+    'highlighter.js',
+    'playground.js',
+    'site-search.js',
+    'api-reference.js',
+    'versions.js',
+    'theme.js',
+    'table-of-contents.js',
+    'offline.js',
+    'versions.json',
+    'examples.json',
+    'sandbox-data.json',
+    'api.json',
+    'photo/Oscar.jpg',
+    'vendor/prism/components/prism-core.min.js',
+    'vendor/prism/components/prism-clike.min.js',
+    'vendor/prism/components/prism-markup.min.js',
+    'vendor/prism/components/prism-csharp.min.js',
+    'vendor/prism/components/prism-sql.min.js',
+    'vendor/prism/components/prism-bash.min.js',
+    'vendor/prism/components/prism-powershell.min.js',
+    'vendor/prism/plugins/line-numbers/prism-line-numbers.min.js',
+    'vendor/prism/themes/prism.min.css',
+    'vendor/prism/themes/prism-tomorrow.min.css',
+    'vendor/font-awesome/css/all.min.css',
+    'vendor/font-awesome/webfonts/fa-brands-400.woff2',
+    'vendor/font-awesome/webfonts/fa-regular-400.woff2',
+    'vendor/font-awesome/webfonts/fa-solid-900.woff2',
+    'vendor/font-awesome/webfonts/fa-v4compatibility.woff2',
+    'vendor/sql.js/dist/sql-wasm.js',
+    'vendor/sql.js/dist/sql-wasm.wasm'
+];
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' skips the HTTP cache, so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !/^https?:/.test(request.url)) return;
+
+    event.respondWith(staleWhileRevalidate(event));
+});
+
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+    const key = getCacheKey(request);
+    const cached = await cache.match(key);
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(key, response.clone());
+            }
+            notifyClients(true);
+            return response;
+        })
+        .catch(error => {
+            notifyClients(false);
+            throw error;
+        });
+
+    if (!cached) return refresh;
+
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+}
+
+// The page keeps filter, search and version state in the query string; every such URL is the same document
+function getCacheKey(request) {
+    if (request.mode !== 'navigate') return request;
+
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+    return url.href;
+}
+
+// Tell open pages whether the server answered, for their offline indicator
+async function notifyClients(online) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'connectivity', online }));
+}
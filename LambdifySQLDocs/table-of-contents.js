@@ -0,0 +1,154 @@
+// Table of Contents - Sidebar outline of the page with an IntersectionObserver scroll-spy
+// Top-level entries are the page's sections; example cards, operation groups and API namespaces nest under
+// the section that contains them. Rendered content changes the outline, so call refresh() after re-renders.
+import { scrollToElement, NAVBAR_OFFSET, escapeHtml } from './script.js';
+
+const SECTION_SELECTOR = 'main section[id]';
+const ENTRY_SELECTOR = '.example-item[id], .operation-category[id], .api-namespace[id], #performance-guidelines';
+const HEADING_SELECTOR = '.section-title, .example-title, h3, h4';
+
+// Heading parts that are not part of the title: card numbers, version badges, permalinks, namespace names
+const HEADING_NOISE_SELECTOR = '.example-number, .version-badge, .example-permalink, code';
+
+// A target counts as on screen while it crosses the band from the navbar down to 40% of the viewport
+const SPY_ROOT_MARGIN = `-${NAVBAR_OFFSET}px 0px -60% 0px`;
+
+export class TableOfContents {
+    constructor(nav, scrollContainer = nav.closest('.sidebar')) {
+        this.nav = nav;
+        this.scrollContainer = scrollContainer;
+        this.entries = []; // { target, link, depth } in document order
+        this.visibleTargets = new Set();
+        this.activeEntry = null;
+        this.observer = null;
+    }
+
+    init() {
+        this.nav.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            // ExamplesManager handles #example- links itself, including cards hidden by filters
+            if (!link || link.getAttribute('href').startsWith('#example-')) return;
+
+            const target = document.getElementById(link.getAttribute('href').slice(1));
+            if (!target) return;
+            e.preventDefault();
+
+            scrollToElement(target);
+            history.pushState(null, null, link.getAttribute('href'));
+        });
+
+        this.refresh();
+    }
+
+    // Rebuild the outline from the current page and observe its targets again
+    refresh() {
+        const activeId = this.activeEntry ? this.activeEntry.target.id : null;
+        const sections = [...document.querySelectorAll(SECTION_SELECTOR)];
+
+        this.nav.innerHTML = `
+            <ul class="toc-list">
+                ${sections.map(section => this.createSectionItem(section)).join('')}
+            </ul>
+        `;
+
+        this.entries = [...this.nav.querySelectorAll('.toc-link')]
+            .map(link => ({
+                target: document.getElementById(link.getAttribute('href').slice(1)),
+                link,
+                depth: link.classList.contains('toc-link-section') ? 0 : 1
+            }))
+            .filter(entry => entry.target);
+
+        this.activeEntry = null;
+        const previous = this.entries.find(entry => entry.target.id === activeId);
+        if (previous) {
+            this.setActive(previous);
+        }
+
+        this.observe();
+    }
+
+    createSectionItem(section) {
+        const children = [...section.querySelectorAll(ENTRY_SELECTOR)]
+            .map(element => `<li class="toc-item">${this.createLink(element, 'toc-link')}</li>`)
+            .join('');
+
+        return `
+            <li class="toc-item">
+                ${this.createLink(section, 'toc-link toc-link-section')}
+                ${children ? `<ul class="toc-list">${children}</ul>` : ''}
+            </li>
+        `;
+    }
+
+    createLink(element, className) {
+        return `<a class="${className}" href="#${escapeHtml(element.id)}">${escapeHtml(this.getTitle(element))}</a>`;
+    }
+
+    getTitle(element) {
+        if (element.dataset.tocTitle) return element.dataset.tocTitle;
+
+        const heading = element.querySelector(HEADING_SELECTOR);
+        if (!heading) return element.id;
+
+        const copy = heading.cloneNode(true);
+        copy.querySelectorAll(HEADING_NOISE_SELECTOR).forEach(node => node.remove());
+        return copy.textContent.replace(/\s+/g, ' ').trim() || element.id;
+    }
+
+    observe() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        this.visibleTargets.clear();
+
+        this.observer = new IntersectionObserver((records) => {
+            records.forEach(record => {
+                if (record.isIntersecting) {
+                    this.visibleTargets.add(record.target);
+                } else {
+                    this.visibleTargets.delete(record.target);
+                }
+            });
+            this.updateActive();
+        }, { rootMargin: SPY_ROOT_MARGIN });
+
+        this.entries.forEach(entry => this.observer.observe(entry.target));
+    }
+
+    // The first nested entry on screen wins over its section; between the sections, the top one wins.
+    // With nothing in the band (e.g. a tall code block), the previous entry stays active.
+    updateActive() {
+        const visible = this.entries.filter(entry => this.visibleTargets.has(entry.target));
+        const current = visible.find(entry => entry.depth > 0) || visible[0];
+        if (current) {
+            this.setActive(current);
+        }
+    }
+
+    setActive(entry) {
+        if (entry === this.activeEntry) return;
+
+        if (this.activeEntry) {
+            this.activeEntry.link.classList.remove('active');
+            this.activeEntry.link.removeAttribute('aria-current');
+        }
+
+        this.activeEntry = entry;
+        entry.link.classList.add('active');
+        entry.link.setAttribute('aria-current', 'location');
+        this.keepInView(entry.link);
+    }
+
+    // Scroll the sidebar, not the page, so the active link stays visible
+    keepInView(link) {
+        const container = this.scrollContainer;
+        if (!container) return;
+
+        const top = link.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+        const bottom = top + link.offsetHeight;
+        if (top < container.scrollTop || bottom > container.scrollTop + container.clientHeight) {
+            container.scrollTop = top - container.clientHeight / 2;
+        }
+    }
+}
@@ -0,0 +1,179 @@
+// Building examples.json entries and the static example blocks from snippet files with tools/author-examples.js
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSnippet, readSnippets, mergeExamples, formatJson, renderStaticBlocks, createSnippetFiles } = require('../tools/author-examples');
+
+const dataset = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'examples.json'), 'utf8'));
+const entityNames = new Set(dataset.entities.map(entity => entity.name));
+
+const CSHARP = `---
+title: Cheap products
+description: Products under a price
+category: basic
+tags: select, where
+since: 1.0.1
+entities: Product
+---
+var cheap = SqlQuery.Select<Product>()
+    .Where(p => p.Price < 10);
+`;
+
+const SQL = `---
+dialect: SqlServer
+params:
+  @p0 | 10 | Decimal | DECIMAL(18,2)
+---
+SELECT product.*
+FROM [Product] AS product
+WHERE (product.[Price] < @p0)
+`;
+
+const MYSQL = `---
+dialect: MySql
+source: hand-written
+issues:
+  quoting | 1:8 | [ | Written with the wrong quotes | on purpose.
+---
+SELECT product.*
+FROM \`Product\` AS product
+WHERE (product.\`Price\` < @p0)
+`;
+
+describe('author-examples', () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'author-examples-'));
+    });
+
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    // A fresh snippets folder holding the given files
+    const writeSnippets = (files) => {
+        const folder = fs.mkdtempSync(path.join(directory, 'snippets-'));
+        Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(folder, name), content));
+        return folder;
+    };
+
+    test('parses front-matter fields, indented lists and comments', () => {
+        const { fields, body } = parseSnippet('---\r\ntitle: A: B\r\n# note\r\nparams:\r\n  @p0 | 1 | Int32 | INT\r\n---\r\n\r\nSELECT 1\r\n\r\n', 'a.sql');
+
+        assert.deepEqual(fields, { title: 'A: B', params: ['@p0 | 1 | Int32 | INT'] });
+        assert.equal(body, 'SELECT 1');
+        assert.throws(() => parseSnippet('SELECT 1', 'a.sql'), /a\.sql must start with front-matter/);
+        assert.throws(() => parseSnippet('---\ntitle: A\ntitle: B\n---\n', 'a.cs'), /a\.cs sets "title" twice/);
+    });
+
+    test('reads an example with its parameters, alternate outputs and known issues', () => {
+        const [example] = readSnippets(writeSnippets({ 'cheap.cs': CSHARP, 'cheap.sql': SQL, 'cheap.mysql.sql': MYSQL }));
+
+        assert.deepEqual(example, {
+            slug: 'cheap',
+            title: 'Cheap products',
+            description: 'Products under a price',
+            category: 'basic',
+            tags: ['select', 'where'],
+            since: '1.0.1',
+            dialect: 'SqlServer',
+            entities: ['Product'],
+            csharpCode: 'var cheap = SqlQuery.Select<Product>()\n    .Where(p => p.Price < 10);',
+            sqlOutput: 'SELECT product.*\nFROM [Product] AS product\nWHERE (product.[Price] < @p0)',
+            dialectOutputs: { MySql: 'SELECT product.*\nFROM `Product` AS product\nWHERE (product.`Price` < @p0)' },
+            handWrittenOutputs: ['MySql'],
+            parameters: [{ name: '@p0', value: 10, dotnetType: 'Decimal', sqlType: 'DECIMAL(18,2)' }],
+            knownIssues: [{ dialect: 'MySql', rule: 'quoting', line: 1, column: 8, token: '[', reason: 'Written with the wrong quotes | on purpose.' }]
+        });
+    });
+
+    test('rejects unknown and missing fields, bad parameters and repeated dialects', () => {
+        const read = (files) => () => readSnippets(writeSnippets({ 'cheap.cs': CSHARP, 'cheap.sql': SQL, ...files }));
+
+        assert.throws(read({ 'cheap.cs': CSHARP.replace('since:', 'sinse:') }), /cheap\.cs has unknown front-matter field "sinse"/);
+        assert.throws(read({ 'cheap.cs': CSHARP.replace('since: 1.0.1\n', '') }), /cheap\.cs is missing "since"/);
+        assert.throws(read({ 'cheap.sql': SQL.replace('| 10 |', '| ten |') }), /cheap\.sql has an invalid value for @p0: ten \(quote text values\)/);
+        assert.throws(read({ 'cheap.sqlserver.sql': MYSQL.replace('dialect: MySql', 'dialect: SqlServer') }), /repeats the SqlServer output of "cheap"/);
+        assert.throws(() => readSnippets(writeSnippets({ 'cheap.cs': CSHARP })), /needs both cheap\.cs and cheap\.sql/);
+        assert.throws(read({ 'cheap.mysql.sql': MYSQL.replace('source: hand-written', 'source: copied') }), /cheap\.mysql\.sql has unknown source "copied"/);
+    });
+
+    test('snippet files written for each example read back as the same example', () => {
+        const folder = fs.mkdtempSync(path.join(directory, 'extracted-'));
+        dataset.examples.forEach(example => createSnippetFiles(example)
+            .forEach(file => fs.writeFileSync(path.join(folder, file.name), file.content)));
+
+        const authored = new Map(readSnippets(folder).map(example => [example.slug, example]));
+        dataset.examples.forEach(example => {
+            const merged = mergeExamples([example], [authored.get(example.slug)], entityNames)[0];
+            assert.deepEqual(merged, example, example.slug);
+        });
+    });
+
+    test('merges by slug, keeping ids and fields snippets do not cover, and appends new examples', () => {
+        const [cheap] = readSnippets(writeSnippets({ 'cheap.cs': CSHARP, 'cheap.sql': SQL }));
+        const anatomy = [{ lines: [1, 1], sql: ['SELECT product.*'] }];
+        const existing = { id: 4, ...cheap, title: 'Old title', anatomy };
+        const cheaper = { ...cheap, slug: 'cheaper', title: 'Cheaper products', csharpCode: cheap.csharpCode.replace('10', '5') };
+
+        const merged = mergeExamples([existing], [cheap, cheaper], entityNames);
+        assert.deepEqual(merged.map(example => [example.id, example.slug, example.title]), [[4, 'cheap', 'Cheap products'], [5, 'cheaper', 'Cheaper products']]);
+        assert.deepEqual(merged[0].anatomy, anatomy);
+
+        assert.throws(() => mergeExamples([], [{ ...cheap, entities: ['Order'] }], entityNames), /uses unknown entity "Order"/);
+        assert.throws(() => mergeExamples([], [cheap, { ...cheap, slug: 'other' }], entityNames), /have the same title/);
+    });
+
+    test('formats JSON as examples.json is laid out', () => {
+        const value = { tags: ['a', 'b'], parameters: [{ name: '@p0', value: 1 }], nested: { empty: [] } };
+
+        assert.equal(formatJson(value), [
+            '{',
+            '  "tags": ["a", "b"],',
+            '  "parameters": [',
+            '    { "name": "@p0", "value": 1 }',
+            '  ],',
+            '  "nested": {',
+            '    "empty": []',
+            '  }',
+            '}'
+        ].join('\n'));
+    });
+
+    test('rebuilds data-example blocks in place, keeping their ids, numbers and indentation', () => {
+        const [cheap] = readSnippets(writeSnippets({ 'cheap.cs': CSHARP, 'cheap.sql': SQL }));
+        const html = [
+            '<main>',
+            '    <div class="example-item" id="cheap-products" data-example="cheap">',
+            '        <h3 class="example-title"><span class="example-number">7</span> Old</h3>',
+            '        <div><div>stale</div></div>',
+            '    </div>',
+            '    <p>after</p>',
+            '</main>'
+        ].join('\n');
+
+        const page = renderStaticBlocks(html, [cheap]);
+        assert.match(page, /^ {4}<div class="example-item" id="cheap-products" data-example="cheap">$/m);
+        assert.match(page, /<span class="example-number">7<\/span>\n {12}Cheap products\n/);
+        assert.match(page, /<code id="cheap-products-code" class="language-csharp">var cheap = SqlQuery\.Select&lt;Product&gt;\(\)\n {4}\.Where/);
+        assert.match(page, /<code id="cheap-products-output" class="language-sql">SELECT product\.\*\n[^<]*\(product\.\[Price\] &lt; @p0\)<\/code>/);
+        assert.match(page, /<tr><td><code>@p0<\/code><\/td><td><code>10<\/code><\/td><td>Decimal<\/td><td>DECIMAL\(18,2\)<\/td><\/tr>/);
+        assert.doesNotMatch(page, /stale/);
+        assert.match(page, /<\/div>\n {4}<p>after<\/p>\n<\/main>$/);
+        assert.equal(renderStaticBlocks(page, [cheap]), page);
+
+        assert.throws(() => renderStaticBlocks(html, []), /block #cheap-products refers to unknown example "cheap"/);
+        assert.throws(() => renderStaticBlocks(html.replace(' data-example="cheap"', ''), [cheap]), /block #cheap-products has no data-example/);
+    });
+
+    test('escapes quotes in static blocks and leaves out the table when there are no parameters', () => {
+        const [authored] = readSnippets(writeSnippets({ 'cheap.cs': CSHARP.replace('Cheap products', 'Products "on sale"'), 'cheap.sql': SQL }));
+        const cheap = { id: 3, ...authored };
+        const html = '<div class="example-item" id="cheap" data-example="cheap">\n</div>';
+
+        assert.match(renderStaticBlocks(html, [cheap]), /<span class="example-number">3<\/span>\n {8}Products &quot;on sale&quot;\n/);
+        assert.doesNotMatch(renderStaticBlocks(html, [{ ...cheap, parameters: [] }]), /example-parameters/);
+    });
+});
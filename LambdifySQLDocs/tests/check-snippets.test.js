@@ -0,0 +1,72 @@
+// C# snippet checks in tools/check-snippets.js against the API model of the library sources
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractApi } = require('../tools/extract-api');
+const { tokenize, SnippetChecker, checkSnippets, collectPageSnippets } = require('../tools/check-snippets');
+
+const model = extractApi(path.join(__dirname, '..', '..', 'LambdifySQL'));
+
+// [rule, message, line, column] of each issue in a snippet
+const check = (code) => new SnippetChecker(model).check(code)
+    .map(issue => [issue.rule, issue.message, issue.token && issue.token.line, issue.token && issue.token.column]);
+
+describe('check-snippets', () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'check-snippets-'));
+    });
+
+    after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('tokenizes C# into identifiers, numbers, strings and punctuation, dropping comments', () => {
+        assert.deepEqual(tokenize('q.Take<int>(1, "x") // note\n=> a?.b').map(token => [token.type, token.value]), [
+            ['identifier', 'q'], ['punct', '.'], ['identifier', 'Take'], ['punct', '<'], ['identifier', 'int'], ['punct', '>'],
+            ['punct', '('], ['number', '1'], ['punct', ','], ['string', '"x"'], ['punct', ')'],
+            ['punct', '=>'], ['identifier', 'a'], ['punct', '?.'], ['identifier', 'b']
+        ]);
+    });
+
+    test('accepts chains the API declares', () => {
+        assert.deepEqual(check('var q = SqlQuery.Select<Product>(SqlDialectConfig.MySql).Where(p => p.Price > 1).OrderBy(p => p.Name).Take(10);'), []);
+    });
+
+    test('reports unknown methods and members, also on variables holding a builder', () => {
+        assert.deepEqual(check('var q = SqlQuery.Select<Product>().Wheer(p => p.Price > 1);'),
+            [['unknown-method', 'ISelectQueryBuilder has no method Wheer', 1, 36]]);
+        assert.deepEqual(check('var q = SqlQuery.Select<Product>();\nvar r = q.Frob();'),
+            [['unknown-method', 'ISelectQueryBuilder has no method Frob', 2, 11]]);
+        assert.deepEqual(check('var dialect = SqlDialectConfig.Oracle;'),
+            [['unknown-member', 'SqlDialectConfig has no member Oracle', 1, 32]]);
+    });
+
+    test('reports wrong type argument counts, unknown named arguments and arguments no overload accepts', () => {
+        assert.deepEqual(check('var q = SqlQuery.Select<Product, Category>();'),
+            [['generic-arity', 'SqlQuery.Select takes 1 type argument(s), not 2', 1, 18]]);
+        assert.deepEqual(check('var q = SqlQuery.Select<Product>(dialekt: SqlDialectConfig.MySql);'),
+            [['named-argument', 'SqlQuery.Select has no parameter named "dialekt" (parameters: dialect)', 1, 34]]);
+        assert.deepEqual(check('var q = SqlQuery.Select<Product>().Take("ten");').map(issue => issue[0]), ['no-overload']);
+    });
+
+    test('collects the page\'s C# blocks with their ids and first lines, decoding entities', () => {
+        const htmlPath = path.join(directory, 'page.html');
+        fs.writeFileSync(htmlPath, [
+            '<pre><code class="language-sql">SELECT 1</code></pre>',
+            '<pre><code id="take" class="language-csharp">var q = SqlQuery.Select&lt;Product&gt;()',
+            '    .Take(&quot;ten&quot;);</code></pre>',
+            '<pre><code class="language-csharp line-numbers">var d = SqlDialectConfig.MySql;</code></pre>'
+        ].join('\n'));
+
+        const snippets = collectPageSnippets(htmlPath);
+        assert.deepEqual(snippets.map(snippet => [snippet.label, snippet.firstLine]), [['page.html #take', 2], ['page.html', 4]]);
+        assert.equal(snippets[0].code, 'var q = SqlQuery.Select<Product>()\n    .Take("ten");');
+
+        const report = checkSnippets(model, snippets);
+        assert.equal(report.snippets, 2);
+        assert.deepEqual(report.failures.map(failure => [failure.snippet.label, failure.issue.rule]), [['page.html #take', 'no-overload']]);
+    });
+});
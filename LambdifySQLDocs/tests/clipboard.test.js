@@ -0,0 +1,105 @@
+// Copy buttons when the async Clipboard API is unavailable, as in jsdom and insecure contexts
+
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, waitFor } = require('./helpers');
+
+describe('clipboard fallback', () => {
+    let window;
+    let document;
+    let copies;
+
+    before(async () => {
+        ({ window } = await openPage());
+        document = window.document;
+    });
+
+    after(() => window.close());
+
+    // Record what execCommand("copy") sees: the element appended to the page for it
+    const stubExecCommand = (result) => {
+        copies = [];
+        document.execCommand = (command) => {
+            const textArea = document.body.lastElementChild;
+            copies.push({ command, element: textArea.tagName, text: textArea.value });
+            return result;
+        };
+    };
+
+    afterEach(() => {
+        delete document.execCommand;
+    });
+
+    const copy = async (button) => {
+        button.click();
+        await waitFor(window, () => button.dataset.copyFeedback);
+    };
+
+    test('copies the target block through a temporary textarea', async () => {
+        assert.equal(window.navigator.clipboard, undefined);
+        stubExecCommand(true);
+        const button = document.querySelector('.copy-btn[data-clipboard-target="#install-cli"]');
+
+        await copy(button);
+
+        assert.deepEqual(copies, [{
+            command: 'copy',
+            element: 'TEXTAREA',
+            text: document.querySelector('#install-cli').textContent
+        }]);
+        assert.equal(document.querySelectorAll('body > textarea').length, 0);
+        assert.ok(button.querySelector('.fa-check'));
+        assert.equal(document.querySelector('.copy-toast').textContent, 'Code copied to clipboard');
+    });
+
+    test('copies an example card through the registered example source', async () => {
+        stubExecCommand(true);
+        const button = document.querySelector('#example-1 .copy-btn[data-example-id]');
+
+        await copy(button);
+
+        assert.equal(copies.length, 1);
+        assert.match(copies[0].text, /SELECT/);
+    });
+
+    test('reports a failure when execCommand rejects the copy', async () => {
+        stubExecCommand(false);
+        const consoleError = window.console.error;
+        window.console.error = () => {};
+        const button = document.querySelector('.copy-btn[data-clipboard-target="#install-nuget"]');
+
+        try {
+            await copy(button);
+        } finally {
+            window.console.error = consoleError;
+        }
+
+        const toast = document.querySelector('.copy-toast');
+        assert.ok(button.querySelector('.fa-times'));
+        assert.ok(toast.classList.contains('copy-toast-error'));
+        assert.equal(toast.getAttribute('aria-live'), 'assertive');
+        assert.match(toast.textContent, /Copy failed/);
+        assert.equal(document.querySelectorAll('body > textarea').length, 0);
+    });
+
+    test('the copy shortcut copies the focused block but not while typing in an editable field', async () => {
+        stubExecCommand(true);
+        const block = document.querySelector('#install-cli').closest('pre');
+        const press = (target) => target.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'c', bubbles: true, cancelable: true }));
+
+        const editor = document.createElement('div');
+        editor.setAttribute('contenteditable', 'true');
+        const field = editor.appendChild(document.createElement('span'));
+        block.appendChild(editor);
+        try {
+            assert.equal(press(field), true);
+            assert.equal(copies.length, 0);
+        } finally {
+            editor.remove();
+        }
+
+        assert.equal(press(block), false);
+        await waitFor(window, () => copies.length);
+        assert.equal(copies[0].text, document.querySelector('#install-cli').textContent);
+    });
+});
@@ -0,0 +1,99 @@
+// Files the example export builds: the C# console project, the SQL scripts and the Markdown document
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadModule } = require('./helpers');
+const { extractApi } = require('../tools/extract-api');
+const { tokenize, SnippetChecker } = require('../tools/check-snippets');
+
+const { ExampleExporter, ExamplesManager, EntitySchema } = loadModule('example-export.js',
+    ['ExampleExporter', 'ExamplesManager', 'EntitySchema']);
+const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'examples.json'), 'utf8'));
+
+const manager = new ExamplesManager();
+manager.examples = data.examples;
+manager.schema = new EntitySchema(data.entities);
+const exporter = new ExampleExporter(manager);
+
+const exampleById = (id) => data.examples.find(example => example.id === id);
+
+describe('example export', () => {
+    test('Program.cs runs each example in its own method and prints the last query it declares', () => {
+        const program = exporter.createProgramFile([exampleById(1), exampleById(6)]);
+
+        assert.match(program, /public static void Main\(\)\n {4}\{\n {8}Example1\(\);\n {8}Example6\(\);\n {4}\}/);
+        assert.match(program, /static void Example1\(\)\n {4}\{\n {8}var basicSelect = SqlQuery\.Select<Product>/);
+        assert.match(program, /Print\(@"1\. Basic SELECT Query", basicSelect\);/);
+        assert.match(program, /Print\(@"6\. Raw SQL Example", rawQuery\);/);
+    });
+
+    test('the Print overloads accept the query every example builds, through members the library declares', () => {
+        const model = extractApi(path.join(__dirname, '..', '..', 'LambdifySQL'));
+        const checker = new SnippetChecker(model);
+        const program = exporter.createProgramFile(data.examples);
+        const overloads = [...program.matchAll(/static void Print\(string title, (\w+) \w+\)/g)].map(match => match[1]);
+        assert.deepEqual(overloads, ['IQueryBuilder', 'SqlComponent']);
+
+        data.examples.forEach(example => {
+            const scope = new Map();
+            checker.checkTokens(tokenize(example.csharpCode), scope, []);
+            const query = scope.get(exporter.getQueryVariable(example.csharpCode));
+            assert.ok(query, `#${example.id} declares no query the checker can follow`);
+
+            const types = query.types.flatMap(type => checker.getAncestors(type)).map(type => type.name);
+            assert.ok(overloads.some(overload => types.includes(overload)), `#${example.id} builds ${query.types.join(', ')}`);
+        });
+
+        const members = (typeName) => model.types.find(type => type.name === typeName).members;
+        const parameters = 'Dictionary<string, object>';
+        assert.match(program, new RegExp(`static void Print\\(string title, string sql, ${parameters}`));
+        assert.deepEqual(
+            ['GetSql', 'GetParameters'].map(name => members('IQueryBuilder').find(member => member.name === name).returnType),
+            ['string', parameters]
+        );
+        assert.deepEqual(
+            ['Sql', 'Parameters'].map(name => members('SqlComponent').find(member => member.name === name).type),
+            ['string', parameters]
+        );
+    });
+
+    test('Entities.cs declares the entities the examples use and those their relations name', () => {
+        const entities = exporter.createEntitiesFile([exampleById(1)]);
+        const classes = [...entities.matchAll(/^public class (\w+)/gm)].map(match => match[1]);
+
+        assert.deepEqual(classes, ['Product', 'Category', 'ProductExtraDetails']);
+        assert.match(entities, /^namespace LambdifySQLExamples;$/m);
+    });
+
+    test('SQL scripts declare the parameters for each dialect and note missing outputs', () => {
+        const [basicSelect, rawQuery] = [exampleById(1), exampleById(6)];
+        const postgres = exporter.createSqlScript([basicSelect], 'PostgreSql');
+        assert.match(postgres, /^-- LambdifySQL examples for PostgreSQL$/m);
+        assert.match(postgres, /PREPARE example_1 \(NUMERIC, INTEGER\) AS\n/);
+        assert.match(postgres, /EXECUTE example_1 \(100, 5\);\n$/);
+
+        const sqlServer = exporter.createSqlScript([basicSelect, rawQuery], 'SqlServer');
+        assert.match(sqlServer, /-- 1\. Basic SELECT Query\n-- .*\n-- No SQL Server output for this example\./);
+        assert.match(sqlServer, /-- 6\. Raw SQL Example\n-- .*\nDECLARE @\w+ /);
+        assert.equal(sqlServer.match(/^GO$/gm).length, 1);
+
+        assert.deepEqual(exporter.createSqlFiles([basicSelect, rawQuery]).map(file => file.name),
+            ['lambdifysql-examples-sql/sqlserver.sql', 'lambdifysql-examples-sql/postgresql.sql']);
+    });
+
+    test('Markdown lists each example with its code, SQL and parameter table', () => {
+        const markdown = exporter.createMarkdown([exampleById(6)]);
+
+        assert.match(markdown, /^## 6\. Raw SQL Example$/m);
+        assert.match(markdown, /^```csharp\nvar rawQuery = SqlQuery\.Raw\(/m);
+        assert.match(markdown, /^SQL \(SQL Server\):\n\n```sql\n/m);
+        assert.match(markdown, /^\| Parameter \| Value \| \.NET Type \| SQL Type \|$/m);
+    });
+
+    test('code fences are longer than any run of backticks in the code', () => {
+        assert.equal(exporter.createCodeFence('SELECT 1', 'sql'), '```sql\nSELECT 1\n```');
+        assert.equal(exporter.createCodeFence('SELECT `a````b`', 'sql'), '`````sql\nSELECT `a````b`\n`````');
+    });
+});
@@ -0,0 +1,129 @@
+// Example filtering, search, the empty state, card rendering and dataset validation
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { openPage, typeInto, renderedExampleIds, waitFor } = require('./helpers');
+
+const { examples } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'examples.json'), 'utf8'));
+
+describe('examples', () => {
+    let window;
+    let document;
+
+    before(async () => {
+        ({ window } = await openPage());
+        document = window.document;
+    });
+
+    after(() => window.close());
+
+    // Each test starts from all examples, no tags and an empty search
+    beforeEach(async () => {
+        const manager = window.examplesManager;
+        manager.selectedTags = [];
+        manager.tagMatchMode = 'any';
+        manager.selectCategory('all');
+        const input = document.getElementById('examples-search');
+        if (input.value) {
+            typeInto(window, input, '');
+            await waitFor(window, () => manager.searchQuery === '');
+        }
+    });
+
+    const selectCategory = (category) => {
+        document.querySelector(`#examples-category-filters [data-filter="${category}"]`).click();
+    };
+
+    const search = async (query) => {
+        typeInto(window, document.getElementById('examples-search'), query);
+        await waitFor(window, () => window.examplesManager.searchQuery === query);
+    };
+
+    test('renders a category tab for each category in the dataset', () => {
+        const tabs = [...document.querySelectorAll('#examples-category-filters [role="tab"]')];
+        const categories = [...new Set(examples.map(example => example.category))];
+        assert.deepEqual(tabs.map(tab => tab.dataset.filter), ['all', ...categories]);
+        assert.equal(tabs[0].getAttribute('aria-selected'), 'true');
+    });
+
+    test('selecting a category shows only its examples', () => {
+        selectCategory('basic');
+
+        const expected = examples.filter(example => example.category === 'basic').map(example => example.id);
+        assert.deepEqual(renderedExampleIds(window), expected);
+        assert.equal(document.querySelector('[data-filter="basic"]').getAttribute('aria-selected'), 'true');
+        assert.equal(document.querySelector('[data-filter="all"]').getAttribute('aria-selected'), 'false');
+    });
+
+    test('tag filters match any selected tag, or all of them in match-all mode', () => {
+        const clickTag = (tag) => document.querySelector(`#examples-tag-filters [data-tag="${tag}"]`).click();
+        const withTags = (tags, every) => examples
+            .filter(example => every
+                ? tags.every(tag => example.tags.includes(tag))
+                : tags.some(tag => example.tags.includes(tag)))
+            .map(example => example.id);
+
+        clickTag('join');
+        clickTag('window');
+        assert.deepEqual(window.examplesManager.visibleExamples.map(example => example.id), withTags(['join', 'window'], false));
+        assert.equal(document.querySelector('[data-tag="join"]').getAttribute('aria-pressed'), 'true');
+
+        document.querySelector('#examples-tag-filters .tag-mode-btn').click();
+        assert.deepEqual(window.examplesManager.visibleExamples.map(example => example.id), withTags(['join', 'window'], true));
+    });
+
+    test('search ranks title matches first and highlights the terms', async () => {
+        await search('window');
+
+        const visible = window.examplesManager.visibleExamples;
+        assert.ok(visible.length > 0);
+        assert.match(visible[0].title, /window/i);
+        assert.ok(visible.every(example => JSON.stringify(example).toLowerCase().includes('window')));
+
+        const marks = [...document.querySelectorAll('#examples-container mark.search-highlight')];
+        assert.ok(marks.length > 0);
+        assert.ok(marks.every(mark => mark.textContent.toLowerCase() === 'window'));
+    });
+
+    test('search stays within the selected category and excludes -terms', async () => {
+        selectCategory('basic');
+        await search('query -update');
+
+        const visible = window.examplesManager.visibleExamples;
+        assert.ok(visible.length > 0);
+        assert.ok(visible.every(example => example.category === 'basic'));
+        assert.ok(!visible.some(example => example.id === 3));
+    });
+
+    test('shows the empty state when nothing matches, and the examples again once the search is cleared', async () => {
+        await search('nothing-matches-this');
+
+        assert.deepEqual(renderedExampleIds(window), []);
+        const empty = document.querySelector('#examples-container .no-results');
+        assert.ok(empty);
+        assert.match(empty.textContent, /No examples found/);
+
+        await search('');
+        assert.equal(document.querySelector('#examples-container .no-results'), null);
+        assert.ok(renderedExampleIds(window).length > 0);
+    });
+
+    test('renders titles and descriptions as text', () => {
+        const example = { ...examples[0], title: 'Rows <b>bold</b> & "quoted"', description: '<img src=x onerror=alert(1)>' };
+        const card = window.examplesManager.createExampleElement(example);
+
+        assert.equal(card.querySelector('.example-title b'), null);
+        assert.match(card.querySelector('.example-title').textContent, /Rows <b>bold<\/b> & "quoted"/);
+        assert.equal(card.querySelector('.example-description img'), null);
+        assert.equal(card.querySelector('.example-description').textContent.trim(), example.description);
+    });
+
+    test('names the dataset that failed validation', () => {
+        assert.throws(
+            () => window.examplesManager.validateExamples({ examples: [{ ...examples[0], tags: 'select' }] }, 'versions/9.9.9/examples.json'),
+            /Example at index 0 in versions\/9\.9\.9\/examples\.json has invalid "tags"/
+        );
+    });
+});
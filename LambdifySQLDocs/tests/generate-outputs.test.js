@@ -0,0 +1,42 @@
+// The C# program tools/generate-outputs.js runs to print each example's SQL; running it needs the .NET SDK
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMethod, createProgram } = require('../tools/generate-outputs');
+
+describe('generate-outputs', () => {
+    test('passes the dialect to every SqlQuery builder and returns the SQL of the last query declared', () => {
+        const method = createMethod({
+            slug: 'update-after-select',
+            code: 'var query = SqlQuery.Select<Product>(SqlDialectConfig.MySql)\n    .Take(1);\n\nvar update = SqlQuery.Update<Product>().Set(p => p.Qty, 1);'
+        }, 3);
+
+        assert.equal(method, [
+            '    static string Example3(SqlDialectConfig dialect)',
+            '    {',
+            '        var query = SqlQuery.Select<Product>(dialect)',
+            '            .Take(1);',
+            '',
+            '        var update = SqlQuery.Update<Product>(dialect).Set(p => p.Qty, 1);',
+            '        return update.GetSql();',
+            '    }'
+        ].join('\n'));
+    });
+
+    test('rejects code that declares no query', () => {
+        assert.throws(() => createMethod({ slug: 'bare', code: 'SqlQuery.Select<Product>();' }, 0),
+            { name: 'OutputGenerationError', message: 'bare.cs declares no query variable to print' });
+    });
+
+    test('prints each example once for every dialect it has an output file for', () => {
+        const program = createProgram([{
+            slug: 'basic',
+            code: 'var query = SqlQuery.Select<Product>();',
+            outputs: [{ fields: { dialect: 'SqlServer' } }, { fields: { dialect: 'PostgreSql' } }]
+        }]);
+
+        assert.match(program, /^ {8}Print\("basic SqlServer", Example0\(SqlDialectConfig\.SqlServer\)\);\n {8}Print\("basic PostgreSql", Example0\(SqlDialectConfig\.PostgreSql\)\);$/m);
+        assert.match(program, /^using MyApp;$/m);
+        assert.match(program, /static string Example0\(SqlDialectConfig dialect\)/);
+    });
+});
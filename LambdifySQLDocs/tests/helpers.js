@@ -0,0 +1,25 @@
+// Shared setup for the tests: the docs page loaded into jsdom with its examples rendered, or a single module
+
+const { JSDOM } = require('jsdom');
+const { createPage, loadModule, waitFor } = require('../tools/page-loader');
+
+// Pass { datasets } to serve those JSON files in place of the ones on disk
+async function openPage(options) {
+    const page = createPage(JSDOM, options);
+    await waitFor(page.window, () => page.window.document.querySelector('#examples-container .example-item'));
+    return page;
+}
+
+// Set an input's value and fire the input event, as typing does
+function typeInto(window, input, value) {
+    input.value = value;
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+}
+
+// Ids of the example cards currently in the examples container, in display order
+function renderedExampleIds(window) {
+    return [...window.document.querySelectorAll('#examples-container .example-item')]
+        .map(card => Number(card.id.replace('example-', '')));
+}
+
+module.exports = { openPage, typeInto, renderedExampleIds, waitFor, loadModule };
@@ -0,0 +1,65 @@
+// The sidebar drawer on narrow screens: what opens it and what closes it
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers');
+
+describe('mobile navigation', () => {
+    let window;
+    let document;
+    let toggle;
+    let sidebar;
+
+    before(async () => {
+        let viewport;
+        ({ window, viewport } = await openPage());
+        document = window.document;
+        viewport.setMobile(true);
+        toggle = document.querySelector('.nav-toggle');
+        sidebar = document.querySelector('.sidebar');
+    });
+
+    after(() => window.close());
+
+    beforeEach(() => {
+        if (!isOpen()) toggle.click();
+        assert.equal(isOpen(), true);
+    });
+
+    const isOpen = () => sidebar.classList.contains('sidebar-open');
+
+    test('opens from the toggle, focusing the first link', () => {
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.equal(sidebar.hasAttribute('inert'), false);
+        assert.equal(document.activeElement, sidebar.querySelector('a[href]'));
+    });
+
+    test('stays open on clicks inside the drawer, even when the click re-renders what it landed on', () => {
+        document.querySelector('.sidebar-content').click();
+        assert.equal(isOpen(), true);
+
+        const list = sidebar.querySelector('.toc-list');
+        list.addEventListener('click', () => window.tableOfContents.refresh(), { once: true });
+        list.click();
+        assert.equal(list.isConnected, false);
+        assert.equal(isOpen(), true);
+    });
+
+    test('closes on a click outside the drawer and the toggle', () => {
+        document.querySelector('.main-content').click();
+
+        assert.equal(isOpen(), false);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(sidebar.hasAttribute('inert'), true);
+    });
+
+    test('closes when a link in the drawer is chosen', () => {
+        sidebar.querySelector('a[href="#installation"]').click();
+        assert.equal(isOpen(), false);
+    });
+
+    test('closes from the toggle', () => {
+        toggle.querySelector('span').click();
+        assert.equal(isOpen(), false);
+    });
+});
@@ -0,0 +1,117 @@
+// The playground's translation of the fluent API to SQL, and the entity classes it reads
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./helpers');
+
+const { QueryTranslator, parseEntityDefinitions, DEFAULT_PLAYGROUND_ENTITIES, DEFAULT_PLAYGROUND_QUERY } = loadModule('playground.js',
+    ['QueryTranslator', 'parseEntityDefinitions', 'DEFAULT_PLAYGROUND_ENTITIES', 'DEFAULT_PLAYGROUND_QUERY']);
+
+const translate = (source, dialect) =>
+    new QueryTranslator(parseEntityDefinitions(DEFAULT_PLAYGROUND_ENTITIES), dialect).translate(source);
+
+describe('parseEntityDefinitions', () => {
+    test('reads each class with its [TableName] and auto-properties', () => {
+        const entities = parseEntityDefinitions([
+            '[TableName("Orders")]',
+            'public class Order { public int Id { get; set; } public decimal? Total { get; set; } }',
+            'public class OrderFilter { public List<int> Ids { get; set; } }'
+        ].join('\n'));
+
+        assert.deepEqual([...entities.keys()], ['Order', 'OrderFilter']);
+        assert.equal(entities.get('Order').tableName, 'Orders');
+        assert.equal(entities.get('Order').hasTableName, true);
+        assert.deepEqual([...entities.get('Order').properties], [['Id', 'int'], ['Total', 'decimal?']]);
+        assert.equal(entities.get('OrderFilter').tableName, 'OrderFilter');
+        assert.equal(entities.get('OrderFilter').hasTableName, false);
+        assert.deepEqual([...entities.get('OrderFilter').properties], [['Ids', 'List<int>']]);
+    });
+});
+
+describe('QueryTranslator', () => {
+    test('translates the default query with typed parameters', () => {
+        const result = translate(DEFAULT_PLAYGROUND_QUERY);
+
+        assert.equal(result.sql, [
+            'SELECT TOP (10) product.*',
+            'FROM [Product] AS product',
+            'INNER JOIN [Category] AS category ON product.Id = category.Id',
+            'WHERE (((product.[Price] > @p0) AND product.[CategoryId] IN (@p1, @p2, @p3))) OR (product.[Name] LIKE @p4)',
+            'ORDER BY product.[Name] ASC'
+        ].join('\n'));
+        assert.deepEqual(result.parameters, [
+            { name: '@p0', value: 100, type: 'Decimal' },
+            { name: '@p1', value: 1, type: 'Int32' },
+            { name: '@p2', value: 2, type: 'Int32' },
+            { name: '@p3', value: 3, type: 'Int32' },
+            { name: '@p4', value: 'Lap%', type: 'String' }
+        ]);
+        assert.deepEqual(result.diagnostics.map(diagnostic => diagnostic.severity), ['info']);
+    });
+
+    test('quotes identifiers and limits rows for the selected dialect', () => {
+        const source = 'var query = SqlQuery.Select<Product>().Where(p => p.IsActive).OrderByDescending(p => p.Price).Take(5);';
+
+        assert.equal(translate(source, 'MySql').sql,
+            'SELECT product.*\nFROM `Product` AS product\nWHERE (product.`IsActive` = @p0)\nORDER BY product.`Price` DESC\nLIMIT 5');
+        assert.equal(translate(source, 'PostgreSql').sql,
+            'SELECT product.*\nFROM "Product" AS product\nWHERE (product."IsActive" = @p0)\nORDER BY product."Price" DESC\nLIMIT 5');
+    });
+
+    test('lets a SqlDialectConfig argument override the selected dialect, with a note', () => {
+        const result = translate('var query = SqlQuery.Select<Product>(SqlDialectConfig.MySql).Where(p => !p.IsActive);');
+
+        assert.equal(result.sql, 'SELECT product.*\nFROM `Product` AS product\nWHERE (product.`IsActive` = @p0)');
+        assert.deepEqual(result.parameters, [{ name: '@p0', value: false, type: 'Boolean' }]);
+        assert.match(result.diagnostics[0].message, /SqlDialectConfig\.MySql in the code overrides the selected dialect/);
+    });
+
+    test('translates Contains on an empty collection to a false condition', () => {
+        const result = translate('var ids = new List<int> { };\nvar query = SqlQuery.Select<Product>().Where(p => ids.Contains(p.Id));');
+
+        assert.equal(result.sql, 'SELECT product.*\nFROM [Product] AS product\nWHERE 1 = 0');
+        assert.deepEqual(result.parameters, []);
+    });
+
+    test('warns that comparisons with null stay parameterized', () => {
+        const result = translate('var query = SqlQuery.Select<Product>().Where(p => p.Name == null);');
+
+        assert.equal(result.sql, 'SELECT product.*\nFROM [Product] AS product\nWHERE (product.[Name] = @p0)');
+        assert.equal(result.diagnostics[0].severity, 'warning');
+        assert.match(result.diagnostics[0].message, /not translated to IS NULL/);
+    });
+
+    test('reports unknown properties and joins on a plain select builder', () => {
+        const unknown = translate('var query = SqlQuery.Select<Product>().Where(p => p.Colour == "red");');
+        assert.equal(unknown.sql, '');
+        assert.equal(unknown.diagnostics[0].message, "'Product' has no property 'Colour'");
+
+        const join = translate('var query = SqlQuery.Select<Product>().InnerJoin<Category>((p, c) => p.CategoryId == c.Id);');
+        assert.equal(join.sql, '');
+        assert.match(join.diagnostics[0].message, /joins need SqlQuery\.SelectWithJoins<T>\(\)/);
+    });
+
+    test('reports a predicate that is not a bool expression', () => {
+        const result = translate('var query = SqlQuery.Select<Product>().Where(p => p.Price);');
+
+        assert.equal(result.sql, '');
+        assert.equal(result.diagnostics.length, 1);
+        assert.equal(result.diagnostics[0].severity, 'error');
+        assert.match(result.diagnostics[0].message, /Expected a bool expression/);
+        assert.deepEqual([result.diagnostics[0].line, result.diagnostics[0].column], [1, 53]);
+    });
+
+    test('points at the operand of && or || that is not bool', () => {
+        const result = translate('var query = SqlQuery.Select<Product>().Where(p => p.IsActive && p.Name);');
+
+        assert.match(result.diagnostics[0].message, /Expected a bool expression/);
+        assert.equal(result.diagnostics[0].column, 67);
+    });
+
+    test('accepts bool properties, comparisons and string matches combined with ! and ||', () => {
+        const result = translate('var query = SqlQuery.Select<Product>().Where(p => !p.IsActive || p.Name.StartsWith("Lap"));');
+
+        assert.deepEqual(result.diagnostics, []);
+        assert.equal(result.sql, 'SELECT product.*\nFROM [Product] AS product\nWHERE (NOT (product.[IsActive]) OR product.[Name] LIKE @p0)');
+    });
+});
@@ -0,0 +1,55 @@
+// The Ctrl/Cmd+K command palette over sections, code blocks, SQL outputs and examples
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage, typeInto } = require('./helpers');
+
+describe('site search', () => {
+    let window;
+    let document;
+    let input;
+
+    before(async () => {
+        ({ window } = await openPage());
+        document = window.document;
+        window.siteSearch.open();
+        input = document.querySelector('.command-palette-input');
+    });
+
+    after(() => window.close());
+
+    const search = (query) => {
+        typeInto(window, input, query);
+        return [...document.querySelectorAll('#command-palette-results [role="option"]')];
+    };
+
+    test('opens with a hint in the status line and focus in the input', () => {
+        const status = document.querySelector('.command-palette-empty');
+
+        assert.equal(document.activeElement, input);
+        assert.equal(status.hidden, false);
+        assert.equal(status.textContent, 'Type to search sections, code samples and examples.');
+    });
+
+    test('finds text that only appears in a generated SQL output block', () => {
+        const [option] = search('p.[ProductName] ASC');
+
+        assert.equal(window.siteSearch.results[0].element, document.querySelector('#quick-start-output').closest('.output-example'));
+        assert.match(option.querySelector('.command-palette-option-title').textContent, /Generated SQL Output/);
+        assert.match(option.querySelector('.command-palette-snippet').innerHTML, /<mark class="search-highlight">ASC<\/mark>/);
+    });
+
+    test('indexes each static code and output block once', () => {
+        const blocks = window.siteSearch.entries.filter(entry => entry.type === 'code').map(entry => entry.element);
+        const staticBlocks = [...document.querySelectorAll('.code-example, .output-example')]
+            .filter(block => block.querySelector('pre code') && !block.closest('#examples-container'));
+
+        assert.equal(blocks.length, staticBlocks.length);
+        assert.ok(blocks.every((block, index) => block === staticBlocks[index]));
+    });
+
+    test('reports a query nothing matches', () => {
+        assert.deepEqual(search('zzqqxx'), []);
+        assert.equal(document.querySelector('.command-palette-empty').textContent, 'No results for "zzqqxx".');
+    });
+});
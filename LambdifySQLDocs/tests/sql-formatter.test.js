@@ -0,0 +1,70 @@
+// Re-indenting SQL outputs with the SQL formatter
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadModule } = require('./helpers');
+
+const { SqlFormatter } = loadModule('sql-formatter.js', ['SqlFormatter']);
+const { examples } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'examples.json'), 'utf8'));
+
+const format = (sql, options) => new SqlFormatter(options).format(sql);
+
+describe('SqlFormatter', () => {
+    test('puts each clause on its own line and keeps short clauses inline', () => {
+        assert.equal(
+            format('SELECT product.* FROM [Product] AS product WHERE (product.[Price] > @p0) ORDER BY product.[Name] ASC'),
+            'SELECT product.*\nFROM [Product] AS product\nWHERE (product.[Price] > @p0)\nORDER BY product.[Name] ASC'
+        );
+    });
+
+    test('breaks long select lists at commas and long predicates before AND', () => {
+        const sql = 'SELECT TOP (10) p.[Id], p.[Name], p.[Price], p.[CategoryId], p.[CreatedAt], p.[IsActive] FROM [Product] AS p '
+            + 'WHERE (p.[Price] > @p0) AND (p.[Name] LIKE @p1) AND (p.[CategoryId] IN (@p2, @p3, @p4))';
+
+        assert.equal(format(sql), [
+            'SELECT TOP (10)',
+            '    p.[Id],',
+            '    p.[Name],',
+            '    p.[Price],',
+            '    p.[CategoryId],',
+            '    p.[CreatedAt],',
+            '    p.[IsActive]',
+            'FROM [Product] AS p',
+            'WHERE (p.[Price] > @p0)',
+            '    AND (p.[Name] LIKE @p1)',
+            '    AND (p.[CategoryId] IN (@p2, @p3, @p4))'
+        ].join('\n'));
+    });
+
+    test('indents subqueries inside their parentheses', () => {
+        assert.equal(
+            format('SELECT * FROM [Product] AS p WHERE p.[Id] IN (SELECT c.[Id] FROM [Category] AS c)'),
+            'SELECT *\nFROM [Product] AS p\nWHERE p.[Id] IN (\n    SELECT c.[Id]\n    FROM [Category] AS c\n)'
+        );
+    });
+
+    test('does not split on the AND of BETWEEN', () => {
+        assert.equal(
+            format('SELECT a FROM t WHERE a BETWEEN 1 AND 2 AND b = 3', { maxLineLength: 20 }),
+            'SELECT a\nFROM t\nWHERE a BETWEEN 1 AND 2\n    AND b = 3'
+        );
+    });
+
+    test('leaves the whitespace inside each dialect\'s literals and quoted identifiers alone', () => {
+        assert.equal(format("SELECT 'a  --  b', [x   y] FROM t"), "SELECT 'a  --  b', [x   y]\nFROM t");
+        assert.equal(format('SELECT `a   b` FROM t', { dialect: 'MySql' }), 'SELECT `a   b`\nFROM t');
+        assert.equal(format('SELECT $$ a   b $$ FROM t', { dialect: 'PostgreSql' }), 'SELECT $$ a   b $$\nFROM t');
+    });
+
+    test('changes only the whitespace of every example output', () => {
+        examples.forEach(example => {
+            const outputs = { [example.dialect]: example.sqlOutput, ...example.dialectOutputs };
+            Object.entries(outputs).forEach(([dialect, sql]) => {
+                const formatted = format(sql, { dialect });
+                assert.equal(formatted.replace(/\s+/g, ''), sql.replace(/\s+/g, ''), `#${example.id} ${dialect}`);
+            });
+        });
+    });
+});
@@ -0,0 +1,68 @@
+// Sidebar outline highlighting the part of the page on screen
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers');
+
+describe('table of contents', () => {
+    let window;
+    let document;
+
+    before(async () => {
+        ({ window } = await openPage());
+        document = window.document;
+    });
+
+    after(() => window.close());
+
+    const link = (id) => document.querySelector(`#sidebar-toc a[href="#${id}"]`);
+    const activeLinks = () => [...document.querySelectorAll('#sidebar-toc .toc-link.active')];
+
+    // Report the elements with these ids as the only ones crossing the spy's band
+    const showOnScreen = (...ids) => {
+        window.tableOfContents.observer.intersect(ids.map(id => document.getElementById(id)));
+    };
+
+    test('lists each section with the example cards nested under it', () => {
+        assert.ok(link('installation').classList.contains('toc-link-section'));
+        const examples = link('examples').closest('.toc-item');
+        assert.ok(examples.querySelector('.toc-list a[href="#example-1"]'));
+        assert.equal(link('example-1').textContent, 'Basic SELECT Query');
+    });
+
+    test('highlights the section on screen', () => {
+        showOnScreen('installation');
+
+        assert.deepEqual(activeLinks(), [link('installation')]);
+        assert.equal(link('installation').getAttribute('aria-current'), 'location');
+    });
+
+    test('moves the highlight as the next section scrolls in, clearing the previous link', () => {
+        showOnScreen('quick-start');
+
+        assert.deepEqual(activeLinks(), [link('quick-start')]);
+        assert.equal(link('installation').getAttribute('aria-current'), null);
+    });
+
+    test('prefers an example card over the section that contains it', () => {
+        showOnScreen('examples', 'example-1');
+
+        assert.deepEqual(activeLinks(), [link('example-1')]);
+    });
+
+    test('keeps the last highlight while nothing is in the band', () => {
+        showOnScreen();
+
+        assert.deepEqual(activeLinks(), [link('example-1')]);
+    });
+
+    test('keeps the highlight when the outline is rebuilt after a re-render', () => {
+        window.examplesManager.selectCategory('basic');
+
+        assert.deepEqual(activeLinks(), [link('example-1')]);
+        assert.equal(link('example-8'), null);
+
+        window.examplesManager.selectCategory('all');
+        assert.ok(link('example-8'));
+    });
+});
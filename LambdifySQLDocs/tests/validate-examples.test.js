@@ -0,0 +1,93 @@
+// SQL output validation in tools/validate-examples.js
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validateSql, checkAnatomy, validateExamples, formatIssue } = require('../tools/validate-examples');
+
+const { examples } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'examples.json'), 'utf8'));
+
+// [rule, line, column, token text] of each issue
+const describeIssues = (issues) => issues.map(issue => issue.token
+    ? [issue.rule, issue.token.line, issue.token.column, issue.token.text]
+    : [issue.rule, issue.message]);
+
+describe('validate-examples', () => {
+    test('accepts valid output for each dialect', () => {
+        const parameters = [{ name: '@p0' }];
+        assert.deepEqual(validateSql('SELECT p.* FROM [Product] AS p WHERE (p.[Price] > @p0)', 'SqlServer', parameters), []);
+        assert.deepEqual(validateSql('SELECT p.* FROM `Product` AS p WHERE (p.`Price` > @p0) LIMIT 5', 'MySql', parameters), []);
+        assert.deepEqual(validateSql('SELECT p.* FROM "Product" AS p WHERE p."IsActive" LIMIT 5', 'PostgreSql', []), []);
+    });
+
+    test('reports quoting, TOP and functions the dialect does not support', () => {
+        assert.deepEqual(describeIssues(validateSql('SELECT p.* FROM [Product] AS p', 'MySql', [])), [['quoting', 1, 17, '[']]);
+        assert.deepEqual(describeIssues(validateSql('SELECT TOP (5) p.* FROM "Product" AS p', 'PostgreSql', [])), [['top', 1, 8, 'TOP']]);
+        assert.deepEqual(describeIssues(validateSql('SELECT DATEADD(year, 1, p."CreatedAt") FROM "Product" AS p', 'PostgreSql', [])),
+            [['function', 1, 8, 'DATEADD']]);
+    });
+
+    test('reports unknown aliases, unmatched parameters and bare SQL Server conditions', () => {
+        assert.deepEqual(describeIssues(validateSql('SELECT p.* FROM `Product` AS p WHERE (x.`Price` > @p1)', 'MySql', [{ name: '@p0' }])), [
+            ['parameter', 1, 51, '@p1'],
+            ['parameter', 'Parameter @p0 is never used'],
+            ['unknown-alias', 1, 39, 'x']
+        ]);
+        assert.deepEqual(describeIssues(validateSql('SELECT p.* FROM [Product] AS p WHERE p.[IsActive]', 'SqlServer', [])),
+            [['non-boolean-condition', 1, 38, 'p']]);
+    });
+
+    test('reports syntax errors at the end of truncated output', () => {
+        assert.deepEqual(describeIssues(validateSql('SELECT p.* FROM [Product] AS p WHERE (p.[Price] >', 'SqlServer', [])),
+            [['syntax', 1, 50, '']]);
+    });
+
+    test('finds anatomy fragments regardless of quoting, each at most once', () => {
+        const sql = 'SELECT TOP (10) p.*\nFROM [Product] AS p';
+        const anatomy = [
+            { lines: [1, 1], sql: ['SELECT TOP (10)'] },
+            { lines: [2, 2], sql: ['FROM "Product" AS p', 'ORDER BY'] },
+            { lines: [3, 3], sql: ['FROM [Product] AS p'] }
+        ];
+
+        assert.deepEqual(checkAnatomy(sql, 'SqlServer', anatomy).map(issue => issue.message), [
+            'Anatomy fragment "ORDER BY" for C# lines 2-2 is not in the output',
+            'Anatomy fragment "FROM [Product] AS p" for C# lines 3-3 is not in the output'
+        ]);
+    });
+
+    test('excuses a known issue only in its dialect, and reports entries that no longer match', () => {
+        const example = {
+            id: 1,
+            title: 'Known issues',
+            dialect: 'SqlServer',
+            sqlOutput: 'SELECT p.* FROM [Product] AS p',
+            dialectOutputs: { MySql: 'SELECT p.* FROM [Product] AS p', PostgreSql: 'SELECT p.* FROM [Product] AS p' },
+            parameters: [],
+            knownIssues: [
+                { dialect: 'MySql', rule: 'quoting', line: 1, column: 17, token: '[', reason: 'Always quoted for SQL Server.' },
+                { dialect: 'MySql', rule: 'top', line: 1, column: 8, token: 'TOP', reason: 'Fixed since.' }
+            ]
+        };
+        const report = validateExamples([example]);
+
+        assert.equal(report.outputs, 3);
+        assert.deepEqual(report.known.map(entry => entry.dialect), ['MySql']);
+        assert.deepEqual(report.failures.map(entry => entry.dialect), ['PostgreSql']);
+        assert.deepEqual(report.stale.map(entry => entry.known.rule), ['top']);
+        assert.equal(formatIssue(report.failures[0]), [
+            '  #1 Known issues [PostgreSql] line 1, column 17: [...] identifier quoting is not valid in PostgreSQL (quoting)',
+            '      SELECT p.* FROM [Product] AS p',
+            '                      ^'
+        ].join('\n'));
+    });
+
+    test('passes the examples in examples.json apart from their known issues', () => {
+        const report = validateExamples(examples);
+
+        assert.deepEqual(report.failures.map(formatIssue), []);
+        assert.deepEqual(report.stale, []);
+        assert.equal(report.known.length, examples.reduce((count, example) => count + (example.knownIssues || []).length, 0));
+    });
+});
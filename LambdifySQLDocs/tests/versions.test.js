@@ -0,0 +1,85 @@
+// The release selector and the "New in" / "Changed in" badges, with one release documented and with two
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { openPage, renderedExampleIds } = require('./helpers');
+
+const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'examples.json'), 'utf8'));
+
+// Badge labels on an example card
+const badges = (document, id) => [...document.querySelectorAll(`#example-${id} .version-badge`)].map(badge => badge.textContent);
+
+describe('versions with one release documented', () => {
+    let window;
+    let document;
+
+    before(async () => {
+        ({ window } = await openPage());
+        document = window.document;
+    });
+
+    after(() => window.close());
+
+    test('hides the selector, marks no examples and pins the install commands to the release', () => {
+        assert.equal(document.querySelector('.version-selector').hidden, true);
+        assert.equal(document.querySelectorAll('#examples-container .version-badge').length, 0);
+        assert.equal(document.getElementById('install-cli').textContent, 'dotnet add package LambdifySQL --version 1.0.1');
+    });
+});
+
+describe('versions with two releases documented', () => {
+    let window;
+    let document;
+
+    before(async () => {
+        const examples = data.examples.map(example => {
+            if (example.id === 1) return { ...example, since: '1.1.0' };
+            if (example.id === 2) return { ...example, changed: ['1.1.0'] };
+            return example;
+        });
+        ({ window } = await openPage({
+            datasets: {
+                'versions.json': {
+                    versions: [
+                        { version: '1.0.1', examples: 'examples.json', api: 'api.json' },
+                        { version: '1.1.0', examples: 'examples.json', api: 'api.json' }
+                    ]
+                },
+                'examples.json': { ...data, examples }
+            }
+        }));
+        document = window.document;
+    });
+
+    after(() => window.close());
+
+    test('shows the selector with the newest release selected', () => {
+        const select = document.getElementById('version-select');
+
+        assert.equal(select.closest('.version-selector').hidden, false);
+        assert.deepEqual([...select.options].map(option => option.textContent), ['v1.1.0 (latest)', 'v1.0.1']);
+        assert.equal(select.value, '1.1.0');
+    });
+
+    test('badges the examples added or changed after the oldest release', () => {
+        assert.deepEqual(badges(document, 1), ['New in v1.1.0']);
+        assert.deepEqual(badges(document, 2), ['Changed in v1.1.0']);
+        assert.deepEqual(badges(document, 3), []);
+    });
+
+    test('switching to the older release hides newer examples, drops the badges and records the release in the URL', async () => {
+        const select = document.getElementById('version-select');
+        // Listeners run in order, so this one settles once the page has loaded the release
+        const switched = new Promise(resolve => window.versionManager.onChange(resolve));
+        select.value = '1.0.1';
+        select.dispatchEvent(new window.Event('change'));
+        assert.equal((await switched).version, '1.0.1');
+
+        assert.equal(renderedExampleIds(window)[0], 2);
+        assert.equal(document.querySelectorAll('#examples-container .version-badge').length, 0);
+        assert.equal(new window.URLSearchParams(window.location.search).get('version'), '1.0.1');
+        assert.equal(document.getElementById('install-cli').textContent, 'dotnet add package LambdifySQL --version 1.0.1');
+    });
+});
@@ -0,0 +1,79 @@
+// Stored .zip archives built for the example exports
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModule } = require('./helpers');
+
+const { crc32, createZip } = loadModule('zip.js', ['crc32', 'createZip']);
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Entries as the central directory lists them, with the data their local headers point at
+function readZip(archive) {
+    const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+    const end = archive.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014b50);
+        const nameLength = view.getUint16(position + 28, true);
+        const offset = view.getUint32(position + 42, true);
+        const name = decoder.decode(archive.subarray(position + 46, position + 46 + nameLength));
+
+        assert.equal(view.getUint32(offset, true), 0x04034b50);
+        const size = view.getUint32(offset + 18, true);
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+        entries.push({
+            name,
+            flags: view.getUint16(offset + 6, true),
+            method: view.getUint16(offset + 8, true),
+            time: view.getUint16(offset + 10, true),
+            date: view.getUint16(offset + 12, true),
+            crc: view.getUint32(offset + 14, true),
+            centralCrc: view.getUint32(position + 16, true),
+            data: archive.subarray(dataStart, dataStart + size)
+        });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+describe('zip', () => {
+    test('crc32 matches the IEEE 802.3 check value', () => {
+        assert.equal(crc32(encoder.encode('123456789')), 0xcbf43926);
+        assert.equal(crc32(new Uint8Array(0)), 0);
+    });
+
+    test('stores each file under its UTF-8 name with its CRC in both headers', () => {
+        const bytes = new Uint8Array([0, 1, 2, 255]);
+        const entries = readZip(createZip([
+            { name: 'Project/Program.cs', content: 'Console.WriteLine("é");\n' },
+            { name: 'Project/data.bin', content: bytes },
+            { name: 'Übersicht.md', content: '' }
+        ]));
+
+        assert.deepEqual(entries.map(entry => entry.name), ['Project/Program.cs', 'Project/data.bin', 'Übersicht.md']);
+        assert.equal(decoder.decode(entries[0].data), 'Console.WriteLine("é");\n');
+        assert.deepEqual([...entries[1].data], [...bytes]);
+        assert.equal(entries[2].data.length, 0);
+        entries.forEach(entry => {
+            assert.equal(entry.method, 0);
+            assert.equal(entry.flags, 0x0800);
+            assert.equal(entry.crc, crc32(entry.data));
+            assert.equal(entry.centralCrc, entry.crc);
+        });
+    });
+
+    test('stamps entries with the modified time in MS-DOS format, from 1980 at the earliest', () => {
+        const [entry] = readZip(createZip([{ name: 'a.txt', content: 'a' }], new Date(2024, 4, 6, 7, 8, 10)));
+        assert.equal(entry.time, (7 << 11) | (8 << 5) | 5);
+        assert.equal(entry.date, ((2024 - 1980) << 9) | (5 << 5) | 6);
+
+        const [early] = readZip(createZip([{ name: 'a.txt', content: 'a' }], new Date(1970, 0, 1)));
+        assert.equal(early.date >> 9, 0);
+    });
+});
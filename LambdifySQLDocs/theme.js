@@ -0,0 +1,95 @@
+// Theme Manager - Light/dark theme following prefers-color-scheme, with a manual override
+// The inline script in index.html applies the same choice before first paint, so the two must
+// agree on STORAGE_KEY and on how the Prism theme links are switched.
+
+const STORAGE_KEY = 'lambdifysql-theme';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+const THEMES = ['light', 'dark'];
+
+export class ThemeManager {
+    constructor() {
+        this.media = window.matchMedia ? window.matchMedia(DARK_QUERY) : null;
+        this.toggle = null;
+    }
+
+    init() {
+        this.toggle = document.querySelector('.theme-toggle');
+        if (this.toggle) {
+            this.toggle.addEventListener('click', () => this.setTheme(this.getTheme() === 'dark' ? 'light' : 'dark'));
+        }
+
+        // Follow the OS setting live unless the user picked a theme
+        if (this.media) {
+            this.media.addEventListener('change', () => {
+                if (!this.getSavedTheme()) {
+                    this.apply();
+                }
+            });
+        }
+
+        // Keep other open tabs in sync with a toggle made here
+        window.addEventListener('storage', event => {
+            if (event.key === STORAGE_KEY) {
+                this.apply();
+            }
+        });
+
+        this.apply();
+    }
+
+    getSystemTheme() {
+        return this.media && this.media.matches ? 'dark' : 'light';
+    }
+
+    getSavedTheme() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            return THEMES.includes(saved) ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getTheme() {
+        return this.getSavedTheme() || this.getSystemTheme();
+    }
+
+    // Save a manual choice; picking the theme the OS already uses clears the override,
+    // so the page goes back to following the system setting
+    setTheme(theme) {
+        if (!THEMES.includes(theme)) return;
+
+        try {
+            if (theme === this.getSystemTheme()) {
+                localStorage.removeItem(STORAGE_KEY);
+            } else {
+                localStorage.setItem(STORAGE_KEY, theme);
+            }
+        } catch (error) {
+            console.warn('Theme preference could not be saved:', error);
+        }
+
+        this.apply(theme);
+    }
+
+    apply(theme = this.getTheme()) {
+        document.documentElement.setAttribute('data-theme', theme);
+
+        // Only the Prism stylesheet for the active theme matches, so the code panes switch with the page
+        document.querySelectorAll('link[data-prism-theme]').forEach(link => {
+            link.media = link.getAttribute('data-prism-theme') === theme ? 'all' : 'not all';
+        });
+
+        this.updateToggle(theme);
+    }
+
+    updateToggle(theme) {
+        if (!this.toggle) return;
+
+        const dark = theme === 'dark';
+        const label = dark ? 'Switch to light theme' : 'Switch to dark theme';
+        this.toggle.setAttribute('aria-label', label);
+        this.toggle.title = label;
+        this.toggle.innerHTML = `<i class="fas ${dark ? 'fa-sun' : 'fa-moon'}"></i>`;
+    }
+}
@@ -0,0 +1,616 @@
+#!/usr/bin/env node
+// Build examples.json entries from C# and SQL snippet files, and regenerate the static example blocks in index.html
+//
+// Usage: node LambdifySQLDocs/tools/author-examples.js [--check] [path/to/snippets]
+//        node LambdifySQLDocs/tools/author-examples.js --extract <slug> [path/to/snippets]
+//
+// An example is a <slug>.cs file holding its C# code and a <slug>.sql file holding its SQL output, each
+// opening with front-matter between --- lines. More <slug>.<name>.sql files add its output in other
+// dialects; their front-matter names the dialect and a source, "generated" when the output was printed by
+// LambdifySQL or "hand-written" when it was not, which the page tells readers. tools/generate-outputs.js prints
+// them with the library. Snippets default to LambdifySQLDocs/example-snippets.
+//
+//   <slug>.cs                              <slug>.sql and <slug>.<name>.sql
+//   ---                                    ---
+//   title: Basic SELECT Query              dialect: SqlServer
+//   description: Simple SELECT with ...    params:
+//   category: basic                          @p0 | 100 | Decimal | DECIMAL(18, 2)
+//   tags: select, joins                      @p1 | "laptop" | String | NVARCHAR(4000)
+//   since: 1.0.0                           ---
+//   entities: Product, Category
+//   ---
+//
+// tags, entities and changed are comma-separated lists; changed and entities are optional. since is the first
+// release the example works with, and changed the releases that altered its output. Only <slug>.sql lists
+// params, whose values are JSON: numbers, true, false, null or "quoted text".
+//
+// Any .sql file can list the validation errors its output knowingly keeps, because LambdifySQL emits it
+// that way today. validate-examples.js excuses only that rule at that token, and the page shows the reason:
+//
+//   issues:
+//     update-from | 3:1 | FROM | LambdifySQL always writes UPDATE ... FROM, which MySQL does not support.
+//
+// Examples are matched to examples.json by slug. An existing entry keeps its id, its position and the fields
+// snippets do not cover, such as its query anatomy; a new slug gets the next unused id. Entries written before
+// slugs existed get one from their title. Every entry needs snippet files, so removing an example means removing
+// both. Slugs, titles and C# code must be unique across the dataset, and the result must pass
+// tools/validate-examples.js before anything is written.
+//
+// Every <div class="example-item" id="..." data-example="<slug>"> in index.html is then rebuilt from its
+// example, keeping the block's id and number; a block without data-example is an error. Parameters go in a
+// table below the SQL, as on the example cards. --check writes nothing and fails if either file is out of date.
+// --extract writes the snippet files for an existing example, so it can be edited the same way.
+
+const fs = require('fs');
+const path = require('path');
+const { validateExamples, formatIssue, formatStaleIssue, DIALECT_RULES } = require('./validate-examples');
+const { loadModule } = require('./page-loader');
+
+// The page's own helpers, so static blocks escape text and show parameters as the example cards do
+const { escapeHtml, ExamplesManager } = loadModule('examples.js', ['escapeHtml', 'ExamplesManager']);
+const cards = new ExamplesManager();
+
+const DOCS_DIR = path.join(__dirname, '..');
+const EXAMPLES_PATH = path.join(DOCS_DIR, 'examples.json');
+const HTML_PATH = path.join(DOCS_DIR, 'index.html');
+const DEFAULT_SNIPPETS_DIR = path.join(DOCS_DIR, 'example-snippets');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SNIPPET_FILE_PATTERN = /^([a-z0-9]+(?:-[a-z0-9]+)*)(?:\.([a-z0-9-]+))?\.(cs|sql)$/;
+
+// Front-matter fields each snippet file accepts; true marks the required ones
+const CSHARP_FIELDS = { title: true, description: true, category: true, tags: true, since: true, changed: false, entities: false };
+const SQL_FIELDS = { dialect: true, params: false, issues: false };
+const ALTERNATE_SQL_FIELDS = { dialect: true, source: true, issues: false };
+const OUTPUT_SOURCES = ['generated', 'hand-written'];
+const LIST_FIELDS = ['tags', 'changed', 'entities'];
+
+// Fields snippets set, in the order examples.json lists them; any other field of an entry is kept as it is
+const AUTHORED_FIELDS = ['id', 'slug', 'title', 'description', 'category', 'tags', 'since', 'changed', 'dialect', 'entities', 'csharpCode', 'sqlOutput', 'dialectOutputs', 'handWrittenOutputs', 'parameters', 'knownIssues'];
+
+class AuthoringError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthoringError';
+    }
+}
+
+function slugify(title) {
+    return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Split a snippet into its front-matter fields and body. Indented lines under an empty "key:" form a list.
+function parseSnippet(text, file) {
+    const match = text.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+    if (!match) {
+        throw new AuthoringError(`${file} must start with front-matter between --- lines`);
+    }
+
+    const fields = {};
+    let list = null;
+    match[1].split('\n').forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        if (/^\s/.test(line) && list) {
+            list.push(line.trim());
+            return;
+        }
+
+        const field = line.match(/^(\w+):\s*(.*)$/);
+        if (!field) {
+            throw new AuthoringError(`${file} line ${index + 2}: expected "key: value"`);
+        }
+        if (fields[field[1]] !== undefined) {
+            throw new AuthoringError(`${file} sets "${field[1]}" twice`);
+        }
+        list = field[2].trim() === '' ? [] : null;
+        fields[field[1]] = list || field[2].trim();
+    });
+
+    return { fields, body: match[2].replace(/^\n+/, '').replace(/\s+$/, '') };
+}
+
+// Reject unknown or missing front-matter fields, so a typo is not silently dropped
+function checkFields(fields, allowed, file) {
+    Object.keys(fields).forEach(name => {
+        if (!(name in allowed)) {
+            throw new AuthoringError(`${file} has unknown front-matter field "${name}" (expected ${Object.keys(allowed).join(', ')})`);
+        }
+    });
+    Object.entries(allowed).forEach(([name, required]) => {
+        if (required && (fields[name] === undefined || fields[name].length === 0)) {
+            throw new AuthoringError(`${file} is missing "${name}"`);
+        }
+    });
+}
+
+function parseDialect(fields, file) {
+    if (!DIALECT_RULES[fields.dialect]) {
+        throw new AuthoringError(`${file} has unknown dialect "${fields.dialect}" (expected ${Object.keys(DIALECT_RULES).join(', ')})`);
+    }
+    return fields.dialect;
+}
+
+// "@name | value | .NET type | SQL type" lines, with the value written as JSON
+function parseParameters(lines, file) {
+    const names = new Set();
+    return lines.map(line => {
+        const parts = line.split('|').map(part => part.trim());
+        if (parts.length !== 4 || !/^@\w+$/.test(parts[0])) {
+            throw new AuthoringError(`${file} has an invalid parameter "${line}" (expected @name | value | .NET type | SQL type)`);
+        }
+        if (names.has(parts[0])) {
+            throw new AuthoringError(`${file} lists parameter ${parts[0]} twice`);
+        }
+        names.add(parts[0]);
+
+        let value;
+        try {
+            value = JSON.parse(parts[1]);
+        } catch (error) {
+            throw new AuthoringError(`${file} has an invalid value for ${parts[0]}: ${parts[1]} (quote text values)`);
+        }
+        if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+            throw new AuthoringError(`${file} has an invalid value for ${parts[0]} (expected a number, true, false, null or text)`);
+        }
+        return { name: parts[0], value, dotnetType: parts[2], sqlType: parts[3] };
+    });
+}
+
+// "rule | line:column | token | reason" lines for the validation errors an output knowingly keeps; the
+// reason is the rest of the line and may contain "|" itself
+function parseKnownIssues(lines, dialect, file) {
+    return lines.map(line => {
+        const match = line.match(/^([\w-]+)\s*\|\s*(\d+):(\d+)\s*\|\s*([^|]+?)\s*\|\s*(\S.*)$/);
+        if (!match) {
+            throw new AuthoringError(`${file} has an invalid issue "${line}" (expected rule | line:column | token | reason)`);
+        }
+        const [, rule, issueLine, column, token, reason] = match;
+        return { dialect, rule, line: Number(issueLine), column: Number(column), token, reason };
+    });
+}
+
+// Example fields from each slug's snippet files in a directory, sorted by slug
+function readSnippets(directory) {
+    if (!fs.existsSync(directory)) return [];
+
+    const groups = new Map();
+    fs.readdirSync(directory).sort().forEach(name => {
+        const match = name.match(SNIPPET_FILE_PATTERN);
+        if (!match) return;
+
+        const [, slug, variant, extension] = match;
+        if (extension === 'cs' && variant) {
+            throw new AuthoringError(`${name}: only SQL snippets take a second name part (<slug>.<name>.sql)`);
+        }
+        if (!groups.has(slug)) {
+            groups.set(slug, { slug, csharp: null, sql: null, alternates: [] });
+        }
+        const group = groups.get(slug);
+        const snippet = { file: name, ...parseSnippet(fs.readFileSync(path.join(directory, name), 'utf8'), name) };
+        if (extension === 'cs') {
+            group.csharp = snippet;
+        } else if (variant) {
+            group.alternates.push(snippet);
+        } else {
+            group.sql = snippet;
+        }
+    });
+
+    return [...groups.values()].map(createExample);
+}
+
+function createExample({ slug, csharp, sql, alternates }) {
+    if (!csharp || !sql) {
+        throw new AuthoringError(`Example "${slug}" needs both ${slug}.cs and ${slug}.sql`);
+    }
+
+    checkFields(csharp.fields, CSHARP_FIELDS, csharp.file);
+    checkFields(sql.fields, SQL_FIELDS, sql.file);
+    if (!csharp.body || !sql.body) {
+        throw new AuthoringError(`Example "${slug}" has an empty ${csharp.body ? sql.file : csharp.file}`);
+    }
+
+    const fields = { ...csharp.fields };
+    LIST_FIELDS.forEach(name => {
+        if (typeof fields[name] === 'string') {
+            fields[name] = fields[name].split(',').map(item => item.trim()).filter(Boolean);
+        }
+    });
+    const duplicateTag = fields.tags.find((tag, index) => fields.tags.indexOf(tag) !== index);
+    if (duplicateTag) {
+        throw new AuthoringError(`${csharp.file} lists tag "${duplicateTag}" twice`);
+    }
+
+    const dialect = parseDialect(sql.fields, sql.file);
+    const dialectOutputs = {};
+    const handWrittenOutputs = [];
+    const knownIssues = parseKnownIssues(sql.fields.issues || [], dialect, sql.file);
+    alternates.forEach(snippet => {
+        checkFields(snippet.fields, ALTERNATE_SQL_FIELDS, snippet.file);
+        const alternate = parseDialect(snippet.fields, snippet.file);
+        if (alternate === dialect || dialectOutputs[alternate] !== undefined) {
+            throw new AuthoringError(`${snippet.file} repeats the ${alternate} output of "${slug}"`);
+        }
+        if (!OUTPUT_SOURCES.includes(snippet.fields.source)) {
+            throw new AuthoringError(`${snippet.file} has unknown source "${snippet.fields.source}" (expected ${OUTPUT_SOURCES.join(' or ')})`);
+        }
+        dialectOutputs[alternate] = snippet.body;
+        if (snippet.fields.source === 'hand-written') {
+            handWrittenOutputs.push(alternate);
+        }
+        knownIssues.push(...parseKnownIssues(snippet.fields.issues || [], alternate, snippet.file));
+    });
+
+    const example = {
+        slug,
+        title: fields.title,
+        description: fields.description,
+        category: fields.category,
+        tags: fields.tags,
+        since: fields.since,
+        changed: fields.changed,
+        dialect,
+        entities: fields.entities,
+        csharpCode: csharp.body,
+        sqlOutput: sql.body,
+        dialectOutputs: Object.keys(dialectOutputs).length > 0 ? dialectOutputs : undefined,
+        handWrittenOutputs: handWrittenOutputs.length > 0 ? handWrittenOutputs : undefined,
+        parameters: parseParameters(sql.fields.params || [], sql.file),
+        knownIssues: knownIssues.length > 0 ? knownIssues : undefined
+    };
+    Object.keys(example).forEach(name => example[name] === undefined && delete example[name]);
+    return example;
+}
+
+// Authored fields in dataset order, followed by the entry's other fields
+function orderFields(example, previous = {}) {
+    const ordered = {};
+    AUTHORED_FIELDS.forEach(name => {
+        if (example[name] !== undefined) ordered[name] = example[name];
+    });
+    Object.keys(previous).forEach(name => {
+        if (!AUTHORED_FIELDS.includes(name)) ordered[name] = previous[name];
+    });
+    return ordered;
+}
+
+function keepKeyOrder(value, previous) {
+    if (!value || !previous) return value;
+
+    const ordered = {};
+    Object.keys(previous).forEach(key => {
+        if (value[key] !== undefined) ordered[key] = value[key];
+    });
+    return Object.assign(ordered, value);
+}
+
+// Snippet files are read alphabetically; an entry's dialect outputs stay in the order the dataset lists them,
+// and handWrittenOutputs and knownIssues follow that order
+function orderOutputs(example, previousOutputs) {
+    const dialectOutputs = keepKeyOrder(example.dialectOutputs, previousOutputs);
+    const dialects = [example.dialect, ...Object.keys(dialectOutputs || {})];
+    return {
+        ...example,
+        dialectOutputs,
+        handWrittenOutputs: example.handWrittenOutputs && dialects.filter(dialect => example.handWrittenOutputs.includes(dialect)),
+        knownIssues: example.knownIssues && [...example.knownIssues].sort((a, b) =>
+            dialects.indexOf(a.dialect) - dialects.indexOf(b.dialect) || a.line - b.line || a.column - b.column)
+    };
+}
+
+// Apply authored examples to the dataset's examples: by slug, keeping ids, or appended with new ids
+function mergeExamples(examples, authored, entityNames) {
+    const merged = examples.map(example => orderFields({ ...example, slug: example.slug || slugify(example.title) }, example));
+    let nextId = Math.max(0, ...merged.map(example => example.id)) + 1;
+
+    authored.forEach(example => {
+        (example.entities || []).forEach(name => {
+            if (!entityNames.has(name)) {
+                throw new AuthoringError(`Example "${example.slug}" uses unknown entity "${name}" (expected one of ${[...entityNames].join(', ')})`);
+            }
+        });
+
+        const index = merged.findIndex(entry => entry.slug === example.slug);
+        if (index === -1) {
+            merged.push(orderFields({ id: nextId++, ...orderOutputs(example) }));
+        } else {
+            const previous = merged[index];
+            merged[index] = orderFields({ ...orderOutputs(example, previous.dialectOutputs), id: previous.id }, previous);
+        }
+    });
+
+    checkDuplicates(merged);
+    return merged;
+}
+
+function checkDuplicates(examples) {
+    const checks = [
+        ['slug', example => example.slug],
+        ['title', example => example.title.toLowerCase()],
+        ['C# code', example => example.csharpCode.replace(/\s+/g, ' ').trim()]
+    ];
+    checks.forEach(([label, key]) => {
+        const seen = new Map();
+        examples.forEach(example => {
+            const value = key(example);
+            if (seen.has(value)) {
+                throw new AuthoringError(`Examples ${seen.get(value).id} and ${example.id} have the same ${label}`);
+            }
+            seen.set(value, example);
+        });
+    });
+
+    examples.forEach(example => {
+        if (!SLUG_PATTERN.test(example.slug)) {
+            throw new AuthoringError(`Example ${example.id} has an invalid slug "${example.slug}" (expected lowercase words joined by hyphens)`);
+        }
+    });
+}
+
+// Serialize examples.json as it is laid out by hand: objects and arrays open up, except arrays of plain
+// values and array items built only from plain values, which stay on one line
+function formatJson(value, indent = '', inArray = false) {
+    const isPlain = (item) => item === null || typeof item !== 'object';
+    const isCompact = (item) => isPlain(item)
+        || (Array.isArray(item) ? item.every(isPlain) : Object.values(item).every(isCompact));
+
+    if (isPlain(value)) return JSON.stringify(value);
+
+    if (Array.isArray(value)) {
+        if (value.length === 0 || value.every(isPlain)) {
+            return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+        }
+        const inner = `${indent}  `;
+        return `[\n${value.map(item => `${inner}${formatJson(item, inner, true)}`).join(',\n')}\n${indent}]`;
+    }
+
+    const entries = Object.entries(value);
+    if (inArray && isCompact(value)) {
+        return `{ ${entries.map(([key, item]) => `${JSON.stringify(key)}: ${formatJson(item, indent, true)}`).join(', ')} }`;
+    }
+    const inner = `${indent}  `;
+    return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${formatJson(item, inner)}`).join(',\n')}\n${indent}}`;
+}
+
+// Parameter table below a static block's SQL, laid out as the example cards lay theirs out
+function renderParameterTable(example) {
+    if (example.parameters.length === 0) return [];
+
+    const cell = (tag, text) => `<${tag}>${text}</${tag}>`;
+    return [
+        '<div class="example-parameters">',
+        '    <table class="parameters-table">',
+        '        <thead><tr><th>Parameter</th><th>Value</th><th>.NET Type</th><th>SQL Type</th></tr></thead>',
+        '        <tbody>',
+        ...example.parameters.map(parameter => `            <tr>${[
+            cell('td', cell('code', escapeHtml(parameter.name))),
+            cell('td', cell('code', escapeHtml(cards.formatParameterValue(parameter)))),
+            cell('td', escapeHtml(parameter.dotnetType)),
+            cell('td', escapeHtml(cards.getParameterSqlType(parameter, example.dialect)))
+        ].join('')}</tr>`),
+        '        </tbody>',
+        '    </table>',
+        '</div>'
+    ];
+}
+
+// Static block markup, matching the hand-written blocks in index.html
+// The SQL stays as the library prints it, so copying it gives runnable SQL; parameters get their own table
+function renderStaticBlock(example, { id, number }, indent) {
+    const pane = (kind, label, codeId, language, code, notes = []) => [
+        `<div class="${kind}-example">`,
+        `    <div class="${kind}-header">`,
+        `        <span class="${kind}-language">${label}</span>`,
+        `        <button class="copy-btn" type="button" aria-label="Copy ${label}" data-clipboard-target="#${codeId}">`,
+        '            <i class="fas fa-copy"></i>',
+        '        </button>',
+        '    </div>',
+        `    <div class="${kind === 'code' ? 'code' : 'output'}-editor">`,
+        `        <pre class="line-numbers"><code id="${codeId}" class="language-${language}">${escapeHtml(code)}</code></pre>`,
+        '    </div>',
+        ...notes.map(line => `    ${line}`),
+        '</div>'
+    ];
+
+    const lines = [
+        `<div class="example-item" id="${id}" data-example="${example.slug}">`,
+        '    <h3 class="example-title">',
+        `        <span class="example-number">${number}</span>`,
+        `        ${escapeHtml(example.title)}`,
+        '    </h3>',
+        '',
+        '    <div class="example-container">',
+        ...pane('code', 'C# Code', `${id}-code`, 'csharp', example.csharpCode).map(line => `        ${line}`),
+        '',
+        ...pane('output', 'SQL Output', `${id}-output`, 'sql', example.sqlOutput, renderParameterTable(example)).map(line => `        ${line}`),
+        '    </div>',
+        '</div>'
+    ];
+
+    // Code keeps its own line breaks inside <pre>, so only the start of each markup line is indented
+    return lines.map(line => (line ? `${indent}${line}` : line)).join('\n');
+}
+
+// Rebuild each data-example block; the block ends at the </div> that closes its opening tag
+function renderStaticBlocks(html, examples) {
+    const unmarked = html.match(/<div class="example-item" id="([^"]+)">/);
+    if (unmarked) {
+        throw new AuthoringError(`index.html block #${unmarked[1]} has no data-example, so nothing keeps it in step with its example`);
+    }
+
+    const bySlug = new Map(examples.map(example => [example.slug, example]));
+    const opening = /^( *)<div class="example-item" id="([^"]+)" data-example="([^"]+)">/gm;
+    const blocks = [...html.matchAll(opening)].map(match => {
+        const [, indent, id, slug] = match;
+        const example = bySlug.get(slug);
+        if (!example) {
+            throw new AuthoringError(`index.html block #${id} refers to unknown example "${slug}"`);
+        }
+
+        const tags = /<div\b|<\/div>/g;
+        tags.lastIndex = match.index + match[0].length;
+        let depth = 1;
+        let tag;
+        while (depth > 0 && (tag = tags.exec(html)) !== null) {
+            depth += tag[0] === '</div>' ? -1 : 1;
+        }
+        if (depth > 0) {
+            throw new AuthoringError(`index.html block #${id} is not closed`);
+        }
+
+        const content = html.slice(match.index, tags.lastIndex);
+        const number = (content.match(/<span class="example-number">([^<]*)<\/span>/) || [])[1] || String(example.id);
+        return { start: match.index, end: tags.lastIndex, text: renderStaticBlock(example, { id, number }, indent) };
+    });
+
+    return blocks.reduceRight((result, block) => result.slice(0, block.start) + block.text + result.slice(block.end), html);
+}
+
+// Snippet files reproducing an existing example
+function createSnippetFiles(example) {
+    const frontMatter = (fields) => ['---', ...fields.filter(Boolean), '---'].join('\n');
+    const issues = (dialect) => {
+        const lines = (example.knownIssues || []).filter(issue => issue.dialect === dialect)
+            .map(issue => `  ${issue.rule} | ${issue.line}:${issue.column} | ${issue.token} | ${issue.reason}`);
+        return lines.length > 0 ? ['issues:', ...lines] : [];
+    };
+    const files = [
+        {
+            name: `${example.slug}.cs`,
+            content: `${frontMatter([
+                `title: ${example.title}`,
+                `description: ${example.description}`,
+                `category: ${example.category}`,
+                `tags: ${example.tags.join(', ')}`,
+                example.since && `since: ${example.since}`,
+                example.changed && `changed: ${example.changed.join(', ')}`,
+                example.entities && `entities: ${example.entities.join(', ')}`
+            ])}\n${example.csharpCode}\n`
+        },
+        {
+            name: `${example.slug}.sql`,
+            content: `${frontMatter([
+                `dialect: ${example.dialect}`,
+                example.parameters.length > 0 && 'params:',
+                ...example.parameters.map(parameter =>
+                    `  ${parameter.name} | ${JSON.stringify(parameter.value)} | ${parameter.dotnetType} | ${parameter.sqlType}`),
+                ...issues(example.dialect)
+            ])}\n${example.sqlOutput}\n`
+        }
+    ];
+
+    Object.entries(example.dialectOutputs || {}).forEach(([dialect, sql]) => {
+        const source = (example.handWrittenOutputs || []).includes(dialect) ? 'hand-written' : 'generated';
+        files.push({
+            name: `${example.slug}.${dialect.toLowerCase()}.sql`,
+            content: `${frontMatter([`dialect: ${dialect}`, `source: ${source}`, ...issues(dialect)])}\n${sql}\n`
+        });
+    });
+    return files;
+}
+
+// Merge the snippets into the dataset and page; returns the new file contents and what changed
+function buildExamples(snippetsDir = DEFAULT_SNIPPETS_DIR) {
+    const dataset = JSON.parse(fs.readFileSync(EXAMPLES_PATH, 'utf8'));
+    const html = fs.readFileSync(HTML_PATH, 'utf8');
+    const authored = readSnippets(snippetsDir);
+    const entityNames = new Set((dataset.entities || []).map(entity => entity.name));
+    const examples = mergeExamples(dataset.examples, authored, entityNames);
+
+    const authoredSlugs = new Set(authored.map(example => example.slug));
+    const missing = examples.filter(example => !authoredSlugs.has(example.slug)).map(example => example.slug);
+    if (missing.length > 0) {
+        throw new AuthoringError(`No snippet files in ${path.relative(process.cwd(), snippetsDir)} for ${missing.join(', ')}. `
+            + 'Write them with --extract <slug>, or remove the example from examples.json.');
+    }
+
+    const report = validateExamples(examples);
+    if (report.failures.length > 0 || report.stale.length > 0) {
+        const issues = [...report.failures.map(formatIssue), ...report.stale.map(formatStaleIssue)];
+        throw new AuthoringError(`The examples do not pass validate-examples.js:\n${issues.join('\n')}`);
+    }
+
+    const json = `${formatJson({ ...dataset, examples })}\n`;
+    const page = renderStaticBlocks(html, examples);
+    return {
+        authored,
+        examples,
+        json,
+        html: page,
+        jsonChanged: json !== fs.readFileSync(EXAMPLES_PATH, 'utf8'),
+        htmlChanged: page !== html
+    };
+}
+
+function extractExample(key, snippetsDir) {
+    const { examples } = JSON.parse(fs.readFileSync(EXAMPLES_PATH, 'utf8'));
+    const example = examples.find(item => (item.slug || slugify(item.title)) === key || String(item.id) === key);
+    if (!example) {
+        throw new AuthoringError(`No example has the slug or id "${key}"`);
+    }
+
+    const files = createSnippetFiles({ ...example, slug: example.slug || slugify(example.title) });
+    files.forEach(file => {
+        if (fs.existsSync(path.join(snippetsDir, file.name))) {
+            throw new AuthoringError(`${file.name} already exists in ${path.relative(process.cwd(), snippetsDir)}`);
+        }
+    });
+
+    fs.mkdirSync(snippetsDir, { recursive: true });
+    files.forEach(file => fs.writeFileSync(path.join(snippetsDir, file.name), file.content));
+    return files.map(file => file.name);
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const check = args.includes('--check');
+    const positional = [];
+    let extractKey = null;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--extract') {
+            extractKey = args[++i] || '';
+        } else if (!args[i].startsWith('--')) {
+            positional.push(args[i]);
+        }
+    }
+    const snippetsDir = positional[0] ? path.resolve(positional[0]) : DEFAULT_SNIPPETS_DIR;
+
+    try {
+        if (extractKey !== null) {
+            if (!extractKey) {
+                throw new AuthoringError('--extract needs the slug or id of an example');
+            }
+            const files = extractExample(extractKey, snippetsDir);
+            console.log(`Wrote ${files.join(', ')} to ${path.relative(process.cwd(), snippetsDir)}`);
+            return;
+        }
+
+        const result = buildExamples(snippetsDir);
+        console.log(`Read ${result.authored.length} examples from ${path.relative(process.cwd(), snippetsDir)}; the dataset has ${result.examples.length}.`);
+
+        if (check) {
+            const stale = [result.jsonChanged && 'examples.json', result.htmlChanged && 'index.html'].filter(Boolean);
+            console.log(stale.length > 0
+                ? `${stale.join(' and ')} ${stale.length > 1 ? 'are' : 'is'} out of date. Run node LambdifySQLDocs/tools/author-examples.js`
+                : 'examples.json and index.html are up to date.');
+            process.exitCode = stale.length > 0 ? 1 : 0;
+            return;
+        }
+
+        if (result.jsonChanged) fs.writeFileSync(EXAMPLES_PATH, result.json);
+        if (result.htmlChanged) fs.writeFileSync(HTML_PATH, result.html);
+        console.log(result.jsonChanged || result.htmlChanged
+            ? `Updated ${[result.jsonChanged && 'examples.json', result.htmlChanged && 'index.html'].filter(Boolean).join(' and ')}.`
+            : 'examples.json and index.html are already up to date.');
+    } catch (error) {
+        console.error(error instanceof AuthoringError ? error.message : error);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseSnippet, readSnippets, mergeExamples, formatJson, renderStaticBlocks, createSnippetFiles, buildExamples, AuthoringError };
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Run axe-core accessibility checks against the rendered docs page in jsdom
+//
+// Usage: node LambdifySQLDocs/tools/check-a11y.js [--verbose]
+//
+// Requires jsdom and axe-core, the docs' dev dependencies: run npm install in LambdifySQLDocs first
+//
+// The page is loaded into jsdom with page-loader.js, then axe checks the WCAG 2.0/2.1 A and AA rules in
+// each state from PAGE_STATES. Colour contrast needs real layout and is left to axe in a browser.
+// Exits with code 1 on any violation.
+
+const { createPage, waitFor, PageLoadError } = require('./page-loader');
+
+const WCAG_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+const DISABLED_RULES = { 'color-contrast': { enabled: false } };
+
+// Interaction states checked in order; each runs against the page left by the previous one
+const PAGE_STATES = [
+    {
+        name: 'examples loaded',
+        run: async (window) => {
+            await waitFor(window, () => window.document.querySelector('#examples-container .example-item'));
+        }
+    },
+    {
+        name: 'category tab selected with the keyboard',
+        run: async (window) => {
+            const tab = window.document.querySelector('#examples-category-filters [role="tab"]');
+            tab.focus();
+            tab.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+        }
+    },
+    {
+        name: 'example card formatted and comparing dialects',
+        run: async (window) => {
+            const card = window.document.querySelector('#examples-container .example-item');
+            card.querySelector('.format-btn').click();
+            const compare = window.document.querySelector(`#${card.id} .compare-btn:not([disabled])`);
+            if (compare) {
+                compare.click();
+            }
+        }
+    },
+    {
+        name: 'example schema panel expanded',
+        run: async (window) => {
+            window.examplesManager.focusExample(12);
+            window.document.querySelector('#example-12 .example-schema').open = true;
+        }
+    },
+    {
+        name: 'command palette open',
+        run: async (window) => {
+            window.document.querySelector('[data-open-search]').click();
+            await waitFor(window, () => window.document.querySelector('.command-palette:not([hidden])'));
+        },
+        cleanup: (window) => {
+            const input = window.document.querySelector('.command-palette-input');
+            input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        }
+    },
+    {
+        name: 'export dialog open',
+        run: async (window) => {
+            window.document.querySelector('[data-open-export]').click();
+            await waitFor(window, () => window.document.querySelector('.export-overlay:not([hidden])'));
+        },
+        cleanup: (window) => {
+            const dialog = window.document.querySelector('.export-dialog');
+            dialog.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        }
+    },
+    {
+        name: 'mobile navigation open',
+        run: async (window, viewport) => {
+            viewport.setMobile(true);
+            window.document.querySelector('.nav-toggle').click();
+        }
+    }
+];
+
+class A11yCheckError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'A11yCheckError';
+    }
+}
+
+function loadDependencies() {
+    try {
+        return { JSDOM: require('jsdom').JSDOM, axe: require('axe-core') };
+    } catch (error) {
+        throw new A11yCheckError(`${error.message}\nInstall the checker's dependencies with: npm install (in LambdifySQLDocs)`);
+    }
+}
+
+async function checkPage({ verbose = false } = {}) {
+    const { JSDOM, axe } = loadDependencies();
+    const { window, viewport } = createPage(JSDOM);
+    window.eval(axe.source);
+
+    const results = [];
+    for (const state of PAGE_STATES) {
+        await state.run(window, viewport);
+        const report = await window.axe.run(window.document, {
+            runOnly: { type: 'tag', values: WCAG_TAGS },
+            rules: DISABLED_RULES
+        });
+        results.push({ state: state.name, violations: report.violations, passes: report.passes.length });
+        if (verbose) {
+            console.log(`  ${state.name}: ${report.passes.length} rules passed`);
+        }
+        if (state.cleanup) {
+            state.cleanup(window);
+        }
+    }
+
+    window.close();
+    return results;
+}
+
+function formatViolation(violation) {
+    const nodes = violation.nodes.map(node => `      ${node.target.join(' ')}\n        ${node.failureSummary.replace(/\n/g, '\n        ')}`);
+    return `  [${violation.impact}] ${violation.id}: ${violation.help}\n    ${violation.helpUrl}\n${nodes.join('\n')}`;
+}
+
+async function main() {
+    const verbose = process.argv.includes('--verbose');
+    let results;
+    try {
+        results = await checkPage({ verbose });
+    } catch (error) {
+        console.error(error instanceof A11yCheckError || error instanceof PageLoadError ? error.message : error);
+        process.exitCode = 1;
+        return;
+    }
+
+    let failures = 0;
+    results.forEach(({ state, violations }) => {
+        if (violations.length === 0) return;
+        failures += violations.length;
+        console.log(`\n${state} (${violations.length} violations):`);
+        violations.forEach(violation => console.log(formatViolation(violation)));
+    });
+
+    console.log(`\nChecked ${results.length} page states against ${WCAG_TAGS.join(', ')}`);
+    console.log(failures > 0 ? 'Accessibility check failed.' : 'No accessibility violations found.');
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { checkPage, A11yCheckError, PAGE_STATES };
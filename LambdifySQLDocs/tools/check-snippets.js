@@ -0,0 +1,617 @@
+#!/usr/bin/env node
+// Check the C# snippets in the docs against the public API of LambdifySQL
+//
+// Usage: node LambdifySQLDocs/tools/check-snippets.js [path/to/LambdifySQL]
+//
+// Reads the API model straight from the library sources with extract-api.js, so no .NET SDK is
+// needed. Every csharpCode string in examples.json and every language-csharp block in index.html
+// is tokenized, and each method chain rooted at a library type, a "new" expression or a variable
+// holding a builder is followed through the model. Calls to unknown methods, wrong generic arity,
+// unknown named arguments and argument lists no overload accepts are reported. Exits with code 1
+// on any error.
+
+const fs = require('fs');
+const path = require('path');
+const { extractApi } = require('./extract-api');
+const { formatExcerpt } = require('./validate-examples');
+
+const DEFAULT_SOURCE_DIR = path.join(__dirname, '..', '..', 'LambdifySQL');
+const DOCS_DIR = path.join(__dirname, '..');
+
+// Multi-character operators; ">" is never combined so that nested generics close one at a time
+const OPERATORS = ['=>', '==', '!=', '<=', '&&', '||', '??', '?.', '::', '++', '--', '+=', '-=', '*=', '/='];
+
+const NUMERIC_TYPES = new Set(['int', 'long', 'short', 'byte', 'decimal', 'double', 'float', 'uint', 'ulong']);
+
+const HTML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' };
+
+class SnippetCheckError extends Error {
+    constructor(rule, message, token) {
+        super(message);
+        this.name = 'SnippetCheckError';
+        this.rule = rule;
+        this.token = token;
+    }
+}
+
+// Split C# source into identifier, number, string, char and punctuation tokens, dropping comments
+function tokenize(code) {
+    const tokens = [];
+    let index = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const push = (type, value, start) => {
+        tokens.push({ type, value, line, column: start - lineStart + 1 });
+    };
+    const advanceLines = (from, to) => {
+        for (let i = from; i < to; i++) {
+            if (code[i] === '\n') {
+                line++;
+                lineStart = i + 1;
+            }
+        }
+    };
+
+    while (index < code.length) {
+        const char = code[index];
+        const rest = code.slice(index);
+
+        if (/\s/.test(char)) {
+            advanceLines(index, index + 1);
+            index++;
+            continue;
+        }
+
+        if (rest.startsWith('//')) {
+            const end = code.indexOf('\n', index);
+            index = end === -1 ? code.length : end;
+            continue;
+        }
+
+        if (rest.startsWith('/*')) {
+            const end = code.indexOf('*/', index + 2);
+            const stop = end === -1 ? code.length : end + 2;
+            advanceLines(index, stop);
+            index = stop;
+            continue;
+        }
+
+        const stringMatch = /^(\$@|@\$|@|\$)?"/.exec(rest);
+        if (stringMatch) {
+            const prefix = stringMatch[1] || '';
+            const verbatim = prefix.includes('@');
+            let position = index + stringMatch[0].length;
+            while (position < code.length) {
+                if (!verbatim && code[position] === '\\') {
+                    position += 2;
+                } else if (code[position] === '"') {
+                    if (verbatim && code[position + 1] === '"') {
+                        position += 2;
+                    } else {
+                        break;
+                    }
+                } else {
+                    position++;
+                }
+            }
+            push('string', code.slice(index, position + 1), index);
+            advanceLines(index, position + 1);
+            index = position + 1;
+            continue;
+        }
+
+        const charMatch = /^'(?:\\.|[^'\\])*'/.exec(rest);
+        if (charMatch) {
+            push('char', charMatch[0], index);
+            index += charMatch[0].length;
+            continue;
+        }
+
+        const numberMatch = /^\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?[mMdDfFlLuU]*/.exec(rest);
+        if (numberMatch) {
+            push('number', numberMatch[0], index);
+            index += numberMatch[0].length;
+            continue;
+        }
+
+        const identifierMatch = /^@?[A-Za-z_]\w*/.exec(rest);
+        if (identifierMatch) {
+            push('identifier', identifierMatch[0].replace(/^@/, ''), index);
+            index += identifierMatch[0].length;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => rest.startsWith(op));
+        push('punct', operator || char, index);
+        index += operator ? operator.length : 1;
+    }
+
+    return tokens;
+}
+
+// Index of the token closing the bracket opened at tokens[start]
+function findClosingToken(tokens, start) {
+    const pairs = { '(': ')', '[': ']', '{': '}' };
+    const stack = [];
+    for (let i = start; i < tokens.length; i++) {
+        const { type, value } = tokens[i];
+        if (type !== 'punct') continue;
+        if (pairs[value]) {
+            stack.push(pairs[value]);
+        } else if (value === stack[stack.length - 1]) {
+            stack.pop();
+            if (stack.length === 0) return i;
+        }
+    }
+    return tokens.length - 1;
+}
+
+// Split tokens on top-level commas
+function splitArguments(tokens) {
+    const parts = [];
+    let current = [];
+    let depth = 0;
+    tokens.forEach(token => {
+        if (token.type === 'punct') {
+            if ('([{'.includes(token.value)) depth++;
+            if (')]}'.includes(token.value)) depth--;
+            if (token.value === ',' && depth === 0) {
+                parts.push(current);
+                current = [];
+                return;
+            }
+        }
+        current.push(token);
+    });
+    if (current.length > 0) parts.push(current);
+    return parts;
+}
+
+// Parse "<A, B<C>>" starting at tokens[start] when it is a type argument list followed by "("
+function parseTypeArguments(tokens, start) {
+    if (!tokens[start] || tokens[start].value !== '<') return null;
+
+    const args = [];
+    let current = '';
+    let depth = 0;
+    for (let i = start; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.value === '<') {
+            if (depth > 0) current += '<';
+            depth++;
+        } else if (token.value === '>') {
+            depth--;
+            if (depth === 0) {
+                args.push(current);
+                const next = tokens[i + 1];
+                return next && next.value === '(' ? { args, end: i } : null;
+            }
+            current += '>';
+        } else if (token.value === ',' && depth === 1) {
+            args.push(current);
+            current = '';
+        } else if (token.type === 'identifier' || ['.', '?', '[', ']', ','].includes(token.value)) {
+            current += token.value === ',' ? ', ' : token.value;
+        } else {
+            return null;
+        }
+    }
+    return null;
+}
+
+// Describe an argument for overload matching: its name if named, and the kind of value it is
+function describeArgument(tokens) {
+    let name = null;
+    let valueTokens = tokens;
+    if (tokens.length > 2 && tokens[0].type === 'identifier' && tokens[1].value === ':') {
+        name = tokens[0].value;
+        valueTokens = tokens.slice(2);
+    }
+
+    const arrow = valueTokens.findIndex(token => token.value === '=>');
+    const first = valueTokens[0];
+    let kind = 'unknown';
+    let lambdaArity = 0;
+
+    if (arrow !== -1 && (arrow === 1 || first.value === '(')) {
+        kind = 'lambda';
+        lambdaArity = arrow === 1 ? 1 : valueTokens.slice(1, arrow - 1).filter(token => token.value !== ',').length;
+    } else if (valueTokens.length === 1) {
+        if (first.type === 'string') kind = 'string';
+        else if (first.type === 'number') kind = 'number';
+        else if (first.value === 'null') kind = 'null';
+        else if (first.value === 'true' || first.value === 'false') kind = 'bool';
+    } else if (valueTokens.length === 2 && first.value === '-' && valueTokens[1].type === 'number') {
+        kind = 'number';
+    }
+
+    return { name, kind, lambdaArity, token: tokens[0] };
+}
+
+// Number of parameters a Func<...> type takes, or null when the type is not a delegate
+function getDelegateArity(type) {
+    const match = /\bFunc<(.*)>/.exec(type);
+    if (!match) return null;
+    return splitTypeList(match[1]).length - 1;
+}
+
+function splitTypeList(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '<' || char === '(') depth++;
+        if (char === '>' || char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current.trim());
+    return parts;
+}
+
+// Whether an argument of the given kind can bind to a parameter type
+function isCompatible(argument, type, genericNames) {
+    const bare = type.replace(/\?$/, '');
+    if (genericNames.has(bare) || bare === 'object' || argument.kind === 'unknown') return true;
+
+    switch (argument.kind) {
+        case 'lambda': {
+            const arity = getDelegateArity(bare);
+            return arity !== null && arity === argument.lambdaArity;
+        }
+        case 'string':
+            return bare === 'string';
+        case 'number':
+            return NUMERIC_TYPES.has(bare);
+        case 'bool':
+            return bare === 'bool';
+        case 'null':
+            return !NUMERIC_TYPES.has(bare) && bare !== 'bool' || type.endsWith('?');
+        default:
+            return true;
+    }
+}
+
+function stripGenerics(type) {
+    return type.replace(/<.*$/, '').replace(/\?$/, '').trim();
+}
+
+// Follows method chains through the API model
+class SnippetChecker {
+    constructor(model) {
+        this.types = new Map(model.types.map(type => [type.name, type]));
+        this.extensions = model.types.flatMap(type =>
+            type.members.filter(member => member.extends).map(member => ({ member, owner: type })));
+        this.calls = 0;
+    }
+
+    // Check one snippet; returns its issues
+    check(code) {
+        const issues = [];
+        const scope = new Map(); // variable name -> receiver it holds
+        let tokens;
+        try {
+            tokens = tokenize(code);
+        } catch (error) {
+            return [new SnippetCheckError('syntax', error.message, null)];
+        }
+        this.checkTokens(tokens, scope, issues);
+        return issues;
+    }
+
+    checkTokens(tokens, scope, issues) {
+        let i = 0;
+        while (i < tokens.length) {
+            const receiver = this.findChainStart(tokens, i, scope, issues);
+            if (!receiver) {
+                i++;
+                continue;
+            }
+
+            const result = this.followChain(tokens, receiver, scope, issues);
+            this.recordVariable(tokens, i, result.receiver, scope);
+            i = result.end + 1;
+        }
+    }
+
+    // The receiver a chain at tokens[i] starts from: a library type, "new Type(...)" or a variable
+    findChainStart(tokens, i, scope, issues) {
+        const token = tokens[i];
+        const previous = tokens[i - 1];
+        if (token.type !== 'identifier' || (previous && (previous.value === '.' || previous.value === '?.'))) return null;
+
+        if (token.value === 'new') {
+            const typeToken = tokens[i + 1];
+            if (!typeToken || !this.types.has(typeToken.value)) return null;
+
+            let position = i + 2;
+            const typeArguments = parseTypeArguments(tokens, position);
+            if (typeArguments) position = typeArguments.end + 1;
+            if (!tokens[position] || tokens[position].value !== '(') return null;
+
+            const close = findClosingToken(tokens, position);
+            this.checkTokens(tokens.slice(position + 1, close), scope, issues);
+            return { types: [typeToken.value], isStatic: false, next: close + 1 };
+        }
+
+        const next = tokens[i + 1];
+        if (!next || next.value !== '.') return null;
+
+        if (this.types.has(token.value) && !scope.has(token.value)) {
+            return { types: [token.value], isStatic: true, next: i + 1 };
+        }
+        if (scope.has(token.value)) {
+            const held = scope.get(token.value);
+            return held ? { ...held, next: i + 1 } : null;
+        }
+        return null;
+    }
+
+    // Walk ".Member", ".Method<T>(args)" links from receiver.next, checking each call
+    followChain(tokens, start, scope, issues) {
+        let receiver = { types: start.types, isStatic: start.isStatic };
+        let position = start.next;
+
+        while (tokens[position] && (tokens[position].value === '.' || tokens[position].value === '?.')) {
+            const nameToken = tokens[position + 1];
+            if (!nameToken || nameToken.type !== 'identifier') break;
+            position += 2;
+
+            const typeArguments = parseTypeArguments(tokens, position);
+            if (typeArguments) position = typeArguments.end + 1;
+
+            if (tokens[position] && tokens[position].value === '(') {
+                const close = findClosingToken(tokens, position);
+                const argumentTokens = splitArguments(tokens.slice(position + 1, close));
+                argumentTokens.forEach(argument => this.checkTokens(argument, scope, issues));
+
+                const call = {
+                    name: nameToken.value,
+                    token: nameToken,
+                    typeArguments: typeArguments ? typeArguments.args : null,
+                    arguments: argumentTokens.map(describeArgument)
+                };
+                receiver = receiver && this.resolveCall(receiver, call, issues);
+                position = close + 1;
+            } else {
+                receiver = receiver && this.resolveMember(receiver, nameToken, issues);
+            }
+        }
+
+        return { receiver, end: position - 1 };
+    }
+
+    // Remember "var name = <chain>" so later chains on the variable are checked too
+    recordVariable(tokens, start, receiver, scope) {
+        const assign = tokens[start - 1];
+        const name = tokens[start - 2];
+        if (!assign || assign.value !== '=' || !name || name.type !== 'identifier') return;
+        scope.set(name.value, receiver && !receiver.isStatic ? receiver : null);
+    }
+
+    // Model types a type inherits from, nearest first, starting with the type itself
+    getAncestors(typeName) {
+        const ancestors = [];
+        const queue = [typeName];
+        while (queue.length > 0) {
+            const name = queue.shift();
+            const type = this.types.get(name);
+            if (!type || ancestors.includes(type)) continue;
+            ancestors.push(type);
+            queue.push(...type.baseTypes.map(stripGenerics));
+        }
+        return ancestors;
+    }
+
+    // Candidate methods grouped from the most derived type outwards; extension methods come last
+    getMethodLevels(receiver, name) {
+        const levels = [];
+        const ancestors = receiver.types.flatMap(typeName => this.getAncestors(typeName));
+
+        ancestors.forEach(type => {
+            const methods = type.members
+                .filter(member => member.kind === 'method' && member.name === name && !member.extends)
+                .filter(member => member.modifiers.includes('static') === receiver.isStatic)
+                .map(member => ({ member, owner: type, parameters: member.parameters }));
+            if (methods.length > 0) levels.push(methods);
+        });
+
+        if (!receiver.isStatic) {
+            const ancestorNames = new Set(ancestors.map(type => type.name));
+            const extensions = this.extensions
+                .filter(({ member }) => member.name === name && ancestorNames.has(stripGenerics(member.extends)))
+                .map(({ member, owner }) => ({ member, owner, parameters: member.parameters.slice(1) }));
+            if (extensions.length > 0) levels.push(extensions);
+        }
+
+        return levels;
+    }
+
+    resolveCall(receiver, call, issues) {
+        this.calls++;
+        const levels = this.getMethodLevels(receiver, call.name);
+        const candidates = levels.flat();
+        const receiverName = this.describeReceiver(receiver);
+
+        if (candidates.length === 0) {
+            issues.push(new SnippetCheckError('unknown-method', `${receiverName} has no ${receiver.isStatic ? 'static ' : ''}method ${call.name}`, call.token));
+            return null;
+        }
+
+        // Like C#, stop at the most derived type that has an applicable overload
+        for (const level of levels) {
+            const applicable = level.filter(candidate => this.isApplicable(candidate, call));
+            if (applicable.length > 0) {
+                const types = [...new Set(applicable.map(candidate => stripGenerics(candidate.member.returnType)))]
+                    .filter(type => this.types.has(type));
+                return types.length > 0 ? { types, isStatic: false } : null;
+            }
+        }
+
+        issues.push(this.diagnoseCall(receiverName, candidates, call));
+        return null;
+    }
+
+    // Why no overload matched: generic arity first, then named arguments, then the argument list
+    diagnoseCall(receiverName, candidates, call) {
+        const method = `${receiverName}.${call.name}`;
+
+        if (call.typeArguments) {
+            const arities = [...new Set(candidates.map(candidate => (candidate.member.typeParameters || []).length))].sort();
+            if (!arities.includes(call.typeArguments.length)) {
+                return new SnippetCheckError('generic-arity',
+                    `${method} takes ${arities.join(' or ')} type argument(s), not ${call.typeArguments.length}`, call.token);
+            }
+            candidates = candidates.filter(candidate => (candidate.member.typeParameters || []).length === call.typeArguments.length);
+        }
+
+        for (const argument of call.arguments.filter(arg => arg.name)) {
+            if (!candidates.some(candidate => candidate.parameters.some(parameter => parameter.name === argument.name))) {
+                const names = [...new Set(candidates.flatMap(candidate => candidate.parameters.map(parameter => parameter.name)))];
+                return new SnippetCheckError('named-argument',
+                    `${method} has no parameter named "${argument.name}" (parameters: ${names.join(', ') || 'none'})`, argument.token);
+            }
+        }
+
+        const signatures = candidates.map(candidate => candidate.member.signature).join('; ');
+        return new SnippetCheckError('no-overload',
+            `No overload of ${method} accepts ${call.arguments.length} argument(s) like these. Available: ${signatures}`, call.token);
+    }
+
+    isApplicable(candidate, call) {
+        const { member, owner, parameters } = candidate;
+        const typeParameters = member.typeParameters || [];
+        if (call.typeArguments && call.typeArguments.length !== typeParameters.length) return false;
+
+        const genericNames = new Set([...typeParameters, ...owner.typeParameters].map(parameter => parameter.name));
+        const bound = new Set();
+        const hasParams = parameters.length > 0 && (parameters[parameters.length - 1].modifiers || []).includes('params');
+
+        for (let index = 0; index < call.arguments.length; index++) {
+            const argument = call.arguments[index];
+            let parameterIndex = index;
+            if (argument.name) {
+                parameterIndex = parameters.findIndex(parameter => parameter.name === argument.name);
+                if (parameterIndex === -1) return false;
+            } else if (index >= parameters.length) {
+                if (!hasParams) return false;
+                parameterIndex = parameters.length - 1;
+            }
+
+            if (bound.has(parameterIndex) && !(hasParams && parameterIndex === parameters.length - 1)) return false;
+            bound.add(parameterIndex);
+
+            const parameter = parameters[parameterIndex];
+            const type = hasParams && parameterIndex === parameters.length - 1 ? parameter.type.replace(/\[\]$/, '') : parameter.type;
+            if (!isCompatible(argument, type, genericNames)) return false;
+        }
+
+        return parameters.every((parameter, index) =>
+            bound.has(index) || parameter.defaultValue !== undefined || (parameter.modifiers || []).includes('params'));
+    }
+
+    // Properties, fields and enum values reached with ".Name"
+    resolveMember(receiver, token, issues) {
+        const ancestors = receiver.types.flatMap(typeName => this.getAncestors(typeName));
+        const member = ancestors
+            .flatMap(type => type.members)
+            .find(candidate => candidate.name === token.value && ['property', 'field', 'value'].includes(candidate.kind));
+
+        if (!member) {
+            // Only static access is checked; instance members may come from types outside the model
+            if (receiver.isStatic) {
+                issues.push(new SnippetCheckError('unknown-member', `${this.describeReceiver(receiver)} has no member ${token.value}`, token));
+            }
+            return null;
+        }
+
+        const type = member.kind === 'value' ? receiver.types[0] : stripGenerics(member.type || '');
+        return this.types.has(type) ? { types: [type], isStatic: false } : null;
+    }
+
+    describeReceiver(receiver) {
+        return receiver.types.join(' | ');
+    }
+}
+
+// csharpCode of every example in examples.json
+function collectExampleSnippets(examplesPath) {
+    const { examples } = JSON.parse(fs.readFileSync(examplesPath, 'utf8'));
+    return examples.map(example => ({
+        label: `#${example.id} ${example.title}`,
+        code: example.csharpCode,
+        firstLine: 1
+    }));
+}
+
+// Every <code class="language-csharp"> block in index.html, with the line it starts on
+function collectPageSnippets(htmlPath) {
+    const html = fs.readFileSync(htmlPath, 'utf8');
+    const file = path.basename(htmlPath);
+    return [...html.matchAll(/<code(?: id="([^"]*)")? class="language-csharp[^"]*">([\s\S]*?)<\/code>/g)].map(match => {
+        const line = html.slice(0, match.index).split('\n').length;
+        return {
+            label: match[1] ? `${file} #${match[1]}` : file,
+            code: decodeHtml(match[2]),
+            firstLine: line
+        };
+    });
+}
+
+function decodeHtml(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+            }
+            return HTML_ENTITIES[name] !== undefined ? HTML_ENTITIES[name] : entity;
+        });
+}
+
+// Check every snippet; returns { snippets, calls, failures }
+function checkSnippets(model, snippets) {
+    const checker = new SnippetChecker(model);
+    const failures = [];
+    snippets.forEach(snippet => {
+        checker.check(snippet.code).forEach(issue => failures.push({ snippet, issue }));
+    });
+    return { snippets: snippets.length, calls: checker.calls, failures };
+}
+
+function formatIssue({ snippet, issue }) {
+    const location = issue.token ? ` line ${snippet.firstLine + issue.token.line - 1}:` : '';
+    return `  ${snippet.label}${location} ${issue.message} (${issue.rule})${formatExcerpt(snippet.code, issue.token)}`;
+}
+
+function main() {
+    const sourceDir = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_SOURCE_DIR;
+    const model = extractApi(sourceDir);
+    const snippets = [
+        ...collectExampleSnippets(path.join(DOCS_DIR, 'examples.json')),
+        ...collectPageSnippets(path.join(DOCS_DIR, 'index.html'))
+    ];
+    const report = checkSnippets(model, snippets);
+
+    console.log(`Checked ${report.calls} calls in ${report.snippets} C# snippets against ${model.types.length} types from ${path.relative(process.cwd(), sourceDir)}`);
+
+    if (report.failures.length > 0) {
+        console.log(`\nErrors (${report.failures.length}):`);
+        report.failures.forEach(entry => console.log(formatIssue(entry)));
+    }
+
+    const failed = report.failures.length > 0;
+    console.log(failed ? '\nSnippet check failed.' : '\nAll C# snippets match the API.');
+    process.exitCode = failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { tokenize, SnippetChecker, SnippetCheckError, checkSnippets, collectExampleSnippets, collectPageSnippets };
@@ -0,0 +1,650 @@
+#!/usr/bin/env node
+// Extract the public C# API of LambdifySQL into the JSON model rendered by the docs
+//
+// Usage: node LambdifySQLDocs/tools/extract-api.js [--check] [path/to/LambdifySQL] [path/to/api.json]
+//
+// Reads every .cs file under the library folder, collects public types and their public members
+// with signatures, parameters and /// documentation, and writes them to api.json. With --check the
+// model is compared against the existing file instead, exiting with code 1 when it is out of date.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SOURCE_DIR = path.join(__dirname, '..', '..', 'LambdifySQL');
+const DEFAULT_OUTPUT_PATH = path.join(__dirname, '..', 'api.json');
+
+const TYPE_KEYWORDS = ['class', 'interface', 'struct', 'enum', 'record'];
+
+const MODIFIERS = new Set([
+    'public', 'private', 'protected', 'internal', 'static', 'abstract', 'virtual', 'override',
+    'sealed', 'readonly', 'new', 'partial', 'async', 'extern', 'const', 'unsafe', 'volatile', 'required'
+]);
+
+const PARAMETER_MODIFIERS = new Set(['this', 'params', 'ref', 'out', 'in']);
+
+class ApiExtractionError extends Error {
+    constructor(message, file, offset, source) {
+        const line = source ? source.slice(0, offset).split('\n').length : 0;
+        super(`${file}:${line}: ${message}`);
+        this.name = 'ApiExtractionError';
+        this.file = file;
+        this.line = line;
+    }
+}
+
+// Blank out comments, strings and char literals so braces and semicolons can be matched safely.
+// Returns the masked text (same length as the source) and the /// doc comments found.
+function maskSource(source) {
+    const masked = source.split('');
+    const docComments = [];
+    let i = 0;
+
+    const blank = (start, end) => {
+        for (let k = start; k < end; k++) {
+            if (masked[k] !== '\n') masked[k] = ' ';
+        }
+    };
+
+    // Skip a string starting at the opening quote; interpolation holes are scanned as code
+    const skipString = (start, verbatim, interpolated) => {
+        let k = start + 1;
+        while (k < source.length) {
+            const char = source[k];
+            if (verbatim && char === '"' && source[k + 1] === '"') {
+                k += 2;
+            } else if (!verbatim && char === '\\') {
+                k += 2;
+            } else if (char === '"') {
+                return k + 1;
+            } else if (interpolated && char === '{' && source[k + 1] === '{') {
+                k += 2;
+            } else if (interpolated && char === '{') {
+                k = skipCode(k + 1, '}');
+            } else {
+                k++;
+            }
+        }
+        return k;
+    };
+
+    // Skip code up to the closing character, honouring nested strings and braces
+    const skipCode = (start, close) => {
+        let depth = 0;
+        let k = start;
+        while (k < source.length) {
+            const char = source[k];
+            if (char === '"') {
+                k = skipString(k, false, false);
+            } else if (char === '{') {
+                depth++;
+                k++;
+            } else if (char === close && depth === 0) {
+                return k + 1;
+            } else {
+                if (char === '}') depth--;
+                k++;
+            }
+        }
+        return k;
+    };
+
+    while (i < source.length) {
+        const rest = source.slice(i, i + 3);
+        if (rest === '///') {
+            const end = source.indexOf('\n', i) === -1 ? source.length : source.indexOf('\n', i);
+            docComments.push({ start: i, end, text: source.slice(i + 3, end) });
+            blank(i, end);
+            i = end;
+        } else if (rest.startsWith('//')) {
+            const end = source.indexOf('\n', i) === -1 ? source.length : source.indexOf('\n', i);
+            blank(i, end);
+            i = end;
+        } else if (rest.startsWith('/*')) {
+            const close = source.indexOf('*/', i + 2);
+            const end = close === -1 ? source.length : close + 2;
+            blank(i, end);
+            i = end;
+        } else if (/^(\$@|@\$)"/.test(rest)) {
+            const end = skipString(i + 2, true, true);
+            blank(i + 3, end - 1);
+            i = end;
+        } else if (rest.startsWith('@"') || rest.startsWith('$"')) {
+            const end = skipString(i + 1, rest[0] === '@', rest[0] === '$');
+            blank(i + 2, end - 1);
+            i = end;
+        } else if (source[i] === '"') {
+            const end = skipString(i, false, false);
+            blank(i + 1, end - 1);
+            i = end;
+        } else if (source[i] === '#' && /(^|\n)[ \t]*$/.test(source.slice(Math.max(0, i - 80), i))) {
+            // Preprocessor directives such as #nullable or #region
+            const end = source.indexOf('\n', i) === -1 ? source.length : source.indexOf('\n', i);
+            blank(i, end);
+            i = end;
+        } else if (source[i] === '\'') {
+            const match = /^'(?:\\.|[^'\\])+'/.exec(source.slice(i, i + 12));
+            const end = match ? i + match[0].length : i + 1;
+            blank(i + 1, end - 1);
+            i = end;
+        } else {
+            i++;
+        }
+    }
+
+    return { masked: masked.join(''), docComments };
+}
+
+// Index of the bracket opening the one at end, searching backwards
+function findOpening(text, end) {
+    const close = text[end];
+    const open = { '}': '{', ')': '(', ']': '[', '>': '<' }[close];
+    let depth = 0;
+    for (let i = end; i >= 0; i--) {
+        if (text[i] === close) depth++;
+        if (text[i] === open && --depth === 0) return i;
+    }
+    return -1;
+}
+
+// Index of the bracket closing the one at start, in masked text
+function findClosing(masked, start) {
+    const open = masked[start];
+    const close = { '{': '}', '(': ')', '[': ']', '<': '>' }[open];
+    let depth = 0;
+    for (let i = start; i < masked.length; i++) {
+        if (masked[i] === open) depth++;
+        if (masked[i] === close && --depth === 0) return i;
+    }
+    return -1;
+}
+
+// Split text on a separator outside (), [], {} and <>
+function splitTopLevel(text, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if ('([{<'.includes(char)) depth++;
+        if (')]}>'.includes(char)) depth--;
+        if (char === separator && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current);
+    return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Collapse whitespace in a type, keeping a single space after commas
+function normalizeSpace(text) {
+    return text
+        .replace(/\s+/g, ' ')
+        .replace(/([<([])\s+/g, '$1')
+        .replace(/\s+([>)\],])/g, '$1')
+        .replace(/,(?=\S)/g, ', ')
+        .trim();
+}
+
+// Turn the /// lines above a declaration into summary, param, typeparam and returns text
+function parseDocComment(lines) {
+    const xml = lines.join('\n');
+    const clean = (text) => text
+        .replace(/<see\s+(?:cref|langword)="(?:[A-Z]:)?([^"]+)"\s*\/>/g, '$1')
+        .replace(/<paramref\s+name="([^"]+)"\s*\/>/g, '$1')
+        .replace(/<\/?(?:c|code|para|b|i)>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+    const element = (tag) => {
+        const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+        return match ? clean(match[1]) : '';
+    };
+    const named = (tag) => {
+        const values = {};
+        for (const match of xml.matchAll(new RegExp(`<${tag}\\s+name="([^"]+)">([\\s\\S]*?)</${tag}>`, 'g'))) {
+            values[match[1]] = clean(match[2]);
+        }
+        return values;
+    };
+
+    return { summary: element('summary'), returns: element('returns'), params: named('param'), typeParams: named('typeparam') };
+}
+
+// Parse "Name<T, TKey>" into its name and type parameters
+function parseGenericName(text) {
+    const match = /^([A-Za-z_]\w*)\s*(?:<(.*)>)?$/.exec(text.trim());
+    if (!match) return null;
+    return { name: match[1], typeParameters: match[2] ? splitTopLevel(match[2]).map(name => name.replace(/^(in|out)\s+/, '')) : [] };
+}
+
+function parseParameters(text) {
+    return splitTopLevel(text).map(parameterText => {
+        const [declaration, ...defaultParts] = splitTopLevel(parameterText, '=');
+        const words = declaration.replace(/\[[^\]]*\]\s*/g, '').trim();
+        const nameMatch = /([A-Za-z_]\w*)$/.exec(words);
+        let type = words.slice(0, nameMatch.index).trim();
+        const modifiers = [];
+        let modifierMatch;
+        while ((modifierMatch = /^(\w+)\s+/.exec(type)) && PARAMETER_MODIFIERS.has(modifierMatch[1])) {
+            modifiers.push(modifierMatch[1]);
+            type = type.slice(modifierMatch[0].length);
+        }
+
+        const parameter = { name: nameMatch[1], type: normalizeSpace(type) };
+        if (modifiers.length > 0) parameter.modifiers = modifiers;
+        if (defaultParts.length > 0) parameter.defaultValue = defaultParts.join('=').trim();
+        return parameter;
+    });
+}
+
+// Split a declaration header into attributes, modifiers and the remaining text
+function splitHeader(header) {
+    let rest = header.trim();
+    const attributes = [];
+    while (rest.startsWith('[')) {
+        const end = findClosing(rest, 0);
+        attributes.push(rest.slice(1, end).trim());
+        rest = rest.slice(end + 1).trim();
+    }
+
+    const modifiers = [];
+    let match;
+    while ((match = /^([a-z]+)\b\s*/.exec(rest)) && MODIFIERS.has(match[1])) {
+        modifiers.push(match[1]);
+        rest = rest.slice(match[0].length);
+    }
+    return { attributes, modifiers, rest };
+}
+
+function parseTypeHeader(rest) {
+    const match = new RegExp(`^(${TYPE_KEYWORDS.join('|')})\\s+`).exec(rest);
+    if (!match) return null;
+
+    let text = rest.slice(match[0].length);
+    const whereIndex = text.search(/\swhere\s/);
+    const constraints = whereIndex === -1 ? '' : text.slice(whereIndex).trim();
+    if (whereIndex !== -1) text = text.slice(0, whereIndex);
+
+    const colon = text.search(/:(?![^<]*>)/);
+    const nameText = colon === -1 ? text : text.slice(0, colon);
+    const generic = parseGenericName(nameText.replace(/\(.*$/s, ''));
+    const baseTypes = colon === -1 ? [] : splitTopLevel(text.slice(colon + 1)).map(normalizeSpace);
+
+    return { kind: match[1], name: generic.name, typeParameters: generic.typeParameters, baseTypes, constraints: normalizeSpace(constraints) };
+}
+
+// Parse a member header (everything before its body) into a model entry
+function parseMemberHeader(rest, typeName, hasParameterList) {
+    if (!hasParameterList) {
+        const match = /^(.*\S)\s+([A-Za-z_]\w*)$/s.exec(rest.trim());
+        if (!match) return null;
+        return { kind: 'property', name: match[2], type: normalizeSpace(match[1]) };
+    }
+
+    // The parameter list is the last parenthesized group; tuple return types have parentheses too
+    const trimmed = rest.trim();
+    const open = findOpening(trimmed, trimmed.length - 1);
+    const parameters = parseParameters(trimmed.slice(open + 1, -1));
+    let before = trimmed.slice(0, open).trim();
+
+    let typeParameterText = '';
+    if (before.endsWith('>')) {
+        const genericOpen = findOpening(before, before.length - 1);
+        typeParameterText = before.slice(genericOpen);
+        before = before.slice(0, genericOpen).trim();
+    }
+    const nameMatch = /([A-Za-z_]\w*)$/.exec(before);
+    if (!nameMatch) return null;
+    const generic = parseGenericName(nameMatch[1] + typeParameterText);
+    const returnType = before.slice(0, nameMatch.index).trim();
+
+    if (!returnType && generic.name === typeName) {
+        return { kind: 'constructor', name: generic.name, typeParameters: [], parameters };
+    }
+    if (/\boperator$/.test(returnType)) return null;
+
+    return {
+        kind: 'method',
+        name: generic.name,
+        typeParameters: generic.typeParameters,
+        parameters,
+        returnType: normalizeSpace(returnType)
+    };
+}
+
+function buildSignature(member, modifiers) {
+    const prefix = modifiers.length > 0 ? `${modifiers.join(' ')} ` : '';
+    const typeParameters = member.typeParameters && member.typeParameters.length > 0 ? `<${member.typeParameters.join(', ')}>` : '';
+    switch (member.kind) {
+        case 'property':
+        case 'field':
+            return `${prefix}${member.type} ${member.name}${member.accessors ? ` { ${member.accessors.join('; ')}; }` : ''}`;
+        case 'constructor':
+        case 'method': {
+            const parameters = member.parameters.map(parameter =>
+                `${(parameter.modifiers || []).map(modifier => `${modifier} `).join('')}${parameter.type} ${parameter.name}`
+                + (parameter.defaultValue !== undefined ? ` = ${parameter.defaultValue}` : '')).join(', ');
+            const returnType = member.kind === 'method' ? `${member.returnType} ` : '';
+            return `${prefix}${returnType}${member.name}${typeParameters}(${parameters})`;
+        }
+        default:
+            return `${prefix}${member.name}`;
+    }
+}
+
+// Accessor list of a property body such as "{ get; private set; }"
+function parseAccessors(body) {
+    const accessors = [];
+    for (const match of body.matchAll(/\b((?:(?:private|protected|internal)\s+)*)(get|set|init)\b/g)) {
+        if (!match[1].trim()) accessors.push(match[2]);
+    }
+    return accessors.length > 0 ? accessors : ['get'];
+}
+
+class CSharpApiExtractor {
+    constructor(source, file) {
+        this.source = source;
+        this.file = file;
+        const { masked, docComments } = maskSource(source);
+        this.masked = masked;
+        this.docComments = docComments;
+        this.types = [];
+    }
+
+    extract() {
+        this.parseBlock(0, this.masked.length, { namespace: '', type: null, parentName: '' });
+        return this.types;
+    }
+
+    // Doc comment lines that end right before offset, with only whitespace or attributes between
+    getDocLines(offset) {
+        const lines = [];
+        let end = offset;
+        for (let index = this.docComments.length - 1; index >= 0; index--) {
+            const comment = this.docComments[index];
+            if (comment.end > end) continue;
+            if (this.masked.slice(comment.end, end).trim() !== '') break;
+            lines.unshift(comment.text);
+            end = comment.start;
+        }
+        return lines;
+    }
+
+    // Walk declarations between start and end, recursing into namespaces and type bodies
+    parseBlock(start, end, scope) {
+        let i = start;
+        while (i < end) {
+            while (i < end && /\s/.test(this.masked[i])) i++;
+            if (i >= end) break;
+
+            const headerStart = i;
+            let parenDepth = 0;
+            let terminator = null;
+            while (i < end) {
+                const char = this.masked[i];
+                if (char === '(' || char === '[') parenDepth++;
+                else if (char === ')' || char === ']') parenDepth--;
+                else if (parenDepth === 0 && (char === '{' || char === ';' || char === '}')) {
+                    terminator = char;
+                    break;
+                } else if (parenDepth === 0 && this.isAssignmentAt(i)) {
+                    terminator = '=';
+                    break;
+                }
+                i++;
+            }
+
+            if (terminator === null || terminator === '}') {
+                i++;
+                continue;
+            }
+
+            const header = this.masked.slice(headerStart, i).trim();
+            const originalHeader = this.source.slice(headerStart, i).trim();
+
+            if (terminator === '=') {
+                // Expression body or initializer: runs to the next top-level semicolon
+                const bodyEnd = this.findStatementEnd(i);
+                this.addMember(header, originalHeader, headerStart, scope, { expressionBodied: this.masked[i + 1] === '>' });
+                i = bodyEnd + 1;
+                continue;
+            }
+
+            if (terminator === ';') {
+                const namespaceMatch = /^namespace\s+([\w.]+)$/.exec(header);
+                if (namespaceMatch) {
+                    scope = { ...scope, namespace: namespaceMatch[1] };
+                } else if (!/^using\b/.test(header)) {
+                    this.addMember(header, originalHeader, headerStart, scope);
+                }
+                i++;
+                continue;
+            }
+
+            const bodyEnd = findClosing(this.masked, i);
+            if (bodyEnd === -1) {
+                throw new ApiExtractionError('Unbalanced braces', this.file, i, this.source);
+            }
+
+            const namespaceMatch = /^namespace\s+([\w.]+)$/.exec(header);
+            if (namespaceMatch) {
+                this.parseBlock(i + 1, bodyEnd, { ...scope, namespace: namespaceMatch[1] });
+            } else {
+                const type = this.addType(header, originalHeader, headerStart, scope, i + 1, bodyEnd);
+                if (!type) {
+                    this.addMember(header, originalHeader, headerStart, scope, { body: this.masked.slice(i + 1, bodyEnd) });
+                }
+            }
+
+            i = bodyEnd + 1;
+            // A property with a body may still have an initializer, e.g. "{ get; set; } = new();"
+            const after = this.masked.slice(i).match(/^\s*=[^>]/);
+            if (after && scope.type) {
+                i = this.findStatementEnd(i) + 1;
+            }
+        }
+    }
+
+    // "=>" or a lone "=", but not ==, !=, <= or >=
+    isAssignmentAt(i) {
+        if (this.masked[i] !== '=') return false;
+        return this.masked[i + 1] === '>' || (!'=!<>'.includes(this.masked[i - 1]) && this.masked[i + 1] !== '=');
+    }
+
+    findStatementEnd(start) {
+        let depth = 0;
+        for (let i = start; i < this.masked.length; i++) {
+            const char = this.masked[i];
+            if ('([{'.includes(char)) depth++;
+            else if (')]}'.includes(char)) depth--;
+            else if (char === ';' && depth === 0) return i;
+        }
+        return this.masked.length;
+    }
+
+    addType(header, originalHeader, offset, scope, bodyStart, bodyEnd) {
+        const { modifiers, rest } = splitHeader(header);
+        const parsed = parseTypeHeader(rest);
+        if (!parsed) return null;
+
+        const isPublic = modifiers.includes('public') && (!scope.type || scope.type.public);
+        const fullName = [scope.namespace, scope.parentName, parsed.name].filter(Boolean).join('.');
+        const docs = parseDocComment(this.getDocLines(offset));
+        const type = {
+            name: scope.parentName ? `${scope.parentName}.${parsed.name}` : parsed.name,
+            fullName,
+            namespace: scope.namespace,
+            kind: parsed.kind,
+            modifiers: modifiers.filter(modifier => modifier !== 'public'),
+            typeParameters: parsed.typeParameters.map(name => ({ name, description: docs.typeParams[name] || '' })),
+            baseTypes: parsed.baseTypes,
+            summary: docs.summary,
+            source: { file: this.file, line: this.lineOf(offset) },
+            members: [],
+            public: isPublic
+        };
+        if (parsed.constraints) type.constraints = parsed.constraints;
+
+        if (parsed.kind === 'enum') {
+            type.members = this.parseEnumMembers(bodyStart, bodyEnd);
+        } else {
+            this.parseBlock(bodyStart, bodyEnd, { namespace: scope.namespace, type, parentName: type.name });
+        }
+
+        if (isPublic) {
+            this.types.push(type);
+        }
+        return type;
+    }
+
+    parseEnumMembers(start, end) {
+        const members = [];
+        let offset = start;
+        for (const part of this.masked.slice(start, end).split(',')) {
+            const partOffset = offset;
+            offset += part.length + 1;
+            const text = part.trim();
+            if (!text) continue;
+
+            const memberOffset = partOffset + part.indexOf(text);
+            const original = this.source.slice(memberOffset, memberOffset + text.length);
+            const { rest } = splitHeader(original);
+            const [name, value] = rest.split('=').map(piece => piece.trim());
+            const docs = parseDocComment(this.getDocLines(memberOffset));
+            const member = { kind: 'value', name, signature: value !== undefined ? `${name} = ${value}` : name, summary: docs.summary };
+            if (value !== undefined) member.value = value;
+            members.push(member);
+        }
+        return members;
+    }
+
+    addMember(header, originalHeader, offset, scope, { expressionBodied = false, body = null } = {}) {
+        const type = scope.type;
+        if (!type || type.kind === 'enum') return;
+
+        const { attributes, modifiers, rest } = splitHeader(header);
+        const originalRest = splitHeader(originalHeader).rest;
+        const isInterface = type.kind === 'interface';
+        const isPublic = modifiers.includes('public') || (isInterface && !modifiers.some(modifier => ['private', 'protected', 'internal'].includes(modifier)));
+        if (!isPublic || !rest || /^(event|delegate|operator|implicit|explicit)\b/.test(rest) || rest.startsWith('~')) return;
+
+        // Parameter lists come from the original text so default values keep their string literals
+        const hasParameterList = /\)\s*(where\s.*)?$/s.test(rest);
+        const cleanRest = hasParameterList ? originalRest.replace(/\s+where\s[^()]*$/s, '') : rest;
+        const member = parseMemberHeader(cleanRest, type.name.replace(/^.*\./, ''), hasParameterList);
+        if (!member) return;
+
+        if (member.kind === 'property') {
+            if (body !== null) {
+                member.accessors = parseAccessors(body);
+            } else if (expressionBodied) {
+                member.accessors = ['get'];
+            } else {
+                // "Type Name;" or "Type Name = value;" is a field
+                member.kind = 'field';
+            }
+        }
+
+        const docs = parseDocComment(this.getDocLines(offset));
+        const visibleModifiers = modifiers.filter(modifier => modifier !== 'public' || !isInterface);
+        const result = {
+            kind: member.kind,
+            name: member.name,
+            signature: buildSignature(member, visibleModifiers),
+            modifiers: modifiers.filter(modifier => modifier !== 'public'),
+            summary: docs.summary
+        };
+
+        if (member.typeParameters && member.typeParameters.length > 0) {
+            result.typeParameters = member.typeParameters.map(name => ({ name, description: docs.typeParams[name] || '' }));
+        }
+        if (member.parameters) {
+            result.parameters = member.parameters.map(parameter => ({ ...parameter, description: docs.params[parameter.name] || '' }));
+            if (member.parameters[0] && (member.parameters[0].modifiers || []).includes('this')) {
+                result.extends = member.parameters[0].type;
+            }
+        }
+        if (member.kind === 'method') {
+            result.returnType = member.returnType;
+            if (docs.returns) result.returns = docs.returns;
+        }
+        if (member.kind === 'property' || member.kind === 'field') {
+            result.type = member.type;
+            if (member.accessors) result.accessors = member.accessors;
+        }
+        if (attributes.length > 0) result.attributes = attributes;
+        result.line = this.lineOf(offset);
+
+        type.members.push(result);
+    }
+
+    lineOf(offset) {
+        return this.source.slice(0, offset).split('\n').length;
+    }
+}
+
+function listSourceFiles(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .flatMap(entry => {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                return ['bin', 'obj'].includes(entry.name) ? [] : listSourceFiles(fullPath);
+            }
+            return entry.name.endsWith('.cs') ? [fullPath] : [];
+        })
+        .sort();
+}
+
+// Build the API model for every .cs file under sourceDir; paths in the model are relative to its parent
+function extractApi(sourceDir) {
+    const root = path.dirname(sourceDir);
+    const types = listSourceFiles(sourceDir).flatMap(file => {
+        const relative = path.relative(root, file).split(path.sep).join('/');
+        const source = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+        return new CSharpApiExtractor(source, relative).extract();
+    });
+
+    types.forEach(type => delete type.public);
+    types.sort((a, b) => a.namespace.localeCompare(b.namespace) || a.name.localeCompare(b.name));
+
+    return {
+        library: path.basename(sourceDir),
+        namespaces: [...new Set(types.map(type => type.namespace))],
+        types
+    };
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const check = args.includes('--check');
+    const [sourceArg, outputArg] = args.filter(arg => arg !== '--check');
+    const sourceDir = sourceArg ? path.resolve(sourceArg) : DEFAULT_SOURCE_DIR;
+    const outputPath = outputArg ? path.resolve(outputArg) : DEFAULT_OUTPUT_PATH;
+
+    const model = extractApi(sourceDir);
+    const json = `${JSON.stringify(model, null, 2)}\n`;
+    const memberCount = model.types.reduce((total, type) => total + type.members.length, 0);
+    const relativeOutput = path.relative(process.cwd(), outputPath);
+
+    if (check) {
+        const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : '';
+        if (current !== json) {
+            console.log(`${relativeOutput} is out of date. Run node LambdifySQLDocs/tools/extract-api.js to regenerate it.`);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`${relativeOutput} is up to date (${model.types.length} types, ${memberCount} members).`);
+        return;
+    }
+
+    fs.writeFileSync(outputPath, json);
+    console.log(`Wrote ${model.types.length} types and ${memberCount} members to ${relativeOutput}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { extractApi, maskSource, parseDocComment, parseParameters, CSharpApiExtractor, ApiExtractionError };
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+// Generate the examples' SQL outputs by running their C# code against the LambdifySQL sources
+//
+// Usage: node LambdifySQLDocs/tools/generate-outputs.js [--check] [path/to/snippets]
+//
+// Requires the .NET 8 SDK. Each example snippet whose C# code builds a query through SqlQuery is compiled,
+// together with the library sources and the entity classes in Samples/Program.cs, into a throwaway console
+// program that prints the query's SQL once for the dialect of each of the example's .sql files. The
+// SqlQuery calls are given that dialect's SqlDialectConfig in place of their own argument. Every .sql body
+// is then replaced with what the library printed and alternates are marked "source: generated"; run
+// tools/author-examples.js afterwards to rebuild examples.json and the page. Examples built only from raw
+// SQL are skipped. With --check nothing is written; the script exits with code 1 when an output differs
+// from the library's or a generated output is still marked hand-written.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseSnippet } = require('./author-examples');
+
+const DOCS_DIR = path.join(__dirname, '..');
+const REPO_DIR = path.join(DOCS_DIR, '..');
+const DEFAULT_SNIPPETS_DIR = path.join(DOCS_DIR, 'example-snippets');
+const LIBRARY_DIR = path.join(REPO_DIR, 'LambdifySQL');
+const ENTITIES_PATH = path.join(REPO_DIR, 'Samples', 'Program.cs');
+
+// Dialects the library ships a SqlDialectConfig for
+const LIBRARY_DIALECTS = ['SqlServer', 'MySql', 'PostgreSql'];
+
+// SqlQuery entry points that return a query builder; Raw() and StoredProcedure() print their input unchanged
+const BUILDER_CALL_PATTERN = /\bSqlQuery\.(Select|SelectWithJoins|Update|Insert|BulkInsert|Delete|Advanced|Aggregate|WindowFunction)<([^>()]+)>\(([^()]*)\)/g;
+const OUTPUT_MARKER = '#### ';
+
+class OutputGenerationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OutputGenerationError';
+    }
+}
+
+// Each slug's C# code and .sql files, sorted by slug; <slug>.cs files without SqlQuery builders are left out
+function readExamples(directory) {
+    if (!fs.existsSync(directory)) {
+        throw new OutputGenerationError(`No snippets directory at ${path.relative(process.cwd(), directory)}`);
+    }
+
+    const examples = new Map();
+    const names = fs.readdirSync(directory).sort();
+    names.filter(name => name.endsWith('.cs')).forEach(name => {
+        const slug = name.slice(0, -'.cs'.length);
+        examples.set(slug, { slug, code: parseSnippet(fs.readFileSync(path.join(directory, name), 'utf8'), name).body, outputs: [] });
+    });
+    names.filter(name => name.endsWith('.sql')).forEach(name => {
+        const example = examples.get(name.split('.')[0]);
+        if (!example) return;
+        const text = fs.readFileSync(path.join(directory, name), 'utf8');
+        example.outputs.push({ file: name, text, ...parseSnippet(text, name) });
+    });
+
+    return [...examples.values()].filter(example => new RegExp(BUILDER_CALL_PATTERN.source).test(example.code));
+}
+
+// The example's code as a method returning the SQL of the last query it declares, built for a dialect
+function createMethod(example, index) {
+    const code = example.code.replace(BUILDER_CALL_PATTERN, (call, method, type) => `SqlQuery.${method}<${type}>(dialect)`);
+    const declarations = [...code.matchAll(/^var (\w+)\s*=/gm)];
+    if (declarations.length === 0) {
+        throw new OutputGenerationError(`${example.slug}.cs declares no query variable to print`);
+    }
+    const query = declarations[declarations.length - 1][1];
+    const body = code.split('\n').map(line => (line ? `        ${line}` : line)).join('\n');
+    return `    static string Example${index}(SqlDialectConfig dialect)\n    {\n${body}\n        return ${query}.GetSql();\n    }`;
+}
+
+function createProgram(examples) {
+    const calls = [];
+    examples.forEach((example, index) => {
+        example.outputs.forEach(output => {
+            calls.push(`        Print("${example.slug} ${output.fields.dialect}", Example${index}(SqlDialectConfig.${output.fields.dialect}));`);
+        });
+    });
+
+    return [
+        'using LambdifySQL;',
+        'using LambdifySQL.Core;',
+        'using MyApp;',
+        '',
+        'public static class DocsOutputs',
+        '{',
+        '    public static void Main()',
+        '    {',
+        ...calls,
+        '    }',
+        '',
+        '    static void Print(string key, string sql)',
+        '    {',
+        `        Console.WriteLine("${OUTPUT_MARKER}" + key);`,
+        '        Console.WriteLine(sql);',
+        '    }',
+        '',
+        examples.map(createMethod).join('\n\n'),
+        '}',
+        ''
+    ].join('\n');
+}
+
+function createProject() {
+    const exclude = ['obj', 'bin'].map(folder => path.join(LIBRARY_DIR, folder, '**')).join(';');
+    return `<Project Sdk="Microsoft.NET.Sdk">
+  <PropertyGroup>
+    <OutputType>Exe</OutputType>
+    <TargetFramework>net8.0</TargetFramework>
+    <ImplicitUsings>enable</ImplicitUsings>
+    <Nullable>disable</Nullable>
+    <NoWarn>$(NoWarn);CS8632</NoWarn>
+    <StartupObject>DocsOutputs</StartupObject>
+    <EnableDefaultCompileItems>false</EnableDefaultCompileItems>
+  </PropertyGroup>
+  <ItemGroup>
+    <Compile Include="${path.join(LIBRARY_DIR, '**', '*.cs')}" Exclude="${exclude}" />
+    <Compile Include="${ENTITIES_PATH}" />
+    <Compile Include="Program.cs" />
+  </ItemGroup>
+</Project>
+`;
+}
+
+// Build and run the program in a temporary project; returns the printed SQL keyed by "<slug> <dialect>"
+function runProgram(program) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lambdifysql-outputs-'));
+    try {
+        fs.writeFileSync(path.join(directory, 'DocsOutputs.csproj'), createProject());
+        fs.writeFileSync(path.join(directory, 'Program.cs'), program);
+
+        const result = spawnSync('dotnet', ['run', '--nologo', '--project', directory], {
+            encoding: 'utf8',
+            env: { ...process.env, DOTNET_CLI_TELEMETRY_OPTOUT: '1', DOTNET_NOLOGO: '1' },
+            maxBuffer: 16 * 1024 * 1024
+        });
+        if (result.error) {
+            throw new OutputGenerationError(result.error.code === 'ENOENT'
+                ? 'dotnet was not found; install the .NET 8 SDK to generate example outputs'
+                : result.error.message);
+        }
+        if (result.status !== 0) {
+            throw new OutputGenerationError(`Running the examples failed:\n${result.stdout}${result.stderr}`);
+        }
+
+        const outputs = new Map();
+        result.stdout.replace(/\r\n/g, '\n').split(`\n${OUTPUT_MARKER}`).forEach((chunk, index) => {
+            const text = index === 0 ? chunk.slice(chunk.indexOf(OUTPUT_MARKER) + OUTPUT_MARKER.length) : chunk;
+            const newline = text.indexOf('\n');
+            if (newline === -1) return;
+            outputs.set(text.slice(0, newline), text.slice(newline + 1).replace(/\s+$/, ''));
+        });
+        return outputs;
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+// Generate every output and compare it with its snippet; returns each .sql file with its new text
+function generateOutputs(snippetsDir = DEFAULT_SNIPPETS_DIR) {
+    const examples = readExamples(snippetsDir);
+    examples.forEach(example => example.outputs.forEach(output => {
+        if (!LIBRARY_DIALECTS.includes(output.fields.dialect)) {
+            throw new OutputGenerationError(`${output.file} has dialect "${output.fields.dialect}", which LambdifySQL has no SqlDialectConfig for`);
+        }
+    }));
+
+    const generated = runProgram(createProgram(examples));
+    return examples.flatMap(example => example.outputs.map(output => {
+        const sql = generated.get(`${example.slug} ${output.fields.dialect}`);
+        if (sql === undefined) {
+            throw new OutputGenerationError(`The program printed no SQL for ${output.file}`);
+        }
+
+        const handWritten = output.fields.source === 'hand-written';
+        const frontMatter = output.text.replace(/\r\n/g, '\n').match(/^---\n[\s\S]*?\n---\n/)[0];
+        const text = `${handWritten ? frontMatter.replace(/^source: hand-written$/m, 'source: generated') : frontMatter}${sql}\n`;
+        return { file: output.file, text, changed: sql !== output.body, handWritten };
+    }));
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const check = args.includes('--check');
+    const positional = args.filter(arg => !arg.startsWith('--'));
+    const snippetsDir = positional[0] ? path.resolve(positional[0]) : DEFAULT_SNIPPETS_DIR;
+
+    let results;
+    try {
+        results = generateOutputs(snippetsDir);
+    } catch (error) {
+        console.error(error instanceof OutputGenerationError ? error.message : error);
+        process.exitCode = 1;
+        return;
+    }
+
+    const stale = results.filter(result => result.changed || result.handWritten);
+    console.log(`Generated ${results.length} SQL outputs with the library in ${path.relative(process.cwd(), LIBRARY_DIR)}`);
+
+    if (check) {
+        stale.forEach(result => console.log(`  ${result.file}: ${result.changed ? 'differs from the library\'s output' : 'is marked hand-written'}`));
+        console.log(stale.length > 0
+            ? `${stale.length} outputs are out of date. Run node LambdifySQLDocs/tools/generate-outputs.js`
+            : 'All outputs match the library.');
+        process.exitCode = stale.length > 0 ? 1 : 0;
+        return;
+    }
+
+    stale.forEach(result => fs.writeFileSync(path.join(snippetsDir, result.file), result.text));
+    console.log(stale.length > 0
+        ? `Updated ${stale.map(result => result.file).join(', ')}. Run node LambdifySQLDocs/tools/author-examples.js to rebuild the examples.`
+        : 'All outputs already match the library.');
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generateOutputs, createProgram, createMethod, OutputGenerationError };
@@ -0,0 +1,175 @@
+// Load the docs page into jsdom for the accessibility check and the tests
+//
+// jsdom does not load ES modules, so the page's module graph is inlined in import order into one classic
+// script, with fetch() served from the docs directory. The browser APIs jsdom lacks are stubbed:
+// matchMedia follows a viewport the caller can switch to mobile, and every IntersectionObserver the page
+// creates is kept so the caller can report targets entering or leaving the screen. loadModule() inlines a
+// module the same way without a page and hands back its declarations.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const DOCS_DIR = path.join(__dirname, '..');
+const READY_TIMEOUT = 10000;
+
+class PageLoadError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PageLoadError';
+    }
+}
+
+// Inline a module and its relative imports, dependencies first, as one classic script. Given names, the
+// script instead evaluates to an object holding those declarations, which the unit tests import
+function bundleModules(entry, names = []) {
+    const order = [];
+    const visit = (file) => {
+        if (order.includes(file)) return;
+        const source = fs.readFileSync(path.join(DOCS_DIR, file), 'utf8');
+        for (const match of source.matchAll(/^import\s[^;]*?from\s+'\.\/([^']+)';/gm)) {
+            visit(match[1]);
+        }
+        order.push(file);
+    };
+    visit(entry);
+
+    const body = order.map(file => {
+        const source = fs.readFileSync(path.join(DOCS_DIR, file), 'utf8')
+            .replace(/^import\s[^;]*?;\n/gm, '')
+            .replace(/^export (?=class|function|const|async)/gm, '');
+        return `// ${file}\n${source}`;
+    }).join('\n');
+
+    const result = names.length > 0 ? `\nreturn { ${names.join(', ')} };` : '';
+    return `(function () {\n${body}${result}\n})();`;
+}
+
+// The named declarations of a page module and its imports, for code that runs without a page: the unit
+// tests, and tools that share the page's logic
+function loadModule(file, names) {
+    return vm.runInThisContext(bundleModules(file, names), { filename: file });
+}
+
+// Serve fetch() requests for the page's JSON datasets from the docs directory, or from the caller's
+// datasets keyed by path, e.g. { 'versions.json': { versions: [...] } }
+function createFetch(window, datasets) {
+    return async (url) => {
+        const file = path.join(DOCS_DIR, new URL(String(url), window.location.href).pathname);
+        const dataset = datasets[path.relative(DOCS_DIR, file)];
+        const exists = dataset !== undefined || (file.startsWith(DOCS_DIR) && fs.existsSync(file));
+        const read = () => dataset !== undefined ? JSON.stringify(dataset) : fs.readFileSync(file, 'utf8');
+        return {
+            ok: exists,
+            status: exists ? 200 : 404,
+            json: async () => JSON.parse(read()),
+            text: async () => read()
+        };
+    };
+}
+
+// matchMedia stand-in: the viewport is desktop-sized until the caller switches it to mobile
+function createViewport(window) {
+    const queries = [];
+    let mobile = false;
+
+    window.matchMedia = (query) => {
+        const listeners = [];
+        const list = {
+            media: query,
+            get matches() {
+                return mobile && /max-width/.test(query);
+            },
+            addEventListener: (type, listener) => listeners.push(listener),
+            removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1),
+            listeners
+        };
+        queries.push(list);
+        return list;
+    };
+
+    return {
+        setMobile(value) {
+            mobile = value;
+            queries.forEach(list => list.listeners.forEach(listener => listener({ matches: list.matches, media: list.media })));
+        }
+    };
+}
+
+// IntersectionObserver stand-in; nothing intersects until the caller calls intersect() on an observer
+function createObservers(window) {
+    const observers = [];
+
+    window.IntersectionObserver = class {
+        constructor(callback, options = {}) {
+            this.callback = callback;
+            this.options = options;
+            this.targets = new Set();
+            this.connected = true;
+            observers.push(this);
+        }
+
+        observe(target) {
+            this.targets.add(target);
+        }
+
+        unobserve(target) {
+            this.targets.delete(target);
+        }
+
+        disconnect() {
+            this.targets.clear();
+            this.connected = false;
+        }
+
+        // Report each target in visible as entering the screen and every other observed target as leaving it
+        intersect(visible) {
+            const records = [...this.targets].map(target => ({ target, isIntersecting: visible.includes(target) }));
+            this.callback(records, this);
+        }
+    };
+
+    return observers;
+}
+
+function waitFor(window, condition, timeout = READY_TIMEOUT) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (condition()) return resolve();
+            if (Date.now() - started > timeout) {
+                return reject(new PageLoadError(`Timed out after ${timeout}ms waiting for the page to render`));
+            }
+            window.setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+// Load index.html with its scripts and the APIs jsdom lacks
+function createPage(JSDOM, { datasets = {} } = {}) {
+    const html = fs.readFileSync(path.join(DOCS_DIR, 'index.html'), 'utf8');
+    const entry = html.match(/<script type="module" src="([^"]+)"><\/script>/);
+    if (!entry) {
+        throw new PageLoadError('index.html has no <script type="module"> entry point');
+    }
+
+    // Classic scripts (the vendored Prism) are not loaded; the page scripts already run without them
+    const dom = new JSDOM(html.replace(/<script\b[^>]*\bsrc="[^"]*"[^>]*><\/script>/g, ''), {
+        url: 'http://localhost/index.html',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+
+    window.fetch = createFetch(window, datasets);
+    window.scrollTo = () => {};
+    window.Element.prototype.scrollIntoView = function () {};
+    const observers = createObservers(window);
+    const viewport = createViewport(window);
+
+    window.eval(bundleModules(entry[1]));
+    return { window, viewport, observers };
+}
+
+module.exports = { createPage, bundleModules, loadModule, waitFor, PageLoadError, DOCS_DIR };
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// Stamp the service worker's cache version from the files it precaches
+//
+// Usage: node LambdifySQLDocs/tools/precache.js [--check]
+//
+// Reads PRECACHE_URLS from sw.js, hashes the listed files and writes CACHE_VERSION as
+// "<latest release>-<hash>", so browsers install a fresh cache whenever a precached file changes.
+// Also checks that the list covers what the page loads: the local scripts, stylesheets and images in
+// index.html, the ES modules imported from its entry point and the datasets named in versions.json.
+// With --check nothing is written; the script exits with code 1 when the version is stale or the list
+// is incomplete.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DOCS_DIR = path.join(__dirname, '..');
+const SERVICE_WORKER_PATH = path.join(DOCS_DIR, 'sw.js');
+const HASH_LENGTH = 10;
+
+const CACHE_VERSION_PATTERN = /^const CACHE_VERSION = '([^']*)';$/m;
+const PRECACHE_LIST_PATTERN = /^const PRECACHE_URLS = \[([\s\S]*?)\];$/m;
+
+class PrecacheError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PrecacheError';
+    }
+}
+
+function readPrecacheList(source) {
+    const list = source.match(PRECACHE_LIST_PATTERN);
+    if (!list || !CACHE_VERSION_PATTERN.test(source)) {
+        throw new PrecacheError('sw.js must declare const CACHE_VERSION and const PRECACHE_URLS');
+    }
+    return [...list[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+}
+
+// Precached URLs as docs-relative file paths; './' is index.html
+function toFile(url) {
+    const file = path.posix.normalize(url);
+    return file === '.' || file === './' ? 'index.html' : file;
+}
+
+// Local files index.html, its module graph and versions.json make the page load
+function collectPageFiles() {
+    const files = new Set(['index.html', 'versions.json']);
+    const html = fs.readFileSync(path.join(DOCS_DIR, 'index.html'), 'utf8');
+
+    for (const match of html.matchAll(/<(?:script|link|img)\b[^>]*?\b(?:src|href)="([^"#?]+)"/g)) {
+        if (!/^[a-z]+:|^\/\//i.test(match[1])) {
+            files.add(path.posix.normalize(match[1]));
+        }
+    }
+
+    const visit = (file) => {
+        files.add(file);
+        const source = fs.readFileSync(path.join(DOCS_DIR, file), 'utf8');
+        for (const match of source.matchAll(/^import\s[^;]*?from\s+'\.\/([^']+)';/gm)) {
+            if (!files.has(match[1])) visit(match[1]);
+        }
+    };
+    for (const match of html.matchAll(/<script type="module" src="([^"]+)"><\/script>/g)) {
+        visit(path.posix.normalize(match[1]));
+    }
+
+    const { versions } = JSON.parse(fs.readFileSync(path.join(DOCS_DIR, 'versions.json'), 'utf8'));
+    versions.forEach(release => {
+        files.add(path.posix.normalize(release.examples));
+        files.add(path.posix.normalize(release.api));
+    });
+
+    return files;
+}
+
+function getLatestRelease() {
+    const { versions } = JSON.parse(fs.readFileSync(path.join(DOCS_DIR, 'versions.json'), 'utf8'));
+    return versions.map(release => release.version).sort(compareDotted).pop();
+}
+
+// Same ordering as compareVersions in versions.js, which is an ES module and cannot be required
+function compareDotted(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+// Hash names and contents in list order, so renames and reordering also produce a new version
+function hashFiles(files) {
+    const hash = crypto.createHash('sha256');
+    files.forEach(file => {
+        hash.update(file);
+        hash.update(fs.readFileSync(path.join(DOCS_DIR, file)));
+    });
+    return hash.digest('hex').slice(0, HASH_LENGTH);
+}
+
+// Returns the cache version sw.js should declare and any problems with its precache list
+function buildPrecache(source = fs.readFileSync(SERVICE_WORKER_PATH, 'utf8')) {
+    const files = [...new Set(readPrecacheList(source).map(toFile))];
+    const problems = [];
+
+    const existing = files.filter(file => {
+        if (fs.existsSync(path.join(DOCS_DIR, file))) return true;
+        problems.push(`${file} is precached but does not exist`);
+        return false;
+    });
+
+    collectPageFiles().forEach(file => {
+        if (!files.includes(file)) {
+            problems.push(`${file} is loaded by the page but not precached`);
+        }
+    });
+
+    return {
+        version: `${getLatestRelease()}-${hashFiles(existing)}`,
+        currentVersion: source.match(CACHE_VERSION_PATTERN)[1],
+        files,
+        problems
+    };
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const source = fs.readFileSync(SERVICE_WORKER_PATH, 'utf8');
+
+    let result;
+    try {
+        result = buildPrecache(source);
+    } catch (error) {
+        console.error(error instanceof PrecacheError ? error.message : error);
+        process.exitCode = 1;
+        return;
+    }
+
+    result.problems.forEach(problem => console.log(`  ${problem}`));
+    if (result.problems.length > 0) {
+        console.log('Update PRECACHE_URLS in LambdifySQLDocs/sw.js.');
+        process.exitCode = 1;
+        return;
+    }
+
+    if (result.version === result.currentVersion) {
+        console.log(`sw.js cache version ${result.version} is up to date (${result.files.length} files).`);
+        return;
+    }
+
+    if (check) {
+        console.log(`sw.js cache version ${result.currentVersion} is out of date. Run node LambdifySQLDocs/tools/precache.js to update it.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    fs.writeFileSync(SERVICE_WORKER_PATH, source.replace(CACHE_VERSION_PATTERN, `const CACHE_VERSION = '${result.version}';`));
+    console.log(`Set sw.js cache version to ${result.version} (${result.files.length} files).`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildPrecache, collectPageFiles, PrecacheError };
@@ -0,0 +1,930 @@
+#!/usr/bin/env node
+// Validate the SQL outputs in examples.json before publishing
+//
+// Usage: node LambdifySQLDocs/tools/validate-examples.js [path/to/examples.json]
+//
+// Every sqlOutput and dialectOutputs entry is tokenized and parsed for its dialect, checked for
+// dialect-specific syntax, unknown table aliases and non-boolean conditions, and its @name
+// placeholders are matched against the example's parameters. Each fragment of the example's query
+// anatomy must be found in the output. Exits with code 1 on any error.
+//
+// Outputs the library gets wrong today stay documented as it emits them. Each such error is listed in the
+// example's knownIssues with its dialect, rule, and the line, column and text of the offending token, and
+// only that exact occurrence is excused; the page marks the output as invalid with the entry's reason.
+// Entries that no longer match anything fail the run, so they are removed as LambdifySQL is fixed.
+
+const fs = require('fs');
+const path = require('path');
+const { loadModule } = require('./page-loader');
+
+// Anatomy fragments are found the way the page finds them
+const { createFragmentPattern, getAnatomyFragments } = loadModule('query-anatomy.js', ['createFragmentPattern', 'getAnatomyFragments']);
+
+const DEFAULT_EXAMPLES_PATH = path.join(__dirname, '..', 'examples.json');
+
+// Identifier quoting and string literal rules per dialect
+const DIALECT_RULES = {
+    SqlServer: {
+        label: 'SQL Server',
+        identifierQuotes: { '[': ']', '"': '"' },
+        backslashEscapes: false,
+        booleanConditionsOnly: true,
+        supportsTop: true,
+        supportsLimit: false,
+        updateFrom: 'allowed',
+        deleteAlias: true
+    },
+    MySql: {
+        label: 'MySQL',
+        identifierQuotes: { '`': '`' },
+        backslashEscapes: true,
+        booleanConditionsOnly: false,
+        supportsTop: false,
+        supportsLimit: true,
+        updateFrom: 'unsupported',
+        deleteAlias: true
+    },
+    PostgreSql: {
+        label: 'PostgreSQL',
+        identifierQuotes: { '"': '"' },
+        backslashEscapes: false,
+        booleanConditionsOnly: false,
+        supportsTop: false,
+        supportsLimit: true,
+        updateFrom: 'unqualified-set',
+        deleteAlias: false
+    }
+};
+
+// Functions that only exist in some dialects
+const DIALECT_FUNCTIONS = {
+    DATEADD: ['SqlServer'],
+    DATEDIFF: ['SqlServer', 'MySql'],
+    GETDATE: ['SqlServer'],
+    ISNULL: ['SqlServer'],
+    LEN: ['SqlServer'],
+    DATE_ADD: ['MySql'],
+    NOW: ['MySql', 'PostgreSql']
+};
+
+// Words that can never be an alias or a column name
+const RESERVED_WORDS = new Set([
+    'SELECT', 'FROM', 'WHERE', 'GROUP', 'ORDER', 'BY', 'HAVING', 'LIMIT', 'OFFSET', 'FETCH', 'JOIN', 'INNER',
+    'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'AND', 'OR', 'NOT', 'IN', 'LIKE', 'BETWEEN', 'IS', 'NULL',
+    'AS', 'UNION', 'EXCEPT', 'INTERSECT', 'WITH', 'INSERT', 'INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE', 'TOP',
+    'DISTINCT', 'ASC', 'DESC', 'OVER', 'PARTITION', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'EXISTS', 'ALL', 'ROWS',
+    'USING'
+]);
+
+class SqlValidationError extends Error {
+    constructor(rule, message, token) {
+        super(message);
+        this.name = 'SqlValidationError';
+        this.rule = rule;
+        this.token = token;
+    }
+}
+
+// Split SQL into tokens for a dialect, rejecting quoting the dialect does not understand
+function tokenize(sql, dialect) {
+    const rules = DIALECT_RULES[dialect];
+    const tokens = [];
+    let offset = 0;
+    let line = 1;
+    let column = 1;
+
+    const advance = (text) => {
+        for (const char of text) {
+            if (char === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+        }
+        offset += text.length;
+    };
+
+    while (offset < sql.length) {
+        const rest = sql.slice(offset);
+        const position = { line, column, offset };
+        let match;
+
+        if ((match = rest.match(/^\s+/))) {
+            advance(match[0]);
+            continue;
+        }
+        if ((match = rest.match(/^--[^\n]*/) || rest.match(/^\/\*[\s\S]*?\*\//))) {
+            advance(match[0]);
+            continue;
+        }
+
+        const char = rest[0];
+        let token;
+
+        if (char === '\'' || (/^[Nn]'/.test(rest) && dialect === 'SqlServer')) {
+            const start = char === '\'' ? 0 : 1;
+            const pattern = rules.backslashEscapes ? /^'(?:[^'\\]|\\[\s\S]|'')*'/ : /^'(?:[^']|'')*'/;
+            match = rest.slice(start).match(pattern);
+            if (!match) {
+                throw new SqlValidationError('syntax', 'Unterminated string literal', { ...position, text: char });
+            }
+            token = { type: 'string', text: rest.slice(0, start) + match[0] };
+        } else if (rules.identifierQuotes[char]) {
+            const close = rules.identifierQuotes[char];
+            const end = rest.indexOf(close, 1);
+            if (end === -1) {
+                throw new SqlValidationError('syntax', `Unterminated quoted identifier ${char}`, { ...position, text: char });
+            }
+            token = { type: 'identifier', text: rest.slice(0, end + 1), name: rest.slice(1, end), quoted: true };
+        } else if (char === '[' || char === '`' || (char === '"' && dialect === 'MySql')) {
+            throw new SqlValidationError('quoting', `${char}...${char === '[' ? ']' : char} identifier quoting is not valid in ${rules.label}`, { ...position, text: char });
+        } else if ((match = rest.match(/^@\w+/))) {
+            token = { type: 'parameter', text: match[0] };
+        } else if ((match = rest.match(/^\d+(?:\.\d+)?/))) {
+            token = { type: 'number', text: match[0] };
+        } else if ((match = rest.match(/^[A-Za-z_]\w*/))) {
+            token = { type: 'word', text: match[0], upper: match[0].toUpperCase() };
+        } else if ((match = rest.match(/^(?:<>|<=|>=|!=|\|\||::)/))) {
+            token = { type: 'operator', text: match[0] };
+        } else if ('()[],.;*=<>+-/%'.includes(char)) {
+            token = { type: 'operator', text: char };
+        } else {
+            throw new SqlValidationError('syntax', `Unexpected character '${char}'`, { ...position, text: char });
+        }
+
+        tokens.push({ ...token, ...position });
+        advance(token.text);
+    }
+
+    tokens.push({ type: 'eof', text: '', line, column, offset });
+    return tokens;
+}
+
+// Recursive-descent parser for the SQL LambdifySQL generates, with dialect and scope checks
+class SqlParser {
+    constructor(tokens, dialect) {
+        this.tokens = tokens;
+        this.dialect = dialect;
+        this.rules = DIALECT_RULES[dialect];
+        this.position = 0;
+        this.scopes = [];
+        this.cteNames = new Set();
+        this.issues = [];
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.position++;
+        return token;
+    }
+
+    isWord(word, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'word' && token.upper === word;
+    }
+
+    isOperator(text, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'operator' && token.text === text;
+    }
+
+    acceptWord(word) {
+        return this.isWord(word) ? this.next() : null;
+    }
+
+    acceptOperator(text) {
+        return this.isOperator(text) ? this.next() : null;
+    }
+
+    expectWord(word) {
+        if (!this.isWord(word)) this.fail(`Expected ${word}`);
+        return this.next();
+    }
+
+    expectOperator(text) {
+        if (!this.isOperator(text)) this.fail(`Expected '${text}'`);
+        return this.next();
+    }
+
+    fail(message, token = this.peek()) {
+        const found = token.type === 'eof' ? 'end of input' : `'${token.text}'`;
+        throw new SqlValidationError('syntax', `${message} but found ${found}`, token);
+    }
+
+    // Record a semantic issue without stopping the parse
+    report(rule, message, token) {
+        this.issues.push(new SqlValidationError(rule, message, token));
+    }
+
+    parseScript() {
+        this.parseStatement();
+        this.acceptOperator(';');
+        if (this.peek().type !== 'eof') {
+            this.fail('Expected end of statement');
+        }
+        return this.issues;
+    }
+
+    parseStatement() {
+        if (this.acceptWord('WITH')) {
+            do {
+                const name = this.parseIdentifier('CTE name');
+                this.expectWord('AS');
+                this.expectOperator('(');
+                this.parseSelect();
+                this.expectOperator(')');
+                this.cteNames.add(name.toLowerCase());
+            } while (this.acceptOperator(','));
+        }
+
+        if (this.isWord('SELECT')) return this.parseSelect();
+        if (this.isWord('INSERT')) return this.parseInsert();
+        if (this.isWord('UPDATE')) return this.parseUpdate();
+        if (this.isWord('DELETE')) return this.parseDelete();
+        return this.fail('Expected SELECT, INSERT, UPDATE or DELETE');
+    }
+
+    parseSelect() {
+        const scope = { aliases: new Map(), selectAliases: new Set(), pending: [] };
+        this.scopes.push(scope);
+
+        this.expectWord('SELECT');
+        this.acceptWord('DISTINCT');
+        if (this.isWord('TOP')) {
+            const top = this.next();
+            if (!this.rules.supportsTop) {
+                this.report('top', `TOP is not supported by ${this.rules.label}; use LIMIT`, top);
+            }
+            this.expectOperator('(');
+            this.parseExpression();
+            this.expectOperator(')');
+        }
+
+        do {
+            this.parseSelectItem(scope);
+        } while (this.acceptOperator(','));
+
+        if (this.acceptWord('FROM')) {
+            this.parseTableSource(scope);
+            this.parseJoins(scope);
+        }
+        if (this.acceptWord('WHERE')) {
+            this.parseCondition('WHERE');
+        }
+        if (this.acceptWord('GROUP')) {
+            this.expectWord('BY');
+            this.parseExpressionList();
+        }
+        if (this.acceptWord('HAVING')) {
+            this.parseCondition('HAVING');
+        }
+        if (this.acceptWord('ORDER')) {
+            this.expectWord('BY');
+            this.parseOrderList();
+        }
+        this.parsePaging();
+
+        this.scopes.pop();
+        this.resolvePending(scope);
+
+        if (this.isWord('UNION') || this.isWord('EXCEPT') || this.isWord('INTERSECT')) {
+            this.next();
+            this.acceptWord('ALL');
+            this.parseSelect();
+        }
+    }
+
+    parsePaging() {
+        if (this.isWord('LIMIT')) {
+            const limit = this.next();
+            if (!this.rules.supportsLimit) {
+                this.report('limit', `LIMIT is not supported by ${this.rules.label}; use TOP or OFFSET ... FETCH`, limit);
+            }
+            this.parseExpression();
+        }
+        if (this.acceptWord('OFFSET')) {
+            this.parseExpression();
+            if (this.acceptWord('ROWS') && this.acceptWord('FETCH')) {
+                this.acceptWord('NEXT') || this.expectWord('FIRST');
+                this.parseExpression();
+                this.acceptWord('ROWS') || this.expectWord('ROW');
+                this.expectWord('ONLY');
+            }
+        }
+    }
+
+    parseSelectItem(scope) {
+        if (this.acceptOperator('*')) return;
+
+        if (this.peek().type !== 'eof' && this.isOperator('.', 1) && this.isOperator('*', 2)) {
+            this.parseColumnReference();
+            return;
+        }
+
+        this.parseExpression();
+        const alias = this.parseOptionalAlias();
+        if (alias) scope.selectAliases.add(alias.toLowerCase());
+    }
+
+    parseOptionalAlias() {
+        if (this.acceptWord('AS')) {
+            return this.parseIdentifier('alias');
+        }
+        const token = this.peek();
+        if ((token.type === 'word' && !RESERVED_WORDS.has(token.upper)) || (token.type === 'identifier')) {
+            return this.parseIdentifier('alias');
+        }
+        return null;
+    }
+
+    parseIdentifier(what) {
+        const token = this.peek();
+        if (token.type === 'identifier') {
+            this.next();
+            return token.name;
+        }
+        if (token.type === 'word' && !RESERVED_WORDS.has(token.upper)) {
+            this.next();
+            return token.text;
+        }
+        return this.fail(`Expected ${what}`);
+    }
+
+    parseTableName() {
+        let name = this.parseIdentifier('table name');
+        while (this.acceptOperator('.')) {
+            name = this.parseIdentifier('table name');
+        }
+        return name;
+    }
+
+    parseTableSource(scope) {
+        let name;
+        if (this.acceptOperator('(')) {
+            this.parseSelect();
+            this.expectOperator(')');
+            name = null;
+        } else {
+            name = this.parseTableName();
+        }
+
+        const alias = this.parseOptionalAlias();
+        if (!alias && !name) {
+            this.fail('A derived table needs an alias');
+        }
+        scope.aliases.set((alias || name).toLowerCase(), name);
+        return alias || name;
+    }
+
+    parseJoins(scope) {
+        for (;;) {
+            const start = this.peek();
+            if (this.acceptWord('INNER') || this.acceptWord('CROSS')) {
+                this.expectWord('JOIN');
+            } else if (this.acceptWord('LEFT') || this.acceptWord('RIGHT') || this.acceptWord('FULL')) {
+                this.acceptWord('OUTER');
+                this.expectWord('JOIN');
+            } else if (!this.acceptWord('JOIN')) {
+                return;
+            }
+
+            this.parseTableSource(scope);
+            if (start.upper !== 'CROSS') {
+                this.expectWord('ON');
+                this.parseCondition('ON');
+            }
+        }
+    }
+
+    parseInsert() {
+        this.expectWord('INSERT');
+        this.expectWord('INTO');
+        this.parseTableName();
+        this.expectOperator('(');
+        do {
+            this.parseIdentifier('column name');
+        } while (this.acceptOperator(','));
+        this.expectOperator(')');
+
+        if (this.isWord('SELECT')) {
+            this.parseSelect();
+            return;
+        }
+        this.expectWord('VALUES');
+        do {
+            this.expectOperator('(');
+            this.parseExpressionList();
+            this.expectOperator(')');
+        } while (this.acceptOperator(','));
+    }
+
+    parseUpdate() {
+        const scope = { aliases: new Map(), selectAliases: new Set(), pending: [] };
+        this.scopes.push(scope);
+
+        this.expectWord('UPDATE');
+        const targetToken = this.peek();
+        const target = this.parseTableName();
+        const targetAlias = this.parseOptionalAlias();
+        scope.aliases.set((targetAlias || target).toLowerCase(), target);
+
+        this.expectWord('SET');
+        const qualifiedTargets = [];
+        do {
+            const column = this.parseColumnReference();
+            if (column.qualified) qualifiedTargets.push(column.token);
+            this.expectOperator('=');
+            this.parseExpression();
+        } while (this.acceptOperator(','));
+
+        if (this.isWord('FROM')) {
+            const from = this.next();
+            if (this.rules.updateFrom === 'unsupported') {
+                this.report('update-from', `${this.rules.label} does not support UPDATE ... FROM; use UPDATE ... JOIN`, from);
+            }
+            // SQL Server lets the UPDATE target name an alias declared in FROM
+            scope.aliases.delete(target.toLowerCase());
+            this.parseTableSource(scope);
+            this.parseJoins(scope);
+            if (!scope.aliases.has(target.toLowerCase()) && this.dialect === 'SqlServer') {
+                this.report('unknown-alias', `UPDATE target '${target}' is not a table or alias in the FROM clause`, targetToken);
+            }
+        }
+        if (this.rules.updateFrom === 'unqualified-set') {
+            qualifiedTargets.forEach(token => {
+                this.report('update-set', `${this.rules.label} does not allow table-qualified columns in SET`, token);
+            });
+        }
+        if (this.acceptWord('WHERE')) {
+            this.parseCondition('WHERE');
+        }
+
+        this.scopes.pop();
+        this.resolvePending(scope);
+    }
+
+    parseDelete() {
+        const scope = { aliases: new Map(), selectAliases: new Set(), pending: [] };
+        this.scopes.push(scope);
+
+        this.expectWord('DELETE');
+        let targetToken = null;
+        if (!this.isWord('FROM')) {
+            targetToken = this.peek();
+            this.parseTableName();
+            if (!this.rules.deleteAlias) {
+                this.report('delete-alias', `${this.rules.label} does not support DELETE <alias> FROM; use DELETE FROM ... USING`, targetToken);
+            }
+        }
+
+        this.expectWord('FROM');
+        this.parseTableSource(scope);
+        this.parseJoins(scope);
+        if (targetToken && this.rules.deleteAlias) {
+            const name = targetToken.name || targetToken.text;
+            if (!scope.aliases.has(name.toLowerCase())) {
+                this.report('unknown-alias', `DELETE target '${name}' is not a table or alias in the FROM clause`, targetToken);
+            }
+        }
+        if (this.acceptWord('WHERE')) {
+            this.parseCondition('WHERE');
+        }
+
+        this.scopes.pop();
+        this.resolvePending(scope);
+    }
+
+    // Conditions must be boolean expressions where the dialect has no boolean column type
+    parseCondition(clause) {
+        const start = this.peek();
+        const expression = this.parseExpression();
+        this.checkCondition(expression, clause, start);
+    }
+
+    checkCondition(expression, clause, token) {
+        if (!this.rules.booleanConditionsOnly) return;
+
+        if (expression.kind === 'logical') {
+            expression.operands.forEach(operand => this.checkCondition(operand, clause, operand.token));
+        } else if (!expression.boolean) {
+            this.report('non-boolean-condition', `${this.rules.label} needs a comparison here; a bare value is not a valid ${clause} condition`, expression.token || token);
+        }
+    }
+
+    parseExpressionList() {
+        do {
+            this.parseExpression();
+        } while (this.acceptOperator(','));
+    }
+
+    parseOrderList() {
+        do {
+            this.parseExpression();
+            this.acceptWord('ASC') || this.acceptWord('DESC');
+        } while (this.acceptOperator(','));
+    }
+
+    // Expression nodes only carry what the checks need: kind, token, boolean and operands
+    parseExpression() {
+        return this.parseOr();
+    }
+
+    parseOr() {
+        const left = this.parseAnd();
+        if (!this.isWord('OR')) return left;
+
+        const operands = [left];
+        while (this.acceptWord('OR')) {
+            operands.push(this.parseAnd());
+        }
+        return { kind: 'logical', boolean: true, operands, token: left.token };
+    }
+
+    parseAnd() {
+        const left = this.parseNot();
+        if (!this.isWord('AND')) return left;
+
+        const operands = [left];
+        while (this.acceptWord('AND')) {
+            operands.push(this.parseNot());
+        }
+        return { kind: 'logical', boolean: true, operands, token: left.token };
+    }
+
+    parseNot() {
+        const token = this.peek();
+        if (this.acceptWord('NOT')) {
+            const operand = this.parseNot();
+            return { kind: 'logical', boolean: true, operands: [operand], token };
+        }
+        return this.parsePredicate();
+    }
+
+    parsePredicate() {
+        const left = this.parseAdditive();
+        const token = this.peek();
+
+        if (['=', '<>', '!=', '<', '>', '<=', '>='].some(op => this.isOperator(op))) {
+            this.next();
+            this.parseAdditive();
+            return { kind: 'comparison', boolean: true, token: left.token };
+        }
+
+        const negated = this.isWord('NOT') && ['LIKE', 'IN', 'BETWEEN'].some(word => this.isWord(word, 1));
+        if (negated) this.next();
+
+        if (this.acceptWord('LIKE')) {
+            this.parseAdditive();
+        } else if (this.acceptWord('IN')) {
+            this.expectOperator('(');
+            if (this.isWord('SELECT')) {
+                this.parseSelect();
+            } else {
+                this.parseExpressionList();
+            }
+            this.expectOperator(')');
+        } else if (this.acceptWord('BETWEEN')) {
+            this.parseAdditive();
+            this.expectWord('AND');
+            this.parseAdditive();
+        } else if (this.acceptWord('IS')) {
+            this.acceptWord('NOT');
+            this.expectWord('NULL');
+        } else {
+            if (negated) this.fail('Expected LIKE, IN or BETWEEN', token);
+            return left;
+        }
+
+        return { kind: 'comparison', boolean: true, token: left.token };
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (['+', '-', '||'].some(op => this.isOperator(op))) {
+            this.next();
+            this.parseMultiplicative();
+            left = { kind: 'value', boolean: false, token: left.token };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (['*', '/', '%'].some(op => this.isOperator(op))) {
+            this.next();
+            this.parseUnary();
+            left = { kind: 'value', boolean: false, token: left.token };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (this.acceptOperator('-') || this.acceptOperator('+')) {
+            this.parseUnary();
+            return { kind: 'value', boolean: false, token };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number' || token.type === 'string' || token.type === 'parameter') {
+            this.next();
+            return { kind: 'value', boolean: false, token };
+        }
+
+        if (this.acceptOperator('(')) {
+            if (this.isWord('SELECT')) {
+                this.parseSelect();
+                this.expectOperator(')');
+                return { kind: 'value', boolean: false, token };
+            }
+            const inner = this.parseExpression();
+            this.expectOperator(')');
+            return { ...inner, token };
+        }
+
+        if (token.type === 'word') {
+            if (token.upper === 'NULL') {
+                this.next();
+                return { kind: 'value', boolean: false, token };
+            }
+            if (token.upper === 'TRUE' || token.upper === 'FALSE') {
+                this.next();
+                if (this.dialect === 'SqlServer') {
+                    this.report('boolean-literal', 'SQL Server has no TRUE/FALSE literals; use 1 and 0', token);
+                }
+                return { kind: 'value', boolean: this.dialect !== 'SqlServer', token };
+            }
+            if (token.upper === 'EXISTS') {
+                this.next();
+                this.expectOperator('(');
+                this.parseSelect();
+                this.expectOperator(')');
+                return { kind: 'comparison', boolean: true, token };
+            }
+            if (token.upper === 'CASE') {
+                return this.parseCase();
+            }
+            if (this.isOperator('(', 1)) {
+                return this.parseFunctionCall();
+            }
+        }
+
+        if (token.type === 'word' || token.type === 'identifier') {
+            this.parseColumnReference();
+            return { kind: 'column', boolean: false, token };
+        }
+
+        return this.fail('Expected an expression');
+    }
+
+    parseCase() {
+        const token = this.next();
+        if (!this.isWord('WHEN')) this.parseExpression();
+        while (this.acceptWord('WHEN')) {
+            this.parseExpression();
+            this.expectWord('THEN');
+            this.parseExpression();
+        }
+        if (this.acceptWord('ELSE')) this.parseExpression();
+        this.expectWord('END');
+        return { kind: 'value', boolean: false, token };
+    }
+
+    parseFunctionCall() {
+        const token = this.next();
+        const dialects = DIALECT_FUNCTIONS[token.upper];
+        if (dialects && !dialects.includes(this.dialect)) {
+            this.report('function', `${token.text}() is not available in ${this.rules.label}`, token);
+        }
+
+        this.expectOperator('(');
+        if (!this.acceptOperator(')')) {
+            this.acceptWord('DISTINCT');
+            if (this.acceptOperator('*')) {
+                this.expectOperator(')');
+            } else {
+                // DATEADD(day, ...) takes a date part keyword as its first argument
+                if (token.upper === 'DATEADD' && this.peek().type === 'word' && this.isOperator(',', 1)) {
+                    this.next();
+                    this.expectOperator(',');
+                }
+                this.parseExpressionList();
+                this.expectOperator(')');
+            }
+        }
+
+        if (this.acceptWord('OVER')) {
+            this.expectOperator('(');
+            if (this.acceptWord('PARTITION')) {
+                this.expectWord('BY');
+                this.parseExpressionList();
+            }
+            if (this.acceptWord('ORDER')) {
+                this.expectWord('BY');
+                this.parseOrderList();
+            }
+            this.expectOperator(')');
+        }
+        return { kind: 'value', boolean: false, token };
+    }
+
+    // column, alias.column or alias.*; qualifiers are resolved when their query's scope is complete
+    parseColumnReference() {
+        const token = this.peek();
+        const parts = [this.parseIdentifier('column name')];
+        while (this.acceptOperator('.')) {
+            if (this.acceptOperator('*')) {
+                parts.push('*');
+                break;
+            }
+            parts.push(this.parseIdentifier('column name'));
+        }
+
+        if (parts.length > 1) {
+            const scope = this.scopes[this.scopes.length - 1];
+            const reference = { qualifier: parts[parts.length - 2], token, outer: this.scopes.slice(0, -1) };
+            if (scope) {
+                scope.pending.push(reference);
+            }
+        }
+        return { qualified: parts.length > 1, token };
+    }
+
+    resolvePending(scope) {
+        scope.pending.forEach(reference => {
+            const name = reference.qualifier.toLowerCase();
+            const known = scope.aliases.has(name)
+                || reference.outer.some(outer => outer.aliases.has(name))
+                || this.cteNames.has(name);
+            if (!known) {
+                this.report('unknown-alias', `Unknown table alias '${reference.qualifier}'`, reference.token);
+            }
+        });
+    }
+}
+
+// Check an output's @name placeholders against the example's parameters
+function checkParameters(tokens, parameters) {
+    const issues = [];
+    const declared = new Map(parameters.map(parameter => [parameter.name, parameter]));
+    const used = new Set();
+
+    tokens.filter(token => token.type === 'parameter').forEach(token => {
+        used.add(token.text);
+        if (!declared.has(token.text)) {
+            issues.push(new SqlValidationError('parameter', `Placeholder ${token.text} has no matching parameter`, token));
+        }
+    });
+
+    parameters.forEach(parameter => {
+        if (!used.has(parameter.name)) {
+            issues.push(new SqlValidationError('parameter', `Parameter ${parameter.name} is never used`, null));
+        }
+    });
+    return issues;
+}
+
+// Check that every anatomy fragment is found in an output, claiming text in order like
+// findFragmentRanges() in query-anatomy.js
+function checkAnatomy(sql, dialect, anatomy) {
+    const issues = [];
+    const taken = [];
+
+    anatomy.forEach(entry => {
+        getAnatomyFragments(entry, dialect).forEach(fragment => {
+            const pattern = createFragmentPattern(fragment);
+            let match;
+            while ((match = pattern.exec(sql)) !== null) {
+                const end = match.index + match[0].length;
+                if (!taken.some(([start, stop]) => match.index < stop && end > start)) {
+                    taken.push([match.index, end]);
+                    return;
+                }
+                pattern.lastIndex = match.index + 1;
+            }
+            issues.push(new SqlValidationError('anatomy', `Anatomy fragment "${fragment}" for C# lines ${entry.lines.join('-')} is not in the output`, null));
+        });
+    });
+    return issues;
+}
+
+// Validate one SQL output, returning its issues
+function validateSql(sql, dialect, parameters) {
+    let tokens;
+    try {
+        tokens = tokenize(sql, dialect);
+    } catch (error) {
+        if (!(error instanceof SqlValidationError)) throw error;
+        return [error];
+    }
+
+    const issues = checkParameters(tokens, parameters);
+    try {
+        issues.push(...new SqlParser(tokens, dialect).parseScript());
+    } catch (error) {
+        if (!(error instanceof SqlValidationError)) throw error;
+        issues.push(error);
+    }
+    return issues;
+}
+
+// A knownIssues entry excuses an issue of its rule at its token only, never another occurrence
+function matchesKnownIssue(known, dialect, issue) {
+    return known.dialect === dialect && known.rule === issue.rule && Boolean(issue.token)
+        && known.line === issue.token.line && known.column === issue.token.column && known.token === issue.token.text;
+}
+
+// Validate every output of every example; returns { outputs, failures, known, stale }
+function validateExamples(examples) {
+    const report = { outputs: 0, failures: [], known: [], stale: [] };
+
+    examples.forEach(example => {
+        const outputs = { [example.dialect]: example.sqlOutput, ...(example.dialectOutputs || {}) };
+        const unmatched = [...(example.knownIssues || [])];
+
+        Object.entries(outputs).forEach(([dialect, sql]) => {
+            if (!DIALECT_RULES[dialect]) return;
+
+            report.outputs++;
+            const issues = [...validateSql(sql, dialect, example.parameters || []), ...checkAnatomy(sql, dialect, example.anatomy || [])];
+            issues.forEach(issue => {
+                const entry = { example, dialect, sql, issue };
+                const index = unmatched.findIndex(known => matchesKnownIssue(known, dialect, issue));
+                if (index === -1) {
+                    report.failures.push(entry);
+                } else {
+                    unmatched.splice(index, 1);
+                    report.known.push(entry);
+                }
+            });
+        });
+
+        unmatched.forEach(known => report.stale.push({ example, known }));
+    });
+
+    return report;
+}
+
+function formatStaleIssue({ example, known }) {
+    return `  #${example.id} [${known.dialect}] no longer reports ${known.rule} at line ${known.line}, column ${known.column} (${known.token})`;
+}
+
+// Source line with a caret under the offending column, dropping the line's indentation; check-snippets.js
+// formats its excerpts the same way
+function formatExcerpt(source, token) {
+    if (!token || !token.line) return '';
+    const line = source.split('\n')[token.line - 1] || '';
+    const indent = line.match(/^\s*/)[0].length;
+    return `\n      ${line.slice(indent)}\n      ${' '.repeat(Math.max(0, token.column - 1 - indent))}^`;
+}
+
+function formatIssue({ example, dialect, sql, issue }) {
+    const location = issue.token && issue.token.line ? ` line ${issue.token.line}, column ${issue.token.column}:` : '';
+    return `  #${example.id} ${example.title} [${dialect}]${location} ${issue.message} (${issue.rule})${formatExcerpt(sql, issue.token)}`;
+}
+
+function main() {
+    const examplesPath = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_EXAMPLES_PATH;
+    const { examples } = JSON.parse(fs.readFileSync(examplesPath, 'utf8'));
+    const report = validateExamples(examples);
+
+    console.log(`Validated ${report.outputs} SQL outputs from ${examples.length} examples in ${path.relative(process.cwd(), examplesPath)}`);
+
+    if (report.known.length > 0) {
+        console.log(`\nKnown issues (${report.known.length}):`);
+        report.known.forEach(entry => console.log(formatIssue(entry)));
+    }
+    if (report.stale.length > 0) {
+        console.log(`\nStale knownIssues entries (${report.stale.length}):`);
+        report.stale.forEach(entry => console.log(formatStaleIssue(entry)));
+    }
+    if (report.failures.length > 0) {
+        console.log(`\nErrors (${report.failures.length}):`);
+        report.failures.forEach(entry => console.log(formatIssue(entry)));
+    }
+
+    const failed = report.failures.length > 0 || report.stale.length > 0;
+    if (failed) {
+        console.log('\nValidation failed.');
+    } else {
+        console.log(report.known.length > 0
+            ? `\nAll SQL outputs are valid apart from the ${report.known.length} known issues listed above.`
+            : '\nAll SQL outputs are valid.');
+    }
+    process.exitCode = failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { tokenize, SqlParser, SqlValidationError, validateSql, checkAnatomy, validateExamples, formatIssue, formatStaleIssue, formatExcerpt, DIALECT_RULES };
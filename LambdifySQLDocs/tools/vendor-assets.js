@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// Copy the third-party libraries the docs use into LambdifySQLDocs/vendor, so the site needs no CDN
+//
+// Usage: node LambdifySQLDocs/tools/vendor-assets.js
+//
+// Copies from installed npm packages at the pinned versions:
+//   npm install --no-save prismjs@1.29.0 @fortawesome/fontawesome-free@6.4.0 sql.js@1.14.2
+//
+// Only the files the page loads are copied, plus each package's licence. Font Awesome's stylesheet also
+// lists .ttf fallbacks, but every browser with service workers reads the .woff2 fonts, so only those are
+// vendored. sql.js is the WebAssembly build of SQLite behind the examples' Run action; the page loads it on
+// first use. Run tools/precache.js afterwards so the service worker picks up the new files.
+
+const fs = require('fs');
+const path = require('path');
+
+const VENDOR_DIR = path.join(__dirname, '..', 'vendor');
+
+// Prism languages used by the docs' code blocks; clike comes before csharp, which extends it
+const PRISM_LANGUAGES = ['clike', 'markup', 'csharp', 'sql', 'bash', 'powershell'];
+
+const VENDORED_PACKAGES = [
+    {
+        name: 'prismjs',
+        version: '1.29.0',
+        target: 'prism',
+        files: [
+            'LICENSE',
+            'components/prism-core.min.js',
+            ...PRISM_LANGUAGES.map(language => `components/prism-${language}.min.js`),
+            'plugins/line-numbers/prism-line-numbers.min.js',
+            'themes/prism.min.css',
+            'themes/prism-tomorrow.min.css'
+        ]
+    },
+    {
+        name: '@fortawesome/fontawesome-free',
+        version: '6.4.0',
+        target: 'font-awesome',
+        files: [
+            'LICENSE.txt',
+            'css/all.min.css',
+            'webfonts/fa-brands-400.woff2',
+            'webfonts/fa-regular-400.woff2',
+            'webfonts/fa-solid-900.woff2',
+            'webfonts/fa-v4compatibility.woff2'
+        ]
+    },
+    {
+        name: 'sql.js',
+        version: '1.14.2',
+        target: 'sql.js',
+        files: [
+            'LICENSE',
+            'dist/sql-wasm.js',
+            'dist/sql-wasm.wasm'
+        ]
+    }
+];
+
+class VendorError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VendorError';
+    }
+}
+
+// Find an installed package and make sure it is the pinned release. The package directory is looked up on
+// the module search paths, as packages with an "exports" map (sql.js) do not export their package.json.
+function resolvePackage({ name, version }) {
+    const manifestPath = (require.resolve.paths(name) || [])
+        .map(directory => path.join(directory, name, 'package.json'))
+        .find(file => fs.existsSync(file));
+    if (!manifestPath) {
+        throw new VendorError(`${name} is not installed. Install it with: npm install --no-save ${name}@${version}`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (manifest.version !== version) {
+        throw new VendorError(`${name} ${manifest.version} is installed, but the docs pin ${version}. Install it with: npm install --no-save ${name}@${version}`);
+    }
+
+    return path.dirname(manifestPath);
+}
+
+// Replace vendor/<target> with the package's listed files; returns the copied paths relative to vendor/
+function vendorPackage(pkg, vendorDir = VENDOR_DIR) {
+    const sourceDir = resolvePackage(pkg);
+    const targetDir = path.join(vendorDir, pkg.target);
+
+    fs.rmSync(targetDir, { recursive: true, force: true });
+    return pkg.files.map(file => {
+        const source = path.join(sourceDir, file);
+        if (!fs.existsSync(source)) {
+            throw new VendorError(`${pkg.name}@${pkg.version} has no ${file}`);
+        }
+
+        const target = path.join(targetDir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(source, target);
+        return path.posix.join(pkg.target, file);
+    });
+}
+
+function main() {
+    try {
+        VENDORED_PACKAGES.forEach(pkg => {
+            const files = vendorPackage(pkg);
+            console.log(`Vendored ${pkg.name}@${pkg.version}: ${files.length} files in vendor/${pkg.target}`);
+        });
+    } catch (error) {
+        console.error(error instanceof VendorError ? error.message : error);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('Run node LambdifySQLDocs/tools/precache.js to update the service worker cache.');
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { vendorPackage, VENDORED_PACKAGES, VendorError };
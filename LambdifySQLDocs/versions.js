@@ -0,0 +1,152 @@
+// Version Manager - Switches the docs between LambdifySQL releases listed in versions.json
+// Each release names its examples and API datasets. Releases may share an examples file, since
+// examples carry a "since" version and are hidden from older releases. To snapshot a release,
+// copy its datasets into versions/<version>/ and point its versions.json entry at them; its api.json
+// must be extracted with tools/extract-api.js from that release's sources, not edited down from a newer one.
+// Only 1.0.1 is listed, since the repository tags no earlier release to extract; with one release the
+// selector stays hidden and no example gets a badge.
+
+const VERSIONS_URL = 'versions.json';
+
+// Install commands rewritten for the selected release, keyed by code element id
+const INSTALL_SNIPPETS = {
+    'install-nuget': version => `Install-Package LambdifySQL -Version ${version}`,
+    'install-cli': version => `dotnet add package LambdifySQL --version ${version}`,
+    'install-xml': version => `<PackageReference Include="LambdifySQL" Version="${version}" />`
+};
+
+// Compare dotted version strings numerically, e.g. "1.0.10" > "1.0.9"
+export function compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
+
+export class VersionManager {
+    constructor() {
+        this.versions = []; // newest first
+        this.current = null;
+        this.listeners = [];
+        this.select = null;
+    }
+
+    // Load the release list and pick the release named in the URL, or the latest
+    async init() {
+        try {
+            const response = await fetch(VERSIONS_URL);
+            if (!response.ok) {
+                throw new Error(`Request for ${VERSIONS_URL} failed with status ${response.status}`);
+            }
+
+            this.versions = this.validateVersions(await response.json());
+        } catch (error) {
+            console.error('Error loading versions:', error);
+            return null;
+        }
+
+        this.current = this.getVersion(this.getUrlVersion()) || this.getLatest();
+        this.renderSelector();
+        this.updateInstallSnippets();
+
+        window.addEventListener('popstate', () => {
+            const version = this.getVersion(this.getUrlVersion()) || this.getLatest();
+            if (version !== this.current) {
+                this.setVersion(version.version);
+            }
+        });
+
+        return this.current;
+    }
+
+    // Validate the versions.json payload and sort it newest first
+    validateVersions(data) {
+        if (!data || !Array.isArray(data.versions) || data.versions.length === 0) {
+            throw new Error(`${VERSIONS_URL} must contain a non-empty "versions" array`);
+        }
+
+        data.versions.forEach((entry, index) => {
+            ['version', 'examples', 'api'].forEach(field => {
+                if (typeof entry[field] !== 'string') {
+                    throw new Error(`Version at index ${index} has invalid "${field}" (expected string)`);
+                }
+            });
+            if (!/^\d+(\.\d+)*$/.test(entry.version)) {
+                throw new Error(`Version at index ${index} has malformed version "${entry.version}"`);
+            }
+        });
+
+        return [...data.versions].sort((a, b) => compareVersions(b.version, a.version));
+    }
+
+    getVersion(version) {
+        return this.versions.find(entry => entry.version === version) || null;
+    }
+
+    getLatest() {
+        return this.versions[0] || null;
+    }
+
+    getOldest() {
+        return this.versions[this.versions.length - 1] || null;
+    }
+
+    isLatest(entry = this.current) {
+        return entry === this.getLatest();
+    }
+
+    getUrlVersion() {
+        return new URLSearchParams(window.location.search).get('version');
+    }
+
+    // Register a callback run with the new release entry whenever the selection changes
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    async setVersion(version) {
+        const entry = this.getVersion(version);
+        if (!entry || entry === this.current) return;
+
+        this.current = entry;
+        if (this.select) {
+            this.select.value = entry.version;
+        }
+        this.updateInstallSnippets();
+
+        for (const listener of this.listeners) {
+            await listener(entry);
+        }
+    }
+
+    // Fill the navbar dropdown; hidden when only one release is documented
+    renderSelector() {
+        this.select = document.getElementById('version-select');
+        if (!this.select) return;
+
+        this.select.innerHTML = this.versions.map(entry => {
+            const label = this.isLatest(entry) ? `v${entry.version} (latest)` : `v${entry.version}`;
+            return `<option value="${entry.version}">${label}</option>`;
+        }).join('');
+        this.select.value = this.current.version;
+        this.select.closest('.version-selector').hidden = this.versions.length < 2;
+
+        this.select.addEventListener('change', () => this.setVersion(this.select.value));
+    }
+
+    // Show install commands pinned to the selected release
+    updateInstallSnippets() {
+        Object.entries(INSTALL_SNIPPETS).forEach(([id, template]) => {
+            const code = document.getElementById(id);
+            if (!code) return;
+
+            code.textContent = template(this.current.version);
+            if (window.Prism) {
+                Prism.highlightElement(code);
+            }
+        });
+    }
+}